@@ -0,0 +1,302 @@
+/**
+ * Assignment Scheduler - Acts on assignment due dates
+ *
+ * Every run:
+ * - Reminds the assignee by email shortly before targetDate
+ * - Flags open assignments past targetDate as overdue and tells the assignee
+ * - Escalates to the assigning admin once an assignment has been overdue a while
+ * - Creates the next occurrence of recurring assignments (daily/weekly/monthly)
+ *   once the current one is completed or its due date has passed
+ *
+ * Each action is recorded in the assignment's statusHistory.
+ */
+
+const admin = require('firebase-admin');
+const emailService = require('../core/services/email-service');
+
+// Configuration
+const CONFIG = {
+    RUN_INTERVAL: 5 * 60 * 1000, // 5 minutes
+    STARTUP_DELAY: 30 * 1000,
+    REMINDER_BEFORE: 24 * 60 * 60 * 1000, // Remind a day before the due date
+    ESCALATE_AFTER: 24 * 60 * 60 * 1000 // Escalate a day after it became overdue
+};
+
+const OPEN_STATUSES = ['pending', 'in_progress'];
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Entry for an assignment's statusHistory
+ * serverTimestamp() isn't allowed inside arrays, so the time is taken here
+ * @param {string} type - created | status_changed | reminder_sent | overdue | escalated | recurred | recurrence_ended
+ */
+function historyEntry(type, { status, previousStatus = null, by = null, byName = 'System', note = '' } = {}) {
+    return {
+        type,
+        status: status || null,
+        previousStatus,
+        by,
+        byName,
+        note,
+        at: admin.firestore.Timestamp.now()
+    };
+}
+
+/**
+ * Check a recurrence setting: { frequency, interval?, until? }
+ * @returns {string|null} error message, or null when valid
+ */
+function validateRecurrence(recurrence) {
+    if (!recurrence) return null;
+    if (!RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+        return `recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`;
+    }
+    if (recurrence.interval !== undefined && !(Number.isInteger(recurrence.interval) && recurrence.interval >= 1)) {
+        return 'recurrence.interval must be a positive whole number';
+    }
+    if (recurrence.until && isNaN(new Date(recurrence.until).getTime())) {
+        return 'recurrence.until must be a date';
+    }
+    return null;
+}
+
+/**
+ * Due date of the next occurrence (monthly clamps to the end of shorter months)
+ */
+function nextDueDate(date, { frequency, interval = 1 }) {
+    const next = new Date(date);
+
+    switch (frequency) {
+        case 'daily':
+            next.setDate(next.getDate() + interval);
+            break;
+        case 'weekly':
+            next.setDate(next.getDate() + 7 * interval);
+            break;
+        case 'monthly': {
+            const day = next.getDate();
+            next.setDate(1);
+            next.setMonth(next.getMonth() + interval);
+            const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+            next.setDate(Math.min(day, lastDay));
+            break;
+        }
+    }
+    return next;
+}
+
+class AssignmentScheduler {
+    constructor(db) {
+        this.db = db;
+        this.running = false;
+        this.timer = null;
+        this.startupTimer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        console.log(`[AssignmentScheduler] Started (every ${CONFIG.RUN_INTERVAL / 1000}s)`);
+        this.startupTimer = setTimeout(() => this.run(), CONFIG.STARTUP_DELAY);
+        this.timer = setInterval(() => this.run(), CONFIG.RUN_INTERVAL);
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = new Date();
+
+            const [open, recurring] = await Promise.all([
+                this.db.collection('assignments').where('status', 'in', OPEN_STATUSES).get(),
+                this.db.collection('assignments').where('recurring', '==', true).get()
+            ]);
+
+            for (const doc of open.docs) {
+                await this._checkDueDate(doc, now);
+            }
+
+            // Filtered in memory to avoid a composite index
+            for (const doc of recurring.docs) {
+                if (!doc.data().nextOccurrenceId) {
+                    await this._checkRecurrence(doc, now);
+                }
+            }
+        } catch (err) {
+            console.error('[AssignmentScheduler] Run failed:', err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // ============================================================================
+    // DUE DATES
+    // ============================================================================
+
+    async _checkDueDate(doc, now) {
+        const assignment = doc.data();
+        const dueDate = assignment.targetDate?.toDate ? assignment.targetDate.toDate() : null;
+        if (!dueDate) return;
+
+        try {
+            const untilDue = dueDate - now;
+
+            if (untilDue > 0 && untilDue <= CONFIG.REMINDER_BEFORE && !assignment.reminderSentAt) {
+                await this._notify(assignment.assignedTo, user => emailService.sendAssignmentReminder({
+                    to: user.email,
+                    title: assignment.title,
+                    dueDate,
+                    link: this._link()
+                }));
+                await doc.ref.update({
+                    reminderSentAt: admin.firestore.FieldValue.serverTimestamp(),
+                    statusHistory: admin.firestore.FieldValue.arrayUnion(
+                        historyEntry('reminder_sent', { status: assignment.status, note: `Due ${dueDate.toISOString()}` })
+                    )
+                });
+                return;
+            }
+
+            if (untilDue > 0) return;
+
+            if (!assignment.isOverdue) {
+                await this._notify(assignment.assignedTo, user => emailService.sendAssignmentOverdue({
+                    to: user.email,
+                    title: assignment.title,
+                    dueDate,
+                    link: this._link()
+                }));
+                await doc.ref.update({
+                    isOverdue: true,
+                    overdueAt: admin.firestore.FieldValue.serverTimestamp(),
+                    statusHistory: admin.firestore.FieldValue.arrayUnion(
+                        historyEntry('overdue', { status: assignment.status })
+                    )
+                });
+                return;
+            }
+
+            const overdueAt = assignment.overdueAt?.toDate ? assignment.overdueAt.toDate() : dueDate;
+            if (!assignment.escalatedAt && now - overdueAt >= CONFIG.ESCALATE_AFTER) {
+                await this._notify(assignment.assignedBy, user => emailService.sendAssignmentEscalation({
+                    to: user.email,
+                    title: assignment.title,
+                    assigneeName: assignment.assignedToName,
+                    dueDate,
+                    link: this._link()
+                }));
+                await doc.ref.update({
+                    escalatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    statusHistory: admin.firestore.FieldValue.arrayUnion(
+                        historyEntry('escalated', { status: assignment.status, note: `Escalated to ${assignment.assignedByName}` })
+                    )
+                });
+            }
+        } catch (err) {
+            console.error(`[AssignmentScheduler] Due date check failed for ${doc.id}:`, err.message);
+        }
+    }
+
+    // ============================================================================
+    // RECURRENCE
+    // ============================================================================
+
+    async _checkRecurrence(doc, now) {
+        const assignment = doc.data();
+        const dueDate = assignment.targetDate?.toDate ? assignment.targetDate.toDate() : null;
+        if (!dueDate || !assignment.recurrence) return;
+
+        // The next one appears once this one is done or its due date has passed
+        if (assignment.status !== 'completed' && dueDate > now) return;
+
+        try {
+            const seriesId = assignment.seriesId || doc.id;
+            const occurrence = (assignment.occurrence || 1) + 1;
+            const nextDate = nextDueDate(dueDate, assignment.recurrence);
+            const until = assignment.recurrence.until ? new Date(assignment.recurrence.until) : null;
+
+            if (until && nextDate > until) {
+                await doc.ref.update({
+                    recurring: false,
+                    statusHistory: admin.firestore.FieldValue.arrayUnion(
+                        historyEntry('recurrence_ended', { status: assignment.status })
+                    )
+                });
+                return;
+            }
+
+            // Deterministic id so overlapping runs can't create the same occurrence twice
+            const nextRef = this.db.collection('assignments').doc(`${seriesId}_${occurrence}`);
+
+            await this.db.runTransaction(async (transaction) => {
+                const [current, existing] = await Promise.all([transaction.get(doc.ref), transaction.get(nextRef)]);
+                if (current.data().nextOccurrenceId) return;
+
+                if (!existing.exists) {
+                    transaction.set(nextRef, {
+                        title: assignment.title,
+                        description: assignment.description || '',
+                        assignedTo: assignment.assignedTo,
+                        assignedBy: assignment.assignedBy,
+                        assignedByName: assignment.assignedByName,
+                        assignedToName: assignment.assignedToName,
+                        companyId: assignment.companyId,
+                        status: 'pending',
+                        targetDate: admin.firestore.Timestamp.fromDate(nextDate),
+                        recurring: true,
+                        recurrence: assignment.recurrence,
+                        seriesId,
+                        occurrence,
+                        nextOccurrenceId: null,
+                        statusHistory: [
+                            historyEntry('created', { status: 'pending', note: `Recurring occurrence ${occurrence}` })
+                        ],
+                        assignedDate: admin.firestore.FieldValue.serverTimestamp(),
+                        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+
+                transaction.update(doc.ref, {
+                    nextOccurrenceId: nextRef.id,
+                    statusHistory: admin.firestore.FieldValue.arrayUnion(
+                        historyEntry('recurred', { status: assignment.status, note: `Next occurrence ${nextRef.id}` })
+                    )
+                });
+            });
+
+            console.log(`[AssignmentScheduler] Created occurrence ${nextRef.id} due ${nextDate.toISOString()}`);
+        } catch (err) {
+            console.error(`[AssignmentScheduler] Recurrence failed for ${doc.id}:`, err.message);
+        }
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    /**
+     * Email a user if they still exist and have an address
+     */
+    async _notify(userId, send) {
+        if (!userId) return;
+        const userDoc = await this.db.collection('users').doc(userId).get();
+        const user = userDoc.exists ? userDoc.data() : null;
+        if (user?.email) {
+            await send(user);
+        }
+    }
+
+    _link() {
+        return `${process.env.APP_URL || 'http://localhost:8080'}/assignments`;
+    }
+}
+
+module.exports = { AssignmentScheduler, historyEntry, validateRecurrence, RECURRENCE_FREQUENCIES };
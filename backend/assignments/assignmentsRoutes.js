@@ -3,46 +3,69 @@
  * 
  * Handles:
  * - Creating assignments (Admin only)
- * - Listing assignments (Filtered by company/user)
+ * - Listing assignments (Filtered by company; members only see their own)
  * - Updating assignment status (Team members)
  * - Deleting assignments (Admin only)
+ * - Conversation ownership: assigning email threads, WhatsApp and Slack messages
+ * - Assignment comments with file attachments
  */
 
 const express = require('express');
 const admin = require('firebase-admin');
+const multer = require('multer');
+const {
+    COLLECTION: CONVERSATIONS,
+    CONVERSATION_STATUSES,
+    CONVERSATION_SOURCES,
+    conversationKey,
+    assignmentDocId,
+    sourceRef
+} = require('./conversationAssignments');
+const { historyEntry, validateRecurrence } = require('./assignmentScheduler');
+const { can, requirePermission, resolveSourceScope, sourceAccess } = require('../core/policy');
 
-function createAssignmentsRoutes(db) {
+// Configure multer for memory storage
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 50 * 1024 * 1024, // 50MB limit
+    },
+});
+
+function createAssignmentsRoutes(db, storageService, io) {
     const router = express.Router();
 
     /**
      * POST /
      * Create a new assignment
-     * Restricted to Admins (users with same companyId)
+     * Restricted to Admins; the caller is recorded as assignedBy
      */
-    router.post('/', async (req, res) => {
+    router.post('/', requirePermission('manage_assignments'), async (req, res) => {
         const {
             title,
             description,
             assignedTo, // userId of team member
-            assignedBy, // userId of creator (admin)
             targetDate,
-            companyId
+            recurrence // optional { frequency: 'daily' | 'weekly' | 'monthly', interval?, until? }
         } = req.body;
+        const { uid: assignedBy, companyId, displayName: assignedByName } = req.user;
 
-        if (!title || !assignedTo || !assignedBy || !companyId) {
+        if (!title || !assignedTo) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: title, assignedTo, assignedBy, companyId'
+                error: 'Missing required fields: title, assignedTo'
             });
         }
 
-        try {
-            // Validate creator is from same company (simple check, robust auth via middleware recommended in future)
-            const creatorDoc = await db.collection('users').doc(assignedBy).get();
-            if (!creatorDoc.exists || creatorDoc.data().companyId !== companyId) {
-                return res.status(403).json({ success: false, error: 'Unauthorized: Creator not found or company mismatch' });
-            }
+        const recurrenceError = validateRecurrence(recurrence);
+        if (recurrenceError) {
+            return res.status(400).json({ success: false, error: recurrenceError });
+        }
+        if (recurrence && !targetDate) {
+            return res.status(400).json({ success: false, error: 'Recurring assignments need a targetDate' });
+        }
 
+        try {
             // Validate assignee is in same company
             const assigneeDoc = await db.collection('users').doc(assignedTo).get();
             if (!assigneeDoc.exists || assigneeDoc.data().companyId !== companyId) {
@@ -54,11 +77,26 @@ function createAssignmentsRoutes(db) {
                 description: description || '',
                 assignedTo,
                 assignedBy,
-                assignedByName: creatorDoc.data().displayName || 'Admin',
+                assignedByName: assignedByName || 'Admin',
                 assignedToName: assigneeDoc.data().displayName || 'Member',
                 companyId,
                 status: 'pending', // pending, in_progress, completed
                 targetDate: targetDate ? admin.firestore.Timestamp.fromDate(new Date(targetDate)) : null,
+                recurring: !!recurrence,
+                recurrence: recurrence ? {
+                    frequency: recurrence.frequency,
+                    interval: recurrence.interval || 1,
+                    until: recurrence.until ? new Date(recurrence.until).toISOString() : null
+                } : null,
+                occurrence: 1,
+                nextOccurrenceId: null,
+                statusHistory: [
+                    historyEntry('created', {
+                        status: 'pending',
+                        by: assignedBy,
+                        byName: assignedByName || 'Admin'
+                    })
+                ],
                 assignedDate: admin.firestore.FieldValue.serverTimestamp(),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             };
@@ -79,14 +117,16 @@ function createAssignmentsRoutes(db) {
 
     /**
      * GET /
-     * List assignments
-     * Query params: companyId (required), assignedTo (optional), status (optional)
+     * List assignments in the caller's company
+     * Query params: assignedTo (optional, manage_assignments only - others always get their own), status (optional)
      */
     router.get('/', async (req, res) => {
-        const { companyId, assignedTo, status } = req.query;
+        const { status } = req.query;
+        const { companyId } = req.user;
+        const assignedTo = can(req.user, 'manage_assignments') ? req.query.assignedTo : req.user.uid;
 
         if (!companyId) {
-            return res.status(400).json({ error: 'Missing companyId' });
+            return res.status(400).json({ error: 'Company ID not found for user' });
         }
 
         try {
@@ -112,6 +152,13 @@ function createAssignmentsRoutes(db) {
                 targetDate: doc.data().targetDate?.toDate().toISOString(),
                 assignedDate: doc.data().assignedDate?.toDate().toISOString(),
                 updatedAt: doc.data().updatedAt?.toDate().toISOString(),
+                reminderSentAt: doc.data().reminderSentAt?.toDate().toISOString(),
+                overdueAt: doc.data().overdueAt?.toDate().toISOString(),
+                escalatedAt: doc.data().escalatedAt?.toDate().toISOString(),
+                statusHistory: (doc.data().statusHistory || []).map(entry => ({
+                    ...entry,
+                    at: entry.at?.toDate().toISOString()
+                })),
             }));
 
             // Manual sort by assignedDate desc
@@ -127,19 +174,36 @@ function createAssignmentsRoutes(db) {
 
     /**
      * PATCH /:id/status
-     * Update assignment status
+     * Update assignment status (assignee, creator or an admin)
      */
     router.patch('/:id/status', async (req, res) => {
         const { id } = req.params;
-        const { status, updatedBy } = req.body;
+        const { status } = req.body;
 
         if (!['pending', 'in_progress', 'completed'].includes(status)) {
             return res.status(400).json({ success: false, error: 'Invalid status' });
         }
 
         try {
-            await db.collection('assignments').doc(id).update({
+            const access = await resolveAssignmentAccess(id, req, res);
+            if (!access) return;
+
+            const docRef = db.collection('assignments').doc(id);
+            const previousStatus = access.assignment.status;
+            if (previousStatus === status) {
+                return res.json({ success: true, message: 'Status unchanged' });
+            }
+
+            await docRef.update({
                 status,
+                statusHistory: admin.firestore.FieldValue.arrayUnion(
+                    historyEntry('status_changed', {
+                        status,
+                        previousStatus,
+                        by: access.user.id,
+                        byName: access.user.displayName || 'Member'
+                    })
+                ),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
 
@@ -153,13 +217,24 @@ function createAssignmentsRoutes(db) {
 
     /**
      * DELETE /:id
-     * Delete assignment
+     * Delete assignment, its comments and their attachments (Admin only)
      */
-    router.delete('/:id', async (req, res) => {
+    router.delete('/:id', requirePermission('manage_assignments'), async (req, res) => {
         const { id } = req.params;
         try {
-            await db.collection('assignments').doc(id).delete();
-            // TODO: Delete subcollection 'messages' as well (requires manual recursion in Firestore)
+            const doc = await db.collection('assignments').doc(id).get();
+            if (!doc.exists || doc.data().companyId !== req.user.companyId) {
+                return res.status(404).json({ success: false, error: 'Assignment not found' });
+            }
+
+            // Firestore doesn't remove subcollections with their parent
+            await db.recursiveDelete(db.collection('assignments').doc(id));
+
+            // Attachment cleanup shouldn't fail the delete
+            storageService.deleteFolder(attachmentFolder(id)).catch(err => {
+                console.error('[Assignments] Attachment cleanup failed:', id, err.message);
+            });
+
             res.json({ success: true, message: 'Assignment deleted' });
         } catch (error) {
             console.error('[Assignments] Delete error:', error);
@@ -167,6 +242,555 @@ function createAssignmentsRoutes(db) {
         }
     });
 
+    // ============================================================================
+    // ASSIGNMENT MESSAGES
+    // ============================================================================
+
+    const attachmentFolder = (assignmentId) => `assignments/${assignmentId}`;
+
+    /**
+     * Load an assignment the caller may work on: its assignee, its creator or a company owner
+     * Sends the error response and returns null otherwise
+     */
+    const resolveAssignmentAccess = async (assignmentId, req, res) => {
+        const assignmentDoc = await db.collection('assignments').doc(assignmentId).get();
+
+        if (!assignmentDoc.exists) {
+            res.status(404).json({ success: false, error: 'Assignment not found' });
+            return null;
+        }
+
+        const assignment = { id: assignmentDoc.id, ...assignmentDoc.data() };
+        const user = { ...req.user, id: req.user.uid };
+
+        const allowed = user.companyId === assignment.companyId &&
+            (can(user, 'manage_assignments') || assignment.assignedTo === user.id || assignment.assignedBy === user.id);
+
+        if (!allowed) {
+            res.status(403).json({ success: false, error: 'Unauthorized' });
+            return null;
+        }
+
+        return { assignment, user };
+    };
+
+    /**
+     * Shape a stored message like AssignmentMessage.fromJson expects, with a fresh signed file URL
+     */
+    const serializeMessage = async (doc) => {
+        const data = doc.data();
+        const message = {
+            id: doc.id,
+            assignmentId: data.assignmentId,
+            senderId: data.senderId,
+            senderName: data.senderName,
+            content: data.content,
+            type: data.type,
+            fileName: data.fileName || null,
+            fileSize: data.fileSize || null,
+            contentType: data.contentType || null,
+            fileUrl: null,
+            timestamp: data.timestamp?.toDate ? data.timestamp.toDate().toISOString() : data.timestamp
+        };
+
+        if (data.fileKey) {
+            try {
+                const presigned = await storageService.getPresignedDownloadUrl(data.fileKey);
+                message.fileUrl = presigned.presignedUrl;
+            } catch (e) {
+                // Leave fileUrl empty if signing failed
+            }
+        }
+        return message;
+    };
+
+    /**
+     * POST /:id/messages
+     * Post a comment, optionally with a file
+     * Body (JSON or multipart): { content, file? }
+     */
+    router.post('/:id/messages', upload.single('file'), async (req, res) => {
+        const { id } = req.params;
+        const content = (req.body.content || '').trim();
+        const file = req.file;
+
+        if (!content && !file) {
+            return res.status(400).json({ success: false, error: 'Message content or file is required' });
+        }
+
+        try {
+            const access = await resolveAssignmentAccess(id, req, res);
+            if (!access) return;
+
+            const assignmentRef = db.collection('assignments').doc(id);
+            const messageRef = assignmentRef.collection('messages').doc();
+
+            const messageData = {
+                assignmentId: id,
+                senderId: access.user.id,
+                senderName: access.user.displayName || 'Member',
+                content,
+                type: 'text',
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            if (file) {
+                // One folder per message so files with the same name don't overwrite each other
+                const result = await storageService.uploadFile(file, `${attachmentFolder(id)}/${messageRef.id}`);
+                Object.assign(messageData, {
+                    type: file.mimetype.startsWith('image/') ? 'image' : 'file',
+                    fileKey: result.key,
+                    fileName: file.originalname,
+                    fileSize: file.size,
+                    contentType: file.mimetype
+                });
+            }
+
+            await Promise.all([
+                messageRef.set(messageData),
+                assignmentRef.update({
+                    messageCount: admin.firestore.FieldValue.increment(1),
+                    lastMessage: {
+                        content: content ? content.substring(0, 50) : 'Attachment',
+                        senderName: messageData.senderName,
+                        createdAt: new Date()
+                    },
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                })
+            ]);
+
+            const message = await serializeMessage(await messageRef.get());
+
+            if (io) {
+                io.to(`assignment_${id}`).emit('assignment_message', message);
+            }
+
+            res.status(201).json({ success: true, message });
+        } catch (error) {
+            console.error('[Assignments] Post message error:', error);
+            res.status(500).json({ success: false, error: 'Failed to post message' });
+        }
+    });
+
+    /**
+     * GET /:id/messages
+     * Comments on an assignment, oldest first within the page
+     * Query params: limit (default 50), before (message id - load older)
+     */
+    router.get('/:id/messages', async (req, res) => {
+        const { id } = req.params;
+        const { before } = req.query;
+        const limitVal = Math.min(parseInt(req.query.limit) || 50, 100);
+
+        try {
+            const access = await resolveAssignmentAccess(id, req, res);
+            if (!access) return;
+
+            const messagesRef = db.collection('assignments').doc(id).collection('messages');
+            let query = messagesRef.orderBy('timestamp', 'desc');
+
+            if (before) {
+                const cursor = await messagesRef.doc(before).get();
+                if (!cursor.exists) {
+                    return res.status(400).json({ success: false, error: 'Invalid before cursor' });
+                }
+                query = query.startAfter(cursor);
+            }
+
+            // Fetch one extra to know whether older messages exist
+            const snapshot = await query.limit(limitVal + 1).get();
+            const docs = snapshot.docs.slice(0, limitVal);
+            const messages = await Promise.all(docs.map(serializeMessage));
+
+            res.json({
+                success: true,
+                messages: messages.reverse(),
+                hasMore: snapshot.docs.length > limitVal
+            });
+        } catch (error) {
+            console.error('[Assignments] List messages error:', error);
+            res.status(500).json({ success: false, error: 'Failed to fetch messages' });
+        }
+    });
+
+    // ============================================================================
+    // CONVERSATION ASSIGNMENTS
+    // ============================================================================
+
+    const toIso = (value) => value?.toDate ? value.toDate().toISOString() : value || null;
+
+    const serializeConversation = (doc) => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            assigneeHistory: (data.assigneeHistory || []).map(entry => ({
+                ...entry,
+                assignedAt: toIso(entry.assignedAt)
+            })),
+            closedAt: toIso(data.closedAt),
+            createdAt: toIso(data.createdAt),
+            updatedAt: toIso(data.updatedAt)
+        };
+    };
+
+    /**
+     * Load a company member, null if they aren't in the company
+     */
+    const getMember = async (userId, companyId) => {
+        if (!userId) return null;
+        const doc = await db.collection('users').doc(userId).get();
+        if (!doc.exists || doc.data().companyId !== companyId) return null;
+        return { id: doc.id, ...doc.data() };
+    };
+
+    // Scope kind and ref field of each source (see resolveSourceScope)
+    const SOURCE_SCOPES = {
+        email: ['emailAccounts', 'accountId'],
+        whatsapp: ['whatsappGroups', 'groupId'],
+        slack: ['slackChannels', 'channelId']
+    };
+
+    /**
+     * Caller's access to the account, group or channel a conversation comes from
+     * @returns {'write'|'read'|null}
+     */
+    const conversationAccess = (scope, source, ref) => {
+        const [kind, field] = SOURCE_SCOPES[source] || [];
+        if (!kind) return null;
+        return sourceAccess(scope, kind, ref?.[field]);
+    };
+
+    /**
+     * Whether the caller may change or unassign a conversation assignment
+     */
+    const canManageConversation = (user, conversation) =>
+        can(user, 'manage_assignments') ||
+        conversation.assignedTo === user.uid ||
+        conversation.assignedBy === user.uid;
+
+    /**
+     * Drop conversations from accounts, groups and channels the caller can't read
+     * WhatsApp assignments made before refs carried the group look it up from the message
+     */
+    const filterVisibleConversations = async (user, conversations) => {
+        const scope = await resolveSourceScope(db, user);
+        if (!scope) return conversations;
+
+        const unresolved = conversations.filter(c => c.source === 'whatsapp' && !c.ref?.groupId && c.ref?.messageId);
+        if (unresolved.length > 0) {
+            const snapshots = await db.getAll(
+                ...unresolved.map(c => db.collection('whatsappMessages').doc(c.ref.messageId))
+            );
+            snapshots.forEach((snapshot, i) => {
+                if (snapshot.exists) unresolved[i].ref = { ...unresolved[i].ref, groupId: snapshot.data().groupId };
+            });
+        }
+
+        return conversations.filter(c => !!conversationAccess(scope, c.source, c.ref));
+    };
+
+    const assigneeHistoryEntry = (assignee, assigner) => ({
+        assignedTo: assignee.id,
+        assignedToName: assignee.displayName || 'Member',
+        assignedBy: assigner.id,
+        assignedByName: assigner.displayName || 'Admin',
+        // serverTimestamp() isn't allowed inside arrays
+        assignedAt: admin.firestore.Timestamp.now()
+    });
+
+    /**
+     * POST /conversations
+     * Assign a conversation to a team member (reassigns if it already has an owner)
+     * Needs write access to its source; reassigning also needs to be the assignee,
+     * the assigner or a holder of manage_assignments
+     * Body: { assignedTo, source: 'email' | 'whatsapp' | 'slack',
+     *         itemId, conversationId? (email thread), title?, preview? }
+     */
+    router.post('/conversations', async (req, res) => {
+        const { assignedTo, source, itemId, conversationId, title, preview } = req.body;
+        const { uid: assignedBy, companyId } = req.user;
+
+        if (!assignedTo || !source || !itemId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: assignedTo, source, itemId'
+            });
+        }
+
+        if (!CONVERSATION_SOURCES.includes(source)) {
+            return res.status(400).json({ success: false, error: `source must be one of: ${CONVERSATION_SOURCES.join(', ')}` });
+        }
+
+        const key = conversationKey(source, itemId, conversationId);
+        if (!key) {
+            return res.status(400).json({ success: false, error: `Invalid ${source} item id` });
+        }
+
+        try {
+            const [assigner, assignee] = await Promise.all([
+                getMember(assignedBy, companyId),
+                getMember(assignedTo, companyId)
+            ]);
+
+            if (!assigner) {
+                return res.status(403).json({ success: false, error: 'Unauthorized: Creator not found or company mismatch' });
+            }
+            if (!assignee) {
+                return res.status(400).json({ success: false, error: 'Assignee not found in this company' });
+            }
+
+            const ref = sourceRef(source, itemId, key);
+
+            // Email accounts are per company - don't let another company's thread be claimed
+            if (source === 'email') {
+                const accountDoc = await db.collection('emailAccounts').doc(ref.accountId).get();
+                if (!accountDoc.exists || accountDoc.data().companyId !== companyId) {
+                    return res.status(404).json({ success: false, error: 'Email account not found' });
+                }
+            }
+
+            // WhatsApp refs only name the message; its group decides who can see it
+            if (source === 'whatsapp') {
+                const messageDoc = await db.collection('whatsappMessages').doc(ref.messageId).get();
+                if (!messageDoc.exists || messageDoc.data().companyId !== companyId) {
+                    return res.status(404).json({ success: false, error: 'WhatsApp message not found' });
+                }
+                ref.groupId = messageDoc.data().groupId;
+            }
+
+            const scope = await resolveSourceScope(db, req.user);
+            if (conversationAccess(scope, source, ref) !== 'write') {
+                return res.status(403).json({ success: false, error: 'No write access to this conversation' });
+            }
+
+            const docRef = db.collection(CONVERSATIONS).doc(assignmentDocId(companyId, key));
+
+            const outcome = await db.runTransaction(async (transaction) => {
+                const existing = await transaction.get(docRef);
+                const entry = assigneeHistoryEntry(assignee, assigner);
+
+                if (!existing.exists) {
+                    transaction.set(docRef, {
+                        companyId,
+                        source,
+                        conversationKey: key,
+                        ref,
+                        title: title || '',
+                        preview: preview || '',
+                        status: 'open',
+                        assignedTo: assignee.id,
+                        assignedToName: entry.assignedToName,
+                        assignedBy: assigner.id,
+                        assignedByName: entry.assignedByName,
+                        assigneeHistory: [entry],
+                        closedAt: null,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                    return 'created';
+                }
+
+                const current = existing.data();
+                if (!canManageConversation(req.user, current)) {
+                    return 'forbidden';
+                }
+
+                const updates = {
+                    // Handing a conversation over reopens it
+                    status: 'open',
+                    closedAt: null,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                };
+
+                if (current.assignedTo !== assignee.id) {
+                    Object.assign(updates, {
+                        assignedTo: assignee.id,
+                        assignedToName: entry.assignedToName,
+                        assignedBy: assigner.id,
+                        assignedByName: entry.assignedByName,
+                        assigneeHistory: admin.firestore.FieldValue.arrayUnion(entry)
+                    });
+                }
+
+                transaction.update(docRef, updates);
+                return 'reassigned';
+            });
+
+            if (outcome === 'forbidden') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only the assignee, the assigner or an assignment manager can reassign this conversation'
+                });
+            }
+
+            res.status(outcome === 'created' ? 201 : 200).json({
+                success: true,
+                id: docRef.id,
+                message: outcome === 'created' ? 'Conversation assigned' : 'Conversation reassigned'
+            });
+        } catch (error) {
+            console.error('[Assignments] Assign conversation error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * GET /conversations
+     * List conversation assignments in the caller's company, from sources they can read
+     * Query params: assignedTo (optional), status (optional, comma-separated)
+     */
+    router.get('/conversations', async (req, res) => {
+        const { assignedTo, status } = req.query;
+        const { companyId } = req.user;
+
+        try {
+            // Repeated or bracketed params (?status[]=open) arrive as arrays/objects
+            if (status !== undefined && typeof status !== 'string') {
+                return res.status(400).json({ success: false, error: 'Invalid status' });
+            }
+
+            const statuses = status ? status.split(',') : null;
+            if (statuses && statuses.some(s => !CONVERSATION_STATUSES.includes(s))) {
+                return res.status(400).json({ success: false, error: 'Invalid status' });
+            }
+
+            const snapshot = await db.collection(CONVERSATIONS)
+                .where('companyId', '==', companyId)
+                .get();
+
+            // Filter and sort in memory to avoid composite indexes
+            const matching = snapshot.docs
+                .map(serializeConversation)
+                .filter(c => !assignedTo || c.assignedTo === assignedTo)
+                .filter(c => !statuses || statuses.includes(c.status));
+
+            const conversations = (await filterVisibleConversations(req.user, matching))
+                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+            res.json({ success: true, conversations });
+        } catch (error) {
+            console.error('[Assignments] List conversations error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * GET /conversations/lookup
+     * Assignment for a source item, if any
+     * Query params: source, itemId, conversationId (email thread, optional)
+     */
+    router.get('/conversations/lookup', async (req, res) => {
+        const { source, itemId, conversationId } = req.query;
+        const { companyId } = req.user;
+
+        if (!source || !itemId) {
+            return res.status(400).json({ success: false, error: 'Missing source or itemId' });
+        }
+
+        const key = conversationKey(source, itemId, conversationId);
+        if (!key) {
+            return res.status(400).json({ success: false, error: `Invalid ${source} item id` });
+        }
+
+        try {
+            const doc = await db.collection(CONVERSATIONS).doc(assignmentDocId(companyId, key)).get();
+            if (!doc.exists) {
+                return res.json({ success: true, conversation: null });
+            }
+
+            const [conversation] = await filterVisibleConversations(req.user, [serializeConversation(doc)]);
+            if (!conversation) {
+                return res.status(403).json({ success: false, error: 'No access to this conversation' });
+            }
+
+            res.json({ success: true, conversation });
+        } catch (error) {
+            console.error('[Assignments] Lookup conversation error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * PATCH /conversations/:id/status
+     * Move a conversation between open, pending and closed
+     * Only the assignee, the assigner or holders of manage_assignments
+     * Body: { status }
+     */
+    router.patch('/conversations/:id/status', async (req, res) => {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        if (!CONVERSATION_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: 'Invalid status' });
+        }
+
+        try {
+            const docRef = db.collection(CONVERSATIONS).doc(id);
+            const doc = await docRef.get();
+
+            if (!doc.exists) {
+                return res.status(404).json({ success: false, error: 'Conversation assignment not found' });
+            }
+
+            if (doc.data().companyId !== req.user.companyId) {
+                return res.status(404).json({ success: false, error: 'Conversation assignment not found' });
+            }
+
+            if (!canManageConversation(req.user, doc.data())) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only the assignee, the assigner or an assignment manager can change this conversation'
+                });
+            }
+
+            await docRef.update({
+                status,
+                closedAt: status === 'closed' ? admin.firestore.FieldValue.serverTimestamp() : null,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            res.json({ success: true, message: 'Status updated' });
+        } catch (error) {
+            console.error('[Assignments] Update conversation status error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /conversations/:id
+     * Unassign a conversation (assignee, assigner or manage_assignments)
+     */
+    router.delete('/conversations/:id', async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const docRef = db.collection(CONVERSATIONS).doc(id);
+            const doc = await docRef.get();
+
+            if (!doc.exists) {
+                return res.status(404).json({ success: false, error: 'Conversation assignment not found' });
+            }
+
+            if (doc.data().companyId !== req.user.companyId) {
+                return res.status(404).json({ success: false, error: 'Conversation assignment not found' });
+            }
+
+            if (!canManageConversation(req.user, doc.data())) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only the assignee, the assigner or an assignment manager can unassign this conversation'
+                });
+            }
+
+            await docRef.delete();
+            res.json({ success: true, message: 'Conversation unassigned' });
+        } catch (error) {
+            console.error('[Assignments] Unassign conversation error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
     return router;
 }
 
@@ -0,0 +1,110 @@
+/**
+ * Conversation Assignments - Who owns an email thread or chat message
+ *
+ * One document per conversation in `conversationAssignments`, keyed by
+ * company and source item so assigning the same item twice reassigns it:
+ * - Email: the thread (conversationId, e.g. gmail_{accountId}_{threadId})
+ * - WhatsApp: the message (whatsapp_{messageDocId})
+ * - Slack: the message (slack_{channelId}_{ts})
+ * These match the ids used by the timeline feed (core/services/feed-service.js).
+ */
+
+const COLLECTION = 'conversationAssignments';
+
+const CONVERSATION_STATUSES = ['open', 'pending', 'closed'];
+const CONVERSATION_SOURCES = ['email', 'whatsapp', 'slack'];
+
+const EMAIL_ID_PATTERN = /^(gmail|microsoft|imap)_[^_]+_.+$/;
+
+/**
+ * Key identifying the conversation an item belongs to
+ * @returns {string|null} null if the ids don't fit the source
+ */
+function conversationKey(source, itemId, conversationId) {
+    switch (source) {
+        case 'email': {
+            const key = conversationId || itemId;
+            return EMAIL_ID_PATTERN.test(key || '') ? key : null;
+        }
+        case 'whatsapp':
+            return /^whatsapp_.+/.test(itemId || '') ? itemId : null;
+        case 'slack':
+            return /^slack_[^_]+_.+/.test(itemId || '') ? itemId : null;
+    }
+    return null;
+}
+
+/**
+ * Key for a normalized feed item
+ */
+function feedItemKey(item) {
+    return item.source === 'email' ? item.conversationId : item.id;
+}
+
+/**
+ * Deterministic document id (Firestore ids can't contain '/')
+ */
+function assignmentDocId(companyId, key) {
+    return `${companyId}_${encodeURIComponent(key)}`;
+}
+
+/**
+ * Link back to the source item, enough for the client to open it
+ */
+function sourceRef(source, itemId, key) {
+    switch (source) {
+        case 'email':
+            return { emailId: itemId, conversationId: key, accountId: key.split('_')[1] };
+        case 'whatsapp':
+            return { messageId: key.substring('whatsapp_'.length) };
+        case 'slack': {
+            const [, channelId, ts] = key.match(/^slack_([^_]+)_(.+)$/);
+            return { channelId, ts };
+        }
+    }
+    return {};
+}
+
+/**
+ * Company assignments, optionally narrowed to one assignee and/or statuses
+ * Filtered in memory to avoid composite indexes
+ * @returns {Promise<Map<string, Object>>} conversation key -> assignment
+ */
+async function loadAssignments(db, companyId, { assignedTo, statuses } = {}) {
+    const snapshot = await db.collection(COLLECTION)
+        .where('companyId', '==', companyId)
+        .get();
+
+    const assignments = new Map();
+    snapshot.docs.forEach(doc => {
+        const data = doc.data();
+        if (assignedTo && data.assignedTo !== assignedTo) return;
+        if (statuses && !statuses.includes(data.status)) return;
+        assignments.set(data.conversationKey, { id: doc.id, ...data });
+    });
+    return assignments;
+}
+
+/**
+ * Compact assignment summary attached to feed items
+ */
+function assignmentSummary(assignment) {
+    return {
+        id: assignment.id,
+        status: assignment.status,
+        assignedTo: assignment.assignedTo,
+        assignedToName: assignment.assignedToName
+    };
+}
+
+module.exports = {
+    COLLECTION,
+    CONVERSATION_STATUSES,
+    CONVERSATION_SOURCES,
+    conversationKey,
+    feedItemKey,
+    assignmentDocId,
+    sourceRef,
+    loadAssignments,
+    assignmentSummary
+};
@@ -0,0 +1,80 @@
+/**
+ * Audit Log - Append-only record of administrative and security-relevant actions
+ *
+ * Entries live in `auditLogs` and are only ever added (no route updates or
+ * deletes them). Each one records who did what to which target, from where:
+ * { companyId, action, actor: { id, name, email, role }, target: { type, id, label },
+ *   details, ip, userAgent, createdAt }
+ */
+
+const admin = require('firebase-admin');
+
+const COLLECTION = 'auditLogs';
+
+// Actions written by the routers, grouped by target type
+const AUDIT_ACTIONS = [
+    'member.invited',
+    'member.joined',
+    'member.removed',
+    'member.disabled',
+    'member.enabled',
+    'member.inboxes_updated',
+    'invite.cancelled',
+    'invite.resent',
+    'invite.expired',
+    'team.domain_updated',
+    'role.created',
+    'role.updated',
+    'role.deleted',
+    'role.assigned',
+    'subscription.pro_free_granted',
+    'subscription.pro_free_revoked',
+    'email_account.deleted',
+    'email_account.signature_updated',
+    'slack_account.deleted',
+    'storage.file_deleted',
+    'storage.folder_deleted'
+];
+
+/**
+ * Client IP (behind a proxy, set TRUST_PROXY so Express resolves req.ip from X-Forwarded-For)
+ */
+function clientIp(req) {
+    return req?.ip || req?.socket?.remoteAddress || null;
+}
+
+/**
+ * Record an audit entry (fire and forget - a failed write is logged, never thrown)
+ * @param {Object|null} req - the request being audited; actor and companyId default to req.user
+ *   (null for background jobs, which pass companyId and actor themselves)
+ * @param {Object} entry - { action, target: { type, id, label }, details?, companyId?, actor? }
+ */
+function recordAudit(db, req, { action, target, details = {}, companyId, actor }) {
+    const user = req?.user || {};
+    const entry = {
+        companyId: companyId || user.companyId || null,
+        action,
+        actor: {
+            id: user.uid || null,
+            name: user.displayName || null,
+            email: user.email || null,
+            role: user.role || null,
+            ...actor
+        },
+        target: {
+            type: target?.type || null,
+            id: target?.id || null,
+            label: target?.label || null
+        },
+        details,
+        ip: clientIp(req),
+        userAgent: req?.headers['user-agent'] || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    db.collection(COLLECTION).add(entry).catch(err => {
+        console.error(`[Audit] Failed to record ${action}:`, err.message);
+    });
+}
+
+module.exports = { recordAudit, AUDIT_ACTIONS, COLLECTION };
@@ -0,0 +1,160 @@
+/**
+ * Audit Routes - Read and export the company's audit log (view_audit_log)
+ *
+ * There are deliberately no write routes: entries are only added by
+ * recordAudit() from the routers that perform the actions.
+ */
+
+const express = require('express');
+const { requirePermission } = require('../core/policy');
+const { AUDIT_ACTIONS, COLLECTION } = require('./auditLog');
+
+// Configuration
+const CONFIG = {
+    DEFAULT_LIMIT: 50,
+    MAX_LIMIT: 200,
+    MAX_EXPORT_ROWS: 10000
+};
+
+const CSV_COLUMNS = [
+    ['createdAt', e => e.createdAt],
+    ['action', e => e.action],
+    ['actorId', e => e.actor?.id],
+    ['actorName', e => e.actor?.name],
+    ['actorEmail', e => e.actor?.email],
+    ['targetType', e => e.target?.type],
+    ['targetId', e => e.target?.id],
+    ['targetLabel', e => e.target?.label],
+    ['ip', e => e.ip],
+    ['details', e => JSON.stringify(e.details || {})]
+];
+
+function createAuditRoutes(db) {
+    const router = express.Router();
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    const serializeEntry = (doc) => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt
+        };
+    };
+
+    /**
+     * Build an entry predicate from query params
+     * action accepts a comma-separated list; "member.*" matches a whole group
+     * @returns {{ matches?: Function, error?: string }}
+     */
+    const parseFilters = (query) => {
+        const actions = query.action ? String(query.action).split(',').map(a => a.trim()).filter(Boolean) : [];
+        const from = query.from ? new Date(query.from) : null;
+        const to = query.to ? new Date(query.to) : null;
+
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return { error: 'from and to must be dates' };
+        }
+
+        const actionMatches = (action) => actions.some(pattern =>
+            pattern.endsWith('.*') ? action.startsWith(pattern.slice(0, -1)) : action === pattern
+        );
+
+        return {
+            matches: (entry) => {
+                if (actions.length > 0 && !actionMatches(entry.action)) return false;
+                if (query.actorId && entry.actor?.id !== query.actorId) return false;
+                if (query.targetType && entry.target?.type !== query.targetType) return false;
+                if (query.targetId && entry.target?.id !== query.targetId) return false;
+
+                const createdAt = new Date(entry.createdAt);
+                if (from && createdAt < from) return false;
+                if (to && createdAt > to) return false;
+                return true;
+            }
+        };
+    };
+
+    const csvCell = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const toCsv = (entries) => [
+        CSV_COLUMNS.map(([name]) => name).join(','),
+        ...entries.map(entry => CSV_COLUMNS.map(([, get]) => csvCell(get(entry))).join(','))
+    ].join('\r\n');
+
+    // ============================================================================
+    // ROUTES
+    // ============================================================================
+
+    /**
+     * GET /
+     * Audit entries for the caller's company, newest first
+     * Query: { action?, actorId?, targetType?, targetId?, from?, to?, limit?, startAfter?, format?: 'json' | 'csv' }
+     *
+     * Page with startAfter=<lastDocId>. format=csv downloads every matching
+     * entry (up to MAX_EXPORT_ROWS) instead of a page.
+     */
+    router.get('/', requirePermission('view_audit_log'), async (req, res) => {
+        const { startAfter, format = 'json' } = req.query;
+
+        if (!['json', 'csv'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be json or csv' });
+        }
+
+        const { matches, error } = parseFilters(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        try {
+            const snapshot = await db.collection(COLLECTION)
+                .where('companyId', '==', req.user.companyId)
+                .get();
+
+            // Filter and sort in memory to avoid composite indexes
+            const entries = snapshot.docs
+                .map(serializeEntry)
+                .filter(matches)
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            if (format === 'csv') {
+                const date = new Date().toISOString().slice(0, 10);
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+                return res.send(toCsv(entries.slice(0, CONFIG.MAX_EXPORT_ROWS)));
+            }
+
+            let startIndex = 0;
+            if (startAfter) {
+                const foundIndex = entries.findIndex(entry => entry.id === startAfter);
+                if (foundIndex !== -1) startIndex = foundIndex + 1;
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || CONFIG.DEFAULT_LIMIT, CONFIG.MAX_LIMIT);
+            const page = entries.slice(startIndex, startIndex + limit);
+
+            res.json({
+                success: true,
+                entries: page,
+                total: entries.length,
+                hasMore: entries.length > startIndex + limit,
+                lastDocId: page.length > 0 ? page[page.length - 1].id : null,
+                actions: AUDIT_ACTIONS
+            });
+        } catch (err) {
+            console.error('[Audit] List error:', err);
+            res.status(500).json({ success: false, error: 'Failed to load audit log' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAuditRoutes;
@@ -3,10 +3,20 @@
  * 
  * Completely removed all compound queries
  * Everything filtered in code
+ *
+ * Only /signup is public. The rest act on the signed-in user (req.user);
+ * sign-in itself happens in the client with Firebase Auth.
+ *
+ * Signups join a company through a pending invite, or through the company's
+ * auto-join email domain (team/domain-settings). Domain joiners stay
+ * pending_verification until they confirm their address.
  */
 
 const express = require('express');
 const admin = require('firebase-admin');
+const emailService = require('../core/services/email-service');
+const { recordAudit } = require('../audit/auditLog');
+const { normalizeEmail, findOpenInvite } = require('../team/pendingInvites');
 
 function createAuthRoutes(db) {
     const router = express.Router();
@@ -23,33 +33,29 @@ function createAuthRoutes(db) {
 
         try {
             let validInvite = null;
-            const now = new Date();
-            const normalizedEmail = email.toLowerCase();
+            const normalizedEmail = normalizeEmail(email);
 
-            // Check for pending invites - handle missing collection gracefully
+            // Check for a pending invite - handle missing collection gracefully
             try {
-                const allInvites = await db.collection('pendingInvites').get();
-
-                for (const doc of allInvites.docs) {
-                    const inviteData = doc.data();
-
-                    if (inviteData.email !== normalizedEmail) continue;
-                    if (inviteData.status !== 'pending') continue;
-
-                    const expiresAt = inviteData.expiresAt?.toDate ?
-                        inviteData.expiresAt.toDate() :
-                        new Date(inviteData.expiresAt);
-
-                    if (expiresAt <= now) continue;
-
-                    validInvite = { doc, data: inviteData };
-                    break;
-                }
+                validInvite = await findOpenInvite(db, normalizedEmail);
             } catch (inviteError) {
                 console.log('[Auth] Pending invites check skipped:', inviteError.message);
                 // Continue without invite - user will create new company
             }
 
+            // Without an invite, a company may claim the email's domain
+            let domainCompany = null;
+            if (!validInvite) {
+                const domain = normalizedEmail.split('@')[1];
+                const companies = await db.collection('companies')
+                    .where('autoJoin.domain', '==', domain)
+                    .limit(1)
+                    .get();
+                if (!companies.empty) {
+                    domainCompany = { id: companies.docs[0].id, data: companies.docs[0].data() };
+                }
+            }
+
             // Create Firebase Auth user
             let userRecord;
             try {
@@ -70,12 +76,15 @@ function createAuthRoutes(db) {
 
             let companyId;
             let role;
+            let roleId = null;
             let assignedInboxIds = [];
+            let status = 'active';
 
             if (validInvite) {
                 // Join existing company
                 companyId = validInvite.data.companyId;
                 role = 'member';
+                roleId = validInvite.data.roleId || null;
                 assignedInboxIds = validInvite.data.assignedInboxIds || [];
 
                 try {
@@ -85,6 +94,16 @@ function createAuthRoutes(db) {
                 }
 
                 console.log(`[Auth] User ${email} joined company ${companyId} via invite`);
+            } else if (domainCompany) {
+                // Join through the company's email domain, once the address is confirmed
+                const { autoJoin } = domainCompany.data;
+                companyId = domainCompany.id;
+                role = 'member';
+                roleId = autoJoin.roleId || null;
+                assignedInboxIds = autoJoin.assignedInboxIds || [];
+                status = 'pending_verification';
+
+                console.log(`[Auth] User ${email} joined company ${companyId} via @${autoJoin.domain}`);
             } else {
                 // Create new company
                 if (!companyName) {
@@ -118,8 +137,10 @@ function createAuthRoutes(db) {
                 displayName: displayName?.trim() || email.split('@')[0],
                 companyId: companyId,
                 role: role,
+                roleId: roleId,
                 assignedInboxIds: assignedInboxIds,
-                status: 'active',
+                status: status,
+                ...(domainCompany && { joinedVia: 'domain' }),
                 mfaEnabled: false,
                 emailNotifications: true,
                 pushNotifications: true,
@@ -129,6 +150,27 @@ function createAuthRoutes(db) {
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
 
+            if (domainCompany) {
+                try {
+                    const verifyLink = await admin.auth().generateEmailVerificationLink(normalizedEmail);
+                    await emailService.sendDomainJoinVerification({
+                        to: normalizedEmail,
+                        companyName: domainCompany.data.name,
+                        verifyLink
+                    });
+                } catch (verifyError) {
+                    console.error('[Auth] Failed to send verification email:', verifyError.message);
+                }
+
+                recordAudit(db, req, {
+                    action: 'member.joined',
+                    companyId,
+                    actor: { id: userRecord.uid, name: displayName?.trim() || email.split('@')[0], email: normalizedEmail, role },
+                    target: { type: 'user', id: userRecord.uid, label: normalizedEmail },
+                    details: { via: 'domain', domain: domainCompany.data.autoJoin.domain, roleId, assignedInboxIds }
+                });
+            }
+
             // Generate custom token
             const customToken = await admin.auth().createCustomToken(userRecord.uid);
 
@@ -138,7 +180,12 @@ function createAuthRoutes(db) {
                 userId: userRecord.uid,
                 companyId: companyId,
                 role: role,
-                message: role === 'owner' ? 'Account created successfully!' : 'Welcome to the team!'
+                requiresVerification: status === 'pending_verification',
+                message: role === 'owner'
+                    ? 'Account created successfully!'
+                    : status === 'pending_verification'
+                        ? 'Check your email to confirm your address and join the team.'
+                        : 'Welcome to the team!'
             });
 
         } catch (error) {
@@ -151,27 +198,12 @@ function createAuthRoutes(db) {
         }
     });
 
+    // Sign-in happens in the client; this records it for the verified user
     router.post('/login', async (req, res) => {
-        const { email, password } = req.body;
-
-        if (!email || !password) {
-            return res.status(400).json({
-                success: false,
-                error: 'Email and password are required'
-            });
-        }
+        const { uid } = req.user;
 
         try {
-            const userRecord = await admin.auth().getUserByEmail(email.toLowerCase());
-            const userDoc = await db.collection('users').doc(userRecord.uid).get();
-
-            if (!userDoc.exists) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'User profile not found'
-                });
-            }
-
+            const userDoc = await db.collection('users').doc(uid).get();
             const userData = userDoc.data();
 
             if (userData.status !== 'active') {
@@ -181,29 +213,23 @@ function createAuthRoutes(db) {
                 });
             }
 
-            await db.collection('users').doc(userRecord.uid).update({
+            await userDoc.ref.update({
                 lastLoginAt: admin.firestore.FieldValue.serverTimestamp(),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
 
-            const customToken = await admin.auth().createCustomToken(userRecord.uid);
-
             res.json({
                 success: true,
-                customToken: customToken,
-                userId: userRecord.uid,
+                userId: uid,
                 companyId: userData.companyId,
-                role: userData.role
+                role: userData.role,
+                roleId: userData.roleId || null,
+                permissions: req.user.permissions,
+                inboxAccess: req.user.inboxAccess
             });
 
         } catch (error) {
             console.error('[Auth] Login error:', error);
-            if (error.code === 'auth/user-not-found') {
-                return res.status(404).json({
-                    success: false,
-                    error: 'No account found with this email'
-                });
-            }
             res.status(500).json({
                 success: false,
                 error: 'Login failed'
@@ -212,14 +238,8 @@ function createAuthRoutes(db) {
     });
 
     router.post('/update-profile', async (req, res) => {
-        const { userId, displayName, phoneNumber, timezone, language } = req.body;
-
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: 'User ID is required'
-            });
-        }
+        const { displayName, phoneNumber, timezone, language } = req.body;
+        const userId = req.user.uid;
 
         try {
             const updateData = {
@@ -248,14 +268,8 @@ function createAuthRoutes(db) {
     });
 
     router.post('/update-preferences', async (req, res) => {
-        const { userId, preferences, emailNotifications, pushNotifications } = req.body;
-
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: 'User ID is required'
-            });
-        }
+        const { preferences, emailNotifications, pushNotifications } = req.body;
+        const userId = req.user.uid;
 
         try {
             const updateData = {
@@ -283,14 +297,7 @@ function createAuthRoutes(db) {
     });
 
     router.post('/delete-account', async (req, res) => {
-        const { userId } = req.body;
-
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: 'User ID is required'
-            });
-        }
+        const userId = req.user.uid;
 
         try {
             // Delete from Authentication
@@ -318,12 +325,13 @@ function createAuthRoutes(db) {
     });
 
     router.post('/change-password', async (req, res) => {
-        const { userId, newPassword } = req.body;
+        const { newPassword } = req.body;
+        const userId = req.user.uid;
 
-        if (!userId || !newPassword) {
+        if (!newPassword) {
             return res.status(400).json({
                 success: false,
-                error: 'User ID and new password are required'
+                error: 'New password is required'
             });
         }
 
@@ -353,30 +361,14 @@ function createAuthRoutes(db) {
         }
     });
 
-    router.get('/test', async (req, res) => {
-        try {
-            const allDocs = await db.collection('pendingInvites').get();
-            res.json({
-                success: true,
-                count: allDocs.size,
-                docs: allDocs.docs.map(d => d.id)
-            });
-        } catch (error) {
-            res.json({
-                success: false,
-                error: error.message,
-                code: error.code
-            });
-        }
-    });
-
+    // Profile of the caller or a teammate in the same company
     router.get('/user/:userId', async (req, res) => {
         const { userId } = req.params;
 
         try {
             const doc = await db.collection('users').doc(userId).get();
 
-            if (!doc.exists) {
+            if (!doc.exists || (userId !== req.user.uid && doc.data().companyId !== req.user.companyId)) {
                 return res.status(404).json({
                     success: false,
                     error: 'User not found'
@@ -393,6 +385,7 @@ function createAuthRoutes(db) {
                     displayName: userData.displayName,
                     companyId: userData.companyId,
                     role: userData.role,
+                    roleId: userData.roleId || null,
                     status: userData.status,
                     assignedInboxIds: userData.assignedInboxIds || [],
                     mfaEnabled: userData.mfaEnabled || false,
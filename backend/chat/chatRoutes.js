@@ -1,6 +1,8 @@
 const express = require('express');
 const admin = require('firebase-admin');
 const multer = require('multer');
+const { can } = require('../core/policy');
+const { renderTemplate, buildVariables, loadTemplate } = require('../templates/templates');
 // Note: We use in-memory caching for messages. Global cache maps are defined inside createChatRoutes scope or module scope?
 // The user provided structure shows createChatRoutes as export. 
 // We will place cache strictly inside the function to avoid module-level persistence if the function is called multiple times (though unlikely).
@@ -70,64 +72,9 @@ function createChatRoutes(db, storageService, io) {
         }
     };
 
-    // In-memory cache for user profiles (role, companyId)
-    // Key: uid, Value: { data: userData, expiry: timestamp }
-    const userCache = new Map();
-    const USER_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+    // req.user (uid, role, companyId, displayName) is set by the /api auth middleware
 
-    // Middleware to verify user token
-    const verifyToken = async (req, res, next) => {
-        const idToken = req.headers.authorization?.split('Bearer ')[1];
-        if (!idToken) {
-            return res.status(401).json({ success: false, error: 'Unauthorized' });
-        }
-
-        try {
-            const decodedToken = await admin.auth().verifyIdToken(idToken);
-            req.user = decodedToken;
-
-            // Check Cache
-            const now = Date.now();
-            if (userCache.has(decodedToken.uid)) {
-                const cached = userCache.get(decodedToken.uid);
-                if (cached.expiry > now) {
-                    req.user.role = cached.data.role;
-                    req.user.companyId = cached.data.companyId;
-                    req.user.displayName = cached.data.displayName;
-                    return next();
-                }
-            }
-
-            // Fetch user role and companyId from Firestore
-            const userDoc = await db.collection('users').doc(decodedToken.uid).get();
-            if (!userDoc.exists) {
-                return res.status(404).json({ success: false, error: 'User not found' });
-            }
-            const userData = userDoc.data();
-            req.user.role = userData.role;
-            req.user.companyId = userData.companyId;
-            req.user.displayName = userData.displayName || decodedToken.email.split('@')[0];
-
-            // Update Cache
-            userCache.set(decodedToken.uid, {
-                data: {
-                    role: req.user.role,
-                    companyId: req.user.companyId,
-                    displayName: req.user.displayName
-                },
-                expiry: now + USER_CACHE_TTL
-            });
-
-            next();
-        } catch (error) {
-            console.error('Token verification failed:', error);
-            res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-    };
-
-    router.use(verifyToken);
-
-    // Create a new group (Admin only)
+    // Create a new group (manage_chat_groups)
     router.post('/groups', async (req, res) => {
         const { name, description } = req.body;
 
@@ -135,8 +82,8 @@ function createChatRoutes(db, storageService, io) {
             return res.status(400).json({ success: false, error: 'Group name is required' });
         }
 
-        if (req.user.role !== 'owner') { // Assuming 'owner' is the admin role
-            return res.status(403).json({ success: false, error: 'Only admins can create groups' });
+        if (!can(req.user, 'manage_chat_groups')) {
+            return res.status(403).json({ success: false, error: 'Permission required: manage_chat_groups' });
         }
 
         try {
@@ -196,8 +143,8 @@ function createChatRoutes(db, storageService, io) {
                 };
             });
 
-            // Filter: Only show groups where user is a member (or is owner)
-            if (req.user.role !== 'owner') {
+            // Filter: Only show groups where user is a member (unless they manage groups)
+            if (!can(req.user, 'manage_chat_groups')) {
                 groups = groups.filter(g => g.members && g.members.includes(req.user.uid));
             }
 
@@ -212,10 +159,13 @@ function createChatRoutes(db, storageService, io) {
     });
 
     // Send a message to a group
+    // With templateId (and optional variables), the rendered template fills in
+    // the content when none is given and its files are attached
     router.post('/messages', async (req, res) => {
-        const { groupId, content, type, attachments } = req.body;
+        const { groupId, type, templateId } = req.body;
+        let { content, attachments } = req.body;
 
-        if (!groupId || (!content && !attachments)) {
+        if (!groupId || (!content && !attachments && !templateId)) {
             return res.status(400).json({ success: false, error: 'Group ID and content/attachments are required' });
         }
 
@@ -226,6 +176,24 @@ function createChatRoutes(db, storageService, io) {
                 return res.status(404).json({ success: false, error: 'Group not found' });
             }
 
+            if (templateId) {
+                const { template, error, status } = await loadTemplate(db, templateId, req.user, 'chat');
+                if (error) {
+                    return res.status(status).json({ success: false, error });
+                }
+
+                const variables = await buildVariables(db, req.user, {}, req.body.variables);
+                content = content || renderTemplate(template, variables).text;
+                attachments = [
+                    ...(attachments || []),
+                    ...(template.attachments || []).map(att => ({
+                        name: att.filename,
+                        key: `${req.user.companyId}/${att.key}`,
+                        type: att.contentType || 'application/octet-stream'
+                    }))
+                ];
+            }
+
             // Generate ID first
             const messageRef = db.collection('chat_messages').doc();
             const messageId = messageRef.id;
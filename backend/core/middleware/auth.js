@@ -0,0 +1,186 @@
+/**
+ * Authentication & Authorization Middleware
+ *
+ * - authenticate: verifies the Firebase ID token on every /api request (except
+ *   PUBLIC_ROUTES) and loads the caller into req.user = { uid, email, role, companyId,
+ *   displayName, permissions, inboxAccess } (see core/policy.js).
+ *   Routes take the caller's identity from req.user; a companyId/userId the client
+ *   still sends must match it or the request is rejected.
+ * - createSocketAuth: the same check for Socket.IO connections (handshake auth.token)
+ * - requireOwnCompany: :companyId params must be the caller's company
+ * - signState / verifyState: OAuth state that can't be edited to attach an
+ *   account to another company
+ */
+
+const crypto = require('crypto');
+const createVerifyToken = require('./verify-token');
+const { resolvePermissions } = require('../policy');
+
+// Configuration
+const CONFIG = {
+    STATE_TTL: 15 * 60 * 1000 // 15 minutes to finish an OAuth consent screen
+};
+
+// Requests that can't carry an ID token: sign-up, invite acceptance, provider
+// webhooks and OAuth/Stripe redirects. Paths are relative to /api
+const PUBLIC_ROUTES = [
+    ['POST', /^\/auth\/signup$/],
+    ['POST', /^\/team\/check-invite$/],
+    ['GET', /^\/team\/invite\/[^/]+$/],
+    ['POST', /^\/team\/accept-invite$/],
+    ['POST', /^\/payment\/webhook$/],
+    ['GET', /^\/payment\/(success|cancel)$/],
+    ['POST', /^\/email\/push\/(gmail|microsoft)$/],
+    ['GET', /^\/email\/auth\/(google|microsoft)\/callback$/],
+    ['GET', /^\/slack\/auth\/callback$/],
+    // Protected by ADMIN_SECRET instead
+    ['GET', /^\/subscription\/admin\/[\w-]+$/],
+    ['POST', /^\/subscription\/admin\/[\w-]+$/]
+];
+
+// Opened by the browser (OAuth start, file download links, CSV exports), so the token comes as ?access_token=
+const QUERY_TOKEN_ROUTES = [
+    ['GET', /^\/email\/auth\/(google|microsoft)$/],
+    ['GET', /^\/slack\/auth$/],
+    ['GET', /^\/storage\/download\/.+$/],
+    ['GET', /^\/audit\/?$/]
+];
+
+// Placeholders older clients send when they don't know the company yet
+const COMPANY_PLACEHOLDERS = ['LOOKUP', 'PENDING'];
+
+const matchesRoute = (routes, req) =>
+    routes.some(([method, pattern]) => req.method === method && pattern.test(req.path));
+
+/**
+ * Create the /api authentication middleware
+ */
+function createAuthenticate(db) {
+    const verifyToken = createVerifyToken(db, {
+        tokenFromQuery: req => matchesRoute(QUERY_TOKEN_ROUTES, req)
+    });
+
+    return (req, res, next) => {
+        if (req.method === 'OPTIONS' || matchesRoute(PUBLIC_ROUTES, req)) {
+            return next();
+        }
+
+        verifyToken(req, res, async () => {
+            const mismatch = identityMismatch(req);
+            if (mismatch) {
+                console.warn(`[Auth] ${mismatch} for ${req.user.uid} on ${req.method} ${req.originalUrl}`);
+                return res.status(403).json({ success: false, error: `Unauthorized: ${mismatch}` });
+            }
+
+            try {
+                await resolvePermissions(db, req.user);
+                next();
+            } catch (error) {
+                console.error('[Auth] Permission lookup failed:', error);
+                res.status(500).json({ success: false, error: 'Failed to load permissions' });
+            }
+        });
+    };
+}
+
+/**
+ * Create Socket.IO middleware that verifies handshake.auth.token and sets socket.user
+ */
+function createSocketAuth(db) {
+    const verifyToken = createVerifyToken(db);
+
+    return (socket, next) => {
+        const req = { headers: { authorization: `Bearer ${socket.handshake.auth?.token || ''}` }, query: {} };
+        const res = { status: () => ({ json: body => next(new Error(body.error)) }) };
+
+        verifyToken(req, res, () => {
+            resolvePermissions(db, req.user)
+                .then(user => {
+                    socket.user = user;
+                    next();
+                })
+                .catch(next);
+        });
+    };
+}
+
+/**
+ * Compare ids the client supplied with the verified identity
+ * @returns {string|null} reason, or null when everything matches
+ */
+function identityMismatch(req) {
+    const { uid, companyId } = req.user;
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+
+    const companyIds = [req.query.companyId, body.companyId, req.headers['x-company-id']]
+        .filter(id => id && !COMPANY_PLACEHOLDERS.includes(id));
+    if (companyIds.some(id => id !== companyId)) {
+        return 'Company mismatch';
+    }
+
+    const userIds = [req.query.userId, body.userId].filter(Boolean);
+    if (userIds.some(id => id !== uid)) {
+        return 'User mismatch';
+    }
+
+    return null;
+}
+
+/**
+ * The :companyId route param must be the caller's company
+ */
+function requireOwnCompany(req, res, next) {
+    if (req.params.companyId !== req.user?.companyId) {
+        return res.status(403).json({ success: false, error: 'Unauthorized: Company mismatch' });
+    }
+    next();
+}
+
+// ============================================================================
+// OAUTH STATE
+// ============================================================================
+
+const stateSignature = (data) => crypto
+    .createHmac('sha256', `oauth-state:${process.env.ENCRYPTION_KEY}`)
+    .update(data)
+    .digest('base64url');
+
+/**
+ * Encode { companyId, userId } for an OAuth state parameter, signed and timestamped
+ */
+function signState(payload) {
+    const data = Buffer.from(JSON.stringify({ ...payload, issuedAt: Date.now() })).toString('base64url');
+    return `${data}.${stateSignature(data)}`;
+}
+
+/**
+ * Decode a state from signState
+ * @returns {Object|null} payload, or null if it was tampered with or has expired
+ */
+function verifyState(state) {
+    const [data, signature] = String(state || '').split('.');
+    if (!data || !signature) return null;
+
+    const expected = stateSignature(data);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+        if (!payload.issuedAt || Date.now() - payload.issuedAt > CONFIG.STATE_TTL) return null;
+        return payload;
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    createAuthenticate,
+    createSocketAuth,
+    requireOwnCompany,
+    signState,
+    verifyState,
+    PUBLIC_ROUTES
+};
@@ -0,0 +1,90 @@
+const admin = require('firebase-admin');
+
+const USER_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// In-memory cache for user profiles (role, companyId, ...), shared by every
+// verifier so invalidateUser() reaches HTTP and socket auth alike
+// Key: uid, Value: { data: profile, expiry: timestamp }
+const userCache = new Map();
+
+/**
+ * Create middleware that verifies the Firebase ID token in the Authorization header
+ * and attaches the user's profile:
+ * req.user = { uid, email, role, roleId, companyId, displayName, assignedInboxIds, ... }
+ * Disabled members are turned away, and members who joined through their email
+ * domain are let in once Firebase reports the address as verified.
+ * @param {Object} options - { tokenFromQuery(req) }: also accept ?access_token= for matching requests
+ */
+function createVerifyToken(db, { tokenFromQuery } = {}) {
+    return async (req, res, next) => {
+        const idToken = req.headers.authorization?.split('Bearer ')[1] ||
+            (tokenFromQuery && tokenFromQuery(req) ? req.query.access_token : null);
+        if (!idToken) {
+            return res.status(401).json({ success: false, error: 'Unauthorized' });
+        }
+
+        try {
+            const decodedToken = await admin.auth().verifyIdToken(idToken);
+            req.user = decodedToken;
+
+            // Check Cache
+            const now = Date.now();
+            let profile = userCache.get(decodedToken.uid);
+            if (profile && profile.expiry > now) {
+                profile = profile.data;
+            } else {
+                // Fetch user role and companyId from Firestore
+                const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+                if (!userDoc.exists) {
+                    return res.status(404).json({ success: false, error: 'User not found' });
+                }
+                const userData = userDoc.data();
+                profile = {
+                    role: userData.role,
+                    roleId: userData.roleId || null,
+                    companyId: userData.companyId,
+                    displayName: userData.displayName || decodedToken.email.split('@')[0],
+                    assignedInboxIds: userData.assignedInboxIds || [],
+                    status: userData.status
+                };
+
+                // Update Cache
+                userCache.set(decodedToken.uid, { data: profile, expiry: now + USER_CACHE_TTL });
+            }
+
+            if (profile.status === 'disabled') {
+                return res.status(403).json({ success: false, error: 'Account disabled' });
+            }
+
+            if (profile.status === 'pending_verification') {
+                if (!decodedToken.email_verified) {
+                    return res.status(403).json({ success: false, error: 'Email not verified', code: 'email_unverified' });
+                }
+
+                await db.collection('users').doc(decodedToken.uid).update({
+                    status: 'active',
+                    verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                profile = { ...profile, status: 'active' };
+                userCache.set(decodedToken.uid, { data: profile, expiry: now + USER_CACHE_TTL });
+            }
+
+            Object.assign(req.user, profile);
+            next();
+        } catch (error) {
+            console.error('Token verification failed:', error);
+            res.status(401).json({ success: false, error: 'Invalid token' });
+        }
+    };
+}
+
+/**
+ * Forget a cached profile so a role, inbox or status change applies on the next request
+ */
+function invalidateUser(uid) {
+    userCache.delete(uid);
+}
+
+module.exports = createVerifyToken;
+module.exports.invalidateUser = invalidateUser;
@@ -0,0 +1,217 @@
+/**
+ * Policy - Roles, permissions and inbox access levels
+ *
+ * Every user has a base role ('owner' or 'member'). Owners can do everything.
+ * Members get the permissions of the custom role in their roleId (a doc in the
+ * `roles` collection) and access to their assignedInboxIds, which a custom role
+ * can widen or make read-only per inbox through its inboxAccess map.
+ *
+ * The /api auth middleware resolves this once per request onto req.user
+ * (permissions, inboxAccess); routers only ask can() / requirePermission().
+ *
+ * What a member may read follows from those inboxes: resolveSourceScope() turns
+ * them into the email accounts, WhatsApp groups and Slack channels they cover.
+ */
+
+// Configuration
+const CONFIG = {
+    ROLE_CACHE_TTL: 10 * 60 * 1000 // 10 minutes, cleared when a role is edited
+};
+
+const PERMISSIONS = {
+    manage_team: 'Invite, remove and disable members and assign their inboxes',
+    manage_roles: 'Create custom roles and assign them to members',
+    manage_integrations: 'Connect and disconnect email, Slack and WhatsApp accounts',
+    manage_inboxes: 'Create, edit and delete custom inboxes',
+    view_billing: 'Open the billing portal and see the subscription',
+    manage_billing: 'Upgrade or change the subscription',
+    delete_storage: 'Delete files and folders in storage',
+    manage_chat_groups: 'Create chat groups and see every group in the company',
+    manage_assignments: 'Create, delete and see all assignments',
+    moderate_notes: "Delete other members' notes",
+    view_audit_log: 'See and export the audit log',
+    manage_templates: 'Create, edit and delete shared templates'
+};
+
+const BUILT_IN_ROLES = {
+    owner: { name: 'Admin', permissions: Object.keys(PERMISSIONS) },
+    member: { name: 'Member', permissions: [] }
+};
+
+const INBOX_ACCESS_LEVELS = ['read', 'write'];
+
+// Key: roleId, Value: { data: role or null, expiry: timestamp }
+const roleCache = new Map();
+
+/**
+ * Load a custom role (cached)
+ * @returns {Object|null} role data, or null if it doesn't exist
+ */
+async function loadRole(db, roleId) {
+    const cached = roleCache.get(roleId);
+    if (cached && cached.expiry > Date.now()) {
+        return cached.data;
+    }
+
+    const doc = await db.collection('roles').doc(roleId).get();
+    const data = doc.exists ? doc.data() : null;
+    roleCache.set(roleId, { data, expiry: Date.now() + CONFIG.ROLE_CACHE_TTL });
+    return data;
+}
+
+/**
+ * Drop a role from the cache after it was edited or deleted
+ */
+function invalidateRole(roleId) {
+    roleCache.delete(roleId);
+}
+
+/**
+ * Attach permissions and per-inbox access levels to a verified user
+ * Expects the profile fields set by verify-token (role, roleId, companyId, assignedInboxIds)
+ */
+async function resolvePermissions(db, user) {
+    if (user.role === 'owner') {
+        user.permissions = BUILT_IN_ROLES.owner.permissions;
+        user.inboxAccess = {};
+        return user;
+    }
+
+    const inboxAccess = {};
+    for (const inboxId of user.assignedInboxIds || []) {
+        inboxAccess[inboxId] = 'write';
+    }
+
+    let permissions = BUILT_IN_ROLES.member.permissions;
+    if (user.roleId) {
+        const role = await loadRole(db, user.roleId);
+        // A role from another company is ignored rather than trusted
+        if (role && role.companyId === user.companyId) {
+            permissions = (role.permissions || []).filter(p => PERMISSIONS[p]);
+            Object.assign(inboxAccess, role.inboxAccess || {});
+        }
+    }
+
+    user.permissions = permissions;
+    user.inboxAccess = inboxAccess;
+    return user;
+}
+
+/**
+ * Whether a resolved user holds a permission
+ */
+function can(user, permission) {
+    if (!user) return false;
+    if (user.role === 'owner') return true;
+    return (user.permissions || []).includes(permission);
+}
+
+/**
+ * Access level to a custom inbox
+ * @returns {'write'|'read'|null}
+ */
+function inboxAccess(user, inboxId) {
+    if (!user) return null;
+    if (user.role === 'owner') return 'write';
+    return user.inboxAccess?.[inboxId] || null;
+}
+
+const grantSources = (sources, ids, level) => {
+    for (const id of ids || []) {
+        if (sources.get(id) !== 'write') sources.set(id, level);
+    }
+};
+
+/**
+ * Sources a user may see, from the custom inboxes they can access (memoized on the user)
+ * @returns {Object|null} null when unrestricted (owners), otherwise
+ *   { emailAccounts, whatsappGroups, slackChannels } - each a Map of id -> 'read' | 'write'
+ */
+async function resolveSourceScope(db, user) {
+    if (user.role === 'owner') return null;
+    if (user.sourceScope) return user.sourceScope;
+
+    const scope = {
+        emailAccounts: new Map(),
+        whatsappGroups: new Map(),
+        slackChannels: new Map()
+    };
+
+    if (Object.keys(user.inboxAccess || {}).length > 0) {
+        const snapshot = await db.collection('customInboxes')
+            .where('companyId', '==', user.companyId)
+            .get();
+
+        for (const doc of snapshot.docs) {
+            const level = user.inboxAccess[doc.id];
+            if (!level) continue;
+
+            const inbox = doc.data();
+            grantSources(scope.emailAccounts, inbox.accountIds, level);
+            grantSources(scope.whatsappGroups, inbox.whatsappGroupIds, level);
+            grantSources(scope.slackChannels, inbox.slackChannelIds, level);
+        }
+    }
+
+    user.sourceScope = scope;
+    return scope;
+}
+
+/**
+ * Access level to one source under a scope from resolveSourceScope()
+ * @param {string} kind - emailAccounts | whatsappGroups | slackChannels
+ * @returns {'write'|'read'|null}
+ */
+function sourceAccess(scope, kind, id) {
+    if (!scope) return 'write';
+    return scope[kind].get(id) || null;
+}
+
+/**
+ * Active company members who may read one source - who live events about it go to
+ * @param {string} kind - emailAccounts | whatsappGroups | slackChannels
+ * @returns {Promise<Array<Object>>} resolved users ({ uid, ...profile })
+ */
+async function membersWithSourceAccess(db, companyId, kind, id) {
+    const snapshot = await db.collection('users')
+        .where('companyId', '==', companyId)
+        .get();
+
+    const members = [];
+    for (const doc of snapshot.docs) {
+        const user = { uid: doc.id, ...doc.data() };
+        if (user.status && user.status !== 'active') continue;
+
+        await resolvePermissions(db, user);
+        if (sourceAccess(await resolveSourceScope(db, user), kind, id)) {
+            members.push(user);
+        }
+    }
+    return members;
+}
+
+/**
+ * Middleware: continue only if req.user holds the permission
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!can(req.user, permission)) {
+            return res.status(403).json({ success: false, error: `Permission required: ${permission}` });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    PERMISSIONS,
+    BUILT_IN_ROLES,
+    INBOX_ACCESS_LEVELS,
+    resolvePermissions,
+    invalidateRole,
+    can,
+    inboxAccess,
+    resolveSourceScope,
+    sourceAccess,
+    membersWithSourceAccess,
+    requirePermission
+};
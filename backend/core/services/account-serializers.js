@@ -0,0 +1,98 @@
+/**
+ * Account Serializers - What the API may show of a connected integration
+ *
+ * Account docs hold credentials (see credentials.js) and provider state the
+ * client has no use for. Routes send these shapes instead of the raw doc, so
+ * secrets never leave the service layer:
+ * { id, provider, email, name, status, needsReauth, lastSync, error, ... }
+ */
+
+const toIso = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value instanceof Date) return value.toISOString();
+    return typeof value === 'string' ? value : null;
+};
+
+/**
+ * Email account (Gmail, Microsoft or IMAP)
+ * IMAP accounts include their server settings, without the password.
+ */
+function serializeEmailAccount(id, data) {
+    const syncState = data.syncState || {};
+    const account = {
+        id,
+        provider: data.provider,
+        email: data.email,
+        name: data.name || data.email,
+        status: data.status || 'active',
+        needsReauth: data.status === 'requires_reauth',
+        lastSync: toIso(syncState.lastSyncAt),
+        error: syncState.error || data.oauth?.error || null,
+        hasSignature: !!data.signature,
+        createdAt: toIso(data.createdAt)
+    };
+
+    if (data.imapConfig) {
+        account.imap = {
+            host: data.imapConfig.host,
+            port: data.imapConfig.port,
+            tls: data.imapConfig.tls !== false
+        };
+    }
+    if (data.smtpConfig) {
+        account.smtp = {
+            host: data.smtpConfig.host,
+            port: data.smtpConfig.port,
+            secure: data.smtpConfig.secure !== false
+        };
+    }
+
+    return account;
+}
+
+/**
+ * Slack workspace connection, with its tracked channels
+ */
+function serializeSlackAccount(id, data) {
+    return {
+        id,
+        provider: 'slack',
+        email: data.email || null,
+        name: data.name || data.teamName,
+        teamId: data.teamId,
+        teamName: data.teamName,
+        status: data.status || 'active',
+        needsReauth: data.status === 'requires_reauth' || data.status === 'disconnected',
+        lastSync: null, // Messages are read live from Slack, nothing is synced
+        error: data.oauth?.error || null,
+        trackedChannels: data.trackedChannels || [],
+        createdAt: toIso(data.createdAt)
+    };
+}
+
+/**
+ * WhatsApp session, from memory or its whatsappSessions doc
+ * The pairing QR code is only served by GET /api/whatsapp/qr.
+ */
+function serializeWhatsAppSession(data = {}) {
+    const status = data.status || 'disconnected';
+
+    return {
+        provider: 'whatsapp',
+        status,
+        phone: data.phone || null,
+        name: data.name || null,
+        needsReauth: status === 'error',
+        lastSync: toIso(data.lastSync),
+        error: data.error || null,
+        disconnectReason: data.disconnectReason || null,
+        connectedAt: toIso(data.connectedAt)
+    };
+}
+
+module.exports = {
+    serializeEmailAccount,
+    serializeSlackAccount,
+    serializeWhatsAppSession
+};
@@ -0,0 +1,74 @@
+/**
+ * Credentials - Which account fields hold secrets, and how they're stored
+ *
+ * Email and Slack account docs keep passwords and OAuth tokens encrypted
+ * through the encryption service. Writers seal account data before saving;
+ * readers call revealSecret() on the one field they need. API responses go
+ * through account-serializers.js, which never includes these fields.
+ */
+
+const encryption = require('./encryption-service');
+
+// Collections whose docs carry credentials
+const CREDENTIAL_COLLECTIONS = ['emailAccounts', 'slackAccounts'];
+
+// Dotted paths of the secret fields in those docs
+const CREDENTIAL_FIELDS = [
+    'imapConfig.password',
+    'smtpConfig.password',
+    'oauth.accessToken',
+    'oauth.refreshToken'
+];
+
+const getPath = (data, fieldPath) => fieldPath.split('.')
+    .reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+
+/**
+ * Copy of account data with every credential field encrypted
+ */
+function sealCredentials(data) {
+    const sealed = { ...data };
+
+    for (const fieldPath of CREDENTIAL_FIELDS) {
+        const [parent, field] = fieldPath.split('.');
+        const value = sealed[parent]?.[field];
+        if (value === undefined || value === null || value === '' || encryption.isEncrypted(value)) continue;
+
+        sealed[parent] = { ...sealed[parent], [field]: encryption.protect(value) };
+    }
+
+    return sealed;
+}
+
+/**
+ * Plaintext of a stored credential (legacy plaintext is returned as is)
+ */
+function revealSecret(value) {
+    return encryption.reveal(value);
+}
+
+/**
+ * Field updates that re-encrypt a doc's credentials with the current key
+ * Plaintext and values under older keys are both picked up.
+ * @returns {Object} dotted path -> new value (empty when nothing needs rotating)
+ */
+function rotateCredentials(data) {
+    const updates = {};
+
+    for (const fieldPath of CREDENTIAL_FIELDS) {
+        const value = getPath(data, fieldPath);
+        if (!encryption.needsRotation(value)) continue;
+
+        updates[fieldPath] = encryption.protect(encryption.reveal(value));
+    }
+
+    return updates;
+}
+
+module.exports = {
+    CREDENTIAL_COLLECTIONS,
+    CREDENTIAL_FIELDS,
+    sealCredentials,
+    revealSecret,
+    rotateCredentials
+};
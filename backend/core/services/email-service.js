@@ -1,5 +1,12 @@
 const nodemailer = require('nodemailer');
 
+// For user-entered values (titles, names) placed in email HTML
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
 class EmailService {
     constructor() {
         this.transporter = null;
@@ -125,6 +132,125 @@ class EmailService {
         `;
         return this.sendEmail({ to, subject, html });
     }
+
+    /**
+     * Send notification when someone @mentions a user in an internal note
+     */
+    async sendMentionNotification({ to, authorName, itemLabel, excerpt, link }) {
+        const subject = `${authorName} mentioned you in a note`;
+        const html = `
+            <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>You were mentioned</h2>
+                <p><strong>${authorName}</strong> mentioned you in a note on <strong>${itemLabel}</strong>:</p>
+                <blockquote style="border-left: 4px solid #6366f1; margin: 16px 0; padding: 8px 16px; color: #374151; background: #f9fafb;">
+                    ${excerpt}
+                </blockquote>
+                <p><a href="${link}" style="color: #4f46e5;">Open in URBox</a></p>
+            </div>
+        `;
+        return this.sendEmail({ to, subject, html });
+    }
+
+    /**
+     * Remind an assignee that an assignment is due soon
+     */
+    async sendAssignmentReminder({ to, title, dueDate, link }) {
+        const subject = `Reminder: "${title}" is due ${dueDate.toUTCString()}`;
+        const html = `
+            <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Assignment due soon</h2>
+                <p>Your assignment <strong>${escapeHtml(title)}</strong> is due on <strong>${dueDate.toUTCString()}</strong>.</p>
+                <p><a href="${link}" style="color: #4f46e5;">View your assignments</a></p>
+            </div>
+        `;
+        return this.sendEmail({ to, subject, html });
+    }
+
+    /**
+     * Tell an assignee their assignment is past its due date
+     */
+    async sendAssignmentOverdue({ to, title, dueDate, link }) {
+        const subject = `Overdue: "${title}"`;
+        const html = `
+            <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Assignment overdue</h2>
+                <p>Your assignment <strong>${escapeHtml(title)}</strong> was due on <strong>${dueDate.toUTCString()}</strong> and hasn't been completed.</p>
+                <p><a href="${link}" style="color: #4f46e5;">View your assignments</a></p>
+            </div>
+        `;
+        return this.sendEmail({ to, subject, html });
+    }
+
+    /**
+     * Escalate an overdue assignment to the admin who assigned it
+     */
+    async sendAssignmentEscalation({ to, title, assigneeName, dueDate, link }) {
+        const subject = `Escalation: "${title}" is overdue`;
+        const html = `
+            <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Overdue assignment</h2>
+                <p><strong>${escapeHtml(assigneeName)}</strong> hasn't completed <strong>${escapeHtml(title)}</strong>, which was due on <strong>${dueDate.toUTCString()}</strong>.</p>
+                <p><a href="${link}" style="color: #4f46e5;">Review assignments</a></p>
+            </div>
+        `;
+        return this.sendEmail({ to, subject, html });
+    }
+
+    /**
+     * Ask someone who joined through their email domain to confirm the address
+     */
+    async sendDomainJoinVerification({ to, companyName, verifyLink }) {
+        const subject = `Confirm your email to join ${companyName} on URBox`;
+        const html = `
+            <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Confirm your email</h2>
+                <p>You signed up with an address at a domain that belongs to <strong>${companyName}</strong>.</p>
+                <p>Confirm it's yours to finish joining the team:</p>
+                <p><a href="${verifyLink}" style="background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Confirm email</a></p>
+                <p style="color: #6b7280; font-size: 12px;">If you didn't sign up, you can ignore this email.</p>
+            </div>
+        `;
+        return this.sendEmail({ to, subject, html });
+    }
+
+    /**
+     * Tell an inviter that invitations they sent expired without being accepted
+     */
+    async sendInvitesExpired({ to, companyName, emails, link }) {
+        const subject = emails.length === 1
+            ? `Your invitation to ${emails[0]} expired`
+            : `${emails.length} invitations to ${companyName} expired`;
+        const html = `
+            <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Invitations expired</h2>
+                <p>These invitations to <strong>${escapeHtml(companyName)}</strong> weren't accepted in time:</p>
+                <ul>${emails.map(email => `<li>${escapeHtml(email)}</li>`).join('')}</ul>
+                <p>You can resend them from the team page.</p>
+                <p><a href="${link}" style="color: #4f46e5;">Manage your team</a></p>
+            </div>
+        `;
+        return this.sendEmail({ to, subject, html });
+    }
+
+    /**
+     * Tell an admin that integrations stopped working and need attention
+     * @param {Array} integrations - [{ name, type, reason }]
+     */
+    async sendIntegrationsBroken({ to, companyName, integrations, link }) {
+        const subject = integrations.length === 1
+            ? `${integrations[0].name} needs attention in ${companyName}`
+            : `${integrations.length} integrations need attention in ${companyName}`;
+        const html = `
+            <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2>Integrations stopped working</h2>
+                <p>URBox can no longer fetch messages from these accounts in <strong>${escapeHtml(companyName)}</strong>:</p>
+                <ul>${integrations.map(item => `<li><strong>${escapeHtml(item.name)}</strong> (${escapeHtml(item.type)}) - ${escapeHtml(item.reason)}</li>`).join('')}</ul>
+                <p>Sign in to them again to resume syncing.</p>
+                <p><a href="${link}" style="color: #4f46e5;">Open integrations</a></p>
+            </div>
+        `;
+        return this.sendEmail({ to, subject, html });
+    }
 }
 
 module.exports = new EmailService();
@@ -8,37 +8,71 @@
  * - Random IV for each encryption
  * - Authentication tag to prevent tampering
  * - 256-bit encryption key
+ *
+ * Key versioning:
+ * - ENCRYPTION_KEY is the current key, ENCRYPTION_KEY_VERSION its number (default 1)
+ * - ENCRYPTION_PREVIOUS_KEYS ("1:<hex>,2:<hex>") keeps older keys readable
+ * - Each value records the version that encrypted it (v2:iv:authTag:ciphertext);
+ *   values without a prefix (iv:authTag:ciphertext) are version 1
+ *
+ * To rotate: generate a key (npm run keys), move the old key into
+ * ENCRYPTION_PREVIOUS_KEYS, set the new one with the next version, restart,
+ * then run npm run reencrypt. Drop the old key once that reports nothing left.
  */
 
 const crypto = require('crypto');
 
+const VERSIONED_PATTERN = /^v(\d+):([0-9a-f]{32}):([0-9a-f]{32}):([0-9a-f]*)$/;
+const LEGACY_PATTERN = /^([0-9a-f]{32}):([0-9a-f]{32}):([0-9a-f]*)$/;
+
+/**
+ * Check a hex key from the environment
+ */
+function parseKey(hex, name) {
+    const key = Buffer.from(hex || '', 'hex');
+
+    // Verify key length (must be 32 bytes for AES-256)
+    if (key.length !== 32) {
+        throw new Error(`${name} must be 64 hex characters (32 bytes). Run: npm run keys`);
+    }
+    return key;
+}
+
 class EncryptionService {
     constructor() {
         // Load encryption key from environment
         this.encryptionKey = process.env.ENCRYPTION_KEY;
 
         if (!this.encryptionKey) {
-            throw new Error('ENCRYPTION_KEY environment variable is required. Run: npm run generate-keys');
+            throw new Error('ENCRYPTION_KEY environment variable is required. Run: npm run keys');
         }
 
-        // Convert hex string to buffer
-        this.keyBuffer = Buffer.from(this.encryptionKey, 'hex');
+        this.currentVersion = parseInt(process.env.ENCRYPTION_KEY_VERSION || '1', 10);
+        if (!Number.isInteger(this.currentVersion) || this.currentVersion < 1) {
+            throw new Error('ENCRYPTION_KEY_VERSION must be a positive whole number');
+        }
 
-        // Verify key length (must be 32 bytes for AES-256)
-        if (this.keyBuffer.length !== 32) {
-            throw new Error('ENCRYPTION_KEY must be 64 hex characters (32 bytes). Run: npm run generate-keys');
+        // Key: version, Value: key buffer
+        this.keys = new Map();
+
+        for (const entry of (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(e => e.trim())) {
+            const [version, hex] = entry.trim().split(':');
+            this.keys.set(parseInt(version, 10), parseKey(hex, `ENCRYPTION_PREVIOUS_KEYS (version ${version})`));
         }
 
+        this.keyBuffer = parseKey(this.encryptionKey, 'ENCRYPTION_KEY');
+        this.keys.set(this.currentVersion, this.keyBuffer);
+
         // Use AES-256-GCM (Galois/Counter Mode) for authenticated encryption
         this.algorithm = 'aes-256-gcm';
 
-        console.log('[Encryption] Service initialized successfully ✓');
+        console.log(`[Encryption] Service initialized successfully ✓ (key v${this.currentVersion})`);
     }
 
     /**
-     * Encrypt sensitive data
+     * Encrypt sensitive data with the current key
      * @param {string} plaintext - The data to encrypt
-     * @returns {string|null} - Encrypted data in format: iv:authTag:ciphertext (all hex)
+     * @returns {string|null} - Encrypted data in format: v{version}:iv:authTag:ciphertext (all hex)
      */
     encrypt(plaintext) {
         if (!plaintext) return null;
@@ -57,9 +91,9 @@ class EncryptionService {
             // Get authentication tag (ensures data integrity)
             const authTag = cipher.getAuthTag();
 
-            // Return format: iv:authTag:encrypted (all in hex)
+            // Return format: v{version}:iv:authTag:encrypted (all in hex)
             // This format allows us to extract all components during decryption
-            return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+            return `v${this.currentVersion}:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
         } catch (error) {
             console.error('[Encryption] Error encrypting data:', error.message);
             throw new Error('Encryption failed');
@@ -67,28 +101,32 @@ class EncryptionService {
     }
 
     /**
-     * Decrypt sensitive data
-     * @param {string} encryptedData - The encrypted string (iv:authTag:ciphertext)
+     * Decrypt sensitive data with the key version it was encrypted with
+     * @param {string} encryptedData - The encrypted string (v{version}:iv:authTag:ciphertext, or legacy iv:authTag:ciphertext)
      * @returns {string|null} - Original plaintext
      */
     decrypt(encryptedData) {
         if (!encryptedData) return null;
 
         try {
-            // Split the encrypted data into components
-            const parts = encryptedData.split(':');
+            const parsed = this._parse(encryptedData);
 
-            if (parts.length !== 3) {
-                throw new Error('Invalid encrypted data format. Expected: iv:authTag:ciphertext');
+            if (!parsed) {
+                throw new Error('Invalid encrypted data format. Expected: v{version}:iv:authTag:ciphertext');
+            }
+
+            const key = this.keys.get(parsed.version);
+            if (!key) {
+                throw new Error(`No key configured for version ${parsed.version}`);
             }
 
             // Extract components
-            const iv = Buffer.from(parts[0], 'hex');
-            const authTag = Buffer.from(parts[1], 'hex');
-            const encrypted = parts[2];
+            const iv = Buffer.from(parsed.iv, 'hex');
+            const authTag = Buffer.from(parsed.authTag, 'hex');
+            const encrypted = parsed.ciphertext;
 
             // Create decipher
-            const decipher = crypto.createDecipheriv(this.algorithm, this.keyBuffer, iv);
+            const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
 
             // Set authentication tag (verifies data integrity)
             decipher.setAuthTag(authTag);
@@ -104,6 +142,59 @@ class EncryptionService {
         }
     }
 
+    /**
+     * Whether a stored value is encrypted (as opposed to legacy plaintext)
+     */
+    isEncrypted(value) {
+        return typeof value === 'string' && this._parse(value) !== null;
+    }
+
+    /**
+     * Key version a stored value was encrypted with (null for plaintext)
+     */
+    keyVersion(value) {
+        return typeof value === 'string' ? this._parse(value)?.version ?? null : null;
+    }
+
+    /**
+     * Encrypt a credential for storage (null/undefined pass through)
+     */
+    protect(value) {
+        if (value === null || value === undefined || value === '') return value;
+        return this.encrypt(String(value));
+    }
+
+    /**
+     * Read a stored credential: decrypts encrypted values and returns
+     * plaintext saved before encryption was introduced unchanged
+     */
+    reveal(value) {
+        if (!this.isEncrypted(value)) return value;
+        return this.decrypt(value);
+    }
+
+    /**
+     * Whether a stored credential should be re-encrypted with the current key
+     */
+    needsRotation(value) {
+        if (value === null || value === undefined || value === '') return false;
+        return this.keyVersion(value) !== this.currentVersion;
+    }
+
+    _parse(value) {
+        const versioned = VERSIONED_PATTERN.exec(value);
+        if (versioned) {
+            return { version: parseInt(versioned[1], 10), iv: versioned[2], authTag: versioned[3], ciphertext: versioned[4] };
+        }
+
+        const legacy = LEGACY_PATTERN.exec(value);
+        if (legacy) {
+            return { version: 1, iv: legacy[1], authTag: legacy[2], ciphertext: legacy[3] };
+        }
+
+        return null;
+    }
+
     /**
      * One-way hash for password verification (not for encryption)
      * Use this when you need to verify data without decrypting
@@ -0,0 +1,374 @@
+/**
+ * Feed Service - Load email, WhatsApp and Slack messages as one feed
+ *
+ * Every item is normalized to the same shape so inbox rules (and anything
+ * else that filters a mixed feed) can treat sources alike:
+ *   {
+ *     id, source: 'email' | 'whatsapp' | 'slack', accountId, conversationId,
+ *     channel: { id, name },     // email account, WhatsApp group or Slack channel
+ *     sender: { name, address }, // address is an email, phone number or Slack user id
+ *     subject, preview, body, hasAttachments, isRead, date,
+ *     data                       // the source message as the per-source APIs return it
+ *   }
+ *
+ * Each email account, WhatsApp and Slack is a stream sorted newest first.
+ * Streams are merged item by item, so pages interleave correctly however
+ * far apart the sources' own pages reach. The cursor keeps a keyset per
+ * stream: the source page token plus the last item taken from it.
+ */
+
+// Configuration
+const CONFIG = {
+    PREVIEW_LENGTH: 200,
+    DEFAULT_PAGE_SIZE: 50,
+    MAX_FETCHES: 20, // Source page fetches per request (a narrow filter can need many)
+    FIRESTORE_IN_LIMIT: 30 // Most values a Firestore 'in' filter takes
+};
+
+const FEED_SOURCES = ['email', 'whatsapp', 'slack'];
+
+class FeedService {
+    constructor(db, emailService, slackService) {
+        this.db = db;
+        this.emailService = emailService;
+        this.slackService = slackService;
+    }
+
+    /**
+     * Load the next page of the merged feed, newest first
+     * @param {Object} sources - {
+     *   companyId,
+     *   emailAccounts: emailAccounts docs (with id) - empty skips email,
+     *   whatsappGroupIds: group ids, or null for every group - empty skips WhatsApp,
+     *   slackChannelIds: channel ids, or null for every tracked channel - empty skips Slack
+     * }
+     * @param {Object} options - { cursor, limit, filter: item => boolean }
+     * @returns {Promise<{ items: Array, cursor: Object|null, errors: Array }>}
+     */
+    async loadMerged(sources, { cursor = null, limit = CONFIG.DEFAULT_PAGE_SIZE, filter = null } = {}) {
+        const streams = this._streams(sources, limit).map(stream => {
+            const saved = cursor ? cursor.streams?.[stream.key] : { token: null, after: null };
+
+            // Streams that appeared after paging started (e.g. a new account) join on the next refresh
+            return {
+                ...stream,
+                token: saved?.token ?? null,
+                after: saved?.after || null,
+                done: !saved || !!saved.done,
+                buffer: null,
+                failed: false
+            };
+        });
+
+        const items = [];
+        const errors = [];
+        let fetches = 0;
+
+        while (items.length < limit) {
+            const empty = streams.filter(s => !s.done && !s.failed && (!s.buffer || s.buffer.length === 0));
+
+            if (empty.length > 0) {
+                // A stream's next item is unknown until it's fetched - stop rather than misorder
+                if (fetches + empty.length > CONFIG.MAX_FETCHES) break;
+                fetches += empty.length;
+                await Promise.all(empty.map(stream => this._fill(stream, errors)));
+                continue;
+            }
+
+            const ready = streams.filter(s => s.buffer && s.buffer.length > 0);
+            if (ready.length === 0) break;
+
+            const next = ready.reduce((newest, s) => (s.buffer[0].date > newest.buffer[0].date ? s : newest));
+            const item = next.buffer.shift();
+            next.after = { id: item.id, date: item.date.toISOString() };
+
+            if (!filter || filter(item)) {
+                items.push(item);
+            }
+        }
+
+        const state = {};
+        let hasMore = false;
+        for (const stream of streams) {
+            const finished = stream.done && (!stream.buffer || stream.buffer.length === 0);
+            if (finished) {
+                state[stream.key] = { done: true };
+            } else {
+                state[stream.key] = { token: stream.token, after: stream.after };
+                hasMore = true;
+            }
+        }
+
+        return { items, cursor: hasMore ? { streams: state } : null, errors };
+    }
+
+    /**
+     * Fetch the stream's current page (or the next one once it's used up)
+     */
+    async _fill(stream, errors) {
+        try {
+            const token = stream.buffer ? stream.nextToken : stream.token;
+            const page = await stream.fetch(token);
+
+            // A page entirely behind the keyset leaves the buffer empty; the next round fetches on
+            stream.token = token;
+            stream.nextToken = page.nextToken;
+            stream.buffer = this._after(page.items.sort((a, b) => b.date - a.date), stream.after);
+            stream.done = !page.hasMore;
+        } catch (err) {
+            console.error(`[Feed] Failed to load ${stream.key}:`, err.message);
+            errors.push({ source: stream.source, stream: stream.key, error: err.message });
+            // Cursor stays where it was so the next page retries
+            stream.failed = true;
+        }
+    }
+
+    /**
+     * Drop items up to and including the last one already taken from the stream
+     */
+    _after(items, after) {
+        if (!after) return items;
+
+        const afterDate = new Date(after.date);
+        const index = items.findIndex(item => item.id === after.id);
+        const rest = index === -1 ? items : items.slice(index + 1);
+
+        // Anything newer was either taken already or arrived since paging started
+        return rest.filter(item => item.id !== after.id && item.date <= afterDate);
+    }
+
+    // ============================================================================
+    // STREAMS
+    // ============================================================================
+
+    /**
+     * One stream per email account, plus WhatsApp and Slack
+     * fetch(token) resolves to { items, nextToken, hasMore }; a null token is the first page
+     */
+    _streams(sources, pageSize) {
+        const streams = (sources.emailAccounts || []).map(account => ({
+            key: `email:${account.id}`,
+            source: 'email',
+            fetch: (token) => this._fetchEmailPage(account, token)
+        }));
+
+        if (sources.whatsappGroupIds === null || (sources.whatsappGroupIds || []).length > 0) {
+            streams.push({
+                key: 'whatsapp',
+                source: 'whatsapp',
+                fetch: (token) => this._fetchWhatsAppPage(sources.companyId, sources.whatsappGroupIds, token, pageSize)
+            });
+        }
+
+        if (sources.slackChannelIds === null || (sources.slackChannelIds || []).length > 0) {
+            streams.push({
+                key: 'slack',
+                source: 'slack',
+                fetch: (token) => this._fetchSlackPage(sources.companyId, sources.slackChannelIds, token, pageSize)
+            });
+        }
+
+        return streams;
+    }
+
+    async _fetchEmailPage(account, token) {
+        const result = await this.emailService.fetchEmails([account], token !== null ? { [account.id]: token } : {});
+
+        // fetchEmails isolates account failures - surface them here
+        if (result.errors?.length) {
+            throw new Error(result.errors[0].error);
+        }
+
+        const page = result.pagination?.[account.id];
+        const nextToken = page ? (page.nextPageToken ?? page.nextOffset ?? null) : null;
+
+        return {
+            items: result.emails.map(email => this.normalizeEmail(email)),
+            nextToken,
+            hasMore: !!page && page.hasMore !== false && nextToken !== null
+        };
+    }
+
+    /**
+     * One page of the company's WhatsApp messages, newest first, after the message id startAfter
+     * Uses the composite indexes in firestore.indexes.json (companyId[, groupId], timestamp desc)
+     */
+    async _fetchWhatsAppPage(companyId, groupIds, startAfter, limit) {
+        const collection = this.db.collection('whatsappMessages');
+        let query = collection.where('companyId', '==', companyId);
+
+        // Larger group lists are filtered in memory below
+        const queryByGroup = !!groupIds && groupIds.length <= CONFIG.FIRESTORE_IN_LIMIT;
+        if (queryByGroup) {
+            query = query.where('groupId', 'in', groupIds);
+        }
+
+        query = query.orderBy('timestamp', 'desc');
+
+        if (startAfter) {
+            const cursorDoc = await collection.doc(startAfter).get();
+            if (cursorDoc.exists) {
+                query = query.startAfter(cursorDoc);
+            }
+        }
+
+        const snapshot = await query.limit(limit + 1).get();
+        const hasMore = snapshot.docs.length > limit;
+        const page = snapshot.docs.slice(0, limit);
+
+        const matching = groupIds && !queryByGroup
+            ? page.filter(doc => groupIds.includes(doc.data().groupId))
+            : page;
+
+        return {
+            items: matching.map(doc => this.normalizeWhatsApp(doc.id, doc.data())),
+            // Page on everything fetched so filtered-out groups don't stall paging
+            nextToken: page.length > 0 ? page[page.length - 1].id : startAfter,
+            hasMore
+        };
+    }
+
+    async _fetchSlackPage(companyId, channelIds, before, limit) {
+        const messages = await this.slackService.getMessages(companyId, limit, before);
+
+        const matching = channelIds
+            ? messages.filter(msg => channelIds.includes(msg.channelId))
+            : messages;
+
+        return {
+            items: matching.map(msg => this.normalizeSlack(msg)),
+            // Page on everything fetched so filtered-out channels don't stall paging
+            nextToken: messages.length > 0 ? messages[messages.length - 1].originalId : before,
+            hasMore: messages.length >= limit
+        };
+    }
+
+    // ============================================================================
+    // NORMALIZATION
+    // ============================================================================
+
+    normalizeEmail(email) {
+        const body = email.text || this._stripHtml(email.html) || email.snippet || '';
+
+        return {
+            id: email.id,
+            source: 'email',
+            accountId: email.accountId,
+            conversationId: email.conversationId || email.id,
+            channel: { id: email.accountId, name: email.accountName || '' },
+            sender: this._parseAddress(email.from),
+            subject: email.subject || '',
+            preview: (email.snippet || body).substring(0, CONFIG.PREVIEW_LENGTH),
+            body,
+            hasAttachments: !!email.hasAttachments || (email.attachments || []).length > 0,
+            isRead: email.isRead !== false,
+            date: new Date(email.date),
+            data: email
+        };
+    }
+
+    normalizeWhatsApp(id, msg) {
+        const body = msg.body || '';
+        const timestamp = msg.timestamp?.toDate ? msg.timestamp.toDate() : new Date(msg.timestamp || 0);
+
+        return {
+            id: `whatsapp_${id}`,
+            source: 'whatsapp',
+            accountId: msg.userId,
+            conversationId: `whatsapp_${msg.groupId}`,
+            channel: { id: msg.groupId, name: msg.groupName || '' },
+            sender: { name: msg.senderName || '', address: msg.senderNumber || '' },
+            subject: '',
+            preview: body.substring(0, CONFIG.PREVIEW_LENGTH),
+            body,
+            hasAttachments: !!msg.hasMedia,
+            isRead: true,
+            date: timestamp,
+            data: {
+                id,
+                ...msg,
+                // Same serialization as GET /api/whatsapp/messages
+                timestamp: timestamp.toISOString(),
+                createdAt: msg.createdAt?.toDate ? msg.createdAt.toDate().toISOString() : null
+            }
+        };
+    }
+
+    normalizeSlack(msg) {
+        const body = msg.body || '';
+
+        return {
+            id: `slack_${msg.channelId}_${msg.originalId}`,
+            source: 'slack',
+            accountId: msg.accountId,
+            conversationId: `slack_${msg.channelId}`,
+            channel: { id: msg.channelId, name: msg.channelName || '' },
+            sender: { name: msg.senderName || '', address: msg.sender || '' },
+            subject: '',
+            preview: body.substring(0, CONFIG.PREVIEW_LENGTH),
+            body,
+            hasAttachments: !!msg.hasMedia,
+            isRead: true,
+            date: new Date(msg.timestamp),
+            data: msg
+        };
+    }
+
+    /**
+     * Drop the full body from items bound for a response (preview is enough for a list)
+     */
+    toResponse(item) {
+        const { body, ...rest } = item;
+        return { ...rest, date: item.date.toISOString() };
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    /**
+     * "Alice Smith <alice@acme.com>" -> { name: 'Alice Smith', address: 'alice@acme.com' }
+     */
+    _parseAddress(value) {
+        if (!value) return { name: '', address: '' };
+
+        const match = value.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+        if (match) {
+            return { name: match[1].trim(), address: match[2].trim().toLowerCase() };
+        }
+        return value.includes('@')
+            ? { name: '', address: value.trim().toLowerCase() }
+            : { name: value.trim(), address: '' };
+    }
+
+    _stripHtml(html) {
+        if (!html) return '';
+        return html
+            .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+/**
+ * Cursors travel to the client as opaque base64url strings
+ */
+function encodeCursor(cursor) {
+    return cursor ? Buffer.from(JSON.stringify(cursor)).toString('base64url') : null;
+}
+
+/**
+ * @returns {Object|null} the cursor, or null if it can't be decoded
+ */
+function decodeCursor(value) {
+    try {
+        const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        return cursor && typeof cursor === 'object' ? cursor : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = { FeedService, FEED_SOURCES, encodeCursor, decodeCursor };
@@ -8,24 +8,35 @@
  * - Feature access checks
  * 
  * Security:
- * - Admin endpoints protected by ADMIN_SECRET
+ * - Admin endpoints protected by ADMIN_SECRET (grants and revokes are audited;
+ *   pass adminEmail to record which operator used it)
+ * - Everything else reports on the signed-in user's company
  * - Pro-Free accounts protected from manipulation
  */
 
 const express = require('express');
 const SubscriptionService = require('./services/subscription-service');
+const { recordAudit } = require('../audit/auditLog');
 
 function createSubscriptionRoutes(db) {
     const router = express.Router();
     const subscriptionService = new SubscriptionService(db);
 
+    // Admin endpoints have no signed-in user; the operator is whoever holds ADMIN_SECRET
+    const platformAdmin = (req) => ({
+        id: null,
+        name: 'Platform admin',
+        email: req.body.adminEmail || null,
+        role: 'platform_admin'
+    });
+
     /**
      * POST /admin/grant-pro-free
      * Grant Pro-Free status to a company
      * 🔐 ADMIN ONLY - Requires ADMIN_SECRET
      */
     router.post('/admin/grant-pro-free', async (req, res) => {
-        const { companyId, adminSecret, reason } = req.body;
+        const { companyId, adminSecret, reason } = req.body; // adminEmail optional, for the audit log
 
         // Validate admin secret
         if (adminSecret !== process.env.ADMIN_SECRET) {
@@ -49,6 +60,14 @@ function createSubscriptionRoutes(db) {
                 reason || 'Manual admin grant'
             );
 
+            recordAudit(db, req, {
+                action: 'subscription.pro_free_granted',
+                companyId,
+                actor: platformAdmin(req),
+                target: { type: 'company', id: companyId },
+                details: { reason: reason || 'Manual admin grant' }
+            });
+
             res.json(result);
         } catch (error) {
             console.error('[Subscription] Grant pro-free error:', error);
@@ -85,6 +104,14 @@ function createSubscriptionRoutes(db) {
 
         try {
             const result = await subscriptionService.revokeProFree(companyId);
+
+            recordAudit(db, req, {
+                action: 'subscription.pro_free_revoked',
+                companyId,
+                actor: platformAdmin(req),
+                target: { type: 'company', id: companyId }
+            });
+
             res.json(result);
         } catch (error) {
             console.error('[Subscription] Revoke pro-free error:', error);
@@ -100,7 +127,7 @@ function createSubscriptionRoutes(db) {
      * Check if company has Pro access
      */
     router.get('/check-access', async (req, res) => {
-        const { companyId } = req.query;
+        const { companyId } = req.user;
 
         if (!companyId) {
             return res.status(400).json({
@@ -132,7 +159,7 @@ function createSubscriptionRoutes(db) {
      * Get detailed company plan information
      */
     router.get('/plan', async (req, res) => {
-        const { companyId } = req.query;
+        const { companyId } = req.user;
 
         if (!companyId) {
             return res.status(400).json({
@@ -162,7 +189,8 @@ function createSubscriptionRoutes(db) {
      * Check if company can access a specific feature
      */
     router.get('/feature-access', async (req, res) => {
-        const { companyId, feature } = req.query;
+        const { feature } = req.query;
+        const { companyId } = req.user;
 
         if (!companyId || !feature) {
             return res.status(400).json({
@@ -193,7 +221,7 @@ function createSubscriptionRoutes(db) {
      * Get inbox creation limit for company
      */
     router.get('/inbox-limit', async (req, res) => {
-        const { companyId } = req.query;
+        const { companyId } = req.user;
 
         if (!companyId) {
             return res.status(400).json({
@@ -1,27 +1,40 @@
 const express = require('express');
 const admin = require('firebase-admin');
-
-function createCustomInboxRoutes(db) {
+const { encodeCursor, decodeCursor } = require('../core/services/feed-service');
+const { validateRules, matchesInbox } = require('./inboxRules');
+const { requireOwnCompany } = require('../core/middleware/auth');
+const { can, requirePermission, inboxAccess } = require('../core/policy');
+
+// Configuration
+const CONFIG = {
+    DEFAULT_ITEMS_LIMIT: 50,
+    MAX_ITEMS_LIMIT: 100
+};
+
+function createCustomInboxRoutes(db, feedService) {
     const router = express.Router();
     const collectionName = 'customInboxes';
 
-    // Get all custom inboxes for a company
-    router.get('/company/:companyId', async (req, res) => {
+    // Get the caller's company custom inboxes (all of them with manage_inboxes, otherwise the ones they can access)
+    router.get('/company/:companyId', requireOwnCompany, async (req, res) => {
         try {
             const { companyId } = req.params;
             const snapshot = await db.collection(collectionName)
                 .where('companyId', '==', companyId)
                 .get();
 
-            const inboxes = snapshot.docs.map(doc => {
-                const data = doc.data();
-                return {
-                    id: doc.id,
-                    ...data,
-                    createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
-                    updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
-                };
-            });
+            const inboxes = snapshot.docs
+                .filter(doc => can(req.user, 'manage_inboxes') || inboxAccess(req.user, doc.id))
+                .map(doc => {
+                    const data = doc.data();
+                    return {
+                        id: doc.id,
+                        ...data,
+                        access: inboxAccess(req.user, doc.id), // 'write', 'read' or null for the caller
+                        createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+                        updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
+                    };
+                });
 
             // Sort by createdAt
             inboxes.sort((a, b) => {
@@ -37,19 +50,25 @@ function createCustomInboxRoutes(db) {
         }
     });
 
-    // Create a new custom inbox
-    router.post('/', async (req, res) => {
+    // Create a new custom inbox (manage_inboxes)
+    router.post('/', requirePermission('manage_inboxes'), async (req, res) => {
         try {
+            const { companyId } = req.user;
             const {
                 name,
-                companyId,
                 accountIds = [],
                 whatsappGroupIds = [],
                 slackChannelIds = [],
                 accountFilters = {},
+                rules = null,
                 color = 0xFF6366F1
             } = req.body;
 
+            const rulesError = validateRules(rules);
+            if (rulesError) {
+                return res.status(400).json({ error: rulesError });
+            }
+
             const newInbox = {
                 name,
                 companyId,
@@ -57,6 +76,7 @@ function createCustomInboxRoutes(db) {
                 whatsappGroupIds,
                 slackChannelIds,
                 accountFilters,
+                rules,
                 color,
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -78,13 +98,81 @@ function createCustomInboxRoutes(db) {
         }
     });
 
-    // Update an existing custom inbox
-    router.put('/:id', async (req, res) => {
+    // Merged feed for an inbox: its sources, narrowed by accountFilters and rules
+    // Query: { limit?, cursor? } - pass back nextCursor for the next page
+    router.get('/:id/items', async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+            if (req.query.cursor && !cursor) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || CONFIG.DEFAULT_ITEMS_LIMIT, CONFIG.MAX_ITEMS_LIMIT);
+
+            const inboxDoc = await db.collection(collectionName).doc(id).get();
+
+            if (!inboxDoc.exists) {
+                return res.status(404).json({ error: 'Inbox not found' });
+            }
+
+            const inbox = inboxDoc.data();
+            if (inbox.companyId !== req.user.companyId || !inboxAccess(req.user, id)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+
+            // Only accounts that still exist and belong to the inbox's company
+            const accountDocs = await Promise.all(
+                (inbox.accountIds || []).map(accountId => db.collection('emailAccounts').doc(accountId).get())
+            );
+            const emailAccounts = accountDocs
+                .filter(doc => doc.exists && doc.data().companyId === inbox.companyId)
+                .map(doc => ({ id: doc.id, ...doc.data() }));
+
+            const page = await feedService.loadMerged({
+                companyId: inbox.companyId,
+                emailAccounts,
+                whatsappGroupIds: inbox.whatsappGroupIds || [],
+                slackChannelIds: inbox.slackChannelIds || []
+            }, {
+                cursor,
+                limit,
+                filter: item => matchesInbox(inbox, item)
+            });
+
+            res.json({
+                items: page.items.map(item => feedService.toResponse(item)),
+                nextCursor: encodeCursor(page.cursor),
+                hasMore: !!page.cursor,
+                errors: page.errors
+            });
+        } catch (error) {
+            console.error('Error fetching custom inbox items:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // Update an existing custom inbox (manage_inboxes)
+    router.put('/:id', requirePermission('manage_inboxes'), async (req, res) => {
         try {
             const { id } = req.params;
             const updates = req.body;
             delete updates.id; // Prevent updating ID
             delete updates.createdAt; // Prevent updating createdAt
+            delete updates.companyId; // Inboxes can't move between companies
+
+            const doc = await db.collection(collectionName).doc(id).get();
+            if (!doc.exists || doc.data().companyId !== req.user.companyId) {
+                return res.status(404).json({ error: 'Inbox not found' });
+            }
+
+            if (updates.rules !== undefined) {
+                const rulesError = validateRules(updates.rules);
+                if (rulesError) {
+                    return res.status(400).json({ error: rulesError });
+                }
+            }
 
             updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
 
@@ -96,14 +184,14 @@ function createCustomInboxRoutes(db) {
         }
     });
 
-    // Delete a custom inbox
-    router.delete('/:id', async (req, res) => {
+    // Delete a custom inbox (manage_inboxes)
+    router.delete('/:id', requirePermission('manage_inboxes'), async (req, res) => {
         try {
             const { id } = req.params;
             const docRef = db.collection(collectionName).doc(id);
             const doc = await docRef.get();
 
-            if (!doc.exists) {
+            if (!doc.exists || doc.data().companyId !== req.user.companyId) {
                 return res.status(404).json({ error: 'Inbox not found' });
             }
 
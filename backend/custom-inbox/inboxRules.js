@@ -0,0 +1,186 @@
+/**
+ * Custom Inbox Rules - Decide which feed items belong in a custom inbox
+ *
+ * A rule set is a group of conditions joined with AND or OR. Groups nest:
+ *   {
+ *     match: 'and',
+ *     conditions: [
+ *       { field: 'domain', operator: 'equals', value: 'acme.com' },
+ *       { match: 'or', conditions: [
+ *         { field: 'subject', operator: 'contains', value: 'invoice' },
+ *         { field: 'hasAttachments', operator: 'is', value: true }
+ *       ] }
+ *     ]
+ *   }
+ *
+ * Items are normalized feed items (see core/services/feed-service.js).
+ */
+
+// Configuration
+const CONFIG = {
+    MAX_DEPTH: 5,
+    MAX_CONDITIONS: 50
+};
+
+const MATCH_TYPES = ['and', 'or'];
+
+// Fields and the operators each accepts
+const FIELDS = {
+    sender: ['contains', 'notContains', 'equals', 'notEquals'],
+    domain: ['equals', 'notEquals', 'endsWith'],
+    subject: ['contains', 'notContains', 'equals', 'notEquals'],
+    body: ['contains', 'notContains'],
+    hasAttachments: ['is'],
+    channel: ['equals', 'notEquals', 'contains']
+};
+
+/**
+ * Check a rule set's shape
+ * @returns {string|null} error message, or null when valid
+ */
+function validateRules(rules) {
+    if (rules === null || rules === undefined) return null;
+
+    let count = 0;
+
+    const check = (node, depth) => {
+        if (!node || typeof node !== 'object') return 'Rule must be an object';
+
+        if (node.conditions !== undefined) {
+            if (depth > CONFIG.MAX_DEPTH) return `Rules can nest at most ${CONFIG.MAX_DEPTH} levels`;
+            if (!MATCH_TYPES.includes(node.match)) return `Group match must be one of: ${MATCH_TYPES.join(', ')}`;
+            if (!Array.isArray(node.conditions)) return 'Group conditions must be an array';
+
+            for (const child of node.conditions) {
+                const error = check(child, depth + 1);
+                if (error) return error;
+            }
+            return null;
+        }
+
+        if (++count > CONFIG.MAX_CONDITIONS) return `Rules can have at most ${CONFIG.MAX_CONDITIONS} conditions`;
+
+        const operators = FIELDS[node.field];
+        if (!operators) return `Unknown rule field: ${node.field}`;
+        if (!operators.includes(node.operator)) {
+            return `Operator for ${node.field} must be one of: ${operators.join(', ')}`;
+        }
+
+        if (node.field === 'hasAttachments') {
+            if (typeof node.value !== 'boolean') return 'hasAttachments value must be true or false';
+        } else if (typeof node.value !== 'string' || !node.value.trim()) {
+            return `Value for ${node.field} must be a non-empty string`;
+        }
+        return null;
+    };
+
+    return check(rules, 1);
+}
+
+/**
+ * Does the item satisfy the rule set? No rules means everything matches.
+ */
+function evaluateRules(rules, item) {
+    if (!rules) return true;
+
+    if (rules.conditions !== undefined) {
+        // An empty group places no constraint
+        if (rules.conditions.length === 0) return true;
+
+        return rules.match === 'or'
+            ? rules.conditions.some(child => evaluateRules(child, item))
+            : rules.conditions.every(child => evaluateRules(child, item));
+    }
+
+    return evaluateCondition(rules, item);
+}
+
+function evaluateCondition({ field, operator, value }, item) {
+    if (field === 'hasAttachments') {
+        return !!item.hasAttachments === value;
+    }
+
+    const wanted = value.trim().toLowerCase();
+
+    // Channel matches by id or by name
+    if (field === 'channel') {
+        const id = (item.channel?.id || '').toLowerCase();
+        const name = (item.channel?.name || '').toLowerCase().replace(/^#/, '');
+        const target = wanted.replace(/^#/, '');
+
+        switch (operator) {
+            case 'equals': return id === target || name === target;
+            case 'notEquals': return id !== target && name !== target;
+            case 'contains': return name.includes(target);
+        }
+    }
+
+    const actual = fieldValue(field, item);
+
+    switch (operator) {
+        case 'contains': return actual.includes(wanted);
+        case 'notContains': return !actual.includes(wanted);
+        case 'equals': return actual === wanted;
+        case 'notEquals': return actual !== wanted;
+        case 'endsWith': return actual === wanted || actual.endsWith(`.${wanted}`);
+    }
+    return false;
+}
+
+function fieldValue(field, item) {
+    switch (field) {
+        case 'sender':
+            return [item.sender?.name, item.sender?.address].filter(Boolean).join(' ').toLowerCase();
+        case 'domain':
+            return senderDomain(item);
+        case 'subject':
+            return (item.subject || '').toLowerCase();
+        case 'body':
+            return (item.body || '').toLowerCase();
+    }
+    return '';
+}
+
+function senderDomain(item) {
+    const address = item.sender?.address || '';
+    const at = address.lastIndexOf('@');
+    return at === -1 ? '' : address.substring(at + 1).toLowerCase();
+}
+
+/**
+ * Apply the inbox's per-account sender filters ({ accountId: ['alice@x.com', '@acme.com'] })
+ * Accounts without filters let every sender through.
+ */
+function passesAccountFilters(accountFilters, item) {
+    const filters = accountFilters?.[item.accountId];
+    if (!Array.isArray(filters) || filters.length === 0) return true;
+
+    const address = (item.sender?.address || '').toLowerCase();
+    const name = (item.sender?.name || '').toLowerCase();
+
+    return filters.some(filter => {
+        const wanted = String(filter).trim().toLowerCase();
+        if (!wanted) return false;
+
+        // "@acme.com" (or a bare domain) matches anyone at that domain
+        if (wanted.startsWith('@')) return address.endsWith(wanted);
+        if (!wanted.includes('@') && wanted.includes('.')) return senderDomain(item) === wanted;
+
+        return address === wanted || name.includes(wanted);
+    });
+}
+
+/**
+ * Everything a custom inbox applies on top of its sources
+ */
+function matchesInbox(inbox, item) {
+    return passesAccountFilters(inbox.accountFilters, item) && evaluateRules(inbox.rules, item);
+}
+
+module.exports = {
+    validateRules,
+    evaluateRules,
+    passesAccountFilters,
+    matchesInbox,
+    RULE_FIELDS: FIELDS
+};
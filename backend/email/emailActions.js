@@ -0,0 +1,358 @@
+/**
+ * Email Actions - Write-through message state changes
+ *
+ * Applies read/unread, star/unstar, archive and move to the provider:
+ * - Gmail: label changes via users.messages.batchModify
+ * - Microsoft Graph: message PATCH / move, grouped with JSON batching
+ * - IMAP: \Seen / \Flagged flags and MOVE between mailboxes
+ *
+ * Every call takes a list of provider message ids for one account, so the
+ * single and bulk routes share the same code path.
+ */
+
+const axios = require('axios');
+
+// Configuration
+const CONFIG = {
+    REQUEST_TIMEOUT: 30000,
+    GRAPH_BATCH_URL: 'https://graph.microsoft.com/v1.0/$batch',
+    GRAPH_BASE_URL: 'https://graph.microsoft.com/v1.0/me',
+    GRAPH_BATCH_SIZE: 20, // Graph limit per $batch request
+    GMAIL_BATCH_SIZE: 1000 // Gmail limit per batchModify request
+};
+
+const ACTIONS = ['read', 'unread', 'star', 'unstar', 'archive', 'move'];
+
+// Graph well-known folder names accepted as move destinations
+const GRAPH_WELL_KNOWN_FOLDERS = ['inbox', 'archive', 'deleteditems', 'junkemail', 'drafts', 'sentitems'];
+
+class EmailActions {
+    constructor(emailService) {
+        this.emailService = emailService;
+    }
+
+    /**
+     * Check an action name
+     */
+    isValidAction(action) {
+        return ACTIONS.includes(action);
+    }
+
+    /**
+     * Apply an action to messages of one account
+     * @param {Object} account - emailAccounts document (with id)
+     * @param {Array<string>} messageIds - provider message ids (Gmail id, Graph id, IMAP uid or sent-<uid>)
+     * @param {string} action - one of ACTIONS
+     * @param {Object} options - { folder } for move
+     * @returns {Promise<Array>} [{ messageId, success, error?, newMessageId? }]
+     */
+    async apply(account, messageIds, action, options = {}) {
+        if (!this.isValidAction(action)) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+
+        if (action === 'move' && !options.folder) {
+            throw new Error('Move requires a destination folder');
+        }
+
+        let results;
+        switch (account.provider) {
+            case 'gmail-oauth':
+                results = await this._applyGmail(account, messageIds, action, options);
+                break;
+            case 'microsoft-oauth':
+                results = await this._applyMicrosoft(account, messageIds, action, options);
+                break;
+            default:
+                results = await this._applyImap(account, messageIds, action, options);
+        }
+
+        // Cached inbox pages are now stale
+        this.emailService.invalidateCache(account.id);
+
+        return results;
+    }
+
+    /**
+     * List folders/labels a message can be moved to
+     */
+    async listFolders(account) {
+        switch (account.provider) {
+            case 'gmail-oauth': {
+                const gmail = await this.emailService.getGmailClient(account);
+                const response = await gmail.users.labels.list({ userId: 'me' });
+                return (response.data.labels || [])
+                    .filter(label => label.type === 'user' || ['INBOX', 'SPAM', 'TRASH'].includes(label.id))
+                    .map(label => ({ id: label.id, name: label.name }));
+            }
+            case 'microsoft-oauth': {
+                const accessToken = await this.emailService.getMicrosoftToken(account);
+                const response = await axios.get(`${CONFIG.GRAPH_BASE_URL}/mailFolders?$top=100`, {
+                    headers: { Authorization: `Bearer ${accessToken}` },
+                    timeout: CONFIG.REQUEST_TIMEOUT
+                });
+                return (response.data.value || []).map(folder => ({ id: folder.id, name: folder.displayName }));
+            }
+            default:
+                return this.emailService.withImapClient(account, async (client) => {
+                    const mailboxes = await client.list();
+                    return mailboxes
+                        .filter(box => !box.flags?.has('\\Noselect'))
+                        .map(box => ({ id: box.path, name: box.name, specialUse: box.specialUse || null }));
+                });
+        }
+    }
+
+    // ============================================================================
+    // GMAIL
+    // ============================================================================
+
+    async _applyGmail(account, messageIds, action, options) {
+        const gmail = await this.emailService.getGmailClient(account);
+
+        let addLabelIds = [];
+        let removeLabelIds = [];
+
+        switch (action) {
+            case 'read': removeLabelIds = ['UNREAD']; break;
+            case 'unread': addLabelIds = ['UNREAD']; break;
+            case 'star': addLabelIds = ['STARRED']; break;
+            case 'unstar': removeLabelIds = ['STARRED']; break;
+            case 'archive': removeLabelIds = ['INBOX']; break;
+            case 'move': {
+                const labelId = await this._resolveGmailLabel(gmail, options.folder);
+                addLabelIds = [labelId];
+                if (labelId !== 'INBOX') removeLabelIds = ['INBOX'];
+                break;
+            }
+        }
+
+        const results = [];
+        for (let i = 0; i < messageIds.length; i += CONFIG.GMAIL_BATCH_SIZE) {
+            const chunk = messageIds.slice(i, i + CONFIG.GMAIL_BATCH_SIZE);
+            try {
+                await gmail.users.messages.batchModify({
+                    userId: 'me',
+                    requestBody: { ids: chunk, addLabelIds, removeLabelIds }
+                });
+                chunk.forEach(messageId => results.push({ messageId, success: true }));
+            } catch (err) {
+                if (err.code === 403 && err.message?.includes('insufficient')) {
+                    await this.emailService._markAccountForReauth(account, 'Missing modify permission');
+                }
+                chunk.forEach(messageId => results.push({ messageId, success: false, error: err.message }));
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Accept a label id or a (case-insensitive) label name
+     */
+    async _resolveGmailLabel(gmail, folder) {
+        const response = await gmail.users.labels.list({ userId: 'me' });
+        const labels = response.data.labels || [];
+        const wanted = folder.toLowerCase();
+
+        const label = labels.find(l => l.id === folder) ||
+            labels.find(l => (l.name || '').toLowerCase() === wanted);
+
+        if (!label) {
+            throw new Error(`Label not found: ${folder}`);
+        }
+        return label.id;
+    }
+
+    // ============================================================================
+    // MICROSOFT GRAPH
+    // ============================================================================
+
+    async _applyMicrosoft(account, messageIds, action, options) {
+        const accessToken = await this.emailService.getMicrosoftToken(account);
+        const headers = { Authorization: `Bearer ${accessToken}` };
+
+        let method = 'PATCH';
+        let pathSuffix = '';
+        let body;
+
+        switch (action) {
+            case 'read': body = { isRead: true }; break;
+            case 'unread': body = { isRead: false }; break;
+            case 'star': body = { flag: { flagStatus: 'flagged' } }; break;
+            case 'unstar': body = { flag: { flagStatus: 'notFlagged' } }; break;
+            case 'archive':
+                method = 'POST';
+                pathSuffix = '/move';
+                body = { destinationId: 'archive' };
+                break;
+            case 'move':
+                method = 'POST';
+                pathSuffix = '/move';
+                body = { destinationId: await this._resolveGraphFolder(options.folder, headers) };
+                break;
+        }
+
+        const results = [];
+        for (let i = 0; i < messageIds.length; i += CONFIG.GRAPH_BATCH_SIZE) {
+            const chunk = messageIds.slice(i, i + CONFIG.GRAPH_BATCH_SIZE);
+            const requests = chunk.map((messageId, index) => ({
+                id: String(index),
+                method,
+                url: `/me/messages/${encodeURIComponent(messageId)}${pathSuffix}`,
+                headers: { 'Content-Type': 'application/json' },
+                body
+            }));
+
+            try {
+                const response = await axios.post(CONFIG.GRAPH_BATCH_URL, { requests }, {
+                    headers,
+                    timeout: CONFIG.REQUEST_TIMEOUT
+                });
+
+                for (const item of response.data.responses || []) {
+                    const messageId = chunk[parseInt(item.id)];
+                    if (item.status >= 200 && item.status < 300) {
+                        // Graph assigns a new id when a message changes folder
+                        const newMessageId = pathSuffix === '/move' ? item.body?.id : undefined;
+                        results.push({ messageId, success: true, ...(newMessageId ? { newMessageId } : {}) });
+                    } else {
+                        results.push({ messageId, success: false, error: item.body?.error?.message || `HTTP ${item.status}` });
+                    }
+                }
+            } catch (err) {
+                if (err.response?.status === 401) {
+                    await this.emailService._markAccountForReauth(account, 'Token expired');
+                }
+                chunk.forEach(messageId => results.push({ messageId, success: false, error: err.message }));
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Accept a folder id, a well-known name, or a top-level display name
+     */
+    async _resolveGraphFolder(folder, headers) {
+        if (GRAPH_WELL_KNOWN_FOLDERS.includes(folder.toLowerCase())) {
+            return folder.toLowerCase();
+        }
+
+        const response = await axios.get(`${CONFIG.GRAPH_BASE_URL}/mailFolders?$top=100`, {
+            headers,
+            timeout: CONFIG.REQUEST_TIMEOUT
+        });
+        const folders = response.data.value || [];
+        const wanted = folder.toLowerCase();
+
+        const match = folders.find(f => f.id === folder) ||
+            folders.find(f => (f.displayName || '').toLowerCase() === wanted);
+
+        if (!match) {
+            throw new Error(`Folder not found: ${folder}`);
+        }
+        return match.id;
+    }
+
+    // ============================================================================
+    // IMAP
+    // ============================================================================
+
+    async _applyImap(account, messageIds, action, options) {
+        const outcomes = new Map();
+
+        // INBOX uids and Sent copies (`sent-<uid>`) are separate sets; anything else is
+        // rejected so a range like "1:*" can't hit the whole mailbox
+        const byMailbox = { inbox: [], sent: [] };
+        for (const messageId of messageIds) {
+            const parsed = this.emailService.parseImapMessageId(messageId);
+            if (!parsed) {
+                outcomes.set(messageId, { success: false, error: 'Invalid IMAP message id' });
+                continue;
+            }
+            byMailbox[parsed.sent ? 'sent' : 'inbox'].push({ messageId, uid: parsed.uid });
+        }
+
+        const batches = Object.entries(byMailbox).filter(([, items]) => items.length > 0);
+
+        if (batches.length > 0) {
+            try {
+                await this.emailService.withImapClient(account, async (client) => {
+                    for (const [mailbox, items] of batches) {
+                        try {
+                            await this.emailService.openImapMailbox(client, mailbox === 'sent');
+                            await this._applyImapAction(client, items.map(item => item.uid).join(','), action, options);
+                            items.forEach(item => outcomes.set(item.messageId, { success: true }));
+                        } catch (err) {
+                            items.forEach(item => outcomes.set(item.messageId, { success: false, error: err.message }));
+                        }
+                    }
+                });
+            } catch (err) {
+                // Couldn't connect - nothing was applied
+                for (const [, items] of batches) {
+                    items.forEach(item => outcomes.set(item.messageId, { success: false, error: err.message }));
+                }
+            }
+        }
+
+        return messageIds.map(messageId => ({ messageId, ...outcomes.get(messageId) }));
+    }
+
+    /**
+     * Apply an action to a UID set in the open mailbox
+     */
+    async _applyImapAction(client, uids, action, options) {
+        switch (action) {
+            case 'read':
+                await client.messageFlagsAdd(uids, ['\\Seen'], { uid: true });
+                break;
+            case 'unread':
+                await client.messageFlagsRemove(uids, ['\\Seen'], { uid: true });
+                break;
+            case 'star':
+                await client.messageFlagsAdd(uids, ['\\Flagged'], { uid: true });
+                break;
+            case 'unstar':
+                await client.messageFlagsRemove(uids, ['\\Flagged'], { uid: true });
+                break;
+            case 'archive': {
+                const archive = await this._findImapMailbox(client, null, ['\\Archive', '\\All']);
+                if (!archive) throw new Error('No archive mailbox on this server');
+                await client.messageMove(uids, archive, { uid: true });
+                break;
+            }
+            case 'move': {
+                const target = await this._findImapMailbox(client, options.folder, []);
+                if (!target) throw new Error(`Folder not found: ${options.folder}`);
+                await client.messageMove(uids, target, { uid: true });
+                break;
+            }
+        }
+    }
+
+    /**
+     * Find a mailbox path by name/path, or by special-use flag
+     */
+    async _findImapMailbox(client, name, specialUses) {
+        const mailboxes = await client.list();
+
+        if (name) {
+            const wanted = name.toLowerCase();
+            const match = mailboxes.find(box => box.path === name) ||
+                mailboxes.find(box => box.path.toLowerCase() === wanted || box.name.toLowerCase() === wanted);
+            return match ? match.path : null;
+        }
+
+        for (const specialUse of specialUses) {
+            const match = mailboxes.find(box => box.specialUse === specialUse);
+            if (match) return match.path;
+        }
+
+        const byName = mailboxes.find(box => /^archive$/i.test(box.name));
+        return byName ? byName.path : null;
+    }
+}
+
+module.exports = { EmailActions, EMAIL_ACTIONS: ACTIONS };
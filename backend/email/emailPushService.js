@@ -0,0 +1,415 @@
+/**
+ * Email Push Service - Live new-mail notifications
+ *
+ * Turns provider push signals into immediate syncs, and pushes the
+ * resulting new mail to the members who can read the account (room user_{uid}):
+ * - IMAP: a long-lived IDLE connection per account ('exists' events)
+ * - Gmail: users.watch -> Cloud Pub/Sub push -> POST /api/email/push/gmail
+ * - Microsoft Graph: inbox subscription -> POST /api/email/push/microsoft
+ *
+ * Push only triggers EmailSyncEngine.syncAccount; the periodic sync still
+ * runs as a safety net if a notification is missed.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const admin = require('firebase-admin');
+const { membersWithSourceAccess } = require('../core/policy');
+
+// Configuration
+const CONFIG = {
+    // Public base URL of this backend (Graph must be able to reach it)
+    PUSH_BASE_URL: process.env.EMAIL_PUSH_BASE_URL,
+    // Shared secret appended to the Pub/Sub push endpoint as ?token=
+    PUSH_TOKEN: process.env.EMAIL_PUSH_TOKEN,
+    // projects/{project}/topics/{topic}, with gmail-api-push@system.gserviceaccount.com as publisher
+    GMAIL_TOPIC: process.env.GMAIL_PUBSUB_TOPIC,
+
+    RECONCILE_INTERVAL: 10 * 60 * 1000, // Pick up new accounts, renew watches
+    RENEW_BEFORE: 24 * 60 * 60 * 1000, // Renew watches/subscriptions a day early
+    GRAPH_SUBSCRIPTION_MINUTES: 4200, // Graph max for messages is 4230
+    SYNC_DEBOUNCE: 2000, // Coalesce bursts of notifications
+    REQUEST_TIMEOUT: 30000,
+
+    // IMAP IDLE
+    IMAP_MAX_IDLE_TIME: 4 * 60 * 1000, // Re-issue IDLE before the 5 min socket timeout
+    RECONNECT_BASE_DELAY: 5000,
+    RECONNECT_MAX_DELAY: 5 * 60 * 1000
+};
+
+class EmailPushService {
+    constructor(db, emailSyncEngine, io) {
+        this.db = db;
+        this.emailSyncEngine = emailSyncEngine;
+        this.emailService = emailSyncEngine.emailService;
+        this.io = io;
+
+        this.imapWatchers = new Map(); // accountId -> { client, retries, retryTimer, stopped }
+        this.pendingSyncs = new Map(); // accountId -> debounce timer
+        this.timer = null;
+    }
+
+    /**
+     * Start watching accounts and relaying new mail to sockets
+     */
+    start() {
+        if (this.timer) return;
+
+        this.emailSyncEngine.on('new_email', ({ account, emails }) => {
+            this._broadcast(account, emails).catch(err => {
+                console.error(`[EmailPush] Broadcast failed for ${account.id}:`, err.message);
+            });
+        });
+
+        // A successful sync means the account is usable - make sure it's watched
+        this.emailSyncEngine.on('synced', ({ account }) => {
+            this.watchAccount(account).catch(err => {
+                console.error(`[EmailPush] Failed to watch ${account.email}:`, err.message);
+            });
+        });
+
+        this.timer = setInterval(() => this.reconcile(), CONFIG.RECONCILE_INTERVAL);
+        this.reconcile();
+
+        console.log('[EmailPush] Started');
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        for (const accountId of [...this.imapWatchers.keys()]) {
+            await this._stopImapWatcher(accountId);
+        }
+    }
+
+    /**
+     * Watch every active account; drop IDLE connections for removed ones
+     */
+    async reconcile() {
+        try {
+            const snapshot = await this.db.collection('emailAccounts').get();
+            const active = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(account => account.status !== 'requires_reauth');
+            const activeIds = new Set(active.map(account => account.id));
+
+            for (const accountId of this.imapWatchers.keys()) {
+                if (!activeIds.has(accountId)) {
+                    await this._stopImapWatcher(accountId);
+                }
+            }
+
+            for (const account of active) {
+                await this.watchAccount(account).catch(err => {
+                    console.error(`[EmailPush] Failed to watch ${account.email}:`, err.message);
+                });
+            }
+        } catch (err) {
+            console.error('[EmailPush] Reconcile failed:', err.message);
+        }
+    }
+
+    /**
+     * Ensure an account has a live watch (no-op if one is current)
+     */
+    async watchAccount(account) {
+        switch (account.provider) {
+            case 'gmail-oauth':
+                return this._ensureGmailWatch(account);
+            case 'microsoft-oauth':
+                return this._ensureGraphSubscription(account);
+            default:
+                return this._ensureImapWatcher(account);
+        }
+    }
+
+    /**
+     * Tear down watches for an account that is being removed (best effort)
+     */
+    async unwatchAccount(account) {
+        await this._stopImapWatcher(account.id);
+
+        try {
+            if (account.provider === 'gmail-oauth' && account.pushState?.gmailWatchExpiration) {
+                const gmail = await this.emailService.getGmailClient(account);
+                await gmail.users.stop({ userId: 'me' });
+            }
+
+            if (account.provider === 'microsoft-oauth' && account.pushState?.graphSubscriptionId) {
+                const accessToken = await this.emailService.getMicrosoftToken(account);
+                await axios.delete(`https://graph.microsoft.com/v1.0/subscriptions/${account.pushState.graphSubscriptionId}`, {
+                    headers: { Authorization: `Bearer ${accessToken}` },
+                    timeout: CONFIG.REQUEST_TIMEOUT
+                });
+            }
+        } catch (err) {
+            console.error(`[EmailPush] Failed to unwatch ${account.email}:`, err.message);
+        }
+    }
+
+    /**
+     * Check the ?token= on the Pub/Sub push endpoint
+     */
+    verifyPushToken(token) {
+        if (!CONFIG.PUSH_TOKEN || !token) return false;
+
+        const expected = Buffer.from(CONFIG.PUSH_TOKEN);
+        const received = Buffer.from(String(token));
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    // ============================================================================
+    // NOTIFICATION HANDLERS
+    // ============================================================================
+
+    /**
+     * Gmail Pub/Sub push: { message: { data: base64({ emailAddress, historyId }) } }
+     */
+    async handleGmailNotification(body) {
+        const data = body?.message?.data;
+        if (!data) return;
+
+        const { emailAddress } = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+        if (!emailAddress) return;
+
+        // The same mailbox can be connected by more than one company
+        const snapshot = await this.db.collection('emailAccounts')
+            .where('email', '==', emailAddress)
+            .get();
+
+        snapshot.docs
+            .filter(doc => doc.data().provider === 'gmail-oauth')
+            .forEach(doc => this._scheduleSync(doc.id));
+    }
+
+    /**
+     * Graph change notifications: { value: [{ subscriptionId, clientState, ... }] }
+     */
+    async handleMicrosoftNotifications(body) {
+        for (const notification of body?.value || []) {
+            const snapshot = await this.db.collection('emailAccounts')
+                .where('pushState.graphSubscriptionId', '==', notification.subscriptionId)
+                .limit(1)
+                .get();
+
+            if (snapshot.empty) {
+                console.log(`[EmailPush] Unknown Graph subscription ${notification.subscriptionId}`);
+                continue;
+            }
+
+            const doc = snapshot.docs[0];
+            if (doc.data().pushState?.graphClientState !== notification.clientState) {
+                console.warn(`[EmailPush] clientState mismatch for subscription ${notification.subscriptionId}`);
+                continue;
+            }
+
+            this._scheduleSync(doc.id);
+        }
+    }
+
+    // ============================================================================
+    // GMAIL WATCH
+    // ============================================================================
+
+    async _ensureGmailWatch(account) {
+        if (!CONFIG.GMAIL_TOPIC) return;
+
+        const expiration = account.pushState?.gmailWatchExpiration || 0;
+        if (expiration - Date.now() > CONFIG.RENEW_BEFORE) return;
+
+        const gmail = await this.emailService.getGmailClient(account);
+        const response = await gmail.users.watch({
+            userId: 'me',
+            requestBody: {
+                topicName: CONFIG.GMAIL_TOPIC,
+                labelIds: ['INBOX'],
+                labelFilterBehavior: 'INCLUDE'
+            }
+        });
+
+        const newExpiration = parseInt(response.data.expiration);
+        await this._updatePushState(account, { gmailWatchExpiration: newExpiration });
+        account.pushState = { ...account.pushState, gmailWatchExpiration: newExpiration };
+
+        console.log(`[EmailPush] Gmail watch active for ${account.email} until ${new Date(newExpiration).toISOString()}`);
+    }
+
+    // ============================================================================
+    // GRAPH SUBSCRIPTIONS
+    // ============================================================================
+
+    async _ensureGraphSubscription(account) {
+        if (!CONFIG.PUSH_BASE_URL) return;
+
+        const pushState = account.pushState || {};
+        const expiration = pushState.graphSubscriptionExpiration || 0;
+        if (pushState.graphSubscriptionId && expiration - Date.now() > CONFIG.RENEW_BEFORE) return;
+
+        const accessToken = await this.emailService.getMicrosoftToken(account);
+        const headers = { Authorization: `Bearer ${accessToken}` };
+        const expirationDateTime = new Date(Date.now() + CONFIG.GRAPH_SUBSCRIPTION_MINUTES * 60 * 1000).toISOString();
+
+        // Renew in place when we can
+        if (pushState.graphSubscriptionId) {
+            try {
+                await axios.patch(
+                    `https://graph.microsoft.com/v1.0/subscriptions/${pushState.graphSubscriptionId}`,
+                    { expirationDateTime },
+                    { headers, timeout: CONFIG.REQUEST_TIMEOUT }
+                );
+                await this._updatePushState(account, { graphSubscriptionExpiration: Date.parse(expirationDateTime) });
+                return;
+            } catch (err) {
+                if (err.response?.status !== 404) throw err;
+                // Subscription expired on Graph's side - create a new one
+            }
+        }
+
+        const clientState = crypto.randomBytes(24).toString('hex');
+        const response = await axios.post('https://graph.microsoft.com/v1.0/subscriptions', {
+            changeType: 'created',
+            notificationUrl: `${CONFIG.PUSH_BASE_URL}/api/email/push/microsoft`,
+            resource: "me/mailFolders('Inbox')/messages",
+            expirationDateTime,
+            clientState
+        }, { headers, timeout: CONFIG.REQUEST_TIMEOUT });
+
+        const fields = {
+            graphSubscriptionId: response.data.id,
+            graphSubscriptionExpiration: Date.parse(response.data.expirationDateTime),
+            graphClientState: clientState
+        };
+        await this._updatePushState(account, fields);
+        account.pushState = { ...pushState, ...fields };
+
+        console.log(`[EmailPush] Graph subscription created for ${account.email}`);
+    }
+
+    // ============================================================================
+    // IMAP IDLE
+    // ============================================================================
+
+    async _ensureImapWatcher(account) {
+        if (this.imapWatchers.has(account.id)) return;
+        if (!this.emailService._getImapConfig(account)) return;
+
+        const watcher = { client: null, retries: 0, retryTimer: null, stopped: false };
+        this.imapWatchers.set(account.id, watcher);
+        await this._connectImapWatcher(account, watcher);
+    }
+
+    async _connectImapWatcher(account, watcher) {
+        const client = this.emailService.createImapClient(this.emailService._getImapConfig(account), {
+            maxIdleTime: CONFIG.IMAP_MAX_IDLE_TIME
+        });
+        watcher.client = client;
+
+        client.on('exists', (data) => {
+            if (data.count > data.prevCount) {
+                this._scheduleSync(account.id);
+            }
+        });
+        client.on('error', (err) => {
+            console.error(`[EmailPush] IMAP watcher error for ${account.email}:`, err.message);
+        });
+        client.on('close', () => {
+            if (!watcher.stopped) {
+                this._reconnectImapWatcher(account, watcher);
+            }
+        });
+
+        try {
+            await client.connect();
+            // ImapFlow enters IDLE on its own once the selected mailbox is quiet
+            await client.mailboxOpen('INBOX');
+            watcher.retries = 0;
+            console.log(`[EmailPush] IDLE watching ${account.email}`);
+        } catch (err) {
+            console.error(`[EmailPush] IMAP watcher connect failed for ${account.email}:`, err.message);
+
+            if (err.authenticationFailed) {
+                // Bad credentials won't fix themselves; the sync engine flags the account
+                await this._stopImapWatcher(account.id);
+                return;
+            }
+            this._reconnectImapWatcher(account, watcher);
+        }
+    }
+
+    _reconnectImapWatcher(account, watcher) {
+        if (watcher.stopped || watcher.retryTimer) return;
+
+        const delay = Math.min(CONFIG.RECONNECT_BASE_DELAY * Math.pow(2, watcher.retries), CONFIG.RECONNECT_MAX_DELAY);
+        watcher.retries++;
+
+        watcher.retryTimer = setTimeout(() => {
+            watcher.retryTimer = null;
+            this._connectImapWatcher(account, watcher);
+        }, delay);
+    }
+
+    async _stopImapWatcher(accountId) {
+        const watcher = this.imapWatchers.get(accountId);
+        if (!watcher) return;
+
+        watcher.stopped = true;
+        clearTimeout(watcher.retryTimer);
+        this.imapWatchers.delete(accountId);
+
+        if (watcher.client) {
+            try {
+                await watcher.client.logout();
+            } catch (e) { /* ignore */ }
+        }
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    _scheduleSync(accountId) {
+        clearTimeout(this.pendingSyncs.get(accountId));
+
+        this.pendingSyncs.set(accountId, setTimeout(() => {
+            this.pendingSyncs.delete(accountId);
+            this.emailSyncEngine.syncAccount(accountId);
+        }, CONFIG.SYNC_DEBOUNCE));
+    }
+
+    /**
+     * Emit new mail to the members whose inboxes cover the account (no bodies - clients fetch those)
+     */
+    async _broadcast(account, emails) {
+        if (!this.io || !account.companyId) return;
+
+        const members = await membersWithSourceAccess(this.db, account.companyId, 'emailAccounts', account.id);
+        if (members.length === 0) return;
+
+        this.io.to(members.map(member => `user_${member.uid}`)).emit('new_email', {
+            accountId: account.id,
+            accountName: account.name || account.email,
+            emails: emails.map(email => ({
+                id: email.id,
+                threadId: email.threadId,
+                accountType: email.accountType,
+                from: email.from,
+                to: email.to,
+                subject: email.subject,
+                snippet: email.snippet,
+                date: email.date,
+                isRead: email.isRead
+            }))
+        });
+    }
+
+    async _updatePushState(account, fields) {
+        const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+        for (const [key, value] of Object.entries(fields)) {
+            update[`pushState.${key}`] = value;
+        }
+        await this.db.collection('emailAccounts').doc(account.id).update(update);
+    }
+}
+
+module.exports = { EmailPushService };
@@ -1,18 +1,187 @@
 /**
  * Email Routes
- * Handles email fetching and account authentication (OAuth & IMAP)
+ * Handles email fetching, sending and account authentication (OAuth & IMAP)
+ * Accounts are shared by the caller's company; adding and removing them needs manage_integrations.
+ * Members only see accounts in custom inboxes they can access, and need write
+ * access to send from or change mail in them (see core/policy.js).
+ * Sends can fill their subject, body and attachments from a template (templateId),
+ * and get the sender's and the account's signatures appended (see emailSignatures.js).
  */
 
 const express = require('express');
 const { google } = require('googleapis');
 const admin = require('firebase-admin');
-const { OAuthManager } = require('./oauthManager');
-const { EmailService } = require('./emailService');
-
-function createEmailRoutes(db) {
+const { EmailSender } = require('./emailSender');
+const { EmailActions } = require('./emailActions');
+const { EmailThreads } = require('./emailThreads');
+const { signState, verifyState } = require('../core/middleware/auth');
+const { can, requirePermission, resolveSourceScope, sourceAccess } = require('../core/policy');
+const { recordAudit } = require('../audit/auditLog');
+const {
+    renderTemplate,
+    customerFromAddress,
+    buildVariables,
+    loadTemplate,
+    loadAttachments
+} = require('../templates/templates');
+const { sanitizeSignature, resolveSignature } = require('./emailSignatures');
+const { sealCredentials } = require('../core/services/credentials');
+const { serializeEmailAccount } = require('../core/services/account-serializers');
+
+function createEmailRoutes(db, emailSyncEngine, emailPushService, storageService) {
     const router = express.Router();
-    const oauthManager = new OAuthManager(db);
-    const emailService = new EmailService(oauthManager, db);
+    const { oauthManager, emailService, emailStore } = emailSyncEngine;
+    const emailSender = new EmailSender(oauthManager, emailService, db);
+    const emailActions = new EmailActions(emailService);
+    const emailThreads = new EmailThreads(emailService);
+
+    /**
+     * Load an email account and check the acting user belongs to its company
+     * and may use it: access is 'read' (default), 'write' (send, change mail) or
+     * 'manage' (account administration, which doesn't depend on inbox access).
+     * Sends the error response itself and returns null on failure.
+     */
+    const resolveAccount = async (accountId, req, res, access = 'read') => {
+        const account = await emailService.getAccount(accountId);
+
+        if (!account) {
+            res.status(404).json({ success: false, error: 'Email account not found' });
+            return null;
+        }
+
+        if (account.companyId !== req.user.companyId) {
+            res.status(403).json({ success: false, error: 'Unauthorized: Company mismatch' });
+            return null;
+        }
+
+        if (access !== 'manage') {
+            const scope = await resolveSourceScope(db, req.user);
+            const level = sourceAccess(scope, 'emailAccounts', account.id);
+            if (!level) {
+                res.status(403).json({ success: false, error: 'No access to this email account' });
+                return null;
+            }
+            if (access === 'write' && level !== 'write') {
+                res.status(403).json({ success: false, error: 'Read-only access to this email account' });
+                return null;
+            }
+        }
+
+        return account;
+    };
+
+    /**
+     * Resolve the account behind an email id for the acting user.
+     * Returns null (response already sent) when the request cannot proceed.
+     */
+    const resolveEmailContext = async (req, res, access = 'read') => {
+        const userId = req.user.uid;
+        const parsed = emailService.parseEmailId(req.params.id);
+
+        if (!parsed) {
+            res.status(400).json({ success: false, error: 'Invalid email id' });
+            return null;
+        }
+
+        const account = await resolveAccount(parsed.accountId, req, res, access);
+        if (!account) return null;
+
+        return { account, providerMessageId: parsed.providerMessageId, userId };
+    };
+
+    /**
+     * Fill a send body from req.body.templateId: the template's subject and body
+     * are used unless the caller sent their own, and its attachments are added.
+     * Sends the error response itself and returns null on failure.
+     * @param {Object} customer - recipient variables (see templates/templates.js)
+     */
+    const applyTemplate = async (req, res, customer = {}) => {
+        const { templateId } = req.body;
+        if (!templateId) return req.body;
+
+        const { template, error, status } = await loadTemplate(db, templateId, req.user, 'email');
+        if (error) {
+            res.status(status).json({ success: false, error });
+            return null;
+        }
+
+        const variables = await buildVariables(db, req.user, customer, req.body.variables);
+        const rendered = renderTemplate(template, variables);
+        const files = await loadAttachments(storageService, req.user.companyId, template.attachments);
+        const hasBody = Boolean(req.body.html || req.body.text);
+
+        return {
+            ...req.body,
+            subject: req.body.subject || rendered.subject,
+            html: hasBody ? req.body.html : (rendered.html || undefined),
+            text: hasBody ? req.body.text : rendered.text,
+            attachments: [...(req.body.attachments || []), ...files]
+        };
+    };
+
+    /**
+     * Add the signature for this sender and account unless the caller opted out
+     * Body: { includeSignature?: false }
+     */
+    const withSignature = async (options, account, userId) => {
+        if (options.includeSignature === false) return { ...options, signature: null };
+        return { ...options, signature: await resolveSignature(db, account, userId) };
+    };
+
+    /**
+     * Recipient variables for a template from a "to" field (first address)
+     */
+    const customerFromRecipients = (to) => {
+        const first = Array.isArray(to) ? to[0] : String(to || '').split(',')[0];
+        return customerFromAddress(first);
+    };
+
+    /**
+     * Recipient variables for a template from the email being answered
+     */
+    const customerFromEmail = async (account, providerMessageId) => {
+        const original = await emailStore.getMessage(account.id, providerMessageId);
+        return original ? customerFromAddress(original.from) : {};
+    };
+
+    /**
+     * Keep a record of outbound mail per company (fire and forget)
+     */
+    const recordSentEmail = (account, userId, type, details) => {
+        db.collection('sentEmails').add({
+            companyId: account.companyId,
+            accountId: account.id,
+            sentBy: userId,
+            type,
+            ...details,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        }).catch(err => {
+            console.error('[Email] Failed to record sent email:', err.message);
+        });
+    };
+
+    /**
+     * Map a provider action result back to URBox email ids
+     */
+    const toActionResult = (account, id, result) => {
+        const response = { id, success: result.success };
+        if (result.error) response.error = result.error;
+        if (result.newMessageId) {
+            // Graph moves re-key the message
+            response.newId = `${emailService.parseEmailId(id).provider}_${account.id}_${result.newMessageId}`;
+        }
+        return response;
+    };
+
+    /**
+     * Apply successful provider actions to the email store (fire and forget)
+     */
+    const mirrorToStore = (account, results, action) => {
+        const messageIds = results.filter(r => r.success).map(r => r.messageId);
+        emailStore.applyAction(account.id, messageIds, action).catch(err => {
+            console.error('[Email] Failed to update email store:', err.message);
+        });
+    };
 
     // ============================================================================
     // ACCOUNT MANAGEMENT
@@ -20,25 +189,13 @@ function createEmailRoutes(db) {
 
     /**
      * GET /accounts
-     * List all email accounts for a company or user
+     * List the caller's company email accounts (all of them with manage_integrations,
+     * otherwise those in the caller's inboxes, each with its access level)
      */
     router.get('/accounts', async (req, res) => {
-        let { companyId, userId } = req.query;
-
-        if (!companyId && !userId) {
-            return res.status(400).json({ error: 'Missing companyId or userId' });
-        }
+        const { companyId } = req.user;
 
         try {
-            // If only userId provided, fetch companyId from user doc
-            if (!companyId && userId) {
-                const userDoc = await db.collection('users').doc(userId).get();
-                if (!userDoc.exists) {
-                    return res.status(404).json({ error: 'User not found' });
-                }
-                companyId = userDoc.data().companyId;
-            }
-
             if (!companyId) {
                 return res.status(400).json({ error: 'Company ID not found for user' });
             }
@@ -47,16 +204,15 @@ function createEmailRoutes(db) {
                 .where('companyId', '==', companyId)
                 .get();
 
+            const scope = can(req.user, 'manage_integrations') ? null : await resolveSourceScope(db, req.user);
+
             const accounts = [];
             snapshot.forEach(doc => {
-                const data = doc.data();
-                // Exclude sensitive info like passwords or refresh tokens if not needed
-                // Note: We're doing a shallow copy/exclude. For nested fields like imapConfig.password, 
-                // we might need to process them carefully if we want to hide them, but for listing in UI,
-                // usually we just return the object. Let's return full object for now but be mindful.
-                // Actually, let's just return the whole thing for now as the frontend might need specific config details
-                // to show status.
-                accounts.push({ id: doc.id, ...data });
+                const access = sourceAccess(scope, 'emailAccounts', doc.id);
+                if (!access) return;
+
+                // Credentials and provider state stay on the server
+                accounts.push({ ...serializeEmailAccount(doc.id, doc.data()), access });
             });
 
             res.json(accounts);
@@ -70,11 +226,25 @@ function createEmailRoutes(db) {
      * DELETE /accounts/:id
      * Delete an email account
      */
-    router.delete('/accounts/:id', async (req, res) => {
+    router.delete('/accounts/:id', requirePermission('manage_integrations'), async (req, res) => {
         const { id } = req.params;
 
         try {
+            const account = await resolveAccount(id, req, res, 'manage');
+            if (!account) return;
+
+            await emailPushService.unwatchAccount(account);
+
+            // Firestore doesn't remove subcollections with their parent
+            await emailStore.clearMessages(id);
             await db.collection('emailAccounts').doc(id).delete();
+
+            recordAudit(db, req, {
+                action: 'email_account.deleted',
+                target: { type: 'email_account', id, label: account.email },
+                details: { provider: account.provider }
+            });
+
             res.json({ success: true });
         } catch (err) {
             console.error('[Email] Delete account error:', err);
@@ -82,6 +252,67 @@ function createEmailRoutes(db) {
         }
     });
 
+    /**
+     * GET /accounts/:id/sync
+     * Sync status of an account (last run, error, whether the inbox is served from the store)
+     */
+    router.get('/accounts/:id/sync', async (req, res) => {
+        try {
+            const account = await resolveAccount(req.params.id, req, res);
+            if (!account) return;
+
+            const syncState = account.syncState || {};
+            res.json({
+                success: true,
+                sync: {
+                    ready: !!syncState.ready,
+                    syncing: emailSyncEngine.syncing.has(account.id),
+                    lastSyncAt: syncState.lastSyncAt?.toDate ? syncState.lastSyncAt.toDate() : null,
+                    lastErrorAt: syncState.lastErrorAt?.toDate ? syncState.lastErrorAt.toDate() : null,
+                    error: syncState.error || null
+                }
+            });
+        } catch (err) {
+            console.error('[Email] Sync status error:', err);
+            res.status(500).json({ success: false, error: 'Failed to get sync status' });
+        }
+    });
+
+    /**
+     * POST /accounts/:id/sync
+     * Run a sync now. Body: { full } - full drops the store and starts over,
+     * so it needs manage_integrations
+     */
+    router.post('/accounts/:id/sync', async (req, res) => {
+        const { full } = req.body;
+
+        try {
+            if (full && !can(req.user, 'manage_integrations')) {
+                return res.status(403).json({ success: false, error: 'Permission required: manage_integrations' });
+            }
+
+            const account = await resolveAccount(req.params.id, req, res, full ? 'manage' : 'read');
+            if (!account) return;
+
+            const result = full
+                ? await emailSyncEngine.resync(account.id)
+                : await emailSyncEngine.syncAccount(account.id);
+
+            if (!result) {
+                const syncState = await emailStore.getSyncState(account.id);
+                return res.status(409).json({
+                    success: false,
+                    error: syncState?.error || 'Sync already running or account needs re-authentication'
+                });
+            }
+
+            res.json({ success: true, ...result });
+        } catch (err) {
+            console.error('[Email] Manual sync error:', err);
+            res.status(500).json({ success: false, error: 'Failed to sync account: ' + err.message });
+        }
+    });
+
     // ============================================================================
     // EMAIL FETCHING
     // ============================================================================
@@ -89,12 +320,25 @@ function createEmailRoutes(db) {
     /**
      * POST /
      * Fetch emails from multiple accounts
+     * Body: { accounts: [account or accountId], offsets, groupByThread } - groupByThread adds a `threads` list
+     * Accounts are reloaded server side and limited to the caller's company and inboxes
      */
     router.post('/', async (req, res) => {
         try {
-            const { accounts, offsets } = req.body;
-
-            if (!accounts || accounts.length === 0) {
+            const { offsets, groupByThread } = req.body;
+            const requested = (req.body.accounts || []).map(a => (typeof a === 'string' ? a : a?.id)).filter(Boolean);
+
+            const snapshot = requested.length > 0
+                ? await db.collection('emailAccounts').where('companyId', '==', req.user.companyId).get()
+                : null;
+            const scope = await resolveSourceScope(db, req.user);
+            const accounts = snapshot
+                ? snapshot.docs
+                    .filter(doc => requested.includes(doc.id) && sourceAccess(scope, 'emailAccounts', doc.id))
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                : [];
+
+            if (accounts.length === 0) {
                 return res.status(400).json({
                     error: 'No email accounts provided. Please add accounts in Email Accounts section.'
                 });
@@ -106,6 +350,7 @@ function createEmailRoutes(db) {
 
             res.json({
                 emails: result.emails,
+                ...(groupByThread ? { threads: emailThreads.groupByThread(result.emails) } : {}),
                 pagination: result.pagination,
                 errors: result.errors
             });
@@ -117,19 +362,434 @@ function createEmailRoutes(db) {
     });
 
     /**
-     * POST /:id/read
-     * Mark email as read
+     * GET /threads/:id
+     * Whole conversation for a thread, oldest message first
+     * :id is an email's conversationId ({provider}_{accountId}_{threadId})
      */
-    router.post('/:id/read', async (req, res) => {
+    router.get('/threads/:id', async (req, res) => {
+        const parsed = emailService.parseEmailId(req.params.id);
+
+        if (!parsed) {
+            return res.status(400).json({ success: false, error: 'Invalid thread id' });
+        }
+
         try {
-            // Read functionality disabled by default to simplify scopes
-            res.json({ success: true, message: 'Read receipt disabled (read-only mode)' });
+            const account = await resolveAccount(parsed.accountId, req, res);
+            if (!account) return;
+
+            const thread = await emailThreads.getThread(account, parsed.providerMessageId);
+
+            if (thread.messageCount === 0) {
+                return res.status(404).json({ success: false, error: 'Thread not found' });
+            }
+
+            res.json({ success: true, thread });
         } catch (err) {
-            console.error('[Email Route] Mark read error:', err);
-            res.json({ success: false, error: err.message });
+            console.error('[Email Route] Thread fetch error:', err);
+            res.status(500).json({ success: false, error: 'Failed to fetch thread: ' + err.message });
         }
     });
 
+    // ============================================================================
+    // SIGNATURES
+    // ============================================================================
+
+    /**
+     * GET /signature
+     * The caller's personal signature
+     */
+    router.get('/signature', async (req, res) => {
+        try {
+            const userDoc = await db.collection('users').doc(req.user.uid).get();
+            res.json({ success: true, signature: userDoc.data()?.signature || null });
+        } catch (err) {
+            console.error('[Email] Get signature error:', err);
+            res.status(500).json({ success: false, error: 'Failed to load signature' });
+        }
+    });
+
+    /**
+     * PUT /signature
+     * Set the caller's personal signature (empty html removes it)
+     * Body: { html }
+     */
+    router.put('/signature', async (req, res) => {
+        const { signature, error } = sanitizeSignature(req.body.html);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        try {
+            await db.collection('users').doc(req.user.uid).update({
+                signature: signature && { ...signature, updatedAt: admin.firestore.Timestamp.now() },
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            res.json({ success: true, signature });
+        } catch (err) {
+            console.error('[Email] Update signature error:', err);
+            res.status(500).json({ success: false, error: 'Failed to save signature' });
+        }
+    });
+
+    /**
+     * GET /accounts/:id/signature
+     * The account's shared signature, and what gets appended when the caller sends from it
+     */
+    router.get('/accounts/:id/signature', async (req, res) => {
+        try {
+            const account = await resolveAccount(req.params.id, req, res);
+            if (!account) return;
+
+            res.json({
+                success: true,
+                signature: account.signature || null,
+                combined: await resolveSignature(db, account, req.user.uid)
+            });
+        } catch (err) {
+            console.error('[Email] Get account signature error:', err);
+            res.status(500).json({ success: false, error: 'Failed to load signature' });
+        }
+    });
+
+    /**
+     * PUT /accounts/:id/signature
+     * Set the signature everyone sending from this account gets (empty html removes it)
+     * Body: { html }
+     */
+    router.put('/accounts/:id/signature', requirePermission('manage_integrations'), async (req, res) => {
+        const { signature, error } = sanitizeSignature(req.body.html);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        try {
+            const account = await resolveAccount(req.params.id, req, res, 'manage');
+            if (!account) return;
+
+            await db.collection('emailAccounts').doc(account.id).update({
+                signature: signature && {
+                    ...signature,
+                    updatedBy: req.user.uid,
+                    updatedAt: admin.firestore.Timestamp.now()
+                },
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            recordAudit(db, req, {
+                action: 'email_account.signature_updated',
+                target: { type: 'email_account', id: account.id, label: account.email },
+                details: { removed: !signature }
+            });
+
+            res.json({ success: true, signature });
+        } catch (err) {
+            console.error('[Email] Update account signature error:', err);
+            res.status(500).json({ success: false, error: 'Failed to save signature' });
+        }
+    });
+
+    // ============================================================================
+    // SENDING
+    // ============================================================================
+
+    /**
+     * POST /send
+     * Compose a new email from a connected account
+     * Body: { accountId, to, cc, bcc, subject, html, text, attachments, templateId?, variables?, includeSignature? }
+     */
+    router.post('/send', async (req, res) => {
+        const { accountId, to, subject } = req.body;
+        const userId = req.user.uid;
+
+        if (!accountId || !to) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: accountId, to'
+            });
+        }
+
+        try {
+            const account = await resolveAccount(accountId, req, res, 'write');
+            if (!account) return;
+
+            const options = await applyTemplate(req, res, customerFromRecipients(to));
+            if (!options) return;
+
+            const result = await emailSender.send(account, await withSignature(options, account, userId));
+            recordSentEmail(account, userId, 'new', {
+                to,
+                subject: options.subject || subject || '',
+                providerMessageId: result.messageId,
+                ...(options.templateId && { templateId: options.templateId })
+            });
+
+            res.json({ success: true, ...result });
+        } catch (err) {
+            console.error('[Email Route] Send error:', err);
+            res.status(500).json({ success: false, error: 'Failed to send email: ' + err.message });
+        }
+    });
+
+    /**
+     * POST /:id/reply
+     * Reply to the sender of an email
+     * Body: { html, text, cc, bcc, attachments, templateId?, variables?, includeSignature? }
+     */
+    router.post('/:id/reply', async (req, res) => {
+        try {
+            const context = await resolveEmailContext(req, res, 'write');
+            if (!context) return;
+
+            const options = await applyTemplate(req, res, await customerFromEmail(context.account, context.providerMessageId));
+            if (!options) return;
+
+            const result = await emailSender.reply(context.account, context.providerMessageId, {
+                ...await withSignature(options, context.account, context.userId),
+                replyAll: false
+            });
+            recordSentEmail(context.account, context.userId, 'reply', {
+                inReplyTo: req.params.id,
+                providerMessageId: result.messageId,
+                ...(options.templateId && { templateId: options.templateId })
+            });
+
+            res.json({ success: true, ...result });
+        } catch (err) {
+            console.error('[Email Route] Reply error:', err);
+            res.status(500).json({ success: false, error: 'Failed to send reply: ' + err.message });
+        }
+    });
+
+    /**
+     * POST /:id/reply-all
+     * Reply to the sender and all original recipients
+     * Body: { html, text, cc, bcc, attachments, templateId?, variables?, includeSignature? }
+     */
+    router.post('/:id/reply-all', async (req, res) => {
+        try {
+            const context = await resolveEmailContext(req, res, 'write');
+            if (!context) return;
+
+            const options = await applyTemplate(req, res, await customerFromEmail(context.account, context.providerMessageId));
+            if (!options) return;
+
+            const result = await emailSender.reply(context.account, context.providerMessageId, {
+                ...await withSignature(options, context.account, context.userId),
+                replyAll: true
+            });
+            recordSentEmail(context.account, context.userId, 'reply-all', {
+                inReplyTo: req.params.id,
+                providerMessageId: result.messageId,
+                ...(options.templateId && { templateId: options.templateId })
+            });
+
+            res.json({ success: true, ...result });
+        } catch (err) {
+            console.error('[Email Route] Reply-all error:', err);
+            res.status(500).json({ success: false, error: 'Failed to send reply: ' + err.message });
+        }
+    });
+
+    /**
+     * POST /:id/forward
+     * Forward an email (with its attachments) to new recipients
+     * Body: { to, cc, bcc, html, text, attachments, templateId?, variables?, includeSignature? }
+     */
+    router.post('/:id/forward', async (req, res) => {
+        if (!req.body.to) {
+            return res.status(400).json({ success: false, error: 'Missing required field: to' });
+        }
+
+        try {
+            const context = await resolveEmailContext(req, res, 'write');
+            if (!context) return;
+
+            const options = await applyTemplate(req, res, customerFromRecipients(req.body.to));
+            if (!options) return;
+
+            const result = await emailSender.forward(context.account, context.providerMessageId,
+                await withSignature(options, context.account, context.userId));
+            recordSentEmail(context.account, context.userId, 'forward', {
+                to: req.body.to,
+                forwardOf: req.params.id,
+                providerMessageId: result.messageId,
+                ...(options.templateId && { templateId: options.templateId })
+            });
+
+            res.json({ success: true, ...result });
+        } catch (err) {
+            console.error('[Email Route] Forward error:', err);
+            res.status(500).json({ success: false, error: 'Failed to forward email: ' + err.message });
+        }
+    });
+
+    // ============================================================================
+    // MESSAGE ACTIONS
+    // ============================================================================
+
+    /**
+     * POST /bulk
+     * Apply one action to many emails (may span several accounts)
+     * Body: { ids: [emailId], action, folder }
+     */
+    router.post('/bulk', async (req, res) => {
+        const { ids, action, folder } = req.body;
+
+        if (!Array.isArray(ids) || ids.length === 0 || !action) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields: ids, action'
+            });
+        }
+
+        if (!emailActions.isValidAction(action)) {
+            return res.status(400).json({ success: false, error: `Unknown action: ${action}` });
+        }
+
+        try {
+            const { companyId } = req.user;
+            const scope = await resolveSourceScope(db, req.user);
+
+            // Group ids by account so each provider gets one batched call
+            const results = [];
+            const byAccount = new Map();
+            for (const id of ids) {
+                const parsed = emailService.parseEmailId(id);
+                if (!parsed) {
+                    results.push({ id, success: false, error: 'Invalid email id' });
+                    continue;
+                }
+                if (!byAccount.has(parsed.accountId)) byAccount.set(parsed.accountId, []);
+                byAccount.get(parsed.accountId).push({ id, messageId: parsed.providerMessageId });
+            }
+
+            for (const [accountId, entries] of byAccount) {
+                const account = await emailService.getAccount(accountId);
+
+                if (!account || account.companyId !== companyId) {
+                    entries.forEach(e => results.push({ id: e.id, success: false, error: 'Email account not found' }));
+                    continue;
+                }
+                if (sourceAccess(scope, 'emailAccounts', account.id) !== 'write') {
+                    entries.forEach(e => results.push({ id: e.id, success: false, error: 'No write access to this email account' }));
+                    continue;
+                }
+
+                try {
+                    const accountResults = await emailActions.apply(
+                        account,
+                        entries.map(e => e.messageId),
+                        action,
+                        { folder }
+                    );
+                    // Graph batch responses aren't ordered, so match on the provider id
+                    const idByMessageId = new Map(entries.map(e => [String(e.messageId), e.id]));
+                    accountResults.forEach(r => results.push(toActionResult(account, idByMessageId.get(String(r.messageId)), r)));
+                    mirrorToStore(account, accountResults, action);
+                } catch (err) {
+                    entries.forEach(e => results.push({ id: e.id, success: false, error: err.message }));
+                }
+            }
+
+            const failed = results.filter(r => !r.success).length;
+            console.log(`[Email] Bulk ${action}: ${results.length - failed} ok, ${failed} failed`);
+
+            res.json({ success: failed === 0, results });
+        } catch (err) {
+            console.error('[Email Route] Bulk action error:', err);
+            res.status(500).json({ success: false, error: 'Failed to apply action: ' + err.message });
+        }
+    });
+
+    /**
+     * GET /accounts/:id/folders
+     * List folders/labels available as move destinations
+     */
+    router.get('/accounts/:id/folders', async (req, res) => {
+        try {
+            const account = await resolveAccount(req.params.id, req, res);
+            if (!account) return;
+
+            const folders = await emailActions.listFolders(account);
+            res.json({ success: true, folders });
+        } catch (err) {
+            console.error('[Email Route] List folders error:', err);
+            res.status(500).json({ success: false, error: 'Failed to list folders: ' + err.message });
+        }
+    });
+
+    /**
+     * POST /:id/:action
+     * Mark read/unread, star/unstar, archive or move a single email
+     * Body: { folder } (folder only for move)
+     */
+    router.post('/:id/:action(read|unread|star|unstar|archive|move)', async (req, res) => {
+        const { action } = req.params;
+
+        try {
+            const context = await resolveEmailContext(req, res, 'write');
+            if (!context) return;
+
+            const [result] = await emailActions.apply(
+                context.account,
+                [context.providerMessageId],
+                action,
+                { folder: req.body.folder }
+            );
+            const response = toActionResult(context.account, req.params.id, result);
+            mirrorToStore(context.account, [result], action);
+
+            if (!response.success) {
+                return res.status(502).json(response);
+            }
+            res.json(response);
+        } catch (err) {
+            console.error(`[Email Route] ${action} error:`, err);
+            res.status(500).json({ success: false, error: err.message });
+        }
+    });
+
+    // ============================================================================
+    // PUSH NOTIFICATIONS
+    // ============================================================================
+
+    /**
+     * POST /push/gmail
+     * Cloud Pub/Sub push endpoint for Gmail watch notifications
+     * The push subscription URL must include ?token=EMAIL_PUSH_TOKEN
+     */
+    router.post('/push/gmail', (req, res) => {
+        if (!emailPushService.verifyPushToken(req.query.token)) {
+            return res.status(403).json({ success: false, error: 'Invalid push token' });
+        }
+
+        // Ack straight away - Pub/Sub redelivers anything that isn't 2xx
+        res.status(204).end();
+
+        emailPushService.handleGmailNotification(req.body).catch(err => {
+            console.error('[Email] Gmail push error:', err.message);
+        });
+    });
+
+    /**
+     * POST /push/microsoft
+     * Microsoft Graph change notification endpoint (also answers subscription validation)
+     */
+    router.post('/push/microsoft', (req, res) => {
+        // Graph checks the endpoint by echoing a validation token when a subscription is created
+        if (req.query.validationToken) {
+            return res.type('text/plain').send(req.query.validationToken);
+        }
+
+        // Graph expects a response within 3 seconds
+        res.status(202).end();
+
+        emailPushService.handleMicrosoftNotifications(req.body).catch(err => {
+            console.error('[Email] Graph push error:', err.message);
+        });
+    });
+
     // ============================================================================
     // IMAP MANAGEMENT
     // ============================================================================
@@ -138,7 +798,7 @@ function createEmailRoutes(db) {
      * POST /imap/test
      * Test IMAP connection before adding account
      */
-    router.post('/imap/test', async (req, res) => {
+    router.post('/imap/test', requirePermission('manage_integrations'), async (req, res) => {
         const { host, port, email, password, tls } = req.body;
 
         if (!host || !email || !password) {
@@ -164,24 +824,14 @@ function createEmailRoutes(db) {
      * POST /imap/add
      * Add IMAP email account
      */
-    router.post('/imap/add', async (req, res) => {
-        let { companyId, userId, name, host, port, email, password, tls } = req.body;
-
-        if (!userId) {
-            return res.status(400).json({ success: false, error: 'Missing userId' });
-        }
-
-        if (!companyId || companyId === 'PENDING') {
-            const userDoc = await db.collection('users').doc(userId).get();
-            if (userDoc.exists) {
-                companyId = userDoc.data().companyId;
-            }
-        }
+    router.post('/imap/add', requirePermission('manage_integrations'), async (req, res) => {
+        const { name, host, port, email, password, tls, smtpHost, smtpPort, smtpSecure } = req.body;
+        const { uid: userId, companyId } = req.user;
 
         if (!companyId) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing companyId or could not resolve from user'
+                error: 'Company ID not found for user'
             });
         }
 
@@ -216,7 +866,8 @@ function createEmailRoutes(db) {
                 .where('email', '==', email)
                 .get();
 
-            const accountData = {
+            // The password is stored encrypted
+            const accountData = sealCredentials({
                 companyId,
                 addedBy: userId,
                 name: name || email,
@@ -226,7 +877,17 @@ function createEmailRoutes(db) {
                 imapConfig: config,
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            };
+            });
+
+            // Outgoing server is optional - defaults to the IMAP host with imap. -> smtp.
+            // It signs in with the IMAP credentials
+            if (smtpHost) {
+                accountData.smtpConfig = {
+                    host: smtpHost,
+                    port: smtpPort || 465,
+                    secure: smtpSecure !== false
+                };
+            }
 
             let docId;
             if (!existingAccount.empty) {
@@ -244,6 +905,9 @@ function createEmailRoutes(db) {
                 console.log(`[IMAP] Added new account: ${email}`);
             }
 
+            // Initial sync runs in the background
+            emailSyncEngine.syncAccount(docId);
+
             res.json({
                 success: true,
                 message: `Account ${email} connected successfully!`,
@@ -266,33 +930,24 @@ function createEmailRoutes(db) {
     // Google OAuth Scopes
     const GOOGLE_SCOPES = [
         'https://www.googleapis.com/auth/gmail.readonly',
+        'https://www.googleapis.com/auth/gmail.send',
+        'https://www.googleapis.com/auth/gmail.modify',
         'https://www.googleapis.com/auth/userinfo.email',
         'https://www.googleapis.com/auth/calendar.readonly'
     ];
 
     /**
      * GET /auth/google
-     * Initiate Google OAuth flow
+     * Initiate Google OAuth flow (opened in the browser with ?access_token=)
      */
-    router.get('/auth/google', async (req, res) => {
-        let { companyId, userId } = req.query;
-
-        if (!userId) {
-            return res.status(400).send('Missing userId');
-        }
-
-        if (!companyId || companyId === 'LOOKUP') {
-            const userDoc = await db.collection('users').doc(userId).get();
-            if (userDoc.exists) {
-                companyId = userDoc.data().companyId;
-            }
-        }
+    router.get('/auth/google', requirePermission('manage_integrations'), async (req, res) => {
+        const { uid: userId, companyId } = req.user;
 
         if (!companyId) {
             return res.status(400).send('Company ID not found');
         }
 
-        const state = Buffer.from(JSON.stringify({ companyId, userId })).toString('base64');
+        const state = signState({ companyId, userId });
         const authUrl = oauthManager.getGoogleAuthUrl(state);
 
         res.redirect(authUrl);
@@ -309,12 +964,17 @@ function createEmailRoutes(db) {
             return res.status(400).send('Missing code or state');
         }
 
+        const verified = verifyState(state);
+        if (!verified) {
+            return res.status(400).send('Invalid or expired state. Please start the connection again.');
+        }
+
         try {
-            const { companyId, userId } = JSON.parse(Buffer.from(state, 'base64').toString());
+            const { companyId, userId } = verified;
 
             const tokenResult = await oauthManager.exchangeGoogleCode(code);
 
-            const accountData = {
+            const accountData = sealCredentials({
                 companyId,
                 addedBy: userId,
                 name: tokenResult.name || tokenResult.email,
@@ -329,7 +989,7 @@ function createEmailRoutes(db) {
                 },
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            };
+            });
 
             // Check if account exists
             const existingAccount = await db.collection('emailAccounts')
@@ -337,15 +997,21 @@ function createEmailRoutes(db) {
                 .where('email', '==', tokenResult.email)
                 .get();
 
+            let accountId;
             if (!existingAccount.empty) {
+                accountId = existingAccount.docs[0].id;
                 await existingAccount.docs[0].ref.update({
                     ...accountData,
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
             } else {
-                await db.collection('emailAccounts').add(accountData);
+                const docRef = await db.collection('emailAccounts').add(accountData);
+                accountId = docRef.id;
             }
 
+            // Initial sync runs in the background
+            emailSyncEngine.syncAccount(accountId);
+
             // Return success page
             res.send(`
                 <html>
@@ -370,28 +1036,17 @@ function createEmailRoutes(db) {
 
     /**
      * GET /auth/microsoft
-     * Initiate Microsoft OAuth flow
+     * Initiate Microsoft OAuth flow (opened in the browser with ?access_token=)
      */
-    router.get('/auth/microsoft', async (req, res) => {
-        let { companyId, userId } = req.query;
-
-        if (!userId) {
-            return res.status(400).send('Missing userId');
-        }
-
-        if (!companyId || companyId === 'LOOKUP') {
-            const userDoc = await db.collection('users').doc(userId).get();
-            if (userDoc.exists) {
-                companyId = userDoc.data().companyId;
-            }
-        }
+    router.get('/auth/microsoft', requirePermission('manage_integrations'), async (req, res) => {
+        const { uid: userId, companyId } = req.user;
 
         if (!companyId) {
             return res.status(400).send('Company ID not found');
         }
 
         try {
-            const state = Buffer.from(JSON.stringify({ companyId, userId })).toString('base64');
+            const state = signState({ companyId, userId });
             const authUrl = await oauthManager.getMicrosoftAuthUrl(state);
             res.redirect(authUrl);
         } catch (error) {
@@ -416,12 +1071,17 @@ function createEmailRoutes(db) {
             return res.status(400).send('Missing code or state');
         }
 
+        const verified = verifyState(state);
+        if (!verified) {
+            return res.status(400).send('Invalid or expired state. Please start the connection again.');
+        }
+
         try {
-            const { companyId, userId } = JSON.parse(Buffer.from(state, 'base64').toString());
+            const { companyId, userId } = verified;
 
             const tokenResult = await oauthManager.exchangeMicrosoftCode(code);
 
-            const accountData = {
+            const accountData = sealCredentials({
                 companyId,
                 addedBy: userId,
                 name: tokenResult.name || tokenResult.email,
@@ -436,7 +1096,7 @@ function createEmailRoutes(db) {
                 },
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            };
+            });
 
             // Check if account exists
             const existingAccount = await db.collection('emailAccounts')
@@ -444,15 +1104,21 @@ function createEmailRoutes(db) {
                 .where('email', '==', tokenResult.email)
                 .get();
 
+            let accountId;
             if (!existingAccount.empty) {
+                accountId = existingAccount.docs[0].id;
                 await existingAccount.docs[0].ref.update({
                     ...accountData,
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
             } else {
-                await db.collection('emailAccounts').add(accountData);
+                const docRef = await db.collection('emailAccounts').add(accountData);
+                accountId = docRef.id;
             }
 
+            // Initial sync runs in the background
+            emailSyncEngine.syncAccount(accountId);
+
             // Return success page
             res.send(`
                 <html>
@@ -0,0 +1,590 @@
+/**
+ * Email Sender - Outbound Email (reply, reply-all, forward, compose)
+ *
+ * Sends through the account the original email arrived on:
+ * - Gmail accounts use the Gmail API (users.messages.send)
+ * - Microsoft accounts use Microsoft Graph (createReply/createForward + send)
+ * - IMAP accounts use SMTP, then append a copy to the Sent mailbox
+ *
+ * Replies always carry In-Reply-To/References so providers keep the thread intact.
+ * A signature passed in options ({ html, text }) goes under the new text, above any quote.
+ */
+
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { simpleParser } = require('mailparser');
+const axios = require('axios');
+const { convert: htmlToText } = require('html-to-text');
+const { revealSecret } = require('../core/services/credentials');
+
+// Configuration
+const CONFIG = {
+    REQUEST_TIMEOUT: 30000,
+    SMTP_CONNECTION_TIMEOUT: 30000,
+    DEFAULT_SMTP_PORT: 465,
+    GRAPH_BASE_URL: 'https://graph.microsoft.com/v1.0/me'
+};
+
+class EmailSender {
+    constructor(oauthManager, emailService, db) {
+        this.oauthManager = oauthManager;
+        this.emailService = emailService;
+        this.db = db;
+    }
+
+    // ============================================================================
+    // PUBLIC API
+    // ============================================================================
+
+    /**
+     * Reply (or reply-all) to a message
+     * @param {Object} account - emailAccounts document (with id)
+     * @param {string} providerMessageId - Gmail id, Graph id or IMAP uid
+     * @param {Object} options - { html, text, attachments, replyAll, cc, bcc, signature }
+     */
+    async reply(account, providerMessageId, options = {}) {
+        options = this._withSignature(options);
+        const action = options.replyAll ? 'replyAll' : 'reply';
+
+        if (account.provider === 'microsoft-oauth') {
+            return this._respondViaMicrosoft(account, providerMessageId, action, options);
+        }
+
+        const original = await this._loadOriginal(account, providerMessageId);
+        const recipients = this._buildReplyRecipients(original, account, options.replyAll);
+
+        if (recipients.to.length === 0) {
+            throw new Error('Original message has no sender to reply to');
+        }
+
+        const mail = {
+            from: this._formatFrom(account),
+            to: recipients.to,
+            cc: [...recipients.cc, ...this._toList(options.cc)],
+            bcc: this._toList(options.bcc),
+            subject: this._prefixSubject('Re:', original.subject),
+            html: this._appendQuote(options.html || this._textToHtml(options.text), original, 'reply'),
+            text: options.text,
+            attachments: this._normalizeAttachments(options.attachments),
+            inReplyTo: original.messageId,
+            references: this._buildReferences(original)
+        };
+
+        return this._dispatch(account, mail, original.threadId);
+    }
+
+    /**
+     * Forward a message (original attachments are carried over)
+     * @param {Object} options - { to, cc, bcc, html, text, attachments, signature }
+     */
+    async forward(account, providerMessageId, options = {}) {
+        options = this._withSignature(options);
+        const to = this._toList(options.to);
+        if (to.length === 0) {
+            throw new Error('Forward requires at least one recipient');
+        }
+
+        if (account.provider === 'microsoft-oauth') {
+            return this._respondViaMicrosoft(account, providerMessageId, 'forward', { ...options, to });
+        }
+
+        const original = await this._loadOriginal(account, providerMessageId);
+
+        const mail = {
+            from: this._formatFrom(account),
+            to,
+            cc: this._toList(options.cc),
+            bcc: this._toList(options.bcc),
+            subject: this._prefixSubject('Fwd:', original.subject),
+            html: this._appendQuote(options.html || this._textToHtml(options.text), original, 'forward'),
+            text: options.text,
+            attachments: [
+                ...original.attachments,
+                ...this._normalizeAttachments(options.attachments)
+            ],
+            references: this._buildReferences(original)
+        };
+
+        return this._dispatch(account, mail, original.threadId);
+    }
+
+    /**
+     * Compose and send a brand new message
+     * @param {Object} options - { to, cc, bcc, subject, html, text, attachments, signature }
+     */
+    async send(account, options = {}) {
+        options = this._withSignature(options);
+        const to = this._toList(options.to);
+        if (to.length === 0) {
+            throw new Error('At least one recipient is required');
+        }
+
+        const mail = {
+            from: this._formatFrom(account),
+            to,
+            cc: this._toList(options.cc),
+            bcc: this._toList(options.bcc),
+            subject: options.subject || '',
+            html: options.html || this._textToHtml(options.text),
+            text: options.text,
+            attachments: this._normalizeAttachments(options.attachments)
+        };
+
+        if (account.provider === 'microsoft-oauth') {
+            return this._sendNewViaMicrosoft(account, mail);
+        }
+
+        return this._dispatch(account, mail, null);
+    }
+
+    // ============================================================================
+    // ORIGINAL MESSAGE LOADING
+    // ============================================================================
+
+    /**
+     * Load the raw original message and parse it into a common shape
+     * Only used for Gmail and IMAP; Graph threads replies server-side.
+     */
+    async _loadOriginal(account, providerMessageId) {
+        let source;
+        let threadId = null;
+
+        if (account.provider === 'gmail-oauth') {
+            const gmail = await this.emailService.getGmailClient(account);
+            const response = await gmail.users.messages.get({
+                userId: 'me',
+                id: providerMessageId,
+                format: 'raw'
+            });
+            source = Buffer.from(response.data.raw, 'base64');
+            threadId = response.data.threadId;
+        } else {
+            source = await this._fetchImapSource(account, providerMessageId);
+        }
+
+        const parsed = await simpleParser(source);
+
+        return {
+            messageId: parsed.messageId || null,
+            references: this._toArray(parsed.references),
+            subject: parsed.subject || '',
+            date: parsed.date || null,
+            from: parsed.from?.value || [],
+            to: parsed.to ? [].concat(parsed.to).flatMap(a => a.value) : [],
+            cc: parsed.cc ? [].concat(parsed.cc).flatMap(a => a.value) : [],
+            replyTo: parsed.replyTo?.value || [],
+            fromText: parsed.from?.text || '',
+            toText: parsed.to ? [].concat(parsed.to).map(a => a.text).join(', ') : '',
+            html: parsed.html || parsed.textAsHtml || '',
+            attachments: (parsed.attachments || []).map(att => ({
+                filename: att.filename,
+                contentType: att.contentType,
+                content: att.content,
+                cid: att.contentId ? att.contentId.replace(/^<|>$/g, '') : undefined
+            })),
+            threadId
+        };
+    }
+
+    /**
+     * Fetch the RFC 822 source of an IMAP message by UID (or `sent-<uid>` for Sent copies)
+     */
+    async _fetchImapSource(account, providerMessageId) {
+        const imapConfig = this.emailService._getImapConfig(account);
+        if (!imapConfig) {
+            throw new Error(`No IMAP credentials for ${account.email}`);
+        }
+
+        const parsed = this.emailService.parseImapMessageId(providerMessageId);
+        if (!parsed) {
+            throw new Error('Invalid IMAP message id');
+        }
+
+        const client = this.emailService.createImapClient(imapConfig);
+        try {
+            await client.connect();
+            await this.emailService.openImapMailbox(client, parsed.sent);
+
+            const message = await client.fetchOne(parsed.uid, { source: true }, { uid: true });
+            if (!message || !message.source) {
+                throw new Error('Original message not found');
+            }
+            return message.source;
+        } finally {
+            try {
+                await client.logout();
+            } catch (e) { /* ignore */ }
+        }
+    }
+
+    // ============================================================================
+    // TRANSPORTS
+    // ============================================================================
+
+    /**
+     * Send a composed message through the account's own transport
+     */
+    async _dispatch(account, mail, threadId) {
+        if (account.provider === 'gmail-oauth') {
+            return this._sendViaGmail(account, mail, threadId);
+        }
+        return this._sendViaSmtp(account, mail);
+    }
+
+    /**
+     * Gmail: build the RFC 822 message locally and send it raw
+     */
+    async _sendViaGmail(account, mail, threadId) {
+        const gmail = await this.emailService.getGmailClient(account);
+        const raw = await new MailComposer(mail).compile().build();
+
+        try {
+            const response = await gmail.users.messages.send({
+                userId: 'me',
+                requestBody: {
+                    raw: raw.toString('base64url'),
+                    ...(threadId ? { threadId } : {})
+                }
+            });
+
+            console.log(`[EmailSender] Sent via Gmail from ${account.email}: ${response.data.id}`);
+            return { messageId: response.data.id, threadId: response.data.threadId };
+        } catch (err) {
+            if (err.code === 403 && err.message?.includes('insufficient')) {
+                await this.emailService._markAccountForReauth(account, 'Missing send permission');
+                throw new Error('Account must be reconnected to allow sending');
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * IMAP accounts: send over SMTP, then store a copy in the Sent mailbox
+     */
+    async _sendViaSmtp(account, mail) {
+        const smtpConfig = this._getSmtpConfig(account);
+        if (!smtpConfig) {
+            throw new Error(`No SMTP credentials for ${account.email}`);
+        }
+
+        const transporter = nodemailer.createTransport({
+            host: smtpConfig.host,
+            port: smtpConfig.port,
+            secure: smtpConfig.secure,
+            auth: {
+                user: smtpConfig.user,
+                pass: smtpConfig.password
+            },
+            connectionTimeout: CONFIG.SMTP_CONNECTION_TIMEOUT
+        });
+
+        const raw = await new MailComposer(mail).compile().build();
+        const info = await transporter.sendMail({
+            envelope: {
+                from: account.email,
+                to: [...mail.to, ...(mail.cc || []), ...(mail.bcc || [])]
+            },
+            raw
+        });
+
+        console.log(`[EmailSender] Sent via SMTP from ${account.email}: ${info.messageId}`);
+
+        // Best effort - a failed append should not report the send as failed
+        await this._appendToSent(account, raw).catch(err => {
+            console.warn(`[EmailSender] Could not save to Sent for ${account.email}: ${err.message}`);
+        });
+
+        return { messageId: info.messageId, threadId: null };
+    }
+
+    /**
+     * Append a sent message to the IMAP Sent mailbox
+     */
+    async _appendToSent(account, raw) {
+        const imapConfig = this.emailService._getImapConfig(account);
+        if (!imapConfig) return;
+
+        const client = this.emailService.createImapClient(imapConfig);
+        try {
+            await client.connect();
+            const mailboxes = await client.list();
+            const sent = mailboxes.find(box => box.specialUse === '\\Sent')
+                || mailboxes.find(box => /^sent/i.test(box.name));
+
+            if (sent) {
+                await client.append(sent.path, raw, ['\\Seen']);
+            }
+        } finally {
+            try {
+                await client.logout();
+            } catch (e) { /* ignore */ }
+        }
+    }
+
+    /**
+     * Microsoft: create a reply/forward draft server-side so Graph keeps the
+     * conversation and quoted body, then attach files and send it
+     */
+    async _respondViaMicrosoft(account, messageId, action, options) {
+        const accessToken = await this.emailService.getMicrosoftToken(account);
+        const headers = { Authorization: `Bearer ${accessToken}` };
+        const createAction = {
+            reply: 'createReply',
+            replyAll: 'createReplyAll',
+            forward: 'createForward'
+        }[action];
+
+        const payload = { comment: options.html || this._textToHtml(options.text) || '' };
+        if (action === 'forward') {
+            payload.toRecipients = this._toGraphRecipients(options.to);
+        }
+
+        const draftResponse = await this._graphRequest(account, 'post',
+            `${CONFIG.GRAPH_BASE_URL}/messages/${encodeURIComponent(messageId)}/${createAction}`,
+            payload, headers);
+        const draftId = draftResponse.data.id;
+
+        const cc = this._toList(options.cc);
+        const bcc = this._toList(options.bcc);
+        if (cc.length > 0 || bcc.length > 0) {
+            const existingCc = draftResponse.data.ccRecipients || [];
+            await this._graphRequest(account, 'patch', `${CONFIG.GRAPH_BASE_URL}/messages/${draftId}`, {
+                ccRecipients: [...existingCc, ...this._toGraphRecipients(cc)],
+                bccRecipients: this._toGraphRecipients(bcc)
+            }, headers);
+        }
+
+        for (const attachment of this._normalizeAttachments(options.attachments)) {
+            await this._graphRequest(account, 'post', `${CONFIG.GRAPH_BASE_URL}/messages/${draftId}/attachments`,
+                this._toGraphAttachment(attachment), headers);
+        }
+
+        await this._graphRequest(account, 'post', `${CONFIG.GRAPH_BASE_URL}/messages/${draftId}/send`, null, headers);
+
+        console.log(`[EmailSender] Sent ${action} via Graph from ${account.email}`);
+        return { messageId: draftId, threadId: draftResponse.data.conversationId || null };
+    }
+
+    /**
+     * Microsoft: send a new message with /sendMail
+     */
+    async _sendNewViaMicrosoft(account, mail) {
+        const accessToken = await this.emailService.getMicrosoftToken(account);
+
+        await this._graphRequest(account, 'post', `${CONFIG.GRAPH_BASE_URL}/sendMail`, {
+            message: {
+                subject: mail.subject,
+                body: { contentType: 'HTML', content: mail.html || '' },
+                toRecipients: this._toGraphRecipients(mail.to),
+                ccRecipients: this._toGraphRecipients(mail.cc),
+                bccRecipients: this._toGraphRecipients(mail.bcc),
+                attachments: mail.attachments.map(att => this._toGraphAttachment(att))
+            },
+            saveToSentItems: true
+        }, { Authorization: `Bearer ${accessToken}` });
+
+        console.log(`[EmailSender] Sent new message via Graph from ${account.email}`);
+        return { messageId: null, threadId: null };
+    }
+
+    /**
+     * Graph request wrapper that flags the account on auth/permission errors
+     */
+    async _graphRequest(account, method, url, data, headers) {
+        try {
+            return await axios({ method, url, data, headers, timeout: CONFIG.REQUEST_TIMEOUT });
+        } catch (err) {
+            const status = err.response?.status;
+            if (status === 401) {
+                await this.emailService._markAccountForReauth(account, 'Token expired');
+            } else if (status === 403) {
+                await this.emailService._markAccountForReauth(account, 'Missing send permission');
+                throw new Error('Account must be reconnected to allow sending');
+            }
+            const graphMessage = err.response?.data?.error?.message;
+            throw graphMessage ? new Error(graphMessage) : err;
+        }
+    }
+
+    // ============================================================================
+    // CREDENTIALS
+    // ============================================================================
+
+    /**
+     * SMTP settings for an IMAP account
+     * Uses explicit smtpConfig if stored, otherwise derives from the IMAP host
+     */
+    _getSmtpConfig(account) {
+        const imapConfig = this.emailService._getImapConfig(account);
+        const smtp = account.smtpConfig || {};
+
+        const host = smtp.host || imapConfig?.host?.replace(/^imap\./i, 'smtp.');
+        const user = smtp.user || imapConfig?.user;
+        const password = revealSecret(smtp.password) || imapConfig?.password;
+
+        if (!host || !user || !password) return null;
+
+        const port = parseInt(smtp.port) || CONFIG.DEFAULT_SMTP_PORT;
+        return {
+            host,
+            port,
+            secure: smtp.secure !== undefined ? smtp.secure !== false : port === 465,
+            user,
+            password
+        };
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    _formatFrom(account) {
+        return account.name && account.name !== account.email
+            ? { name: account.name, address: account.email }
+            : account.email;
+    }
+
+    /**
+     * Reply goes to Reply-To (or From); reply-all adds the original To/Cc
+     * minus our own address
+     */
+    _buildReplyRecipients(original, account, replyAll) {
+        const self = (account.email || '').toLowerCase();
+        const seen = new Set([self]);
+        const pick = (list) => list
+            .map(a => a.address)
+            .filter(address => {
+                const key = (address || '').toLowerCase();
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+
+        const primary = original.replyTo.length > 0 ? original.replyTo : original.from;
+        let to = pick(primary);
+
+        // Replying to our own sent message: go back to its recipients
+        if (to.length === 0 && primary.some(a => (a.address || '').toLowerCase() === self)) {
+            to = pick(original.to);
+        }
+
+        const cc = replyAll ? pick([...original.to, ...original.cc]) : [];
+        return { to, cc };
+    }
+
+    _buildReferences(original) {
+        const references = [...original.references];
+        if (original.messageId && !references.includes(original.messageId)) {
+            references.push(original.messageId);
+        }
+        return references;
+    }
+
+    _prefixSubject(prefix, subject) {
+        const clean = (subject || '').trim();
+        const pattern = new RegExp(`^${prefix.replace(':', '')}\\s*:`, 'i');
+        return pattern.test(clean) ? clean : `${prefix} ${clean}`.trim();
+    }
+
+    _appendQuote(html, original, mode) {
+        const dateText = original.date ? new Date(original.date).toUTCString() : '';
+        const header = mode === 'forward'
+            ? `---------- Forwarded message ---------<br>
+From: ${this._escapeHtml(original.fromText)}<br>
+Date: ${this._escapeHtml(dateText)}<br>
+Subject: ${this._escapeHtml(original.subject)}<br>
+To: ${this._escapeHtml(original.toText)}<br><br>`
+            : `On ${this._escapeHtml(dateText)}, ${this._escapeHtml(original.fromText)} wrote:<br>`;
+
+        const quoted = mode === 'forward'
+            ? `<div>${header}${original.html}</div>`
+            : `<div>${header}<blockquote style="margin: 0 0 0 0.8ex; border-left: 1px solid #ccc; padding-left: 1ex;">${original.html}</blockquote></div>`;
+
+        return `${html || ''}<br><br>${quoted}`;
+    }
+
+    /**
+     * Append options.signature to the html and text bodies
+     * The text block is derived from the html when the signature has no text version
+     */
+    _withSignature(options) {
+        const { signature } = options;
+        if (!signature || (!signature.html && !signature.text)) return options;
+
+        const html = options.html || this._textToHtml(options.text);
+        const text = options.text || (options.html ? htmlToText(options.html, { wordwrap: false }) : '');
+
+        // HTML-only signatures still need a plain-text block; logos have no text form
+        const signatureText = (signature.text || htmlToText(signature.html, {
+            wordwrap: false,
+            selectors: [{ selector: 'img', format: 'skip' }]
+        })).trim();
+
+        return {
+            ...options,
+            html: `${html}<br><div class="urbox-signature">${signature.html || this._textToHtml(signature.text)}</div>`,
+            text: signatureText ? `${text}\n\n-- \n${signatureText}`.trimStart() : text
+        };
+    }
+
+    _textToHtml(text) {
+        if (!text) return '';
+        return `<div style="white-space: pre-wrap;">${this._escapeHtml(text)}</div>`;
+    }
+
+    _escapeHtml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Accepts "a@x.com, b@y.com" or an array of addresses
+     */
+    _toList(value) {
+        if (!value) return [];
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        return list.map(v => (typeof v === 'string' ? v.trim() : v)).filter(Boolean);
+    }
+
+    _toArray(value) {
+        if (!value) return [];
+        return Array.isArray(value) ? value : String(value).split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * API attachments arrive as { filename, contentType, content (base64) }
+     */
+    _normalizeAttachments(attachments) {
+        if (!Array.isArray(attachments)) return [];
+        return attachments
+            .filter(att => att && att.filename && att.content)
+            .map(att => ({
+                filename: att.filename,
+                contentType: att.contentType || 'application/octet-stream',
+                content: Buffer.isBuffer(att.content) ? att.content : Buffer.from(att.content, 'base64')
+            }));
+    }
+
+    _toGraphRecipients(list) {
+        return this._toList(list).map(entry => {
+            const address = typeof entry === 'string' ? entry : entry.address;
+            const match = /<([^>]+)>/.exec(address);
+            return { emailAddress: { address: match ? match[1] : address } };
+        });
+    }
+
+    _toGraphAttachment(attachment) {
+        return {
+            '@odata.type': '#microsoft.graph.fileAttachment',
+            name: attachment.filename,
+            contentType: attachment.contentType,
+            contentBytes: attachment.content.toString('base64')
+        };
+    }
+}
+
+module.exports = { EmailSender };
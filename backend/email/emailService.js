@@ -13,6 +13,7 @@ const { simpleParser } = require('mailparser');
 const { google } = require('googleapis');
 const axios = require('axios');
 const admin = require('firebase-admin');
+const { revealSecret } = require('../core/services/credentials');
 
 // Configuration
 const CONFIG = {
@@ -34,10 +35,21 @@ const CONFIG = {
     TOKEN_REFRESH_BUFFER: 10 * 60 * 1000
 };
 
+// Message fields requested from Graph (list and delta queries)
+const GRAPH_MESSAGE_SELECT = 'id,conversationId,subject,bodyPreview,from,toRecipients,receivedDateTime,isRead,flag,hasAttachments,body';
+
+// Email ID prefix (see the _parse*Message methods) -> account provider
+const ID_PREFIXES = {
+    gmail: 'gmail-oauth',
+    microsoft: 'microsoft-oauth',
+    imap: 'imap'
+};
+
 class EmailService {
-    constructor(oauthManager, db) {
+    constructor(oauthManager, db, emailStore = null) {
         this.oauthManager = oauthManager;
         this.db = db;
+        this.emailStore = emailStore; // Synced accounts are served from here
         this.connectionPool = new Map(); // userId -> Map(accountId -> connection)
 
         // Simple in-memory cache for email results
@@ -86,6 +98,70 @@ class EmailService {
         });
     }
 
+    /**
+     * Split an URBox email id (`<provider>_<accountId>_<providerMessageId>`)
+     * Returns null if the id is not in that format
+     */
+    parseEmailId(emailId) {
+        const [prefix, accountId, ...rest] = (emailId || '').split('_');
+        const provider = ID_PREFIXES[prefix];
+
+        if (!provider || !accountId || rest.length === 0) {
+            return null;
+        }
+
+        return { provider, accountId, providerMessageId: rest.join('_') };
+    }
+
+    /**
+     * Load an email account document
+     */
+    async getAccount(accountId) {
+        const doc = await this.db.collection('emailAccounts').doc(accountId).get();
+        if (!doc.exists) return null;
+        return { id: doc.id, ...doc.data() };
+    }
+
+    /**
+     * Authenticated Gmail API client for an account
+     * Throws (and flags the account) if the token cannot be refreshed
+     */
+    async getGmailClient(account) {
+        const tokenInfo = await this.oauthManager.getValidToken(account, 'google');
+        if (tokenInfo.error) {
+            await this._markAccountForReauth(account, tokenInfo.error);
+            throw new Error('Account requires re-authentication');
+        }
+
+        const oauth2Client = new google.auth.OAuth2();
+        oauth2Client.setCredentials({ access_token: tokenInfo.accessToken });
+        return google.gmail({ version: 'v1', auth: oauth2Client });
+    }
+
+    /**
+     * Valid Microsoft Graph access token for an account
+     * Throws (and flags the account) if the token cannot be refreshed
+     */
+    async getMicrosoftToken(account) {
+        const tokenInfo = await this.oauthManager.getValidToken(account, 'microsoft');
+        if (tokenInfo.error) {
+            await this._markAccountForReauth(account, tokenInfo.error);
+            throw new Error('Account requires re-authentication');
+        }
+        return tokenInfo.accessToken;
+    }
+
+    /**
+     * Drop every cached page for an account (after a write changes its state)
+     */
+    invalidateCache(accountId) {
+        for (const key of this.emailCache.keys()) {
+            if (key.startsWith(`${accountId}_`)) {
+                this.emailCache.delete(key);
+            }
+        }
+    }
+
     /**
      * Fetch emails from multiple accounts
      */
@@ -133,6 +209,11 @@ class EmailService {
     async _fetchFromAccount(account, offset) {
         const provider = account.provider || 'imap';
 
+        if (this.emailStore && account.id) {
+            const stored = await this._fetchFromStore(account, offset);
+            if (stored) return stored;
+        }
+
         switch (provider) {
             case 'gmail-oauth':
                 return await this._fetchFromGmail(account, offset);
@@ -143,6 +224,22 @@ class EmailService {
         }
     }
 
+    /**
+     * Read a page from the email store once the account's initial sync is done
+     * Returns null (fall back to a live fetch) if it isn't synced yet or the store fails
+     */
+    async _fetchFromStore(account, pageToken) {
+        try {
+            const syncState = await this.emailStore.getSyncState(account.id);
+            if (!syncState?.ready) return null;
+
+            return await this.emailStore.listMessages(account.id, pageToken, CONFIG.DEFAULT_FETCH_COUNT);
+        } catch (err) {
+            console.error(`[Email] Store read failed for ${account.email}, fetching live:`, err.message);
+            return null;
+        }
+    }
+
     /**
      * Fetch from Gmail using OAuth
      */
@@ -182,41 +279,10 @@ class EmailService {
                 return { emails: [], pagination: { hasMore: false } };
             }
 
-            // Fetch full message details with controlled concurrency
-            const emails = [];
-            const CONCURRENCY_LIMIT = 10; // Fetch 10 messages at a time
-
-            for (let i = 0; i < messages.length; i += CONCURRENCY_LIMIT) {
-                const chunk = messages.slice(i, i + CONCURRENCY_LIMIT);
-
-                const chunkResults = await Promise.allSettled(
-                    chunk.map(async (msg) => {
-                        try {
-                            const fullMessage = await gmail.users.messages.get({
-                                userId: 'me',
-                                id: msg.id,
-                                format: 'full'
-                            });
-                            return this._parseGmailMessage(fullMessage.data, account);
-                        } catch (err) {
-                            console.error(`[Gmail] Error fetching message ${msg.id}:`, err.message);
-                            return null;
-                        }
-                    })
-                );
-
-                // Extract successful results
-                for (const result of chunkResults) {
-                    if (result.status === 'fulfilled' && result.value !== null) {
-                        emails.push(result.value);
-                    }
-                }
-            }
-
-            const validEmails = emails;
+            const emails = await this._fetchGmailMessages(gmail, messages.map(msg => msg.id), account);
 
             const result = {
-                emails: validEmails,
+                emails,
                 pagination: {
                     nextPageToken: listResponse.data.nextPageToken,
                     hasMore: !!listResponse.data.nextPageToken
@@ -236,6 +302,44 @@ class EmailService {
         }
     }
 
+    /**
+     * Fetch and parse full Gmail messages by id, with controlled concurrency
+     * Messages that fail to load are skipped
+     */
+    async _fetchGmailMessages(gmail, messageIds, account) {
+        const emails = [];
+        const CONCURRENCY_LIMIT = 10; // Fetch 10 messages at a time
+
+        for (let i = 0; i < messageIds.length; i += CONCURRENCY_LIMIT) {
+            const chunk = messageIds.slice(i, i + CONCURRENCY_LIMIT);
+
+            const chunkResults = await Promise.allSettled(
+                chunk.map(async (id) => {
+                    try {
+                        const fullMessage = await gmail.users.messages.get({
+                            userId: 'me',
+                            id,
+                            format: 'full'
+                        });
+                        return this._parseGmailMessage(fullMessage.data, account);
+                    } catch (err) {
+                        console.error(`[Gmail] Error fetching message ${id}:`, err.message);
+                        return null;
+                    }
+                })
+            );
+
+            // Extract successful results
+            for (const result of chunkResults) {
+                if (result.status === 'fulfilled' && result.value !== null) {
+                    emails.push(result.value);
+                }
+            }
+        }
+
+        return emails;
+    }
+
     /**
      * Parse Gmail message to our format
      */
@@ -247,6 +351,7 @@ class EmailService {
             id: `gmail_${account.id}_${message.id}`,
             messageId: message.id,
             threadId: message.threadId,
+            conversationId: `gmail_${account.id}_${message.threadId}`,
             accountId: account.id,
             accountName: account.name || account.email,
             accountType: 'gmail-oauth',
@@ -256,8 +361,10 @@ class EmailService {
             date: new Date(parseInt(message.internalDate)),
             snippet: message.snippet || '',
             isRead: !(message.labelIds || []).includes('UNREAD'),
+            isStarred: (message.labelIds || []).includes('STARRED'),
             labels: message.labelIds || [],
             primaryCategory: this._getGmailCategory(message.labelIds),
+            hasAttachments: this._hasGmailAttachments(message.payload),
             html: '',
             text: ''
         };
@@ -279,6 +386,15 @@ class EmailService {
         return 'PERSONAL';
     }
 
+    /**
+     * Any MIME part with a filename is an attachment
+     */
+    _hasGmailAttachments(payload) {
+        if (!payload) return false;
+        if (payload.filename) return true;
+        return (payload.parts || []).some(part => this._hasGmailAttachments(part));
+    }
+
     _extractGmailBody(payload) {
         let html = '';
         let text = '';
@@ -327,7 +443,7 @@ class EmailService {
         try {
             let url = 'https://graph.microsoft.com/v1.0/me/mailfolders/inbox/messages';
             url += `?$top=${CONFIG.DEFAULT_FETCH_COUNT}`;
-            url += '&$select=id,subject,bodyPreview,from,toRecipients,receivedDateTime,isRead,body';
+            url += `&$select=${GRAPH_MESSAGE_SELECT}`;
             url += '&$orderby=receivedDateTime desc';
 
             if (skipToken) {
@@ -370,6 +486,8 @@ class EmailService {
         return {
             id: `microsoft_${account.id}_${message.id}`,
             messageId: message.id,
+            threadId: message.conversationId,
+            conversationId: `microsoft_${account.id}_${message.conversationId}`,
             accountId: account.id,
             accountName: account.name || account.email,
             accountType: 'microsoft-oauth',
@@ -384,6 +502,8 @@ class EmailService {
             date: new Date(message.receivedDateTime),
             snippet: message.bodyPreview || '',
             isRead: message.isRead,
+            isStarred: message.flag?.flagStatus === 'flagged',
+            hasAttachments: !!message.hasAttachments,
             html: message.body?.contentType === 'html' ? message.body?.content : '',
             text: message.body?.contentType === 'text' ? message.body?.content : ''
         };
@@ -408,22 +528,7 @@ class EmailService {
 
         let client;
         try {
-            client = new ImapFlow({
-                host: imapConfig.host,
-                port: imapConfig.port,
-                secure: imapConfig.tls !== false,
-                auth: {
-                    user: imapConfig.user,
-                    pass: imapConfig.password
-                },
-                tls: {
-                    rejectUnauthorized: false
-                },
-                logger: false,
-                connectionTimeout: CONFIG.IMAP_CONNECTION_TIMEOUT,
-                greetingTimeout: CONFIG.IMAP_GREETING_TIMEOUT,
-                socketTimeout: CONFIG.IMAP_SOCKET_TIMEOUT
-            });
+            client = this.createImapClient(imapConfig);
 
             console.log(`[IMAP:${account.email}] Connecting to ${imapConfig.host}:${imapConfig.port}...`);
             await client.connect();
@@ -453,93 +558,12 @@ class EmailService {
                 envelope: true,
                 bodyStructure: true,
                 source: true,
+                flags: true,
                 uid: true
             })) {
-                try {
-                    // Pass raw buffer to simpleParser to handle encodings correctly
-                    const parsed = await simpleParser(message.source);
-
-                    // Utility to escape HTML
-                    const escapeHtml = (text) => {
-                        return text
-                            .replace(/&/g, "&amp;")
-                            .replace(/</g, "&lt;")
-                            .replace(/>/g, "&gt;")
-                            .replace(/"/g, "&quot;")
-                            .replace(/'/g, "&#039;");
-                    };
-
-                    const htmlContent = parsed.html || parsed.textAsHtml || (parsed.text ? `<pre style="white-space: pre-wrap; font-family: sans-serif;">${escapeHtml(parsed.text)}</pre>` : '');
-
-                    // Handle cases with no body but with attachments
-                    let finalHtml = htmlContent;
-                    if (!finalHtml && parsed.attachments && parsed.attachments.length > 0) {
-                        const attachmentList = parsed.attachments.map(att =>
-                            `<li><strong>${escapeHtml(att.filename || 'Unnamed')}</strong> (${Math.round((att.size || 0) / 1024)} KB)</li>`
-                        ).join('');
-
-                        finalHtml = `
-                            <div style="font-family: sans-serif; color: #444;">
-                                <p><em>This message has no text content.</em></p>
-                                <div style="margin-top: 16px; padding: 16px; background: #f8f9fa; border: 1px solid #e9ecef; border-radius: 8px;">
-                                    <strong style="display: block; margin-bottom: 8px;">📎 Attachments (${parsed.attachments.length})</strong>
-                                    <ul style="margin: 0; padding-left: 20px;">${attachmentList}</ul>
-                                </div>
-                            </div>
-                        `;
-                    }
-
-                    if (!finalHtml) {
-                        console.log(`[IMAP] Warning: No content for message ${message.uid}`);
-                        console.log(`[IMAP] Debug Parsed Keys: ${Object.keys(parsed).join(', ')}`);
-                        console.log(`[IMAP] Content-Type: ${parsed.headers?.get('content-type')}`);
-                        console.log(`[IMAP] Attachments: ${JSON.stringify(parsed.attachments || [])}`);
-                        console.log(`[IMAP] Structure: ${parsed.structure || 'N/A'}`);
-                    }
-
-                    emails.push({
-                        id: `imap_${account.id}_${message.uid}`,
-                        uid: message.uid,
-                        accountId: account.id,
-                        accountName: account.name || account.email,
-                        accountType: 'imap',
-                        from: parsed.from?.text || 'Unknown',
-                        to: parsed.to?.text || '',
-                        subject: parsed.subject || '(No Subject)',
-                        date: parsed.date || new Date(),
-                        snippet: (parsed.text || 'No text content').substring(0, 200).replace(/[\r\n]+/g, ' '),
-                        isRead: true, // ImapFlow doesn't expose flags directly in this fetch
-                        html: finalHtml || '',
-                        text: parsed.text || '',
-                        attachments: (parsed.attachments || []).map(att => ({
-                            filename: att.filename,
-                            contentType: att.contentType,
-                            size: att.size,
-                            contentId: att.contentId,
-                            checksum: att.checksum
-                        }))
-                    });
-                } catch (parseErr) {
-                    console.error(`[IMAP] Parse error for message ${message.seq}:`, parseErr.message);
-                    // Fallback: try to use envelope data if parsing fails
-                    if (message.envelope) {
-                        emails.push({
-                            id: `imap_${account.id}_${message.uid}`,
-                            uid: message.uid,
-                            accountId: account.id,
-                            accountName: account.name || account.email,
-                            accountType: 'imap',
-                            from: message.envelope.from?.[0]?.address || 'Unknown',
-                            to: message.envelope.to?.[0]?.address || '',
-                            subject: message.envelope.subject || '(No Subject)',
-                            date: message.envelope.date || new Date(),
-                            snippet: '(Preview unavailable)',
-                            isRead: true,
-                            html: '',
-                            text: ''
-                        });
-                        console.log(`[IMAP] Used envelope fallback for message ${message.seq}`);
-                    }
+                const email = await this._parseImapMessage(message, account);
+                if (email) {
+                    emails.push(email);
                 }
             }
 
@@ -581,13 +605,217 @@ class EmailService {
         }
     }
 
+    /**
+     * Parse an ImapFlow fetch result (source + envelope + flags) to our format
+     * Returns null if the message can't be read at all
+     */
+    async _parseImapMessage(message, account) {
+        try {
+            // Pass raw buffer to simpleParser to handle encodings correctly
+            const parsed = await simpleParser(message.source);
+
+            // Utility to escape HTML
+            const escapeHtml = (text) => {
+                return text
+                    .replace(/&/g, "&amp;")
+                    .replace(/</g, "&lt;")
+                    .replace(/>/g, "&gt;")
+                    .replace(/"/g, "&quot;")
+                    .replace(/'/g, "&#039;");
+            };
+
+            const htmlContent = parsed.html || parsed.textAsHtml || (parsed.text ? `<pre style="white-space: pre-wrap; font-family: sans-serif;">${escapeHtml(parsed.text)}</pre>` : '');
+
+            // Handle cases with no body but with attachments
+            let finalHtml = htmlContent;
+            if (!finalHtml && parsed.attachments && parsed.attachments.length > 0) {
+                const attachmentList = parsed.attachments.map(att =>
+                    `<li><strong>${escapeHtml(att.filename || 'Unnamed')}</strong> (${Math.round((att.size || 0) / 1024)} KB)</li>`
+                ).join('');
+
+                finalHtml = `
+                    <div style="font-family: sans-serif; color: #444;">
+                        <p><em>This message has no text content.</em></p>
+                        <div style="margin-top: 16px; padding: 16px; background: #f8f9fa; border: 1px solid #e9ecef; border-radius: 8px;">
+                            <strong style="display: block; margin-bottom: 8px;">📎 Attachments (${parsed.attachments.length})</strong>
+                            <ul style="margin: 0; padding-left: 20px;">${attachmentList}</ul>
+                        </div>
+                    </div>
+                `;
+            }
+
+            if (!finalHtml) {
+                console.log(`[IMAP] Warning: No content for message ${message.uid}`);
+                console.log(`[IMAP] Debug Parsed Keys: ${Object.keys(parsed).join(', ')}`);
+                console.log(`[IMAP] Content-Type: ${parsed.headers?.get('content-type')}`);
+                console.log(`[IMAP] Attachments: ${JSON.stringify(parsed.attachments || [])}`);
+                console.log(`[IMAP] Structure: ${parsed.structure || 'N/A'}`);
+            }
+
+            const threading = this._imapThreading(parsed.messageId, parsed.inReplyTo, parsed.references, message.uid);
+
+            return {
+                id: `imap_${account.id}_${message.uid}`,
+                uid: message.uid,
+                ...threading,
+                conversationId: `imap_${account.id}_${threading.threadId}`,
+                accountId: account.id,
+                accountName: account.name || account.email,
+                accountType: 'imap',
+                from: parsed.from?.text || 'Unknown',
+                to: parsed.to?.text || '',
+                subject: parsed.subject || '(No Subject)',
+                date: parsed.date || new Date(),
+                snippet: (parsed.text || 'No text content').substring(0, 200).replace(/[\r\n]+/g, ' '),
+                isRead: message.flags ? message.flags.has('\\Seen') : true,
+                isStarred: message.flags ? message.flags.has('\\Flagged') : false,
+                html: finalHtml || '',
+                text: parsed.text || '',
+                hasAttachments: (parsed.attachments || []).length > 0,
+                attachments: (parsed.attachments || []).map(att => ({
+                    filename: att.filename,
+                    contentType: att.contentType,
+                    size: att.size,
+                    contentId: att.contentId,
+                    checksum: att.checksum
+                }))
+            };
+        } catch (parseErr) {
+            console.error(`[IMAP] Parse error for message ${message.seq}:`, parseErr.message);
+            // Fallback: try to use envelope data if parsing fails
+            if (message.envelope) {
+                console.log(`[IMAP] Used envelope fallback for message ${message.seq}`);
+                const threading = this._imapThreading(message.envelope.messageId, message.envelope.inReplyTo, null, message.uid);
+
+                return {
+                    id: `imap_${account.id}_${message.uid}`,
+                    uid: message.uid,
+                    ...threading,
+                    conversationId: `imap_${account.id}_${threading.threadId}`,
+                    accountId: account.id,
+                    accountName: account.name || account.email,
+                    accountType: 'imap',
+                    from: message.envelope.from?.[0]?.address || 'Unknown',
+                    to: message.envelope.to?.[0]?.address || '',
+                    subject: message.envelope.subject || '(No Subject)',
+                    date: message.envelope.date || new Date(),
+                    snippet: '(Preview unavailable)',
+                    isRead: message.flags ? message.flags.has('\\Seen') : true,
+                    isStarred: message.flags ? message.flags.has('\\Flagged') : false,
+                    html: '',
+                    text: ''
+                };
+            }
+            return null;
+        }
+    }
+
+    /**
+     * RFC 5322 threading fields for an IMAP message
+     * The thread key is the root of the References chain (first entry), else the
+     * parent (In-Reply-To), else the message itself. Angle brackets are dropped.
+     */
+    _imapThreading(messageId, inReplyTo, references, uid) {
+        const strip = (value) => String(value).trim().replace(/^<|>$/g, '');
+        const refs = (Array.isArray(references) ? references : String(references || '').split(/\s+/))
+            .filter(Boolean)
+            .map(strip);
+
+        const rfcMessageId = messageId ? strip(messageId) : null;
+        const parentId = inReplyTo ? strip(String(inReplyTo).split(/\s+/)[0]) : null;
+
+        return {
+            rfcMessageId,
+            inReplyTo: parentId,
+            references: refs,
+            threadId: refs[0] || parentId || rfcMessageId || `uid-${uid}`
+        };
+    }
+
+    /**
+     * Mailbox and UID behind an IMAP provider message id
+     * Thread views give Sent copies `sent-<uid>` ids (see emailThreads.js). Anything
+     * else must be a plain UID, so an id like "1:*" can't widen into a range.
+     * @returns {{ sent: boolean, uid: string }|null} null if the id is not in that format
+     */
+    parseImapMessageId(providerMessageId) {
+        const match = String(providerMessageId).match(/^(sent-)?(\d+)$/);
+        return match ? { sent: !!match[1], uid: match[2] } : null;
+    }
+
+    /**
+     * Path of the Sent mailbox, by special-use flag or name
+     */
+    async findImapSentMailbox(client) {
+        const mailboxes = await client.list();
+        const sent = mailboxes.find(box => box.specialUse === '\\Sent')
+            || mailboxes.find(box => /^sent/i.test(box.name));
+        return sent ? sent.path : null;
+    }
+
+    /**
+     * Open the mailbox a parsed IMAP message id lives in - INBOX, or Sent
+     */
+    async openImapMailbox(client, sent = false) {
+        if (!sent) return client.mailboxOpen('INBOX');
+
+        const path = await this.findImapSentMailbox(client);
+        if (!path) throw new Error('No Sent mailbox on this server');
+        return client.mailboxOpen(path);
+    }
+
+    /**
+     * Run fn with a connected ImapFlow client, logging out afterwards
+     */
+    async withImapClient(account, fn) {
+        const imapConfig = this._getImapConfig(account);
+        if (!imapConfig) {
+            throw new Error(`No IMAP credentials for ${account.email}`);
+        }
+
+        const client = this.createImapClient(imapConfig);
+        try {
+            await client.connect();
+            return await fn(client);
+        } finally {
+            try {
+                await client.logout();
+            } catch (e) { /* ignore */ }
+        }
+    }
+
+    /**
+     * Create an ImapFlow client for an IMAP configuration
+     * Caller is responsible for connect() and logout()
+     * @param {Object} options - extra ImapFlow options (e.g. maxIdleTime for IDLE watchers)
+     */
+    createImapClient(imapConfig, options = {}) {
+        return new ImapFlow({
+            host: imapConfig.host,
+            port: imapConfig.port,
+            secure: imapConfig.tls !== false,
+            auth: {
+                user: imapConfig.user,
+                pass: imapConfig.password
+            },
+            tls: {
+                rejectUnauthorized: false
+            },
+            logger: false,
+            connectionTimeout: CONFIG.IMAP_CONNECTION_TIMEOUT,
+            greetingTimeout: CONFIG.IMAP_GREETING_TIMEOUT,
+            socketTimeout: CONFIG.IMAP_SOCKET_TIMEOUT,
+            ...options
+        });
+    }
+
     /**
      * Get IMAP configuration for an account
      */
     _getImapConfig(account) {
-        // Check account-level credentials first
+        // Check account-level credentials first (the password is stored encrypted)
         if (account.imapConfig) {
-            return account.imapConfig;
+            return { ...account.imapConfig, password: revealSecret(account.imapConfig.password) };
         }
 
         // Fall back to environment variables for testing
@@ -615,6 +843,7 @@ class EmailService {
                 await this.db.collection('emailAccounts').doc(account.id).update({
                     status: 'requires_reauth',
                     'oauth.error': reason,
+                    'oauth.errorAt': admin.firestore.FieldValue.serverTimestamp(),
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
             } catch (err) {
@@ -623,9 +852,6 @@ class EmailService {
         }
     }
 
-    // NOTE: Read-only mode - markAsRead functionality removed for simpler OAuth verification
-    // If you need write access, re-add gmail.modify scope and the markAsRead functions
-
     /**
      * Test IMAP connection
      */
@@ -667,4 +893,4 @@ class EmailService {
     }
 }
 
-module.exports = { EmailService };
+module.exports = { EmailService, GRAPH_MESSAGE_SELECT };
@@ -0,0 +1,98 @@
+/**
+ * Email Signatures - Sanitizing and combining signatures for outbound mail
+ *
+ * Two kinds, both stored as { html, text, updatedBy, updatedAt }:
+ * - Account signature on emailAccounts/{id}.signature, set by admins
+ *   (shared by everyone sending from that account, e.g. a company footer)
+ * - Personal signature on users/{uid}.signature
+ *
+ * Mail composed in URBox gets the personal signature followed by the
+ * account's. HTML is sanitized on save; text is generated from it.
+ */
+
+const sanitizeHtml = require('sanitize-html');
+const { convert: htmlToText } = require('html-to-text');
+
+// Configuration
+const CONFIG = {
+    MAX_HTML_LENGTH: 20000
+};
+
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'a', 'b', 'br', 'div', 'em', 'font', 'hr', 'i', 'img', 'li', 'ol', 'p', 'small',
+        'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'target'],
+        img: ['src', 'alt', 'width', 'height'],
+        font: ['color', 'face', 'size'],
+        td: ['colspan', 'rowspan', 'align', 'valign', 'width'],
+        th: ['colspan', 'rowspan', 'align', 'valign', 'width'],
+        table: ['cellpadding', 'cellspacing', 'border', 'width'],
+        '*': ['style']
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowedSchemesByTag: { img: ['https', 'data'] },
+    allowedStyles: {
+        '*': {
+            color: [/^#[0-9a-f]{3,8}$/i, /^rgba?\([\d\s.,%]+\)$/i, /^[a-z]+$/i],
+            'background-color': [/^#[0-9a-f]{3,8}$/i, /^rgba?\([\d\s.,%]+\)$/i, /^[a-z]+$/i],
+            'font-family': [/^[\w\s,'"-]+$/],
+            'font-size': [/^\d+(?:\.\d+)?(?:px|pt|em|rem|%)$/],
+            'font-weight': [/^(?:normal|bold|\d{3})$/],
+            'font-style': [/^(?:normal|italic)$/],
+            'text-align': [/^(?:left|right|center|justify)$/],
+            'text-decoration': [/^(?:none|underline)$/],
+            'line-height': [/^\d+(?:\.\d+)?(?:px|pt|em|%)?$/],
+            margin: [/^(?:\d+(?:\.\d+)?(?:px|pt|em)?\s*){1,4}$/],
+            padding: [/^(?:\d+(?:\.\d+)?(?:px|pt|em)?\s*){1,4}$/],
+            width: [/^\d+(?:px|%)$/],
+            height: [/^\d+px$/],
+            'vertical-align': [/^(?:top|middle|bottom|baseline)$/],
+            border: [/^[\w\s#.()-]+$/]
+        }
+    }
+};
+
+/**
+ * Clean signature HTML and derive its plain-text version
+ * @returns {{ signature?: { html, text }|null, error?: string }} null when the signature is empty
+ */
+function sanitizeSignature(html) {
+    if (html === null || html === undefined || String(html).trim() === '') {
+        return { signature: null };
+    }
+    if (typeof html !== 'string') return { error: 'Signature must be HTML text' };
+    if (html.length > CONFIG.MAX_HTML_LENGTH) {
+        return { error: `Signatures are limited to ${CONFIG.MAX_HTML_LENGTH} characters` };
+    }
+
+    const clean = sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+    const text = htmlToText(clean, {
+        wordwrap: false,
+        selectors: [{ selector: 'img', format: 'skip' }]
+    }).trim();
+
+    if (!clean) return { signature: null };
+    return { signature: { html: clean, text } };
+}
+
+/**
+ * Signature to append when a user sends from an account
+ * @returns {Promise<{ html, text }|null>} personal signature first, then the account's
+ */
+async function resolveSignature(db, account, userId) {
+    const userDoc = await db.collection('users').doc(userId).get();
+    const parts = [userDoc.exists ? userDoc.data().signature : null, account.signature]
+        .filter(part => part && (part.html || part.text));
+
+    if (parts.length === 0) return null;
+
+    return {
+        html: parts.map(part => `<div>${part.html}</div>`).join('<br>'),
+        text: parts.map(part => part.text).join('\n\n')
+    };
+}
+
+module.exports = { sanitizeSignature, resolveSignature };
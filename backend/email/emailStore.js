@@ -0,0 +1,273 @@
+/**
+ * Email Store - Persisted inbox per email account
+ *
+ * Messages live in the emailAccounts/{accountId}/messages subcollection,
+ * keyed by provider message id. Sync progress (Gmail historyId, Graph delta
+ * link, IMAP UIDVALIDITY/UIDNEXT) is kept on the account doc as `syncState`.
+ *
+ * The store mirrors the provider INBOX: archived or moved messages are
+ * removed rather than flagged.
+ */
+
+const admin = require('firebase-admin');
+
+// Configuration
+const CONFIG = {
+    WRITE_BATCH_SIZE: 400, // Firestore allows 500 writes per batch
+    MAX_BODY_LENGTH: 200000, // Keep docs well under the 1 MB Firestore limit
+    DEFAULT_PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100
+};
+
+class EmailStore {
+    constructor(db) {
+        this.db = db;
+    }
+
+    _accountRef(accountId) {
+        return this.db.collection('emailAccounts').doc(accountId);
+    }
+
+    _messages(accountId) {
+        return this._accountRef(accountId).collection('messages');
+    }
+
+    /**
+     * Firestore doc ids can't contain '/', which Graph ids sometimes do
+     */
+    _docId(providerMessageId) {
+        return encodeURIComponent(String(providerMessageId));
+    }
+
+    /**
+     * Provider message id of a parsed email (Gmail/Graph id or IMAP uid)
+     */
+    _providerMessageId(email) {
+        return email.uid !== undefined ? email.uid : email.messageId;
+    }
+
+    /**
+     * Shape a parsed email for storage
+     */
+    _toDoc(email) {
+        const doc = {
+            ...email,
+            date: email.date ? new Date(email.date) : new Date(),
+            syncedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        // Large newsletters can exceed the document limit
+        if (doc.html && doc.html.length > CONFIG.MAX_BODY_LENGTH) {
+            doc.html = doc.html.substring(0, CONFIG.MAX_BODY_LENGTH);
+            doc.bodyTruncated = true;
+        }
+        if (doc.text && doc.text.length > CONFIG.MAX_BODY_LENGTH) {
+            doc.text = doc.text.substring(0, CONFIG.MAX_BODY_LENGTH);
+            doc.bodyTruncated = true;
+        }
+
+        return doc;
+    }
+
+    /**
+     * Shape a stored doc back to the API email format
+     */
+    _fromDoc(doc) {
+        const data = doc.data();
+        const { syncedAt, ...email } = data;
+        return {
+            ...email,
+            date: data.date?.toDate ? data.date.toDate() : data.date
+        };
+    }
+
+    /**
+     * Run writes in Firestore-sized batches
+     */
+    async _batchWrite(items, apply) {
+        for (let i = 0; i < items.length; i += CONFIG.WRITE_BATCH_SIZE) {
+            const batch = this.db.batch();
+            items.slice(i, i + CONFIG.WRITE_BATCH_SIZE).forEach(item => apply(batch, item));
+            await batch.commit();
+        }
+    }
+
+    // ============================================================================
+    // MESSAGES
+    // ============================================================================
+
+    /**
+     * Insert or replace parsed emails
+     */
+    async upsertMessages(accountId, emails) {
+        if (emails.length === 0) return;
+
+        await this._batchWrite(emails, (batch, email) => {
+            const ref = this._messages(accountId).doc(this._docId(this._providerMessageId(email)));
+            batch.set(ref, this._toDoc(email));
+        });
+    }
+
+    /**
+     * Emails from a batch that aren't stored yet
+     */
+    async filterNew(accountId, emails) {
+        if (emails.length === 0) return [];
+
+        const refs = emails.map(email => this._messages(accountId).doc(this._docId(this._providerMessageId(email))));
+        const snapshots = await this.db.getAll(...refs);
+        return emails.filter((email, i) => !snapshots[i].exists);
+    }
+
+    /**
+     * Patch fields on stored messages (missing docs are skipped)
+     * @returns {Promise<Array>} ids that weren't in the store
+     */
+    async updateMessages(accountId, providerMessageIds, fields) {
+        if (providerMessageIds.length === 0) return [];
+
+        const refs = providerMessageIds.map(id => this._messages(accountId).doc(this._docId(id)));
+        const snapshots = await this.db.getAll(...refs);
+
+        const existing = snapshots.filter(snap => snap.exists);
+        await this._batchWrite(existing, (batch, snap) => {
+            batch.update(snap.ref, fields);
+        });
+
+        return providerMessageIds.filter((id, i) => !snapshots[i].exists);
+    }
+
+    /**
+     * Remove messages that left the inbox
+     */
+    async deleteMessages(accountId, providerMessageIds) {
+        if (providerMessageIds.length === 0) return;
+
+        await this._batchWrite(providerMessageIds, (batch, id) => {
+            batch.delete(this._messages(accountId).doc(this._docId(id)));
+        });
+    }
+
+    /**
+     * Remove every stored message for an account
+     */
+    async clearMessages(accountId) {
+        const snapshot = await this._messages(accountId).select().get();
+        await this._batchWrite(snapshot.docs, (batch, doc) => {
+            batch.delete(doc.ref);
+        });
+    }
+
+    /**
+     * Get one stored message
+     */
+    async getMessage(accountId, providerMessageId) {
+        const doc = await this._messages(accountId).doc(this._docId(providerMessageId)).get();
+        return doc.exists ? this._fromDoc(doc) : null;
+    }
+
+    /**
+     * Find a stored IMAP message by its RFC 5322 Message-ID
+     */
+    async findByRfcMessageId(accountId, rfcMessageId) {
+        const snapshot = await this._messages(accountId)
+            .where('rfcMessageId', '==', rfcMessageId)
+            .limit(1)
+            .get();
+        return snapshot.empty ? null : this._fromDoc(snapshot.docs[0]);
+    }
+
+    /**
+     * Read/star state of every stored message (for IMAP flag and expunge checks)
+     * @returns {Promise<Map>} providerMessageId -> { isRead, isStarred }
+     */
+    async listMessageFlags(accountId) {
+        const snapshot = await this._messages(accountId).select('isRead', 'isStarred').get();
+        const flags = new Map();
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            flags.set(decodeURIComponent(doc.id), { isRead: !!data.isRead, isStarred: !!data.isStarred });
+        });
+        return flags;
+    }
+
+    /**
+     * A page of stored messages, newest first
+     * @param {string} pageToken - doc id of the last message on the previous page
+     */
+    async listMessages(accountId, pageToken, limit = CONFIG.DEFAULT_PAGE_SIZE) {
+        const pageSize = Math.min(limit, CONFIG.MAX_PAGE_SIZE);
+        let query = this._messages(accountId).orderBy('date', 'desc');
+
+        if (pageToken) {
+            const cursor = await this._messages(accountId).doc(pageToken).get();
+            if (cursor.exists) {
+                query = query.startAfter(cursor);
+            }
+        }
+
+        // Fetch one extra to know whether another page exists
+        const snapshot = await query.limit(pageSize + 1).get();
+        const docs = snapshot.docs.slice(0, pageSize);
+        const hasMore = snapshot.docs.length > pageSize;
+
+        return {
+            emails: docs.map(doc => this._fromDoc(doc)),
+            pagination: {
+                nextPageToken: hasMore ? docs[docs.length - 1].id : null,
+                hasMore
+            }
+        };
+    }
+
+    /**
+     * Mirror a provider action into the store
+     */
+    async applyAction(accountId, providerMessageIds, action) {
+        switch (action) {
+            case 'read':
+                return this.updateMessages(accountId, providerMessageIds, { isRead: true });
+            case 'unread':
+                return this.updateMessages(accountId, providerMessageIds, { isRead: false });
+            case 'star':
+                return this.updateMessages(accountId, providerMessageIds, { isStarred: true });
+            case 'unstar':
+                return this.updateMessages(accountId, providerMessageIds, { isStarred: false });
+            case 'archive':
+            case 'move':
+                return this.deleteMessages(accountId, providerMessageIds);
+        }
+    }
+
+    // ============================================================================
+    // SYNC STATE
+    // ============================================================================
+
+    async getSyncState(accountId) {
+        const doc = await this._accountRef(accountId).get();
+        return doc.exists ? (doc.data().syncState || null) : null;
+    }
+
+    /**
+     * Merge fields into the account's syncState
+     * Uses update() so a deleted account isn't recreated by a late sync
+     */
+    async updateSyncState(accountId, fields) {
+        const update = {};
+        for (const [key, value] of Object.entries(fields)) {
+            update[`syncState.${key}`] = value;
+        }
+        await this._accountRef(accountId).update(update);
+    }
+
+    /**
+     * Drop sync progress so the next run starts from scratch
+     */
+    async resetSyncState(accountId) {
+        await this._accountRef(accountId).update({
+            syncState: admin.firestore.FieldValue.delete()
+        });
+    }
+}
+
+module.exports = { EmailStore };
@@ -0,0 +1,521 @@
+/**
+ * Email Sync Engine - Background incremental sync into the email store
+ *
+ * Keeps emailAccounts/{id}/messages in step with each provider's INBOX:
+ * - Gmail: users.history.list from the last seen historyId
+ * - Microsoft Graph: inbox message delta query (deltaLink)
+ * - IMAP: UIDVALIDITY/UIDNEXT for new mail, flag scan for read/star/expunge
+ *
+ * The first run for an account pulls a bounded window of recent mail;
+ * later runs only fetch changes. Once an account's initial sync is done,
+ * the inbox endpoint serves it from the store instead of the provider.
+ *
+ * Events:
+ * - 'synced' ({ account, added, updated, removed }) after every successful run
+ * - 'new_email' ({ account, emails }) for mail that arrived since the last run
+ */
+
+const EventEmitter = require('events');
+const axios = require('axios');
+const admin = require('firebase-admin');
+const { OAuthManager } = require('./oauthManager');
+const { EmailService, GRAPH_MESSAGE_SELECT } = require('./emailService');
+const { EmailStore } = require('./emailStore');
+const { rateLimitUntil } = require('../integrations/integrationHealth');
+
+// Configuration
+const CONFIG = {
+    SYNC_INTERVAL: 2 * 60 * 1000, // 2 minutes
+    STARTUP_DELAY: 15 * 1000, // Let the server finish booting first
+    REQUEST_TIMEOUT: 30000,
+
+    // Initial sync window
+    INITIAL_SYNC_COUNT: 100,
+    INITIAL_SYNC_DAYS: 30,
+
+    // Graph delta paging
+    GRAPH_PAGE_SIZE: 50,
+    MAX_DELTA_PAGES: 10 // Resume from nextLink on the next run if exceeded
+};
+
+class EmailSyncEngine extends EventEmitter {
+    constructor(db) {
+        super();
+        this.db = db;
+        this.oauthManager = new OAuthManager(db);
+        this.emailStore = new EmailStore(db);
+        this.emailService = new EmailService(this.oauthManager, db, this.emailStore);
+
+        this.syncing = new Set(); // accountIds currently syncing
+        this.running = false;
+        this.timer = null;
+        this.startupTimer = null;
+    }
+
+    /**
+     * Start the periodic sync worker
+     */
+    start() {
+        if (this.timer) return;
+
+        console.log(`[EmailSync] Worker started (every ${CONFIG.SYNC_INTERVAL / 1000}s)`);
+        this.startupTimer = setTimeout(() => this.syncAll(), CONFIG.STARTUP_DELAY);
+        this.timer = setInterval(() => this.syncAll(), CONFIG.SYNC_INTERVAL);
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    /**
+     * Sync every connected account, one at a time
+     */
+    async syncAll() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const snapshot = await this.db.collection('emailAccounts').get();
+            const accountIds = snapshot.docs
+                .filter(doc => doc.data().status !== 'requires_reauth')
+                .map(doc => doc.id);
+
+            for (const accountId of accountIds) {
+                await this.syncAccount(accountId);
+            }
+        } catch (err) {
+            console.error('[EmailSync] Sync run failed:', err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Sync one account. Errors are recorded on syncState, not thrown.
+     * A rate-limited account is skipped until the provider's retry time.
+     * @returns {Promise<Object|null>} summary of changes, null if skipped or failed
+     */
+    async syncAccount(accountId) {
+        if (this.syncing.has(accountId)) return null;
+        this.syncing.add(accountId);
+
+        try {
+            const account = await this.emailService.getAccount(accountId);
+            if (!account || account.status === 'requires_reauth') return null;
+
+            const state = account.syncState || {};
+            if (state.rateLimitedUntil?.toMillis && state.rateLimitedUntil.toMillis() > Date.now()) return null;
+
+            let result;
+
+            switch (account.provider) {
+                case 'gmail-oauth':
+                    result = await this._syncGmail(account, state);
+                    break;
+                case 'microsoft-oauth':
+                    result = await this._syncMicrosoft(account, state);
+                    break;
+                default:
+                    result = await this._syncImap(account, state);
+            }
+
+            await this.emailStore.updateSyncState(accountId, {
+                ...result.state,
+                lastSyncAt: admin.firestore.FieldValue.serverTimestamp(),
+                error: null,
+                rateLimitedUntil: null
+            });
+
+            const summary = { added: result.added.length, updated: result.updated, removed: result.removed };
+
+            if (summary.added || summary.updated || summary.removed) {
+                this.emailService.invalidateCache(accountId);
+                console.log(`[EmailSync] ${account.email}: +${summary.added} ~${summary.updated} -${summary.removed}`);
+            }
+
+            this.emit('synced', { account, ...summary });
+
+            // Initial syncs and resyncs backfill history - that isn't new mail
+            if (!result.backfill && result.added.length > 0) {
+                this.emit('new_email', { account, emails: result.added });
+            }
+
+            return summary;
+        } catch (err) {
+            console.error(`[EmailSync] ${accountId} failed:`, err.message);
+            const limitedUntil = rateLimitUntil(err);
+            await this.emailStore.updateSyncState(accountId, {
+                error: err.message,
+                lastErrorAt: admin.firestore.FieldValue.serverTimestamp(),
+                ...(limitedUntil && { rateLimitedUntil: admin.firestore.Timestamp.fromDate(limitedUntil) })
+            }).catch(() => { /* account may have been deleted */ });
+            return null;
+        } finally {
+            this.syncing.delete(accountId);
+        }
+    }
+
+    /**
+     * Throw away stored mail and sync progress, then sync from scratch
+     */
+    async resync(accountId) {
+        await this.emailStore.clearMessages(accountId);
+        await this.emailStore.resetSyncState(accountId);
+        return this.syncAccount(accountId);
+    }
+
+    // ============================================================================
+    // GMAIL
+    // ============================================================================
+
+    async _syncGmail(account, state) {
+        const gmail = await this.emailService.getGmailClient(account);
+
+        if (!state.gmailHistoryId) {
+            return this._initialGmailSync(gmail, account);
+        }
+
+        // Collect the latest label set per touched message
+        const touched = new Map(); // messageId -> labelIds
+        const deleted = new Set();
+        let pageToken;
+        let historyId = state.gmailHistoryId;
+
+        try {
+            do {
+                const response = await gmail.users.history.list({
+                    userId: 'me',
+                    startHistoryId: state.gmailHistoryId,
+                    historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+                    pageToken
+                });
+
+                for (const record of response.data.history || []) {
+                    for (const item of record.messagesDeleted || []) {
+                        deleted.add(item.message.id);
+                        touched.delete(item.message.id);
+                    }
+                    const changes = [
+                        ...(record.messagesAdded || []),
+                        ...(record.labelsAdded || []),
+                        ...(record.labelsRemoved || [])
+                    ];
+                    for (const item of changes) {
+                        if (!deleted.has(item.message.id)) {
+                            touched.set(item.message.id, item.message.labelIds || []);
+                        }
+                    }
+                }
+
+                historyId = response.data.historyId || historyId;
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+        } catch (err) {
+            // historyId too old - Gmail only keeps about a week of history
+            if (err.code === 404) {
+                console.log(`[EmailSync] ${account.email}: history expired, resyncing`);
+                await this.emailStore.clearMessages(account.id);
+                return this._initialGmailSync(gmail, account);
+            }
+            throw err;
+        }
+
+        const removedIds = [...deleted];
+        const inboxIds = [];
+        for (const [messageId, labelIds] of touched) {
+            if (labelIds.includes('INBOX')) {
+                inboxIds.push(messageId);
+            } else {
+                removedIds.push(messageId);
+            }
+        }
+
+        await this.emailStore.deleteMessages(account.id, removedIds);
+
+        // Label-only changes patch the stored doc; anything not stored yet is fetched in full
+        let updated = 0;
+        const missing = [];
+        for (const messageId of inboxIds) {
+            const labelIds = touched.get(messageId);
+            const notFound = await this.emailStore.updateMessages(account.id, [messageId], {
+                isRead: !labelIds.includes('UNREAD'),
+                isStarred: labelIds.includes('STARRED'),
+                labels: labelIds,
+                primaryCategory: this.emailService._getGmailCategory(labelIds)
+            });
+            if (notFound.length > 0) {
+                missing.push(messageId);
+            } else {
+                updated++;
+            }
+        }
+
+        const emails = await this.emailService._fetchGmailMessages(gmail, missing, account);
+        await this.emailStore.upsertMessages(account.id, emails);
+
+        return {
+            added: emails,
+            updated,
+            removed: removedIds.length,
+            state: { gmailHistoryId: historyId, ready: true }
+        };
+    }
+
+    async _initialGmailSync(gmail, account) {
+        // Take the historyId before listing so nothing slips between the two
+        const profile = await gmail.users.getProfile({ userId: 'me' });
+
+        const listResponse = await gmail.users.messages.list({
+            userId: 'me',
+            q: 'in:inbox',
+            maxResults: CONFIG.INITIAL_SYNC_COUNT
+        });
+        const messageIds = (listResponse.data.messages || []).map(msg => msg.id);
+
+        const emails = await this.emailService._fetchGmailMessages(gmail, messageIds, account);
+        await this.emailStore.upsertMessages(account.id, emails);
+
+        return {
+            added: emails,
+            updated: 0,
+            removed: 0,
+            backfill: true,
+            state: { gmailHistoryId: profile.data.historyId, ready: true }
+        };
+    }
+
+    // ============================================================================
+    // MICROSOFT GRAPH
+    // ============================================================================
+
+    async _syncMicrosoft(account, state) {
+        const accessToken = await this.emailService.getMicrosoftToken(account);
+
+        let url = state.graphDeltaLink;
+        if (!url) {
+            const since = new Date(Date.now() - CONFIG.INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000).toISOString();
+            url = 'https://graph.microsoft.com/v1.0/me/mailFolders/inbox/messages/delta' +
+                `?$select=${GRAPH_MESSAGE_SELECT}` +
+                `&$filter=${encodeURIComponent(`receivedDateTime ge ${since}`)}`;
+        }
+
+        const added = [];
+        let updated = 0;
+        let removed = 0;
+        let deltaLink = null;
+        let nextLink = null;
+
+        try {
+            for (let page = 0; page < CONFIG.MAX_DELTA_PAGES && url; page++) {
+                const response = await axios.get(url, {
+                    headers: {
+                        Authorization: `Bearer ${accessToken}`,
+                        Prefer: `odata.maxpagesize=${CONFIG.GRAPH_PAGE_SIZE}`
+                    },
+                    timeout: CONFIG.REQUEST_TIMEOUT
+                });
+
+                const items = response.data.value || [];
+                const removedIds = items.filter(item => item['@removed']).map(item => item.id);
+                const emails = items
+                    .filter(item => !item['@removed'])
+                    .map(item => this.emailService._parseMicrosoftMessage(item, account));
+
+                // Delta returns changed messages too; only unseen ids are new mail
+                const newEmails = await this.emailStore.filterNew(account.id, emails);
+
+                await this.emailStore.deleteMessages(account.id, removedIds);
+                await this.emailStore.upsertMessages(account.id, emails);
+                added.push(...newEmails);
+                updated += emails.length - newEmails.length;
+                removed += removedIds.length;
+
+                nextLink = response.data['@odata.nextLink'] || null;
+                deltaLink = response.data['@odata.deltaLink'] || null;
+                url = nextLink;
+            }
+        } catch (err) {
+            if (err.response?.status === 401) {
+                await this.emailService._markAccountForReauth(account, 'Token expired');
+            }
+            // Delta token expired or invalid - start over
+            if (err.response?.status === 410) {
+                console.log(`[EmailSync] ${account.email}: delta token expired, resyncing`);
+                await this.emailStore.clearMessages(account.id);
+                return this._syncMicrosoft(account, {});
+            }
+            throw err;
+        }
+
+        // Either link resumes the delta; only a deltaLink means we're caught up
+        return {
+            added,
+            updated,
+            removed,
+            backfill: !state.ready,
+            state: {
+                graphDeltaLink: deltaLink || nextLink,
+                ready: state.ready || !!deltaLink
+            }
+        };
+    }
+
+    // ============================================================================
+    // IMAP
+    // ============================================================================
+
+    async _syncImap(account, state) {
+        const imapConfig = this.emailService._getImapConfig(account);
+        if (!imapConfig) {
+            throw new Error(`No IMAP credentials for ${account.email}`);
+        }
+
+        const client = this.emailService.createImapClient(imapConfig);
+        try {
+            await client.connect();
+            const mailbox = await client.mailboxOpen('INBOX');
+            const uidValidity = String(mailbox.uidValidity);
+
+            let added = [];
+            let updated = 0;
+            let removed = 0;
+            let backfill = false;
+
+            if (state.imapUidValidity !== uidValidity) {
+                // New mailbox or UIDs were reassigned - stored uids are meaningless
+                if (state.imapUidValidity) {
+                    console.log(`[EmailSync] ${account.email}: UIDVALIDITY changed, resyncing`);
+                    await this.emailStore.clearMessages(account.id);
+                }
+
+                backfill = true;
+                if (mailbox.exists > 0) {
+                    const start = Math.max(1, mailbox.exists - CONFIG.INITIAL_SYNC_COUNT + 1);
+                    added = await this._fetchImapRange(client, account, `${start}:*`, {});
+                }
+            } else {
+                // Flags and expunges for what we already hold
+                const stored = await this.emailStore.listMessageFlags(account.id);
+                if (stored.size > 0) {
+                    const changes = await this._diffImapFlags(client, stored);
+                    await this.emailStore.deleteMessages(account.id, changes.removed);
+                    for (const change of changes.updated) {
+                        await this.emailStore.updateMessages(account.id, [change.uid], change.fields);
+                    }
+                    updated = changes.updated.length;
+                    removed = changes.removed.length;
+                }
+
+                // New arrivals since the last UIDNEXT
+                if (mailbox.uidNext > state.imapUidNext) {
+                    added = await this._fetchImapRange(client, account, `${state.imapUidNext}:*`, { uid: true }, state.imapUidNext);
+                }
+            }
+
+            return {
+                added,
+                updated,
+                removed,
+                backfill,
+                state: {
+                    imapUidValidity: uidValidity,
+                    imapUidNext: mailbox.uidNext,
+                    ready: true
+                }
+            };
+        } catch (err) {
+            if (err.authenticationFailed) {
+                await this.emailService._markAccountForReauth(account, 'Invalid credentials');
+            }
+            throw err;
+        } finally {
+            try {
+                await client.logout();
+            } catch (e) { /* ignore */ }
+        }
+    }
+
+    /**
+     * Fetch, parse and store a range of messages
+     * @param {number} minUid - skip anything below (n:* always returns the last message)
+     * @returns {Promise<Array>} the stored emails
+     */
+    async _fetchImapRange(client, account, range, options, minUid = 0) {
+        const emails = [];
+
+        for await (const message of client.fetch(range, {
+            envelope: true,
+            source: true,
+            flags: true,
+            uid: true
+        }, options)) {
+            if (message.uid < minUid) continue;
+
+            const email = await this.emailService._parseImapMessage(message, account);
+            if (email) {
+                emails.push(email);
+            }
+        }
+
+        await this._adoptImapThreads(account, emails);
+        await this.emailStore.upsertMessages(account.id, emails);
+        return emails;
+    }
+
+    /**
+     * A reply with In-Reply-To but no References only knows its parent.
+     * If the parent is already known, join the parent's thread instead.
+     */
+    async _adoptImapThreads(account, emails) {
+        const batch = new Map(emails.filter(e => e.rfcMessageId).map(e => [e.rfcMessageId, e]));
+
+        // Oldest first so chains inside one batch resolve parent before child
+        const ordered = [...emails].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        for (const email of ordered) {
+            if (!email.inReplyTo || email.references?.length > 0) continue;
+
+            const parent = batch.get(email.inReplyTo) ||
+                await this.emailStore.findByRfcMessageId(account.id, email.inReplyTo);
+
+            if (parent && parent.threadId) {
+                email.threadId = parent.threadId;
+                email.conversationId = `imap_${account.id}_${parent.threadId}`;
+            }
+        }
+    }
+
+    /**
+     * Compare server flags with stored read/star state
+     * @param {Map} stored - uid -> { isRead, isStarred }
+     */
+    async _diffImapFlags(client, stored) {
+        const uids = [...stored.keys()].map(Number);
+        const minUid = Math.min(...uids);
+
+        const seen = new Set();
+        const updated = [];
+
+        for await (const message of client.fetch(`${minUid}:*`, { flags: true, uid: true }, { uid: true })) {
+            const uid = String(message.uid);
+            const current = stored.get(uid);
+            if (!current) continue;
+
+            seen.add(uid);
+            const isRead = message.flags.has('\\Seen');
+            const isStarred = message.flags.has('\\Flagged');
+
+            if (current.isRead !== isRead || current.isStarred !== isStarred) {
+                updated.push({ uid, fields: { isRead, isStarred } });
+            }
+        }
+
+        const removed = [...stored.keys()].filter(uid => !seen.has(uid));
+        return { updated, removed };
+    }
+}
+
+module.exports = { EmailSyncEngine };
@@ -0,0 +1,207 @@
+/**
+ * Email Threads - Conversation view across providers
+ *
+ * Every parsed email carries a provider thread key (`threadId`) and a
+ * URBox-wide `conversationId` (`{prefix}_{accountId}_{threadId}`):
+ * - Gmail: threadId
+ * - Microsoft Graph: conversationId
+ * - IMAP: root of the RFC 5322 References chain, else In-Reply-To, else Message-ID
+ *
+ * getThread() loads a whole conversation from the provider (including sent
+ * replies); groupByThread() folds a flat inbox list into conversations.
+ */
+
+const axios = require('axios');
+const { GRAPH_MESSAGE_SELECT } = require('./emailService');
+
+// Configuration
+const CONFIG = {
+    REQUEST_TIMEOUT: 30000,
+    GRAPH_BASE_URL: 'https://graph.microsoft.com/v1.0/me',
+    MAX_THREAD_MESSAGES: 100
+};
+
+class EmailThreads {
+    constructor(emailService) {
+        this.emailService = emailService;
+    }
+
+    /**
+     * Load every message in a conversation, oldest first
+     * @param {Object} account - emailAccounts document (with id)
+     * @param {string} threadId - provider thread key
+     */
+    async getThread(account, threadId) {
+        let messages;
+
+        switch (account.provider) {
+            case 'gmail-oauth':
+                messages = await this._getGmailThread(account, threadId);
+                break;
+            case 'microsoft-oauth':
+                messages = await this._getMicrosoftThread(account, threadId);
+                break;
+            default:
+                messages = await this._getImapThread(account, threadId);
+        }
+
+        messages.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        return {
+            id: `${this._idPrefix(account)}_${account.id}_${threadId}`,
+            accountId: account.id,
+            subject: messages[0]?.subject || '(No Subject)',
+            messageCount: messages.length,
+            unreadCount: messages.filter(m => m.isRead === false).length,
+            participants: this._participants(messages),
+            messages
+        };
+    }
+
+    /**
+     * Fold a flat, newest-first email list into conversations
+     * Thread order follows the latest message; messages inside are oldest first.
+     */
+    groupByThread(emails) {
+        const threads = new Map();
+
+        for (const email of emails) {
+            // Emails stored before threading existed have no conversationId
+            const key = email.conversationId || email.id;
+
+            if (!threads.has(key)) {
+                threads.set(key, { id: key, accountId: email.accountId, messages: [] });
+            }
+            threads.get(key).messages.push(email);
+        }
+
+        return [...threads.values()]
+            .map(thread => {
+                const messages = thread.messages.sort((a, b) => new Date(a.date) - new Date(b.date));
+                const latest = messages[messages.length - 1];
+
+                return {
+                    ...thread,
+                    subject: messages[0].subject,
+                    messageCount: messages.length,
+                    unreadCount: messages.filter(m => m.isRead === false).length,
+                    participants: this._participants(messages),
+                    lastDate: latest.date,
+                    latest
+                };
+            })
+            .sort((a, b) => new Date(b.lastDate) - new Date(a.lastDate));
+    }
+
+    // ============================================================================
+    // PROVIDERS
+    // ============================================================================
+
+    async _getGmailThread(account, threadId) {
+        const gmail = await this.emailService.getGmailClient(account);
+        const response = await gmail.users.threads.get({
+            userId: 'me',
+            id: threadId,
+            format: 'full'
+        });
+
+        return (response.data.messages || []).map(message => this.emailService._parseGmailMessage(message, account));
+    }
+
+    async _getMicrosoftThread(account, conversationId) {
+        const accessToken = await this.emailService.getMicrosoftToken(account);
+
+        // Graph rejects $orderby combined with this filter, so sort afterwards
+        const filter = `conversationId eq '${conversationId.replace(/'/g, "''")}'`;
+        const url = `${CONFIG.GRAPH_BASE_URL}/messages` +
+            `?$filter=${encodeURIComponent(filter)}` +
+            `&$select=${GRAPH_MESSAGE_SELECT}` +
+            `&$top=${CONFIG.MAX_THREAD_MESSAGES}`;
+
+        const response = await axios.get(url, {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            timeout: CONFIG.REQUEST_TIMEOUT
+        });
+
+        return (response.data.value || []).map(message => this.emailService._parseMicrosoftMessage(message, account));
+    }
+
+    /**
+     * Search INBOX and Sent for the root Message-ID and anything referencing it
+     */
+    async _getImapThread(account, threadId) {
+        return this.emailService.withImapClient(account, async (client) => {
+            const sentPath = await this.emailService.findImapSentMailbox(client);
+            const messages = [];
+
+            // Messages without any Message-ID are a thread of one
+            const uidMatch = threadId.match(/^uid-(\d+)$/);
+
+            const rootId = `<${threadId}>`;
+            const query = uidMatch ? { uid: uidMatch[1] } : {
+                or: [
+                    { header: { 'message-id': rootId } },
+                    { header: { references: rootId } },
+                    { header: { 'in-reply-to': rootId } }
+                ]
+            };
+
+            const paths = uidMatch ? ['INBOX'] : ['INBOX', sentPath].filter(Boolean);
+
+            for (const path of paths) {
+                await client.mailboxOpen(path);
+                const uids = await client.search(query, { uid: true });
+                if (!uids || uids.length === 0) continue;
+
+                for await (const message of client.fetch(uids.slice(-CONFIG.MAX_THREAD_MESSAGES), {
+                    envelope: true,
+                    source: true,
+                    flags: true,
+                    uid: true
+                }, { uid: true })) {
+                    const email = await this.emailService._parseImapMessage(message, account);
+                    if (!email) continue;
+
+                    // Sent uids live in a different mailbox - keep ids unique within the thread
+                    // (emailService.parseImapMessageId maps them back to Sent)
+                    if (path !== 'INBOX') {
+                        email.id = `imap_${account.id}_sent-${message.uid}`;
+                        email.folder = 'sent';
+                    }
+
+                    // Replies without References still belong here
+                    email.threadId = threadId;
+                    email.conversationId = `imap_${account.id}_${threadId}`;
+                    messages.push(email);
+                }
+            }
+
+            return messages;
+        });
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    _idPrefix(account) {
+        switch (account.provider) {
+            case 'gmail-oauth': return 'gmail';
+            case 'microsoft-oauth': return 'microsoft';
+            default: return 'imap';
+        }
+    }
+
+    /**
+     * Distinct From addresses in order of first appearance
+     */
+    _participants(messages) {
+        const seen = new Set();
+        for (const message of messages) {
+            if (message.from) seen.add(message.from);
+        }
+        return [...seen];
+    }
+}
+
+module.exports = { EmailThreads };
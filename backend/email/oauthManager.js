@@ -7,11 +7,14 @@
  * - Token caching with TTL
  * - Graceful error classification
  * - Automatic retry with exponential backoff
+ * - Stored tokens are encrypted at rest (see core/services/credentials.js)
  */
 
 const { google } = require('googleapis');
 const { ConfidentialClientApplication } = require('@azure/msal-node');
 const admin = require('firebase-admin');
+const encryption = require('../core/services/encryption-service');
+const { revealSecret } = require('../core/services/credentials');
 
 // Configuration
 const CONFIG = {
@@ -140,21 +143,31 @@ class OAuthManager {
         }
     }
 
+    /**
+     * Decrypted tokens stored on an account (older docs keep them at the top level)
+     */
+    _storedTokens(account) {
+        return {
+            accessToken: revealSecret(account.oauth?.accessToken || account.accessToken),
+            refreshToken: revealSecret(account.oauth?.refreshToken || account.refreshToken),
+            expiryDate: account.oauth?.expiryDate || account.expiryDate
+        };
+    }
+
     /**
      * Refresh Google OAuth token
      */
     async _refreshGoogleToken(account) {
-        const refreshToken = account.oauth?.refreshToken || account.refreshToken;
+        const { accessToken, refreshToken, expiryDate: currentExpiry } = this._storedTokens(account);
 
         if (!refreshToken) {
             return { error: 'no_refresh_token', message: 'No refresh token available' };
         }
 
         // Check if current token is still valid
-        const currentExpiry = account.oauth?.expiryDate || account.expiryDate;
         if (currentExpiry && currentExpiry > Date.now() + CONFIG.REFRESH_BUFFER_MS) {
             return {
-                accessToken: account.oauth?.accessToken || account.accessToken,
+                accessToken,
                 expiryDate: currentExpiry,
                 refreshed: false
             };
@@ -196,17 +209,16 @@ class OAuthManager {
             return { error: 'no_msal_client', message: 'MSAL client not configured' };
         }
 
-        const refreshToken = account.oauth?.refreshToken || account.refreshToken;
+        const { accessToken, refreshToken, expiryDate: currentExpiry } = this._storedTokens(account);
 
         if (!refreshToken) {
             return { error: 'no_refresh_token', message: 'No refresh token available' };
         }
 
         // Check if current token is still valid
-        const currentExpiry = account.oauth?.expiryDate || account.expiryDate;
         if (currentExpiry && currentExpiry > Date.now() + CONFIG.REFRESH_BUFFER_MS) {
             return {
-                accessToken: account.oauth?.accessToken || account.accessToken,
+                accessToken,
                 expiryDate: currentExpiry,
                 refreshed: false
             };
@@ -215,7 +227,7 @@ class OAuthManager {
         try {
             const result = await this.msalClient.acquireTokenByRefreshToken({
                 refreshToken: refreshToken,
-                scopes: ['openid', 'profile', 'email', 'Mail.Read', 'Mail.ReadWrite', 'Calendars.Read']
+                scopes: ['openid', 'profile', 'email', 'Mail.Read', 'Mail.ReadWrite', 'Mail.Send', 'Calendars.Read']
             });
 
             if (!result || !result.accessToken) {
@@ -252,16 +264,15 @@ class OAuthManager {
      * Refresh Slack OAuth token
      */
     async _refreshSlackToken(account) {
-        const refreshToken = account.oauth?.refreshToken || account.refreshToken;
+        const { accessToken, refreshToken, expiryDate: currentExpiry } = this._storedTokens(account);
 
         // Slack tokens might not expire if they are bot tokens or non-rotating user tokens
         // But if we have an expiry date, we should respect it.
-        const currentExpiry = account.oauth?.expiryDate || account.expiryDate;
 
         // If no expiry date, assume it's good forever (or until revocation)
         if (!currentExpiry) {
             return {
-                accessToken: account.oauth?.accessToken || account.accessToken,
+                accessToken,
                 expiryDate: null,
                 refreshed: false
             };
@@ -269,7 +280,7 @@ class OAuthManager {
 
         if (currentExpiry && currentExpiry > Date.now() + CONFIG.REFRESH_BUFFER_MS) {
             return {
-                accessToken: account.oauth?.accessToken || account.accessToken,
+                accessToken,
                 expiryDate: currentExpiry,
                 refreshed: false
             };
@@ -358,7 +369,7 @@ class OAuthManager {
 
         try {
             const updateData = {
-                'oauth.accessToken': tokenResult.accessToken,
+                'oauth.accessToken': encryption.protect(tokenResult.accessToken),
                 'oauth.expiryDate': tokenResult.expiryDate,
                 status: 'active',
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -366,11 +377,12 @@ class OAuthManager {
 
             // Only update refresh token if we got a new one
             if (tokenResult.newRefreshToken && tokenResult.refreshToken) {
-                updateData['oauth.refreshToken'] = tokenResult.refreshToken;
+                updateData['oauth.refreshToken'] = encryption.protect(tokenResult.refreshToken);
             }
 
             // Clear any previous error
             updateData['oauth.error'] = admin.firestore.FieldValue.delete();
+            updateData['oauth.errorAt'] = admin.firestore.FieldValue.delete();
 
             // Determine collection based on provider
             const collectionName = (account.provider === 'slack') ? 'slackAccounts' : 'emailAccounts';
@@ -392,6 +404,8 @@ class OAuthManager {
             prompt: 'consent', // Force to get refresh token
             scope: [
                 'https://www.googleapis.com/auth/gmail.readonly',
+                'https://www.googleapis.com/auth/gmail.send',
+                'https://www.googleapis.com/auth/gmail.modify',
                 'https://www.googleapis.com/auth/calendar.readonly',
                 'https://www.googleapis.com/auth/userinfo.email',
                 'https://www.googleapis.com/auth/userinfo.profile'
@@ -432,7 +446,7 @@ class OAuthManager {
 
         return await this.msalClient.getAuthCodeUrl({
             redirectUri: process.env.MICROSOFT_REDIRECT_URI,
-            scopes: ['openid', 'profile', 'email', 'offline_access', 'Mail.Read', 'Mail.ReadWrite', 'Calendars.Read'],
+            scopes: ['openid', 'profile', 'email', 'offline_access', 'Mail.Read', 'Mail.ReadWrite', 'Mail.Send', 'Calendars.Read'],
             state,
             prompt: 'consent'
         });
@@ -449,7 +463,7 @@ class OAuthManager {
         const result = await this.msalClient.acquireTokenByCode({
             code,
             redirectUri: process.env.MICROSOFT_REDIRECT_URI,
-            scopes: ['openid', 'profile', 'email', 'offline_access', 'Mail.Read', 'Mail.ReadWrite', 'Calendars.Read']
+            scopes: ['openid', 'profile', 'email', 'offline_access', 'Mail.Read', 'Mail.ReadWrite', 'Mail.Send', 'Calendars.Read']
         });
 
         if (!result || !result.account) {
@@ -560,9 +574,10 @@ class OAuthManager {
         tokenCache.delete(cacheKey);
 
         // For Google, we can revoke the token
-        if (provider === 'google' && account.oauth?.accessToken) {
+        const { accessToken } = this._storedTokens(account);
+        if (provider === 'google' && accessToken) {
             try {
-                await this.googleClient.revokeToken(account.oauth.accessToken);
+                await this.googleClient.revokeToken(accessToken);
                 console.log(`[OAuth] Revoked Google token for ${account.email}`);
             } catch (err) {
                 console.error(`[OAuth] Token revocation failed:`, err.message);
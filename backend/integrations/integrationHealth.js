@@ -0,0 +1,184 @@
+/**
+ * Integration Health - One status report for every connected integration
+ *
+ * Built from what the services already record on each account:
+ * - emailAccounts: status, oauth.{expiryDate,error,errorAt}, syncState.{lastSyncAt,error,lastErrorAt,rateLimitedUntil}
+ * - slackAccounts: status, oauth.{expiryDate,error,errorAt}, health.{lastFetchAt,error,errorAt,rateLimitedUntil}
+ * - whatsappSessions: status, error, disconnectReason, connectedAt, lastHeartbeat, lastSync
+ *
+ * Each integration is reported as
+ * { type, id, name, provider, state: 'ok'|'degraded'|'broken', needsReauth, tokenExpiresAt,
+ *   lastSuccessAt, lastError: { message, at }|null, rateLimit: { limited, until }|null }
+ * 'broken' means someone has to act (sign in again, re-link the phone).
+ */
+
+// Configuration
+const CONFIG = {
+    DEFAULT_RETRY_AFTER_SECONDS: 60
+};
+
+// WhatsApp disconnects that won't recover without scanning a new QR code
+const WHATSAPP_LOGGED_OUT_REASONS = ['LOGOUT', 'TOS_BLOCK', 'SMB_TOS_BLOCK', 'Session was logged out from WhatsApp'];
+const WHATSAPP_GAVE_UP_REASON = 'Max reconnect attempts reached';
+
+const toDate = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+const toIso = (value) => toDate(value)?.toISOString() || null;
+
+const lastError = (message, at) => (message ? { message, at: toIso(at) } : null);
+
+const rateLimit = (until) => {
+    const date = toDate(until);
+    const limited = !!date && date > new Date();
+    return { limited, until: limited ? date.toISOString() : null };
+};
+
+const stateOf = ({ needsReauth, lastError: error, rateLimit: limit }, broken = false) => {
+    if (needsReauth || broken) return 'broken';
+    if (error || limit?.limited) return 'degraded';
+    return 'ok';
+};
+
+/**
+ * When a provider error means "slow down", the time it's safe to call again
+ * Covers Google (429, or 403 rateLimitExceeded/quotaExceeded), Microsoft Graph (429 + Retry-After)
+ * and Slack (slack_webapi_rate_limited_error + retryAfter)
+ * @returns {Date|null} null when the error isn't a rate limit
+ */
+function rateLimitUntil(err) {
+    if (!err) return null;
+
+    const status = err.response?.status || err.status || err.code;
+    const reasons = err.errors || err.response?.data?.error?.errors || [];
+    const quotaExceeded = reasons.some(e => /rateLimitExceeded|quotaExceeded/i.test(e.reason || ''));
+    const slackLimited = err.code === 'slack_webapi_rate_limited_error';
+
+    if (status !== 429 && !quotaExceeded && !slackLimited) return null;
+
+    const retryAfter = Number(err.retryAfter ?? err.response?.headers?.['retry-after']);
+    const seconds = retryAfter > 0 ? retryAfter : CONFIG.DEFAULT_RETRY_AFTER_SECONDS;
+    return new Date(Date.now() + seconds * 1000);
+}
+
+function emailAccountHealth(id, data) {
+    const syncState = data.syncState || {};
+    const oauthError = data.oauth?.error;
+
+    const health = {
+        type: 'email',
+        id,
+        name: data.name || data.email,
+        email: data.email,
+        provider: data.provider,
+        needsReauth: data.status === 'requires_reauth',
+        tokenExpiresAt: toIso(data.oauth?.expiryDate),
+        lastSuccessAt: toIso(syncState.lastSyncAt),
+        lastError: syncState.error
+            ? lastError(syncState.error, syncState.lastErrorAt)
+            : lastError(oauthError, data.oauth?.errorAt),
+        rateLimit: rateLimit(syncState.rateLimitedUntil)
+    };
+
+    return { ...health, state: stateOf(health) };
+}
+
+function slackAccountHealth(id, data) {
+    const fetchHealth = data.health || {};
+
+    const health = {
+        type: 'slack',
+        id,
+        name: data.teamName || data.name,
+        email: data.email || null,
+        provider: 'slack',
+        needsReauth: data.status === 'requires_reauth',
+        tokenExpiresAt: toIso(data.oauth?.expiryDate),
+        lastSuccessAt: toIso(fetchHealth.lastFetchAt),
+        lastError: fetchHealth.error
+            ? lastError(fetchHealth.error, fetchHealth.errorAt)
+            : lastError(data.oauth?.error, data.oauth?.errorAt),
+        rateLimit: rateLimit(fetchHealth.rateLimitedUntil)
+    };
+
+    return { ...health, state: stateOf(health) };
+}
+
+/**
+ * @param {string} id - the session owner's uid (whatsappSessions doc id)
+ * @param {Object} live - in-memory status from the session manager, if this server holds the session
+ */
+function whatsappSessionHealth(id, data, live = null) {
+    const status = live && live.status !== 'disconnected' ? live.status : (data.status || 'disconnected');
+    const reason = status === 'disconnected' ? data.disconnectReason : null;
+    const connected = status === 'connected';
+
+    const health = {
+        type: 'whatsapp',
+        id,
+        name: data.name || data.phone || null,
+        phone: data.phone || null,
+        provider: 'whatsapp',
+        status,
+        needsReauth: status === 'error' || WHATSAPP_LOGGED_OUT_REASONS.includes(reason),
+        tokenExpiresAt: null, // Linked devices have no token to expire
+        lastSuccessAt: toIso(data.lastHeartbeat || data.connectedAt),
+        lastError: connected ? null : lastError(data.error || reason, data.lastSync),
+        rateLimit: null
+    };
+
+    // Reconnecting gave up - nothing is wrong with the link, but someone has to reconnect
+    const gaveUp = !!reason && reason.startsWith(WHATSAPP_GAVE_UP_REASON);
+    return { ...health, state: stateOf(health, gaveUp) };
+}
+
+/**
+ * Health of every integration in a company
+ * @param {Object} sessionManager - WhatsApp session manager, for sessions live on this server
+ * @returns {Promise<{ email: Array, slack: Array, whatsapp: Array }>}
+ */
+async function collectHealth(db, companyId, sessionManager = null) {
+    const [emailSnapshot, slackSnapshot, whatsappSnapshot] = await Promise.all([
+        db.collection('emailAccounts').where('companyId', '==', companyId).get(),
+        db.collection('slackAccounts').where('companyId', '==', companyId).get(),
+        db.collection('whatsappSessions').where('companyId', '==', companyId).get()
+    ]);
+
+    return {
+        email: emailSnapshot.docs.map(doc => emailAccountHealth(doc.id, doc.data())),
+        slack: slackSnapshot.docs.map(doc => slackAccountHealth(doc.id, doc.data())),
+        whatsapp: whatsappSnapshot.docs
+            // Skip sessions that never got past the QR code, and ones disconnected on purpose
+            .filter(doc => {
+                const session = doc.data();
+                return session.connectedAt && (session.status !== 'disconnected' || session.disconnectReason);
+            })
+            .map(doc => whatsappSessionHealth(doc.id, doc.data(), sessionManager?.getSessionStatus(doc.id)))
+    };
+}
+
+/**
+ * Counts by state across all integrations
+ */
+function summarizeHealth(health) {
+    const all = [...health.email, ...health.slack, ...health.whatsapp];
+    return {
+        total: all.length,
+        ok: all.filter(item => item.state === 'ok').length,
+        degraded: all.filter(item => item.state === 'degraded').length,
+        broken: all.filter(item => item.state === 'broken').length
+    };
+}
+
+module.exports = {
+    rateLimitUntil,
+    emailAccountHealth,
+    slackAccountHealth,
+    whatsappSessionHealth,
+    collectHealth,
+    summarizeHealth
+};
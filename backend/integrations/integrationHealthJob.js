@@ -0,0 +1,156 @@
+/**
+ * Integration Health Job - Emails admins when an integration breaks
+ *
+ * Every run checks each company's integrations (see integrationHealth.js).
+ * An integration that became 'broken' gets a doc in `integrationAlerts` and
+ * the company's members with manage_integrations get one email listing the
+ * newly broken ones. The alert is cleared once the integration recovers,
+ * so breaking again sends a new email.
+ */
+
+const admin = require('firebase-admin');
+const emailService = require('../core/services/email-service');
+const { resolvePermissions, can } = require('../core/policy');
+const { collectHealth } = require('./integrationHealth');
+
+// Configuration
+const CONFIG = {
+    RUN_INTERVAL: 10 * 60 * 1000, // 10 minutes
+    STARTUP_DELAY: 2 * 60 * 1000 // Give syncs and WhatsApp sessions time to come up
+};
+
+const COLLECTION = 'integrationAlerts';
+
+const TYPE_LABELS = { email: 'Email', slack: 'Slack', whatsapp: 'WhatsApp' };
+
+class IntegrationHealthJob {
+    constructor(db, sessionManager) {
+        this.db = db;
+        this.sessionManager = sessionManager;
+        this.running = false;
+        this.timer = null;
+        this.startupTimer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        console.log(`[IntegrationHealth] Started (every ${CONFIG.RUN_INTERVAL / 1000}s)`);
+        this.startupTimer = setTimeout(() => this.run(), CONFIG.STARTUP_DELAY);
+        this.timer = setInterval(() => this.run(), CONFIG.RUN_INTERVAL);
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const companyIds = await this._companiesWithIntegrations();
+
+            for (const companyId of companyIds) {
+                try {
+                    await this._checkCompany(companyId);
+                } catch (err) {
+                    console.error(`[IntegrationHealth] Check failed for company ${companyId}:`, err.message);
+                }
+            }
+        } catch (err) {
+            console.error('[IntegrationHealth] Run failed:', err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async _companiesWithIntegrations() {
+        const snapshots = await Promise.all(
+            ['emailAccounts', 'slackAccounts', 'whatsappSessions'].map(name =>
+                this.db.collection(name).select('companyId').get()
+            )
+        );
+
+        const companyIds = new Set();
+        for (const snapshot of snapshots) {
+            snapshot.forEach(doc => {
+                if (doc.data().companyId) companyIds.add(doc.data().companyId);
+            });
+        }
+        return companyIds;
+    }
+
+    async _checkCompany(companyId) {
+        const health = await collectHealth(this.db, companyId, this.sessionManager);
+        const broken = new Map(
+            [...health.email, ...health.slack, ...health.whatsapp]
+                .filter(item => item.state === 'broken')
+                .map(item => [`${item.type}_${item.id}`, item])
+        );
+
+        const alertsSnapshot = await this.db.collection(COLLECTION)
+            .where('companyId', '==', companyId)
+            .get();
+        const alerted = new Set(alertsSnapshot.docs.map(doc => doc.id));
+
+        // Recovered (or removed) integrations can alert again next time they break
+        for (const doc of alertsSnapshot.docs) {
+            if (!broken.has(doc.id)) await doc.ref.delete();
+        }
+
+        const newlyBroken = [...broken.entries()].filter(([key]) => !alerted.has(key));
+        if (newlyBroken.length === 0) return;
+
+        for (const [key, item] of newlyBroken) {
+            await this.db.collection(COLLECTION).doc(key).set({
+                companyId,
+                type: item.type,
+                integrationId: item.id,
+                name: item.name,
+                reason: item.lastError?.message || null,
+                alertedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        console.log(`[IntegrationHealth] ${newlyBroken.length} integration(s) broke in company ${companyId}`);
+        await this._notifyAdmins(companyId, newlyBroken.map(([, item]) => item));
+    }
+
+    async _notifyAdmins(companyId, items) {
+        const [companyDoc, usersSnapshot] = await Promise.all([
+            this.db.collection('companies').doc(companyId).get(),
+            this.db.collection('users').where('companyId', '==', companyId).get()
+        ]);
+
+        const integrations = items.map(item => ({
+            name: item.name || item.id,
+            type: TYPE_LABELS[item.type] || item.type,
+            reason: item.needsReauth ? 'needs to be signed in again' : (item.lastError?.message || 'stopped syncing')
+        }));
+
+        for (const doc of usersSnapshot.docs) {
+            const user = { uid: doc.id, ...doc.data() };
+            if (!user.email || (user.status && user.status !== 'active')) continue;
+
+            try {
+                await resolvePermissions(this.db, user);
+                if (!can(user, 'manage_integrations')) continue;
+
+                await emailService.sendIntegrationsBroken({
+                    to: user.email,
+                    companyName: companyDoc.exists ? companyDoc.data().name : 'your team',
+                    integrations,
+                    link: `${process.env.APP_URL || 'http://localhost:8080'}/accounts`
+                });
+            } catch (err) {
+                console.error(`[IntegrationHealth] Failed to notify ${doc.id}:`, err.message);
+            }
+        }
+    }
+}
+
+module.exports = { IntegrationHealthJob };
@@ -0,0 +1,52 @@
+/**
+ * Integrations Routes - Health of the company's connected accounts (manage_integrations)
+ *
+ * Reports every email account, Slack workspace and WhatsApp session with its
+ * token expiry, last successful fetch, last error, rate-limit state and
+ * whether someone has to sign in again. See integrationHealth.js.
+ */
+
+const express = require('express');
+const { requirePermission } = require('../core/policy');
+const { collectHealth, summarizeHealth } = require('./integrationHealth');
+
+function createIntegrationsRoutes(db, sessionManager) {
+    const router = express.Router();
+
+    /**
+     * GET /health
+     * Health of every integration in the caller's company
+     * Query: { state? } - only integrations in that state ('ok' | 'degraded' | 'broken')
+     */
+    router.get('/health', requirePermission('manage_integrations'), async (req, res) => {
+        const { state } = req.query;
+        const { companyId } = req.user;
+
+        try {
+            if (!companyId) {
+                return res.status(400).json({ success: false, error: 'Company ID not found for user' });
+            }
+
+            const health = await collectHealth(db, companyId, sessionManager);
+            const summary = summarizeHealth(health);
+
+            const integrations = state
+                ? Object.fromEntries(Object.entries(health).map(([type, items]) => [type, items.filter(item => item.state === state)]))
+                : health;
+
+            res.json({
+                success: true,
+                summary,
+                integrations,
+                checkedAt: new Date().toISOString()
+            });
+        } catch (err) {
+            console.error('[Integrations] Health error:', err);
+            res.status(500).json({ success: false, error: 'Failed to check integration health' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createIntegrationsRoutes;
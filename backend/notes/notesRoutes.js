@@ -0,0 +1,371 @@
+/**
+ * Notes Routes - Internal comments on emails, WhatsApp and Slack messages
+ *
+ * Notes are private to the company and stored against the item's URBox id
+ * (gmail_/microsoft_/imap_..., whatsapp_..., slack_...). Only members who can read
+ * the item's account, group or channel see its notes, get its note events and can
+ * be @mentioned, which notifies them over Socket.IO (room user_{uid}) and by email.
+ */
+
+const express = require('express');
+const admin = require('firebase-admin');
+const emailService = require('../core/services/email-service');
+const { can, resolveSourceScope, sourceAccess, membersWithSourceAccess } = require('../core/policy');
+
+// Configuration
+const CONFIG = {
+    MAX_NOTE_LENGTH: 5000,
+    EXCERPT_LENGTH: 280
+};
+
+const ITEM_PATTERNS = {
+    email: /^(gmail|microsoft|imap)_[^_]+_.+$/,
+    whatsapp: /^whatsapp_.+$/,
+    slack: /^slack_[^_]+_.+$/
+};
+
+function createNotesRoutes(db, io) {
+    const router = express.Router();
+    const collectionName = 'notes';
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    const itemSource = (itemId) =>
+        typeof itemId === 'string'
+            ? Object.keys(ITEM_PATTERNS).find(source => ITEM_PATTERNS[source].test(itemId)) || null
+            : null;
+
+    const escapeHtml = (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const serializeNote = (doc) => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+            updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
+        };
+    };
+
+    /**
+     * Account, group or channel an item comes from, as resolveSourceScope() kinds it
+     * Email accounts and WhatsApp messages must be the company's
+     * @returns {Promise<{ kind, id }|null>} null if the item isn't the company's
+     */
+    const itemScopeSource = async (itemId, source, companyId) => {
+        switch (source) {
+            case 'email': {
+                const accountId = itemId.split('_')[1];
+                const accountDoc = await db.collection('emailAccounts').doc(accountId).get();
+                if (!accountDoc.exists || accountDoc.data().companyId !== companyId) return null;
+                return { kind: 'emailAccounts', id: accountId };
+            }
+            case 'whatsapp': {
+                const messageDoc = await db.collection('whatsappMessages').doc(itemId.substring('whatsapp_'.length)).get();
+                if (!messageDoc.exists || messageDoc.data().companyId !== companyId) return null;
+                return { kind: 'whatsappGroups', id: messageDoc.data().groupId };
+            }
+            case 'slack':
+                return { kind: 'slackChannels', id: itemId.split('_')[1] };
+        }
+        return null;
+    };
+
+    /**
+     * Caller's access to an item's source
+     * @returns {Promise<{ scopeSource, access }|null>} null if the item isn't the company's
+     */
+    const itemAccess = async (user, itemId, source) => {
+        const scopeSource = await itemScopeSource(itemId, source, user.companyId);
+        if (!scopeSource) return null;
+
+        const scope = await resolveSourceScope(db, user);
+        return { scopeSource, access: sourceAccess(scope, scopeSource.kind, scopeSource.id) };
+    };
+
+    /**
+     * Emit a note event to the members who can read the item; failures don't fail the request
+     */
+    const emitToReaders = (companyId, scopeSource, event, payload) => {
+        membersWithSourceAccess(db, companyId, scopeSource.kind, scopeSource.id)
+            .then(members => {
+                if (members.length > 0) {
+                    io.to(members.map(member => `user_${member.uid}`)).emit(event, payload);
+                }
+            })
+            .catch(err => {
+                console.error(`[Notes] Failed to emit ${event}:`, err.message);
+            });
+    };
+
+    /**
+     * Resolve mentions to members who can read the item
+     * Explicit ids (from the client's autocomplete) plus @handles in the text, where a
+     * handle is an email's local part or a display name without spaces
+     */
+    const resolveMentions = async (companyId, scopeSource, body, explicitIds, authorId) => {
+        const readers = await membersWithSourceAccess(db, companyId, scopeSource.kind, scopeSource.id);
+        const members = readers.map(({ uid, ...member }) => ({ id: uid, ...member }));
+
+        const handles = new Set([...body.matchAll(/@([\w.+-]+)/g)].map(m => m[1].toLowerCase()));
+        const ids = new Set(Array.isArray(explicitIds) ? explicitIds : []);
+
+        return members.filter(member => {
+            if (member.id === authorId) return false;
+            if (ids.has(member.id)) return true;
+
+            const localPart = (member.email || '').split('@')[0].toLowerCase();
+            const compactName = (member.displayName || '').replace(/\s+/g, '').toLowerCase();
+            return (localPart && handles.has(localPart)) || (compactName && handles.has(compactName));
+        });
+    };
+
+    /**
+     * Notify newly mentioned members (socket + email); failures don't fail the request
+     */
+    const notifyMentions = (members, note, author) => {
+        const excerpt = note.body.length > CONFIG.EXCERPT_LENGTH
+            ? `${note.body.substring(0, CONFIG.EXCERPT_LENGTH)}…`
+            : note.body;
+        const baseUrl = process.env.APP_URL || 'http://localhost:8080';
+
+        for (const member of members) {
+            io.to(`user_${member.id}`).emit('mention', {
+                noteId: note.id,
+                itemId: note.itemId,
+                source: note.source,
+                authorId: author.uid,
+                authorName: author.displayName,
+                excerpt
+            });
+
+            if (member.email) {
+                emailService.sendMentionNotification({
+                    to: member.email,
+                    authorName: escapeHtml(author.displayName),
+                    itemLabel: note.source === 'email' ? 'an email' : `a ${note.source === 'whatsapp' ? 'WhatsApp' : 'Slack'} message`,
+                    excerpt: escapeHtml(excerpt),
+                    link: `${baseUrl}/inbox?item=${encodeURIComponent(note.itemId)}`
+                }).catch(err => {
+                    console.error('[Notes] Mention email failed:', err.message);
+                });
+            }
+        }
+    };
+
+    // ============================================================================
+    // ROUTES
+    // ============================================================================
+
+    /**
+     * GET /
+     * Notes on an item, oldest first (needs read access to its source)
+     * Query: { itemId }
+     */
+    router.get('/', async (req, res) => {
+        const { itemId } = req.query;
+
+        if (!itemSource(itemId)) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid itemId' });
+        }
+
+        try {
+            const item = await itemAccess(req.user, itemId, itemSource(itemId));
+            if (!item) {
+                return res.status(404).json({ success: false, error: 'Item not found' });
+            }
+            if (!item.access) {
+                return res.status(403).json({ success: false, error: 'No access to this item' });
+            }
+
+            const snapshot = await db.collection(collectionName)
+                .where('itemId', '==', itemId)
+                .get();
+
+            // Filter company and sort in memory to avoid composite indexes
+            const notes = snapshot.docs
+                .filter(doc => doc.data().companyId === req.user.companyId)
+                .map(serializeNote)
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+            res.json({ success: true, notes });
+        } catch (error) {
+            console.error('[Notes] List error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * POST /
+     * Add a note to an item (needs write access to its source)
+     * Body: { itemId, body, mentions?: [userId] }
+     */
+    router.post('/', async (req, res) => {
+        const { itemId, mentions } = req.body;
+        // Anything but a string (number, object) counts as a missing body
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+        const source = itemSource(itemId);
+
+        if (!source) {
+            return res.status(400).json({ success: false, error: 'Missing or invalid itemId' });
+        }
+        if (!body) {
+            return res.status(400).json({ success: false, error: 'Note body is required' });
+        }
+        if (body.length > CONFIG.MAX_NOTE_LENGTH) {
+            return res.status(400).json({ success: false, error: `Notes are limited to ${CONFIG.MAX_NOTE_LENGTH} characters` });
+        }
+
+        try {
+            const { companyId } = req.user;
+
+            const item = await itemAccess(req.user, itemId, source);
+            if (!item) {
+                return res.status(404).json({ success: false, error: 'Item not found' });
+            }
+            if (item.access !== 'write') {
+                return res.status(403).json({
+                    success: false,
+                    error: item.access ? 'Read-only access to this item' : 'No access to this item'
+                });
+            }
+
+            const mentioned = await resolveMentions(companyId, item.scopeSource, body, mentions, req.user.uid);
+
+            const noteData = {
+                companyId,
+                itemId,
+                source,
+                body,
+                mentions: mentioned.map(m => m.id),
+                authorId: req.user.uid,
+                authorName: req.user.displayName,
+                edited: false,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            const docRef = await db.collection(collectionName).add(noteData);
+            const now = new Date().toISOString();
+            const note = { ...noteData, id: docRef.id, createdAt: now, updatedAt: now };
+
+            emitToReaders(companyId, item.scopeSource, 'note_added', note);
+            notifyMentions(mentioned, note, req.user);
+
+            res.status(201).json({ success: true, note });
+        } catch (error) {
+            console.error('[Notes] Create error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * PUT /:id
+     * Edit your own note (only newly added mentions are notified)
+     * Body: { body, mentions?: [userId] }
+     */
+    router.put('/:id', async (req, res) => {
+        const { id } = req.params;
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+        if (!body) {
+            return res.status(400).json({ success: false, error: 'Note body is required' });
+        }
+        if (body.length > CONFIG.MAX_NOTE_LENGTH) {
+            return res.status(400).json({ success: false, error: `Notes are limited to ${CONFIG.MAX_NOTE_LENGTH} characters` });
+        }
+
+        try {
+            const docRef = db.collection(collectionName).doc(id);
+            const doc = await docRef.get();
+
+            if (!doc.exists || doc.data().companyId !== req.user.companyId) {
+                return res.status(404).json({ success: false, error: 'Note not found' });
+            }
+
+            const existing = doc.data();
+            if (existing.authorId !== req.user.uid) {
+                return res.status(403).json({ success: false, error: 'Only the author can edit a note' });
+            }
+
+            // The author may have lost access to the item since writing the note
+            const item = await itemAccess(req.user, existing.itemId, existing.source);
+            if (!item) {
+                return res.status(404).json({ success: false, error: 'Item not found' });
+            }
+            if (item.access !== 'write') {
+                return res.status(403).json({ success: false, error: 'No write access to this item' });
+            }
+
+            const mentioned = await resolveMentions(existing.companyId, item.scopeSource, body, req.body.mentions, req.user.uid);
+            const previous = new Set(existing.mentions || []);
+
+            await docRef.update({
+                body,
+                mentions: mentioned.map(m => m.id),
+                edited: true,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            const note = {
+                ...serializeNote(doc),
+                body,
+                mentions: mentioned.map(m => m.id),
+                edited: true,
+                updatedAt: new Date().toISOString()
+            };
+
+            emitToReaders(existing.companyId, item.scopeSource, 'note_updated', note);
+            notifyMentions(mentioned.filter(m => !previous.has(m.id)), note, req.user);
+
+            res.json({ success: true, note });
+        } catch (error) {
+            console.error('[Notes] Update error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /:id
+     * Delete a note (author, or anyone with moderate_notes)
+     */
+    router.delete('/:id', async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const docRef = db.collection(collectionName).doc(id);
+            const doc = await docRef.get();
+
+            if (!doc.exists || doc.data().companyId !== req.user.companyId) {
+                return res.status(404).json({ success: false, error: 'Note not found' });
+            }
+
+            const note = doc.data();
+            if (note.authorId !== req.user.uid && !can(req.user, 'moderate_notes')) {
+                return res.status(403).json({ success: false, error: 'Only the author or a moderator can delete a note' });
+            }
+
+            await docRef.delete();
+
+            const scopeSource = await itemScopeSource(note.itemId, note.source, note.companyId);
+            if (scopeSource) {
+                emitToReaders(note.companyId, scopeSource, 'note_deleted', { id, itemId: note.itemId });
+            }
+
+            res.json({ success: true, message: 'Note deleted' });
+        } catch (error) {
+            console.error('[Notes] Delete error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createNotesRoutes;
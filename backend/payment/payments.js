@@ -10,11 +10,13 @@
  * Security:
  * - Pro-Free accounts protected from downgrade
  * - Webhook signature verification
+ * - Billing changes are admin only and apply to the caller's company
  */
 
 const express = require('express');
 const Stripe = require('stripe');
 const SubscriptionService = require('../core/services/subscription-service');
+const { requirePermission } = require('../core/policy');
 
 function createPaymentRoutes(db) {
     const router = express.Router();
@@ -28,9 +30,10 @@ function createPaymentRoutes(db) {
      * POST /create-checkout-session
      * Create Stripe checkout session for Pro subscription
      */
-    router.post('/create-checkout-session', async (req, res) => {
+    router.post('/create-checkout-session', requirePermission('manage_billing'), async (req, res) => {
         try {
-            const { companyId, successUrl, cancelUrl } = req.body;
+            const { successUrl, cancelUrl } = req.body;
+            const { companyId } = req.user;
 
             if (!companyId) {
                 return res.status(400).json({ error: 'Missing companyId' });
@@ -74,9 +77,10 @@ function createPaymentRoutes(db) {
      * POST /create-portal-session
      * Create Stripe customer portal session
      */
-    router.post('/create-portal-session', async (req, res) => {
+    router.post('/create-portal-session', requirePermission('view_billing'), async (req, res) => {
         try {
-            const { companyId, returnUrl } = req.body;
+            const { returnUrl } = req.body;
+            const { companyId } = req.user;
 
             if (!companyId) {
                 return res.status(400).json({ error: 'Missing companyId' });
@@ -361,9 +365,9 @@ function createPaymentRoutes(db) {
      * POST /sync-subscription
      * Manually sync subscription status (useful for localhost testing)
      */
-    router.post('/sync-subscription', async (req, res) => {
+    router.post('/sync-subscription', requirePermission('view_billing'), async (req, res) => {
         try {
-            const { companyId } = req.body;
+            const { companyId } = req.user;
 
             if (!companyId) {
                 return res.status(400).json({ error: 'Missing companyId' });
@@ -0,0 +1,355 @@
+/**
+ * Roles Routes - Custom roles and their assignment to members
+ *
+ * A role is a named set of permissions (see core/policy.js PERMISSIONS) plus
+ * optional per-inbox access: { inboxAccess: { [customInboxId]: 'read' | 'write' } }.
+ * Members without a role get the built-in Member permissions; owners always
+ * have every permission and can't be given a custom role.
+ *
+ * Listing is open to the company; changes need manage_roles, and nobody can
+ * grant a permission they don't hold themselves.
+ */
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { invalidateUser } = require('../core/middleware/verify-token');
+const {
+    PERMISSIONS,
+    BUILT_IN_ROLES,
+    INBOX_ACCESS_LEVELS,
+    can,
+    invalidateRole,
+    requirePermission
+} = require('../core/policy');
+const { recordAudit } = require('../audit/auditLog');
+
+// Configuration
+const CONFIG = {
+    MAX_NAME_LENGTH: 50,
+    MAX_ROLES_PER_COMPANY: 50
+};
+
+function createRolesRoutes(db) {
+    const router = express.Router();
+    const collectionName = 'roles';
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    const serializeRole = (doc) => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            builtIn: false,
+            createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+            updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
+        };
+    };
+
+    /**
+     * Validate and normalize a role body
+     * @returns {{ role?: Object, error?: string }}
+     */
+    const parseRole = async (body, req, { partial = false } = {}) => {
+        const role = {};
+
+        if (!partial || body.name !== undefined) {
+            const name = (body.name || '').trim();
+            if (!name) return { error: 'Role name is required' };
+            if (name.length > CONFIG.MAX_NAME_LENGTH) {
+                return { error: `Role names are limited to ${CONFIG.MAX_NAME_LENGTH} characters` };
+            }
+            role.name = name;
+        }
+
+        if (!partial || body.description !== undefined) {
+            role.description = (body.description || '').trim();
+        }
+
+        if (!partial || body.permissions !== undefined) {
+            const permissions = body.permissions || [];
+            if (!Array.isArray(permissions)) return { error: 'permissions must be an array' };
+
+            const unknown = permissions.filter(p => !PERMISSIONS[p]);
+            if (unknown.length > 0) return { error: `Unknown permissions: ${unknown.join(', ')}` };
+
+            const notHeld = permissions.filter(p => !can(req.user, p));
+            if (notHeld.length > 0) return { error: `You can't grant permissions you don't have: ${notHeld.join(', ')}` };
+
+            role.permissions = [...new Set(permissions)];
+        }
+
+        if (!partial || body.inboxAccess !== undefined) {
+            const inboxAccess = body.inboxAccess || {};
+            if (typeof inboxAccess !== 'object' || Array.isArray(inboxAccess)) {
+                return { error: 'inboxAccess must map inbox ids to an access level' };
+            }
+
+            const levels = Object.values(inboxAccess);
+            if (levels.some(level => !INBOX_ACCESS_LEVELS.includes(level))) {
+                return { error: `Inbox access must be one of: ${INBOX_ACCESS_LEVELS.join(', ')}` };
+            }
+
+            const inboxDocs = await Promise.all(
+                Object.keys(inboxAccess).map(id => db.collection('customInboxes').doc(id).get())
+            );
+            if (inboxDocs.some(doc => !doc.exists || doc.data().companyId !== req.user.companyId)) {
+                return { error: 'inboxAccess refers to an inbox outside your company' };
+            }
+
+            role.inboxAccess = inboxAccess;
+        }
+
+        return { role };
+    };
+
+    /**
+     * Load a role that must belong to the caller's company
+     * Sends a 404 and returns null otherwise
+     */
+    const getRoleDoc = async (id, req, res) => {
+        const doc = await db.collection(collectionName).doc(id).get();
+        if (!doc.exists || doc.data().companyId !== req.user.companyId) {
+            res.status(404).json({ success: false, error: 'Role not found' });
+            return null;
+        }
+        return doc;
+    };
+
+    // ============================================================================
+    // ROUTES
+    // ============================================================================
+
+    /**
+     * GET /
+     * Built-in and custom roles for the caller's company, plus the permission catalog
+     */
+    router.get('/', async (req, res) => {
+        try {
+            const snapshot = await db.collection(collectionName)
+                .where('companyId', '==', req.user.companyId)
+                .get();
+
+            const roles = snapshot.docs
+                .map(serializeRole)
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            const builtIn = Object.entries(BUILT_IN_ROLES).map(([id, role]) => ({
+                id,
+                ...role,
+                builtIn: true
+            }));
+
+            res.json({
+                success: true,
+                roles: [...builtIn, ...roles],
+                permissions: Object.entries(PERMISSIONS).map(([id, description]) => ({ id, description })),
+                inboxAccessLevels: INBOX_ACCESS_LEVELS
+            });
+        } catch (error) {
+            console.error('[Roles] List error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * POST /
+     * Create a custom role
+     * Body: { name, description?, permissions: [permission], inboxAccess?: { inboxId: 'read' | 'write' } }
+     */
+    router.post('/', requirePermission('manage_roles'), async (req, res) => {
+        try {
+            const { role, error } = await parseRole(req.body, req);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const existing = await db.collection(collectionName)
+                .where('companyId', '==', req.user.companyId)
+                .get();
+
+            if (existing.size >= CONFIG.MAX_ROLES_PER_COMPANY) {
+                return res.status(400).json({ success: false, error: `A company can have at most ${CONFIG.MAX_ROLES_PER_COMPANY} roles` });
+            }
+            if (existing.docs.some(doc => doc.data().name.toLowerCase() === role.name.toLowerCase())) {
+                return res.status(409).json({ success: false, error: 'A role with this name already exists' });
+            }
+
+            const roleData = {
+                ...role,
+                companyId: req.user.companyId,
+                createdBy: req.user.uid,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            const docRef = await db.collection(collectionName).add(roleData);
+            const now = new Date().toISOString();
+
+            recordAudit(db, req, {
+                action: 'role.created',
+                target: { type: 'role', id: docRef.id, label: role.name },
+                details: { permissions: role.permissions, inboxAccess: role.inboxAccess }
+            });
+
+            console.log(`[Roles] Created role "${role.name}" in company ${req.user.companyId}`);
+
+            res.status(201).json({
+                success: true,
+                role: { id: docRef.id, ...roleData, builtIn: false, createdAt: now, updatedAt: now }
+            });
+        } catch (error) {
+            console.error('[Roles] Create error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * PUT /:id
+     * Update a custom role; members holding it pick up the change immediately
+     * Body: any of { name, description, permissions, inboxAccess }
+     */
+    router.put('/:id', requirePermission('manage_roles'), async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const doc = await getRoleDoc(id, req, res);
+            if (!doc) return;
+
+            const { role, error } = await parseRole(req.body, req, { partial: true });
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            if (role.name && role.name.toLowerCase() !== doc.data().name.toLowerCase()) {
+                const existing = await db.collection(collectionName)
+                    .where('companyId', '==', req.user.companyId)
+                    .get();
+                if (existing.docs.some(d => d.id !== id && d.data().name.toLowerCase() === role.name.toLowerCase())) {
+                    return res.status(409).json({ success: false, error: 'A role with this name already exists' });
+                }
+            }
+
+            await doc.ref.update({
+                ...role,
+                updatedBy: req.user.uid,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            invalidateRole(id);
+
+            recordAudit(db, req, {
+                action: 'role.updated',
+                target: { type: 'role', id, label: role.name || doc.data().name },
+                details: { changes: role }
+            });
+
+            const updated = await doc.ref.get();
+            res.json({ success: true, role: serializeRole(updated) });
+        } catch (error) {
+            console.error('[Roles] Update error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /:id
+     * Delete a custom role that no member holds anymore
+     */
+    router.delete('/:id', requirePermission('manage_roles'), async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const doc = await getRoleDoc(id, req, res);
+            if (!doc) return;
+
+            const holders = await db.collection('users')
+                .where('roleId', '==', id)
+                .get();
+
+            if (!holders.empty) {
+                return res.status(409).json({
+                    success: false,
+                    error: `${holders.size} member${holders.size > 1 ? 's' : ''} still ha${holders.size > 1 ? 've' : 's'} this role`
+                });
+            }
+
+            await doc.ref.delete();
+            invalidateRole(id);
+
+            recordAudit(db, req, {
+                action: 'role.deleted',
+                target: { type: 'role', id, label: doc.data().name }
+            });
+
+            res.json({ success: true, message: 'Role deleted' });
+        } catch (error) {
+            console.error('[Roles] Delete error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * POST /assign
+     * Give a member a custom role, or pass roleId null (or 'member') to reset them to Member
+     * Body: { memberId, roleId }
+     */
+    router.post('/assign', requirePermission('manage_roles'), async (req, res) => {
+        const { memberId } = req.body;
+        const roleId = req.body.roleId === 'member' ? null : (req.body.roleId || null);
+
+        if (!memberId) {
+            return res.status(400).json({ success: false, error: 'Missing memberId' });
+        }
+
+        try {
+            const memberDoc = await db.collection('users').doc(memberId).get();
+            if (!memberDoc.exists || memberDoc.data().companyId !== req.user.companyId) {
+                return res.status(404).json({ success: false, error: 'Member not found' });
+            }
+            if (memberDoc.data().role === 'owner') {
+                return res.status(403).json({ success: false, error: 'Owners already have every permission' });
+            }
+            if (memberId === req.user.uid) {
+                return res.status(403).json({ success: false, error: "You can't change your own role" });
+            }
+
+            let roleName = BUILT_IN_ROLES.member.name;
+            if (roleId) {
+                const roleDoc = await getRoleDoc(roleId, req, res);
+                if (!roleDoc) return;
+
+                const role = roleDoc.data();
+                const notHeld = (role.permissions || []).filter(p => !can(req.user, p));
+                if (notHeld.length > 0) {
+                    return res.status(403).json({ success: false, error: `You can't grant permissions you don't have: ${notHeld.join(', ')}` });
+                }
+                roleName = role.name;
+            }
+
+            await memberDoc.ref.update({
+                roleId,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            invalidateUser(memberId);
+
+            recordAudit(db, req, {
+                action: 'role.assigned',
+                target: { type: 'user', id: memberId, label: memberDoc.data().email },
+                details: { previousRoleId: memberDoc.data().roleId || null, roleId, roleName }
+            });
+
+            console.log(`[Roles] ${memberDoc.data().email} is now "${roleName}"`);
+
+            res.json({ success: true, message: `Role set to ${roleName}`, memberId, roleId });
+        } catch (error) {
+            console.error('[Roles] Assign error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createRolesRoutes;
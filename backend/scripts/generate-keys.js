@@ -14,7 +14,7 @@ console.log('==========================================================\n');
 
 // Generate Encryption Key (32 bytes = 64 hex chars for AES-256)
 const encryptionKey = crypto.randomBytes(32).toString('hex');
-console.log('📦 ENCRYPTION_KEY (for encrypting IMAP passwords):');
+console.log('📦 ENCRYPTION_KEY (for encrypting IMAP passwords and OAuth tokens):');
 console.log('----------------------------------------------------------');
 console.log(encryptionKey);
 console.log('----------------------------------------------------------\n');
@@ -30,7 +30,9 @@ console.log('⚠️  IMPORTANT:');
 console.log('   1. Copy these values to your .env file');
 console.log('   2. NEVER commit these keys to version control');
 console.log('   3. Keep them secure and backed up');
-console.log('   4. These keys are used to encrypt sensitive data\n');
+console.log('   4. These keys are used to encrypt sensitive data');
+console.log('   5. Rotating ENCRYPTION_KEY? Keep the old one in ENCRYPTION_PREVIOUS_KEYS,');
+console.log('      bump ENCRYPTION_KEY_VERSION, restart, then run: npm run reencrypt\n');
 
 console.log('📝 Add to your .env file:');
 console.log('==========================================================');
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Re-encrypt Credentials Script
+ *
+ * Encrypts stored IMAP passwords and OAuth tokens with the current
+ * ENCRYPTION_KEY: plaintext left from before encryption, and values still
+ * under a key listed in ENCRYPTION_PREVIOUS_KEYS.
+ *
+ * Usage: npm run reencrypt [-- --dry-run]
+ * Safe to run more than once; values already on the current key are skipped.
+ */
+
+require('dotenv').config();
+const admin = require('firebase-admin');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+    const serviceAccount = require('../firebase-service-account.json');
+    admin.initializeApp({
+        credential: admin.credential.cert(serviceAccount),
+        projectId: serviceAccount.project_id
+    });
+    const db = admin.firestore();
+
+    // Loaded after dotenv so the keys are in place
+    const encryption = require('../core/services/encryption-service');
+    const { CREDENTIAL_COLLECTIONS, rotateCredentials } = require('../core/services/credentials');
+
+    console.log(`\nRe-encrypting credentials with key v${encryption.currentVersion}${dryRun ? ' (dry run)' : ''}\n`);
+
+    let updated = 0;
+    let failed = 0;
+
+    for (const collectionName of CREDENTIAL_COLLECTIONS) {
+        const snapshot = await db.collection(collectionName).get();
+
+        for (const doc of snapshot.docs) {
+            const label = `${collectionName}/${doc.id} (${doc.data().email || doc.data().name || 'unnamed'})`;
+
+            try {
+                const updates = rotateCredentials(doc.data());
+                const fields = Object.keys(updates);
+                if (fields.length === 0) continue;
+
+                if (!dryRun) {
+                    await doc.ref.update(updates);
+                }
+                updated++;
+                console.log(`  ✓ ${label}: ${fields.join(', ')}`);
+            } catch (err) {
+                // Usually a value under a key that's no longer configured
+                failed++;
+                console.error(`  ✗ ${label}: ${err.message}`);
+            }
+        }
+    }
+
+    console.log(`\n${dryRun ? 'Would update' : 'Updated'} ${updated} account(s), ${failed} failed.`);
+    if (failed > 0) {
+        console.log('Keep the previous keys configured until the failures are resolved.');
+    }
+    console.log('');
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error('Re-encryption failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,98 @@
+/**
+ * Search Query Parser
+ *
+ * Turns a search box string into terms, phrases and filters:
+ *   invoice "late payment" from:alice to:billing@acme.com
+ *   channel:general group:"Site Team" source:email after:2024-01-01 before:2024-02-01
+ *
+ * Unknown `key:value` pairs are treated as plain text.
+ */
+
+const FILTER_KEYS = ['from', 'to', 'channel', 'group', 'source', 'after', 'before'];
+const SOURCES = ['email', 'whatsapp', 'slack'];
+
+// Matches key:"quoted value", key:value, "quoted phrase" or a bare word
+const TOKEN_PATTERN = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+
+/**
+ * Lowercase, strip accents and split on anything that isn't a letter or digit
+ * Shared by indexing and querying so both sides agree on terms.
+ */
+function tokenize(text) {
+    if (!text) return [];
+
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Parse YYYY-MM-DD (or anything Date understands) to a Date, null if invalid
+ */
+function parseDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @returns {{ terms: string[], phrases: string[][], filters: Object, errors: string[] }}
+ */
+function parseQuery(input) {
+    const terms = [];
+    const phrases = [];
+    const filters = {};
+    const errors = [];
+
+    for (const match of String(input || '').matchAll(TOKEN_PATTERN)) {
+        const key = (match[1] || match[3] || '').toLowerCase();
+        const value = match[2] !== undefined ? match[2] : match[4];
+
+        if (key && FILTER_KEYS.includes(key)) {
+            if (key === 'after' || key === 'before') {
+                const date = parseDate(value);
+                if (date) {
+                    filters[key] = date;
+                } else {
+                    errors.push(`Invalid date for ${key}: ${value}`);
+                }
+            } else if (key === 'source') {
+                const source = value.toLowerCase();
+                if (SOURCES.includes(source)) {
+                    filters.source = source;
+                } else {
+                    errors.push(`Unknown source: ${value}`);
+                }
+            } else {
+                filters[key] = value.toLowerCase();
+            }
+            continue;
+        }
+
+        // Quoted phrase
+        if (match[5] !== undefined) {
+            const phraseTerms = tokenize(match[5]);
+            if (phraseTerms.length > 1) {
+                phrases.push(phraseTerms);
+            } else {
+                terms.push(...phraseTerms);
+            }
+            continue;
+        }
+
+        // Bare word, or key:value with an unknown key
+        terms.push(...tokenize(match[0]));
+    }
+
+    // channel: only exists on Slack, group: only on WhatsApp
+    if (!filters.source) {
+        if (filters.channel && !filters.group) filters.source = 'slack';
+        if (filters.group && !filters.channel) filters.source = 'whatsapp';
+    }
+
+    return { terms, phrases, filters, errors };
+}
+
+module.exports = { parseQuery, tokenize, SOURCES };
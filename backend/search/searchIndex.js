@@ -0,0 +1,239 @@
+/**
+ * Search Index - In-memory positional inverted index with BM25 ranking
+ *
+ * One index per company. Each document is a normalized message:
+ *   { id, source, title, text, from, to, channel, group, date, ref }
+ * Postings keep term positions so quoted phrases can be matched exactly.
+ */
+
+const { tokenize } = require('./queryParser');
+
+// BM25 parameters (standard defaults)
+const BM25 = {
+    K1: 1.2,
+    B: 0.75
+};
+
+// Title terms count more than body terms
+const TITLE_WEIGHT = 2;
+
+// Positions skipped between fields so phrases can't run from one into the next
+const FIELD_GAP = 100;
+
+const SNIPPET_RADIUS = 80;
+
+class SearchIndex {
+    constructor() {
+        this.docs = new Map(); // docId -> document
+        this.postings = new Map(); // term -> Map(docId -> positions[])
+        this.docLengths = new Map(); // docId -> token count, title counted TITLE_WEIGHT times
+        this.titleLengths = new Map(); // docId -> title token count (positions 0..n-1 are the title)
+        this.totalLength = 0;
+        this.builtAt = null;
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    /**
+     * Add (or replace) a document
+     */
+    add(doc) {
+        if (this.docs.has(doc.id)) {
+            this.remove(doc.id);
+        }
+
+        // Each field is indexed once, FIELD_GAP positions after the previous one;
+        // the title weight is applied when scoring (see _score)
+        const fields = [tokenize(doc.title), tokenize(doc.from), tokenize(doc.text)];
+
+        let offset = 0;
+        for (const tokens of fields) {
+            tokens.forEach((term, i) => {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                }
+                const termPostings = this.postings.get(term);
+                if (!termPostings.has(doc.id)) {
+                    termPostings.set(doc.id, []);
+                }
+                termPostings.get(doc.id).push(offset + i);
+            });
+            offset += tokens.length + FIELD_GAP;
+        }
+
+        const [titleTokens, fromTokens, textTokens] = fields;
+        const length = titleTokens.length * TITLE_WEIGHT + fromTokens.length + textTokens.length;
+
+        this.docs.set(doc.id, doc);
+        this.titleLengths.set(doc.id, titleTokens.length);
+        this.docLengths.set(doc.id, length);
+        this.totalLength += length;
+    }
+
+    remove(docId) {
+        if (!this.docs.has(docId)) return;
+
+        for (const [term, termPostings] of this.postings) {
+            if (termPostings.delete(docId) && termPostings.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+
+        this.totalLength -= this.docLengths.get(docId) || 0;
+        this.docLengths.delete(docId);
+        this.titleLengths.delete(docId);
+        this.docs.delete(docId);
+    }
+
+    /**
+     * Run a parsed query
+     * @param {Object} query - output of parseQuery()
+     * @param {Object} options - { limit, offset, sort: 'relevance' | 'date', visible?: (doc) => boolean }
+     * @returns {{ total: number, results: Array }}
+     */
+    search(query, options = {}) {
+        const { limit = 20, offset = 0, sort = 'relevance', visible = null } = options;
+        const queryTerms = [...new Set([...query.terms, ...query.phrases.flat()])];
+
+        let candidates;
+        if (queryTerms.length === 0) {
+            // Filter-only query (e.g. "from:alice after:2024-01-01")
+            candidates = [...this.docs.keys()];
+        } else {
+            candidates = this._intersect(queryTerms);
+            candidates = candidates.filter(docId =>
+                query.phrases.every(phrase => this._hasPhrase(docId, phrase))
+            );
+        }
+
+        const matches = candidates
+            .map(docId => this.docs.get(docId))
+            .filter(doc => (!visible || visible(doc)) && this._passesFilters(doc, query.filters))
+            .map(doc => ({ doc, score: this._score(doc.id, queryTerms) }));
+
+        if (sort === 'date' || queryTerms.length === 0) {
+            matches.sort((a, b) => b.doc.date - a.doc.date);
+        } else {
+            // Newer first among equal scores
+            matches.sort((a, b) => (b.score - a.score) || (b.doc.date - a.doc.date));
+        }
+
+        return {
+            total: matches.length,
+            results: matches.slice(offset, offset + limit).map(({ doc, score }) => ({
+                id: doc.id,
+                source: doc.source,
+                title: doc.title,
+                snippet: this._snippet(doc.text, queryTerms),
+                from: doc.from,
+                to: doc.to,
+                channel: doc.channel,
+                group: doc.group,
+                date: doc.date,
+                score: Math.round(score * 1000) / 1000,
+                ref: doc.ref
+            }))
+        };
+    }
+
+    // ============================================================================
+    // MATCHING & SCORING
+    // ============================================================================
+
+    /**
+     * Docs containing every term (rarest postings first to keep the set small)
+     */
+    _intersect(terms) {
+        const lists = terms.map(term => this.postings.get(term));
+        if (lists.some(list => !list)) return [];
+
+        lists.sort((a, b) => a.size - b.size);
+        let result = [...lists[0].keys()];
+        for (const list of lists.slice(1)) {
+            result = result.filter(docId => list.has(docId));
+        }
+        return result;
+    }
+
+    _hasPhrase(docId, phrase) {
+        const starts = this.postings.get(phrase[0])?.get(docId) || [];
+
+        return starts.some(start =>
+            phrase.every((term, i) => {
+                const positions = this.postings.get(term)?.get(docId);
+                return positions && positions.includes(start + i);
+            })
+        );
+    }
+
+    _passesFilters(doc, filters) {
+        if (filters.source && doc.source !== filters.source) return false;
+        if (filters.after && doc.date < filters.after) return false;
+        if (filters.before && doc.date >= filters.before) return false;
+        if (filters.from && !(doc.from || '').toLowerCase().includes(filters.from)) return false;
+        if (filters.to && !(doc.to || '').toLowerCase().includes(filters.to)) return false;
+        if (filters.channel && !this._matchesName(doc.channel, doc.ref?.channelId, filters.channel)) return false;
+        if (filters.group && !this._matchesName(doc.group, doc.ref?.groupId, filters.group)) return false;
+        return true;
+    }
+
+    /**
+     * Match a channel/group filter by id, or by name (leading # optional)
+     */
+    _matchesName(name, id, value) {
+        const wanted = value.replace(/^#/, '');
+        return (id && id.toLowerCase() === wanted) ||
+            (!!name && name.toLowerCase().includes(wanted));
+    }
+
+    _score(docId, terms) {
+        const docCount = this.docs.size;
+        const avgLength = this.totalLength / docCount || 1;
+        const length = this.docLengths.get(docId) || 0;
+        const titleLength = this.titleLengths.get(docId) || 0;
+
+        let score = 0;
+        for (const term of terms) {
+            const termPostings = this.postings.get(term);
+            if (!termPostings) continue;
+
+            const positions = termPostings.get(docId) || [];
+            if (positions.length === 0) continue;
+
+            // Title hits count TITLE_WEIGHT times
+            const titleHits = positions.filter(position => position < titleLength).length;
+            const tf = positions.length + titleHits * (TITLE_WEIGHT - 1);
+
+            const df = termPostings.size;
+            const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+            score += idf * (tf * (BM25.K1 + 1)) / (tf + BM25.K1 * (1 - BM25.B + BM25.B * length / avgLength));
+        }
+        return score;
+    }
+
+    /**
+     * A window of text around the first query term hit
+     */
+    _snippet(text, terms) {
+        if (!text) return '';
+
+        const lower = text.toLowerCase();
+        let hit = -1;
+        for (const term of terms) {
+            const index = lower.indexOf(term);
+            if (index !== -1 && (hit === -1 || index < hit)) hit = index;
+        }
+
+        if (hit === -1) {
+            return text.substring(0, SNIPPET_RADIUS * 2).trim();
+        }
+
+        const start = Math.max(0, hit - SNIPPET_RADIUS);
+        const end = Math.min(text.length, hit + SNIPPET_RADIUS);
+        return `${start > 0 ? '…' : ''}${text.substring(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+}
+
+module.exports = { SearchIndex };
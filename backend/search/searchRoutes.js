@@ -0,0 +1,75 @@
+/**
+ * Search Routes
+ * Full-text search across a company's email, WhatsApp and Slack messages
+ * Members only get results from sources in their custom inboxes
+ */
+
+const express = require('express');
+const { resolveSourceScope, sourceAccess } = require('../core/policy');
+
+// Configuration
+const CONFIG = {
+    DEFAULT_LIMIT: 20,
+    MAX_LIMIT: 100
+};
+
+function createSearchRoutes(db, searchService) {
+    const router = express.Router();
+
+    /**
+     * GET /
+     * Search the caller's company messages
+     * Query: { q, limit?, offset?, sort?: 'relevance' | 'date' }
+     *
+     * q supports quoted phrases and from:, to:, channel:, group:, source:,
+     * after:YYYY-MM-DD and before:YYYY-MM-DD filters
+     */
+    router.get('/', async (req, res) => {
+        const { q, sort = 'relevance' } = req.query;
+
+        try {
+            // Repeated or bracketed params (?q[]=x) arrive as arrays/objects
+            if (typeof q !== 'string' || !q.trim()) {
+                return res.status(400).json({ success: false, error: 'Missing search query' });
+            }
+            if (!['relevance', 'date'].includes(sort)) {
+                return res.status(400).json({ success: false, error: 'sort must be relevance or date' });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || CONFIG.DEFAULT_LIMIT, CONFIG.MAX_LIMIT);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const { companyId } = req.user;
+            if (!companyId) {
+                return res.status(400).json({ success: false, error: 'Company ID not found for user' });
+            }
+
+            // The index is shared by the company, so the caller's scope is applied per query
+            const scope = await resolveSourceScope(db, req.user);
+            const visible = scope ? doc => {
+                if (doc.source === 'email') return !!sourceAccess(scope, 'emailAccounts', doc.ref.accountId);
+                if (doc.source === 'whatsapp') return !!sourceAccess(scope, 'whatsappGroups', doc.ref.groupId);
+                return !!sourceAccess(scope, 'slackChannels', doc.ref.channelId);
+            } : null;
+
+            const result = await searchService.search(companyId, q, { limit, offset, sort, visible });
+
+            res.json({
+                success: true,
+                ...result,
+                pagination: {
+                    limit,
+                    offset,
+                    hasMore: offset + result.results.length < result.total
+                }
+            });
+        } catch (err) {
+            console.error('[Search] Search error:', err);
+            res.status(500).json({ success: false, error: 'Search failed' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createSearchRoutes;
@@ -0,0 +1,230 @@
+/**
+ * Search Service - Builds and caches a search index per company
+ *
+ * Sources:
+ * - Email: the synced store (emailAccounts/{id}/messages)
+ * - WhatsApp: whatsappMessages
+ * - Slack: recent history of tracked channels (Slack messages aren't stored)
+ *
+ * Indexes are built on first search and rebuilt once stale. New email from
+ * the sync engine marks the company's index stale straight away.
+ */
+
+const { SearchIndex } = require('./searchIndex');
+const { parseQuery } = require('./queryParser');
+const { SlackService } = require('../slack/slackService');
+
+// Configuration
+const CONFIG = {
+    INDEX_TTL: 10 * 60 * 1000, // Rebuild after 10 minutes
+    MAX_CACHED_INDEXES: 20, // Companies kept in memory (least recently used evicted)
+    MAX_TEXT_LENGTH: 20000, // Characters of body text indexed per message
+    SLACK_HISTORY_LIMIT: 200
+};
+
+class SearchService {
+    constructor(db, emailSyncEngine) {
+        this.db = db;
+        this.slackService = new SlackService(emailSyncEngine.oauthManager, db);
+
+        this.indexes = new Map(); // companyId -> SearchIndex (insertion order = LRU)
+        this.building = new Map(); // companyId -> Promise<SearchIndex>
+        this.stale = new Set(); // companyIds to rebuild on next search
+
+        emailSyncEngine.on('synced', ({ account, added, removed }) => {
+            if (added || removed) {
+                this.invalidate(account.companyId);
+            }
+        });
+    }
+
+    /**
+     * Search a company's messages
+     * @param {string} companyId
+     * @param {string} q - raw query string (see queryParser)
+     * @param {Object} options - { limit, offset, sort, visible } (see SearchIndex.search)
+     */
+    async search(companyId, q, options = {}) {
+        const query = parseQuery(q);
+        const index = await this.getIndex(companyId);
+        const { total, results } = index.search(query, options);
+
+        return {
+            total,
+            results,
+            query: { terms: query.terms, phrases: query.phrases, filters: query.filters },
+            errors: query.errors,
+            indexedAt: index.builtAt
+        };
+    }
+
+    /**
+     * Mark a company's index for rebuild
+     */
+    invalidate(companyId) {
+        if (companyId && this.indexes.has(companyId)) {
+            this.stale.add(companyId);
+        }
+    }
+
+    async getIndex(companyId) {
+        const cached = this.indexes.get(companyId);
+        const fresh = cached &&
+            !this.stale.has(companyId) &&
+            Date.now() - cached.builtAt.getTime() < CONFIG.INDEX_TTL;
+
+        if (fresh) {
+            // Refresh LRU position
+            this.indexes.delete(companyId);
+            this.indexes.set(companyId, cached);
+            return cached;
+        }
+
+        // Concurrent searches share one build
+        if (!this.building.has(companyId)) {
+            this.building.set(companyId, this._build(companyId).finally(() => {
+                this.building.delete(companyId);
+            }));
+        }
+        return this.building.get(companyId);
+    }
+
+    async _build(companyId) {
+        const started = Date.now();
+        const index = new SearchIndex();
+
+        const [emails, whatsapp, slack] = await Promise.all([
+            this._loadEmails(companyId),
+            this._loadWhatsApp(companyId),
+            this._loadSlack(companyId)
+        ]);
+
+        [...emails, ...whatsapp, ...slack].forEach(doc => index.add(doc));
+        index.builtAt = new Date();
+
+        this.stale.delete(companyId);
+        this.indexes.delete(companyId);
+        this.indexes.set(companyId, index);
+
+        if (this.indexes.size > CONFIG.MAX_CACHED_INDEXES) {
+            this.indexes.delete(this.indexes.keys().next().value);
+        }
+
+        console.log(`[Search] Indexed ${index.size} messages for company ${companyId} in ${Date.now() - started}ms`);
+        return index;
+    }
+
+    // ============================================================================
+    // SOURCES
+    // ============================================================================
+
+    async _loadEmails(companyId) {
+        const accounts = await this.db.collection('emailAccounts')
+            .where('companyId', '==', companyId)
+            .get();
+
+        const docs = [];
+        for (const accountDoc of accounts.docs) {
+            const messages = await accountDoc.ref.collection('messages').get();
+
+            messages.forEach(doc => {
+                const email = doc.data();
+                docs.push({
+                    id: email.id,
+                    source: 'email',
+                    title: email.subject || '',
+                    text: this._truncate(email.text || this._stripHtml(email.html) || email.snippet),
+                    from: email.from || '',
+                    to: email.to || '',
+                    date: this._toDate(email.date),
+                    ref: {
+                        emailId: email.id,
+                        accountId: email.accountId,
+                        conversationId: email.conversationId || null
+                    }
+                });
+            });
+        }
+        return docs;
+    }
+
+    async _loadWhatsApp(companyId) {
+        const snapshot = await this.db.collection('whatsappMessages')
+            .where('companyId', '==', companyId)
+            .get();
+
+        return snapshot.docs.map(doc => {
+            const msg = doc.data();
+            return {
+                id: `whatsapp_${doc.id}`,
+                source: 'whatsapp',
+                title: '',
+                text: this._truncate(msg.body),
+                from: [msg.senderName, msg.senderNumber].filter(Boolean).join(' '),
+                to: '',
+                group: msg.groupName || '',
+                date: this._toDate(msg.timestamp),
+                ref: {
+                    messageId: doc.id,
+                    groupId: msg.groupId
+                }
+            };
+        });
+    }
+
+    async _loadSlack(companyId) {
+        try {
+            const messages = await this.slackService.getMessages(companyId, CONFIG.SLACK_HISTORY_LIMIT);
+
+            return messages.map(msg => ({
+                id: `slack_${msg.channelId}_${msg.originalId}`,
+                source: 'slack',
+                title: '',
+                text: this._truncate(msg.body),
+                from: msg.senderName || '',
+                to: '',
+                channel: msg.channelName || '',
+                date: this._toDate(msg.timestamp),
+                ref: {
+                    accountId: msg.accountId,
+                    channelId: msg.channelId,
+                    ts: msg.originalId
+                }
+            }));
+        } catch (err) {
+            // Slack is fetched live - don't fail the whole search over it
+            console.error(`[Search] Slack history unavailable for ${companyId}:`, err.message);
+            return [];
+        }
+    }
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    _toDate(value) {
+        if (!value) return new Date(0);
+        if (typeof value.toDate === 'function') return value.toDate();
+        return new Date(value);
+    }
+
+    _stripHtml(html) {
+        if (!html) return '';
+        return html
+            .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    _truncate(text) {
+        if (!text) return '';
+        return text.length > CONFIG.MAX_TEXT_LENGTH ? text.substring(0, CONFIG.MAX_TEXT_LENGTH) : text;
+    }
+}
+
+module.exports = { SearchService };
@@ -5,6 +5,7 @@
  * - Express server setup
  * - Firebase Admin initialization
  * - WhatsApp Session Management
+ * - Email background sync
  * - Route registration
  * - Middleware configuration
  * - Socket.io configuration
@@ -92,6 +93,14 @@ async function verifyFirestoreConnection() {
     }
 }
 
+// ============================================================================
+// EMAIL SYNC ENGINE INITIALIZATION
+// ============================================================================
+
+const { EmailSyncEngine } = require('./email/emailSyncEngine');
+const { EmailPushService } = require('./email/emailPushService');
+const emailSyncEngine = new EmailSyncEngine(db);
+
 // ============================================================================
 // WHATSAPP SESSION MANAGER INITIALIZATION
 // ============================================================================
@@ -105,12 +114,22 @@ whatsappSessionManager.restoreSessions();
 // Graceful cleanup on shutdown
 process.on('SIGTERM', async () => {
     console.log('\n⚠️  SIGTERM received, cleaning up WhatsApp sessions...');
+    emailSyncEngine.stop();
+    assignmentScheduler.stop();
+    inviteExpiryJob.stop();
+    integrationHealthJob.stop();
+    await emailPushService.stop();
     await whatsappSessionManager.cleanup();
     process.exit(0);
 });
 
 process.on('SIGINT', async () => {
     console.log('\n⚠️  SIGINT received, cleaning up WhatsApp sessions...');
+    emailSyncEngine.stop();
+    assignmentScheduler.stop();
+    inviteExpiryJob.stop();
+    integrationHealthJob.stop();
+    await emailPushService.stop();
     await whatsappSessionManager.cleanup();
     process.exit(0);
 });
@@ -128,8 +147,16 @@ const io = new Server(server, {
     }
 });
 
+// Push new mail to company rooms as it arrives
+const emailPushService = new EmailPushService(db, emailSyncEngine, io);
+
 const PORT = process.env.PORT || 3004;
 
+// Behind a load balancer, req.ip (used by the audit log) comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
     origin: '*',
@@ -152,6 +179,8 @@ app.use(express.urlencoded({ extended: true }));
 // IMPORT ROUTES
 // ============================================================================
 
+const { createAuthenticate, createSocketAuth } = require('./core/middleware/auth');
+const { can } = require('./core/policy');
 const createAuthRoutes = require('./auth/auth');
 const createTeamRoutes = require('./team/team');
 const createSubscriptionRoutes = require('./core/subscription');
@@ -163,11 +192,43 @@ const createSlackRoutes = require('./slack/slackRoutes');
 const createCustomInboxRoutes = require('./custom-inbox/customInboxRoutes');
 const createAssignmentRoutes = require('./assignments/assignmentsRoutes');
 const createChatRoutes = require('./chat/chatRoutes');
+const createSearchRoutes = require('./search/searchRoutes');
+const { SearchService } = require('./search/searchService');
+const createTimelineRoutes = require('./timeline/timelineRoutes');
+const createNotesRoutes = require('./notes/notesRoutes');
+const createRolesRoutes = require('./roles/rolesRoutes');
+const createAuditRoutes = require('./audit/auditRoutes');
+const createTemplatesRoutes = require('./templates/templatesRoutes');
+const createIntegrationsRoutes = require('./integrations/integrationsRoutes');
+const { FeedService } = require('./core/services/feed-service');
+const { SlackService } = require('./slack/slackService');
 const { StorageService } = require('./storage/storage-service');
+const { AssignmentScheduler } = require('./assignments/assignmentScheduler');
+const { InviteExpiryJob } = require('./team/inviteExpiryJob');
+const { IntegrationHealthJob } = require('./integrations/integrationHealthJob');
 
 // Initialize Storage Service
 const storageService = new StorageService();
 
+// Due-date reminders, overdue escalation and recurring assignments
+const assignmentScheduler = new AssignmentScheduler(db);
+
+// Marks lapsed team invites expired and tells the inviters
+const inviteExpiryJob = new InviteExpiryJob(db);
+
+// Emails admins when an email account, Slack workspace or WhatsApp session breaks
+const integrationHealthJob = new IntegrationHealthJob(db, whatsappSessionManager);
+
+// Initialize Search Service (indexes are built per company on first search)
+const searchService = new SearchService(db, emailSyncEngine);
+
+// Initialize Feed Service (merged email/WhatsApp/Slack feed for timeline and custom inboxes)
+const feedService = new FeedService(
+    db,
+    emailSyncEngine.emailService,
+    new SlackService(emailSyncEngine.oauthManager, db)
+);
+
 // ============================================================================
 // HEALTH CHECK
 // ============================================================================
@@ -201,23 +262,54 @@ app.get('/health', async (req, res) => {
 // REGISTER ROUTES
 // ============================================================================
 
+// Every /api request needs a verified Firebase user, apart from the public
+// routes listed in core/middleware/auth.js
+app.use('/api', createAuthenticate(db));
+
 app.use('/api/auth', createAuthRoutes(db));
 app.use('/api/team', createTeamRoutes(db));
 app.use('/api/subscription', createSubscriptionRoutes(db));
 app.use('/api/payment', createPaymentRoutes(db));
 app.use('/api/whatsapp', createWhatsAppRoutes(db, whatsappSessionManager));
 app.use('/api/storage', createStorageRoutes(storageService, db));
-app.use('/api/email', createEmailRoutes(db));
+app.use('/api/email', createEmailRoutes(db, emailSyncEngine, emailPushService, storageService));
 app.use('/api/slack', createSlackRoutes(db));
-app.use('/api/custom-inbox', createCustomInboxRoutes(db));
-app.use('/api/assignments', createAssignmentRoutes(db));
+app.use('/api/custom-inbox', createCustomInboxRoutes(db, feedService));
+app.use('/api/assignments', createAssignmentRoutes(db, storageService, io));
 app.use('/api/chat', createChatRoutes(db, storageService, io)); // Pass io to chat routes
+app.use('/api/search', createSearchRoutes(db, searchService));
+app.use('/api/timeline', createTimelineRoutes(db, feedService));
+app.use('/api/notes', createNotesRoutes(db, io));
+app.use('/api/roles', createRolesRoutes(db));
+app.use('/api/audit', createAuditRoutes(db));
+app.use('/api/templates', createTemplatesRoutes(db, emailSyncEngine));
+app.use('/api/integrations', createIntegrationsRoutes(db, whatsappSessionManager));
+
+// Sockets authenticate like /api requests; rooms are only joined within the user's company
+io.use(createSocketAuth(db));
+
+/**
+ * Check that a room's document belongs to the socket user's company
+ */
+async function inUserCompany(socket, collection, id) {
+    try {
+        const doc = await db.collection(collection).doc(String(id)).get();
+        return doc.exists && doc.data().companyId === socket.user.companyId ? doc.data() : null;
+    } catch (error) {
+        console.error(`[Socket] Room check failed for ${collection}/${id}:`, error.message);
+        return null;
+    }
+}
 
 // Socket.IO Connection Handler
 io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
 
-    socket.on('join_group', (groupId) => {
+    socket.on('join_group', async (groupId) => {
+        const group = await inUserCompany(socket, 'chat_groups', groupId);
+        if (!group || (!can(socket.user, 'manage_chat_groups') && !(group.members || []).includes(socket.user.uid))) {
+            return;
+        }
         socket.join(groupId);
         console.log(`User ${socket.id} joined group ${groupId}`);
     });
@@ -227,6 +319,42 @@ io.on('connection', (socket) => {
         console.log(`User ${socket.id} left group ${groupId}`);
     });
 
+    // Company-wide events
+    socket.on('join_company', (companyId) => {
+        if (companyId !== socket.user.companyId) return;
+        socket.join(`company_${companyId}`);
+        console.log(`User ${socket.id} joined company ${companyId}`);
+    });
+
+    socket.on('leave_company', (companyId) => {
+        socket.leave(`company_${companyId}`);
+        console.log(`User ${socket.id} left company ${companyId}`);
+    });
+
+    // Assignment comment threads
+    socket.on('join_assignment', async (assignmentId) => {
+        if (!await inUserCompany(socket, 'assignments', assignmentId)) return;
+        socket.join(`assignment_${assignmentId}`);
+        console.log(`User ${socket.id} joined assignment ${assignmentId}`);
+    });
+
+    socket.on('leave_assignment', (assignmentId) => {
+        socket.leave(`assignment_${assignmentId}`);
+        console.log(`User ${socket.id} left assignment ${assignmentId}`);
+    });
+
+    // Per-user events (new_email, notes and @mentions, scoped to what the user can read)
+    socket.on('join_user', (userId) => {
+        if (userId !== socket.user.uid) return;
+        socket.join(`user_${userId}`);
+        console.log(`User ${socket.id} joined user room ${userId}`);
+    });
+
+    socket.on('leave_user', (userId) => {
+        socket.leave(`user_${userId}`);
+        console.log(`User ${socket.id} left user room ${userId}`);
+    });
+
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
     });
@@ -269,6 +397,12 @@ async function startServer() {
         process.exit(1);
     }
 
+    emailSyncEngine.start();
+    emailPushService.start();
+    assignmentScheduler.start();
+    inviteExpiryJob.start();
+    integrationHealthJob.start();
+
     server.listen(PORT, () => {
         console.log('\n==========================================================');
         console.log('              URBOX BACKEND');
@@ -278,6 +412,10 @@ async function startServer() {
         console.log(`✓ App URL: ${process.env.APP_URL || 'http://localhost:8080'}`);
         console.log(`✓ Firestore: Connected`);
         console.log(`✓ WhatsApp: Session Manager Active`);
+        console.log(`✓ Email: Sync Engine Active`);
+        console.log(`✓ Assignments: Scheduler Active`);
+        console.log(`✓ Team: Invite Expiry Active`);
+        console.log(`✓ Integrations: Health Alerts Active`);
         console.log(`✓ Socket.IO: Initialized`);
         console.log('\n📡 Available endpoints:');
         console.log('   GET  /health');
@@ -1,12 +1,17 @@
 /**
  * Slack Routes
  * Handles Slack authentication and connection management
+ * Connecting, disconnecting and choosing channels needs manage_integrations;
+ * members only see channels in custom inboxes they can access
  */
 
 const express = require('express');
 const admin = require('firebase-admin');
 const { OAuthManager } = require('../email/oauthManager');
 const { SlackService } = require('./slackService');
+const { signState, verifyState } = require('../core/middleware/auth');
+const { can, requirePermission, resolveSourceScope, sourceAccess } = require('../core/policy');
+const { recordAudit } = require('../audit/auditLog');
 
 function createSlackRoutes(db) {
     const router = express.Router();
@@ -31,7 +36,7 @@ function createSlackRoutes(db) {
             if (!finalAccountId) return res.status(400).json({ error: 'Missing accountId' });
 
             const doc = await db.collection('slackAccounts').doc(finalAccountId).get();
-            if (!doc.exists) {
+            if (!doc.exists || doc.data().companyId !== req.user.companyId) {
                 return res.status(404).json({ error: 'Account not found' });
             }
             req.account = { id: doc.id, ...doc.data() };
@@ -48,30 +53,30 @@ function createSlackRoutes(db) {
 
     /**
      * GET /accounts
-     * List all connected Slack accounts for a company or user
+     * List connected Slack accounts for the caller's company
+     * Without manage_integrations, only workspaces and tracked channels in the caller's inboxes
      */
     router.get('/accounts', async (req, res) => {
-        let { companyId, userId } = req.query;
-
-        if (!companyId && !userId) {
-            return res.status(400).json({ error: 'Missing companyId or userId' });
-        }
+        const { companyId } = req.user;
 
         try {
-            // Resolve companyId if only userId is provided
-            if (!companyId && userId) {
-                const userDoc = await db.collection('users').doc(userId).get();
-                if (!userDoc.exists) {
-                    return res.status(404).json({ error: 'User not found' });
-                }
-                companyId = userDoc.data().companyId;
-            }
-
             if (!companyId) {
                 return res.status(400).json({ error: 'Company ID not found for user' });
             }
 
-            const accounts = await slackService.listAccounts(companyId);
+            let accounts = await slackService.listAccounts(companyId);
+
+            if (!can(req.user, 'manage_integrations')) {
+                const scope = await resolveSourceScope(db, req.user);
+                accounts = accounts
+                    .map(account => ({
+                        ...account,
+                        trackedChannels: (account.trackedChannels || [])
+                            .filter(channel => sourceAccess(scope, 'slackChannels', channel.id))
+                    }))
+                    .filter(account => account.trackedChannels.length > 0);
+            }
+
             res.json(accounts);
         } catch (err) {
             console.error('[Slack] List accounts error:', err);
@@ -83,11 +88,22 @@ function createSlackRoutes(db) {
      * DELETE /accounts/:id
      * Disconnect a Slack account
      */
-    router.delete('/accounts/:id', async (req, res) => {
+    router.delete('/accounts/:id', requirePermission('manage_integrations'), async (req, res) => {
         const { id } = req.params;
 
         try {
+            const doc = await db.collection('slackAccounts').doc(id).get();
+            if (!doc.exists || doc.data().companyId !== req.user.companyId) {
+                return res.status(404).json({ error: 'Account not found' });
+            }
+
             await slackService.deleteAccount(id);
+
+            recordAudit(db, req, {
+                action: 'slack_account.deleted',
+                target: { type: 'slack_account', id, label: doc.data().teamName || doc.data().name || null }
+            });
+
             res.json({ success: true });
         } catch (err) {
             console.error('[Slack] Delete account error:', err);
@@ -101,29 +117,17 @@ function createSlackRoutes(db) {
 
     /**
      * GET /auth
-     * Initiate Slack OAuth flow
+     * Initiate Slack OAuth flow (opened in the browser with ?access_token=)
      */
-    router.get('/auth', async (req, res) => {
-        let { companyId, userId } = req.query;
-
-        if (!userId) {
-            return res.status(400).send('Missing userId');
-        }
-
-        // Resolve companyId logic
-        if (!companyId || companyId === 'LOOKUP') {
-            const userDoc = await db.collection('users').doc(userId).get();
-            if (userDoc.exists) {
-                companyId = userDoc.data().companyId;
-            }
-        }
+    router.get('/auth', requirePermission('manage_integrations'), async (req, res) => {
+        const { uid: userId, companyId } = req.user;
 
         if (!companyId) {
             return res.status(400).send('Company ID not found');
         }
 
         try {
-            const state = Buffer.from(JSON.stringify({ companyId, userId })).toString('base64');
+            const state = signState({ companyId, userId });
             const authUrl = oauthManager.getSlackAuthUrl(state);
             res.redirect(authUrl);
         } catch (error) {
@@ -148,8 +152,13 @@ function createSlackRoutes(db) {
             return res.status(400).send('Missing code or state');
         }
 
+        const verified = verifyState(state);
+        if (!verified) {
+            return res.status(400).send('Invalid or expired state. Please start the connection again.');
+        }
+
         try {
-            const { companyId, userId } = JSON.parse(Buffer.from(state, 'base64').toString());
+            const { companyId, userId } = verified;
 
             const result = await slackService.storeNewAccount(code, companyId, userId);
 
@@ -197,7 +206,7 @@ function createSlackRoutes(db) {
      * POST /channels/track
      * Update tracked channels
      */
-    router.post('/channels/track', requireAccount, async (req, res) => {
+    router.post('/channels/track', requirePermission('manage_integrations'), requireAccount, async (req, res) => {
         const { channels } = req.body;
 
         if (!Array.isArray(channels)) {
@@ -219,10 +228,11 @@ function createSlackRoutes(db) {
 
     /**
      * GET /messages
-     * Fetch recent messages from all tracked channels in this company
+     * Fetch recent messages from the tracked channels the caller can see
      */
     router.get('/messages', async (req, res) => {
-        const { companyId, limit, before } = req.query;
+        const { limit, before } = req.query;
+        const { companyId } = req.user;
 
         if (!companyId) {
             return res.status(400).json({ error: 'Missing companyId' });
@@ -234,7 +244,11 @@ function createSlackRoutes(db) {
                 limit ? parseInt(limit) : 20,
                 before
             );
-            res.json({ messages });
+            const scope = await resolveSourceScope(db, req.user);
+
+            res.json({
+                messages: messages.filter(msg => sourceAccess(scope, 'slackChannels', msg.channelId))
+            });
         } catch (err) {
             console.error('[Slack] Get messages error:', err);
             res.status(500).json({ error: 'Failed to fetch messages' });
@@ -3,8 +3,16 @@
  * Handles Slack API interactions and account management
  */
 
-const { WebClient } = require('@slack/web-api');
+const { WebClient, WebClientEvent, ErrorCode } = require('@slack/web-api');
 const admin = require('firebase-admin');
+const { sealCredentials } = require('../core/services/credentials');
+const { serializeSlackAccount } = require('../core/services/account-serializers');
+const { rateLimitUntil } = require('../integrations/integrationHealth');
+
+// Configuration
+const CONFIG = {
+    HEALTH_WRITE_INTERVAL: 5 * 60 * 1000 // Successful fetches are recorded at most this often
+};
 
 class SlackService {
     constructor(oauthManager, db) {
@@ -12,6 +20,69 @@ class SlackService {
         this.db = db;
     }
 
+    /**
+     * Web API client that records rate limiting on the account
+     * (the client waits out the limit and retries by itself)
+     */
+    _client(account, accessToken) {
+        const client = new WebClient(accessToken);
+        client.on(WebClientEvent.RATE_LIMITED, (retryAfter) => {
+            const err = new Error(`Rate limited by Slack for ${retryAfter}s`);
+            this._recordHealth(account, Object.assign(err, { code: ErrorCode.RateLimitedError, retryAfter }));
+        });
+        return client;
+    }
+
+    /**
+     * Error for a failed getValidToken() result
+     */
+    _tokenError(tokenResult) {
+        const err = new Error(`Token error: ${tokenResult.message || tokenResult.error}`);
+        err.requiresReauth = tokenResult.error === 'requires_reauth';
+        return err;
+    }
+
+    /**
+     * Record the outcome of a fetch on slackAccounts/{id}.health (see integrations/integrationHealth.js)
+     * Token errors needing a new sign-in also flag the account.
+     */
+    async _recordHealth(account, err = null) {
+        const health = account.health || {};
+        let update;
+
+        if (err) {
+            update = {
+                'health.error': err.message,
+                'health.errorAt': admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            const limitedUntil = rateLimitUntil(err);
+            if (limitedUntil) {
+                update['health.rateLimitedUntil'] = admin.firestore.Timestamp.fromDate(limitedUntil);
+            }
+            if (err.requiresReauth) {
+                update.status = 'requires_reauth';
+                update['oauth.error'] = err.message;
+                update['oauth.errorAt'] = admin.firestore.FieldValue.serverTimestamp();
+            }
+        } else {
+            const lastFetch = health.lastFetchAt?.toMillis ? health.lastFetchAt.toMillis() : 0;
+            if (!health.error && Date.now() - lastFetch < CONFIG.HEALTH_WRITE_INTERVAL) return;
+
+            update = {
+                'health.lastFetchAt': admin.firestore.FieldValue.serverTimestamp(),
+                'health.error': null,
+                'health.rateLimitedUntil': null
+            };
+        }
+
+        try {
+            await this.db.collection('slackAccounts').doc(account.id).update(update);
+        } catch (e) {
+            console.error(`[SlackService] Failed to record health for ${account.id}:`, e.message);
+        }
+    }
+
     /**
      * List all connected Slack accounts for a company
      * @param {string} companyId 
@@ -23,15 +94,8 @@ class SlackService {
                 .where('companyId', '==', companyId)
                 .get();
 
-            const accounts = [];
-            snapshot.forEach(doc => {
-                const data = doc.data();
-                // Return safe data, excluding tokens
-                const { oauth, ...safeData } = data;
-                accounts.push({ id: doc.id, ...safeData });
-            });
-
-            return accounts;
+            // Safe fields only - tokens never leave the service
+            return snapshot.docs.map(doc => serializeSlackAccount(doc.id, doc.data()));
         } catch (err) {
             console.error('[SlackService] List accounts error:', err);
             throw new Error('Failed to list slack accounts');
@@ -69,7 +133,7 @@ class SlackService {
             console.warn('[SlackService] Failed to fetch user profile:', e.message);
         }
 
-        const accountData = {
+        const accountData = sealCredentials({
             companyId,
             addedBy: userId,
             name: tokenResult.teamName || userInfo.name,
@@ -87,7 +151,7 @@ class SlackService {
             },
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
             updatedAt: admin.firestore.FieldValue.serverTimestamp()
-        };
+        });
 
         const existingAccount = await this.db.collection('slackAccounts')
             .where('companyId', '==', companyId)
@@ -122,10 +186,12 @@ class SlackService {
 
         const tokenResult = await this.oauthManager.getValidToken(account, 'slack');
         if (tokenResult.error) {
-            throw new Error(`Token error: ${tokenResult.error}`);
+            const err = this._tokenError(tokenResult);
+            await this._recordHealth(account, err);
+            throw err;
         }
 
-        const client = new WebClient(tokenResult.accessToken);
+        const client = this._client(account, tokenResult.accessToken);
 
         try {
             const result = await client.conversations.list({
@@ -138,6 +204,8 @@ class SlackService {
                 throw new Error(result.error);
             }
 
+            await this._recordHealth(account);
+
             return result.channels.map(c => ({
                 id: c.id,
                 name: c.name,
@@ -146,6 +214,7 @@ class SlackService {
             }));
         } catch (error) {
             console.error('[SlackService] List conversations error:', error);
+            await this._recordHealth(account, error);
             throw error;
         }
     }
@@ -173,11 +242,13 @@ class SlackService {
                     const tokenResult = await this.oauthManager.getValidToken(account, 'slack');
                     if (tokenResult.error) {
                         console.warn(`[SlackService] Token error for account ${account.name}: ${tokenResult.error}`);
+                        await this._recordHealth(account, this._tokenError(tokenResult));
                         continue;
                     }
 
-                    const client = new WebClient(tokenResult.accessToken);
+                    const client = this._client(account, tokenResult.accessToken);
                     const trackedChannels = account.trackedChannels || [];
+                    let fetchError = null;
 
                     // 4. Fetch from tracked channels
                     for (const channel of trackedChannels) {
@@ -217,9 +288,12 @@ class SlackService {
                             }
                         } catch (chanErr) {
                             console.warn(`[SlackService] Failed to fetch channel ${channel.name}: ${chanErr.message}`);
+                            fetchError = chanErr;
                         }
                     }
 
+                    await this._recordHealth(account, fetchError);
+
                 } catch (accErr) {
                     console.error(`[SlackService] Failed to process account ${accountWithoutToken.id}: ${accErr}`);
                 }
@@ -2,12 +2,14 @@
  * Storage Routes
  * 
  * RESTful API endpoints for file storage operations
- * All operations are scoped to a company via x-company-id header
+ * All operations are scoped to the signed-in user's company
  */
 
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const { requirePermission } = require('../core/policy');
+const { recordAudit } = require('../audit/auditLog');
 
 // Multer setup for file uploads (500MB limit)
 const upload = multer({
@@ -23,33 +25,19 @@ function createStorageRoutes(storageService, db) {
     // =========================================================================
 
     /**
-     * Middleware to extract/validate companyId from header
+     * Middleware to scope storage to the caller's company
      * All storage operations are scoped to a company's folder
      */
     const companyMiddleware = async (req, res, next) => {
-        const companyId = req.headers['x-company-id'] || req.query.companyId;
+        const { companyId } = req.user;
 
         if (!companyId) {
-            return res.status(401).json({
+            return res.status(403).json({
                 success: false,
-                error: "Access denied. Company context required (x-company-id header)."
+                error: "Access denied. No company found for this user."
             });
         }
 
-        // Verify company exists in Firestore
-        try {
-            const companyDoc = await db.collection('companies').doc(companyId).get();
-            if (!companyDoc.exists) {
-                return res.status(404).json({
-                    success: false,
-                    error: "Company not found"
-                });
-            }
-        } catch (error) {
-            console.error('[Storage] Company verification error:', error);
-            // Continue anyway - company ID is valid format
-        }
-
         // Add company helpers to request
         req.companyId = companyId;
         req.companyPrefix = `${companyId}/`;
@@ -167,7 +155,7 @@ function createStorageRoutes(storageService, db) {
      * DELETE /delete/:key(*)
      * Delete a file by key
      */
-    router.delete(/^\/delete\/(.*)/, async (req, res) => {
+    router.delete(/^\/delete\/(.*)/, requirePermission('delete_storage'), async (req, res) => {
         try {
             const relativeKey = req.params[0];
             if (!relativeKey) {
@@ -181,6 +169,13 @@ function createStorageRoutes(storageService, db) {
             const result = await storageService.deleteFile(absoluteKey);
             result.key = relativeKey;
 
+            if (result.success) {
+                recordAudit(db, req, {
+                    action: 'storage.file_deleted',
+                    target: { type: 'file', id: relativeKey, label: path.basename(relativeKey) }
+                });
+            }
+
             res.json(result);
         } catch (err) {
             console.error('[Storage] Delete route error:', err);
@@ -267,7 +262,7 @@ function createStorageRoutes(storageService, db) {
      * DELETE /folder/:name(*)
      * Delete a folder and all its contents recursively
      */
-    router.delete(/^\/folder\/(.*)/, async (req, res) => {
+    router.delete(/^\/folder\/(.*)/, requirePermission('delete_storage'), async (req, res) => {
         try {
             const relativeName = req.params[0];
             if (!relativeName) {
@@ -281,6 +276,14 @@ function createStorageRoutes(storageService, db) {
             const result = await storageService.deleteFolder(absoluteName);
             result.folder = relativeName;
 
+            if (result.success) {
+                recordAudit(db, req, {
+                    action: 'storage.folder_deleted',
+                    target: { type: 'folder', id: relativeName, label: relativeName },
+                    details: { deletedCount: result.deletedCount }
+                });
+            }
+
             res.json(result);
         } catch (err) {
             console.error('[Storage] Delete folder route error:', err);
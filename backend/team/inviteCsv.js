@@ -0,0 +1,124 @@
+/**
+ * Invite CSV - Parse a bulk invite upload
+ *
+ * Expected columns (header row required, case-insensitive, any order):
+ *   email    - required
+ *   role     - optional custom role name or id (blank for Member)
+ *   inboxes  - optional custom inbox names or ids, separated by ";" or "|"
+ *
+ * Example:
+ *   email,role,inboxes
+ *   ana@acme.com,Support Lead,Support;Billing
+ *   li@acme.com,,Support
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line endings)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Drop a UTF-8 BOM left by spreadsheet exports
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Turn an upload into invite rows, resolving role and inbox names
+ * @param {string} text - CSV contents
+ * @param {Object} lookup - { roles: [{ id, name }], inboxes: [{ id, name }] } for the company
+ * @returns {{ rows?: Array<{ line, email, roleId, assignedInboxIds, error? }>, error?: string }}
+ */
+function parseInviteCsv(text, { roles, inboxes }) {
+    const [header, ...body] = parseCsv(text);
+    if (!header) return { error: 'The CSV file is empty' };
+
+    const columns = header.map(h => h.trim().toLowerCase());
+    const emailIndex = columns.indexOf('email');
+    if (emailIndex === -1) return { error: 'The CSV needs an "email" column' };
+
+    const roleIndex = columns.indexOf('role');
+    const inboxesIndex = columns.indexOf('inboxes');
+
+    const byIdOrName = (items, value) => {
+        const wanted = value.trim().toLowerCase();
+        return items.find(item => item.id === value.trim() || (item.name || '').toLowerCase() === wanted);
+    };
+
+    const seen = new Set();
+
+    const rows = body.map((cells, index) => {
+        const line = index + 2; // 1-based, after the header
+        const email = (cells[emailIndex] || '').trim().toLowerCase();
+        const row = { line, email, roleId: null, assignedInboxIds: [] };
+
+        if (!EMAIL_PATTERN.test(email)) return { ...row, error: 'Invalid email address' };
+        if (seen.has(email)) return { ...row, error: 'Duplicate email in file' };
+        seen.add(email);
+
+        const roleValue = roleIndex !== -1 ? (cells[roleIndex] || '').trim() : '';
+        if (roleValue && roleValue.toLowerCase() !== 'member') {
+            const role = byIdOrName(roles, roleValue);
+            if (!role) return { ...row, error: `Unknown role: ${roleValue}` };
+            row.roleId = role.id;
+        }
+
+        const inboxValues = inboxesIndex !== -1
+            ? (cells[inboxesIndex] || '').split(/[;|]/).map(v => v.trim()).filter(Boolean)
+            : [];
+        for (const value of inboxValues) {
+            const inbox = byIdOrName(inboxes, value);
+            if (!inbox) return { ...row, error: `Unknown inbox: ${value}` };
+            if (!row.assignedInboxIds.includes(inbox.id)) row.assignedInboxIds.push(inbox.id);
+        }
+
+        return row;
+    });
+
+    return { rows };
+}
+
+module.exports = { parseCsv, parseInviteCsv, EMAIL_PATTERN };
@@ -0,0 +1,114 @@
+/**
+ * Invite Expiry Job - Closes invites that were never accepted
+ *
+ * Every run, pending invites past expiresAt are marked 'expired' (kept so the
+ * team page can still show and resend them) and each inviter gets one email
+ * listing the invites of theirs that lapsed.
+ */
+
+const admin = require('firebase-admin');
+const emailService = require('../core/services/email-service');
+const { recordAudit } = require('../audit/auditLog');
+const { COLLECTION } = require('./pendingInvites');
+
+// Configuration
+const CONFIG = {
+    RUN_INTERVAL: 60 * 60 * 1000, // 1 hour
+    STARTUP_DELAY: 60 * 1000
+};
+
+class InviteExpiryJob {
+    constructor(db) {
+        this.db = db;
+        this.running = false;
+        this.timer = null;
+        this.startupTimer = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        console.log(`[InviteExpiry] Started (every ${CONFIG.RUN_INTERVAL / 1000}s)`);
+        this.startupTimer = setTimeout(() => this.run(), CONFIG.STARTUP_DELAY);
+        this.timer = setInterval(() => this.run(), CONFIG.RUN_INTERVAL);
+    }
+
+    stop() {
+        clearTimeout(this.startupTimer);
+        clearInterval(this.timer);
+        this.startupTimer = null;
+        this.timer = null;
+    }
+
+    async run() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            // Range on a single field - no composite index; status is checked in memory
+            const snapshot = await this.db.collection(COLLECTION)
+                .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+                .get();
+
+            const lapsed = snapshot.docs.filter(doc => doc.data().status === 'pending');
+            if (lapsed.length === 0) return;
+
+            // Key: inviter uid, Value: invites of theirs that lapsed
+            const byInviter = new Map();
+
+            for (const doc of lapsed) {
+                const invite = doc.data();
+                try {
+                    await doc.ref.update({
+                        status: 'expired',
+                        expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+                        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                    });
+
+                    recordAudit(this.db, null, {
+                        action: 'invite.expired',
+                        companyId: invite.companyId,
+                        actor: { name: 'System' },
+                        target: { type: 'invite', id: doc.id, label: invite.email }
+                    });
+
+                    if (invite.invitedBy) {
+                        if (!byInviter.has(invite.invitedBy)) byInviter.set(invite.invitedBy, []);
+                        byInviter.get(invite.invitedBy).push(invite);
+                    }
+                } catch (err) {
+                    console.error(`[InviteExpiry] Failed to expire invite ${doc.id}:`, err.message);
+                }
+            }
+
+            for (const [inviterId, invites] of byInviter) {
+                await this._notifyInviter(inviterId, invites);
+            }
+
+            console.log(`[InviteExpiry] Expired ${lapsed.length} invite(s)`);
+        } catch (err) {
+            console.error('[InviteExpiry] Run failed:', err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async _notifyInviter(inviterId, invites) {
+        try {
+            const inviterDoc = await this.db.collection('users').doc(inviterId).get();
+            const inviter = inviterDoc.exists ? inviterDoc.data() : null;
+            if (!inviter?.email || inviter.status === 'disabled') return;
+
+            await emailService.sendInvitesExpired({
+                to: inviter.email,
+                companyName: invites[0].companyName || 'your team',
+                emails: invites.map(invite => invite.email),
+                link: `${process.env.APP_URL || 'http://localhost:8080'}/team`
+            });
+        } catch (err) {
+            console.error(`[InviteExpiry] Failed to notify inviter ${inviterId}:`, err.message);
+        }
+    }
+}
+
+module.exports = { InviteExpiryJob };
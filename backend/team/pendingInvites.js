@@ -0,0 +1,47 @@
+/**
+ * Pending Invites - Lookup by normalized email
+ *
+ * Invites are stored with the normalized address in `email`, so a lookup is a
+ * single equality query on that field (covered by Firestore's automatic
+ * single-field index) instead of a scan of every tenant's invites.
+ * Status and expiry are checked in memory to avoid a composite index.
+ */
+
+const COLLECTION = 'pendingInvites';
+
+/**
+ * Canonical form of an email address for storage and lookup
+ */
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function inviteExpiry(invite) {
+    return invite.expiresAt?.toDate ? invite.expiresAt.toDate() : new Date(invite.expiresAt);
+}
+
+/**
+ * Whether an invite can still be accepted
+ */
+function isInviteOpen(invite, now = new Date()) {
+    return invite.status === 'pending' && inviteExpiry(invite) > now;
+}
+
+/**
+ * Open invite for an email, the one expiring last if several companies invited it
+ * @returns {{ doc, data }|null}
+ */
+async function findOpenInvite(db, email) {
+    const snapshot = await db.collection(COLLECTION)
+        .where('email', '==', normalizeEmail(email))
+        .get();
+
+    const now = new Date();
+    const open = snapshot.docs
+        .filter(doc => isInviteOpen(doc.data(), now))
+        .sort((a, b) => inviteExpiry(b.data()) - inviteExpiry(a.data()));
+
+    return open.length > 0 ? { doc: open[0], data: open[0].data() } : null;
+}
+
+module.exports = { COLLECTION, normalizeEmail, inviteExpiry, isInviteOpen, findOpenInvite };
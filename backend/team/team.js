@@ -2,143 +2,410 @@
  * Team Management Routes
  * 
  * Handles:
- * - Sending team invitations
+ * - Sending team invitations (one at a time, with a role, or from a CSV)
+ * - Email-domain auto-join settings (see auth/signup)
  * - Checking for pending invitations
  * - Accepting invitations
  * - Managing team members
  * - Updating member permissions
+ *
+ * Invite lookup and acceptance are public; everything else acts on the
+ * caller's company (req.user) and member management needs manage_team.
+ * Invites, joins and member changes are written to the audit log.
  */
 
 const express = require('express');
 const admin = require('firebase-admin');
+const multer = require('multer');
 const emailService = require('../core/services/email-service');
+const { requireOwnCompany } = require('../core/middleware/auth');
+const { invalidateUser } = require('../core/middleware/verify-token');
+const { can, requirePermission } = require('../core/policy');
+const { recordAudit } = require('../audit/auditLog');
+const { parseInviteCsv } = require('./inviteCsv');
+const { normalizeEmail, inviteExpiry, findOpenInvite } = require('./pendingInvites');
+
+// Configuration
+const CONFIG = {
+    MAX_BULK_INVITES: 200,
+    MAX_CSV_SIZE: 1024 * 1024 // 1MB
+};
+
+// Anyone can sign up with these, so they can't be used for auto-join
+const PUBLIC_EMAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+    'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com',
+    'gmx.com', 'mail.com', 'yandex.com', 'zoho.com'
+];
+
+const DOMAIN_PATTERN = /^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: CONFIG.MAX_CSV_SIZE }
+});
 
 function createTeamRoutes(db) {
     const router = express.Router();
 
+    /**
+     * Load a document that must belong to the caller's company
+     * Sends a 404 and returns null otherwise
+     */
+    const getCompanyDoc = async (collection, id, req, res, notFound) => {
+        const doc = await db.collection(collection).doc(id).get();
+        if (!doc.exists || doc.data().companyId !== req.user.companyId) {
+            res.status(404).json({ success: false, error: notFound });
+            return null;
+        }
+        return doc;
+    };
+
+    /**
+     * Check a role an inviter wants to give: it must be the company's and the
+     * inviter must be allowed to grant it (manage_roles plus every permission in it)
+     * @returns {{ roleId?: string|null, error?: string, status?: number }}
+     */
+    const resolveInviteRole = async (roleId, req) => {
+        if (!roleId || roleId === 'member') return { roleId: null };
+
+        if (!can(req.user, 'manage_roles')) {
+            return { status: 403, error: 'Permission required: manage_roles' };
+        }
+
+        const roleDoc = await db.collection('roles').doc(roleId).get();
+        if (!roleDoc.exists || roleDoc.data().companyId !== req.user.companyId) {
+            return { status: 404, error: 'Role not found' };
+        }
+
+        const notHeld = (roleDoc.data().permissions || []).filter(p => !can(req.user, p));
+        if (notHeld.length > 0) {
+            return { status: 403, error: `You can't grant permissions you don't have: ${notHeld.join(', ')}` };
+        }
+
+        return { roleId };
+    };
+
+    /**
+     * Create (or refresh) a pending invite and email it
+     * @returns {{ success, inviteId?, inviteToken?, emailSent?, error?, status? }}
+     */
+    const createInvite = async (req, { email, assignedInboxIds = [], roleId = null }, auditDetails = {}) => {
+        const { companyId, uid: invitedBy } = req.user;
+        const normalizedEmail = normalizeEmail(email);
+
+        const inviterDoc = await db.collection('users').doc(invitedBy).get();
+        const inviterData = inviterDoc.data();
+
+        // Check if user already exists
+        const existingUsers = await db.collection('users')
+            .where('email', '==', normalizedEmail)
+            .get();
+
+        if (!existingUsers.empty) {
+            return { success: false, status: 400, error: 'A user with this email already exists' };
+        }
+
+        // Check for existing pending invite
+        const existingInvites = await db.collection('pendingInvites')
+            .where('email', '==', normalizedEmail)
+            .where('companyId', '==', companyId)
+            .get();
+
+        // Generate invite token
+        const inviteToken = generateInviteToken();
+        const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+
+        // Get company info
+        const companyDoc = await db.collection('companies').doc(companyId).get();
+        const companyName = companyDoc.exists ? companyDoc.data().name : 'the team';
+
+        const inviteData = {
+            email: normalizedEmail,
+            companyId: companyId,
+            companyName: companyName,
+            role: 'member',
+            roleId: roleId,
+            assignedInboxIds: assignedInboxIds,
+            status: 'pending',
+            invitedBy: invitedBy,
+            inviterName: inviterData.displayName || inviterData.email,
+            inviteToken: inviteToken,
+            expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        let inviteId;
+
+        if (!existingInvites.empty) {
+            // Update existing invite
+            inviteId = existingInvites.docs[0].id;
+            await existingInvites.docs[0].ref.update({
+                ...inviteData,
+                expiredAt: admin.firestore.FieldValue.delete(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } else {
+            // Create new invite
+            const docRef = await db.collection('pendingInvites').add(inviteData);
+            inviteId = docRef.id;
+        }
+
+        // Send invitation email
+        const emailSent = await sendInvitationEmail({
+            to: normalizedEmail,
+            inviterName: inviterData.displayName || inviterData.email,
+            companyName: companyName,
+            token: inviteToken,
+            inboxCount: assignedInboxIds.length
+        });
+
+        recordAudit(db, req, {
+            action: 'member.invited',
+            target: { type: 'invite', id: inviteId, label: normalizedEmail },
+            details: { assignedInboxIds, roleId, emailSent, ...auditDetails }
+        });
+
+        console.log(`[Team] Invitation sent to ${normalizedEmail} for company ${companyId}`);
+
+        return { success: true, inviteId, inviteToken, emailSent };
+    };
+
     /**
      * POST /invite
      * Send invitation to join team
+     * Body: { email, assignedInboxIds?, roleId? } - roleId needs manage_roles
      */
-    router.post('/invite', async (req, res) => {
-        const { email, companyId, invitedBy, assignedInboxIds = [] } = req.body;
+    router.post('/invite', requirePermission('manage_team'), async (req, res) => {
+        const { email, assignedInboxIds = [] } = req.body;
 
-        if (!email || !companyId || !invitedBy) {
+        if (!email) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: email, companyId, invitedBy'
+                error: 'Missing required field: email'
             });
         }
 
         try {
-            // Validate inviter is from the same company
-            const inviterDoc = await db.collection('users').doc(invitedBy).get();
+            const role = await resolveInviteRole(req.body.roleId, req);
+            if (role.error) {
+                return res.status(role.status).json({ success: false, error: role.error });
+            }
 
-            if (!inviterDoc.exists) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Inviter not found'
-                });
+            const result = await createInvite(req, { email, assignedInboxIds, roleId: role.roleId });
+            if (!result.success) {
+                return res.status(result.status).json({ success: false, error: result.error });
             }
 
-            const inviterData = inviterDoc.data();
+            res.json({
+                success: true,
+                inviteToken: result.inviteToken,
+                emailSent: result.emailSent,
+                message: result.emailSent
+                    ? `Invitation sent to ${email}`
+                    : `Invite created. Share this link: ${getInviteUrl(result.inviteToken)}`
+            });
 
-            if (inviterData.companyId !== companyId) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Unauthorized: Company mismatch'
-                });
+        } catch (error) {
+            console.error('[Team] Invite error:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message || 'Failed to send invitation'
+            });
+        }
+    });
+
+    /**
+     * POST /invite/bulk
+     * Invite everyone in an uploaded CSV (multipart field "file", or { csv } as text)
+     * Columns: email, role (name or id, optional), inboxes (names or ids separated by ";", optional)
+     * Each row succeeds or fails on its own; the response lists every row.
+     */
+    router.post('/invite/bulk', requirePermission('manage_team'), upload.single('file'), async (req, res) => {
+        const text = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+
+        if (!text) {
+            return res.status(400).json({ success: false, error: 'Upload a CSV file' });
+        }
+
+        try {
+            const { companyId } = req.user;
+            const [rolesSnapshot, inboxesSnapshot] = await Promise.all([
+                db.collection('roles').where('companyId', '==', companyId).get(),
+                db.collection('customInboxes').where('companyId', '==', companyId).get()
+            ]);
+
+            const { rows, error } = parseInviteCsv(text, {
+                roles: rolesSnapshot.docs.map(doc => ({ id: doc.id, name: doc.data().name })),
+                inboxes: inboxesSnapshot.docs.map(doc => ({ id: doc.id, name: doc.data().name }))
+            });
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+            if (rows.length === 0) {
+                return res.status(400).json({ success: false, error: 'The CSV has no invite rows' });
+            }
+            if (rows.length > CONFIG.MAX_BULK_INVITES) {
+                return res.status(400).json({ success: false, error: `At most ${CONFIG.MAX_BULK_INVITES} invites per upload` });
             }
 
-            // Check if user already exists
-            const existingUsers = await db.collection('users')
-                .where('email', '==', email.toLowerCase())
-                .get();
+            // Sequential so invite emails aren't sent in a burst
+            const results = [];
+            for (const row of rows) {
+                const base = { line: row.line, email: row.email };
 
-            if (!existingUsers.empty) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'A user with this email already exists'
-                });
+                if (row.error) {
+                    results.push({ ...base, success: false, error: row.error });
+                    continue;
+                }
+
+                try {
+                    const role = await resolveInviteRole(row.roleId, req);
+                    if (role.error) {
+                        results.push({ ...base, success: false, error: role.error });
+                        continue;
+                    }
+
+                    const result = await createInvite(req, {
+                        email: row.email,
+                        assignedInboxIds: row.assignedInboxIds,
+                        roleId: role.roleId
+                    }, { bulk: true });
+
+                    results.push(result.success
+                        ? { ...base, success: true, inviteId: result.inviteId, emailSent: result.emailSent }
+                        : { ...base, success: false, error: result.error });
+                } catch (err) {
+                    results.push({ ...base, success: false, error: err.message });
+                }
             }
 
-            // Check for existing pending invite
-            const existingInvites = await db.collection('pendingInvites')
-                .where('email', '==', email.toLowerCase())
-                .where('companyId', '==', companyId)
-                .get();
+            const invited = results.filter(r => r.success).length;
+            console.log(`[Team] Bulk invite for company ${companyId}: ${invited}/${results.length} invited`);
 
-            // Generate invite token
-            const inviteToken = generateInviteToken();
-            const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+            res.json({
+                success: invited > 0,
+                invited,
+                failed: results.length - invited,
+                results
+            });
 
-            // Get company info
-            const companyDoc = await db.collection('companies').doc(companyId).get();
-            const companyName = companyDoc.exists ? companyDoc.data().name : 'the team';
+        } catch (error) {
+            console.error('[Team] Bulk invite error:', error);
+            res.status(500).json({ success: false, error: error.message || 'Failed to send invitations' });
+        }
+    });
 
-            const inviteData = {
-                email: email.toLowerCase(),
-                companyId: companyId,
-                companyName: companyName,
-                role: 'member',
-                assignedInboxIds: assignedInboxIds,
-                status: 'pending',
-                invitedBy: invitedBy,
-                inviterName: inviterData.displayName || inviterData.email,
-                inviteToken: inviteToken,
-                expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
-                createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                updatedAt: admin.firestore.FieldValue.serverTimestamp()
-            };
+    /**
+     * GET /domain-settings
+     * Email domain whose signups join the company automatically (null when off)
+     */
+    router.get('/domain-settings', requirePermission('manage_team'), async (req, res) => {
+        try {
+            const companyDoc = await db.collection('companies').doc(req.user.companyId).get();
+            res.json({ success: true, autoJoin: companyDoc.data()?.autoJoin || null });
+        } catch (error) {
+            console.error('[Team] Get domain settings error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
 
-            let inviteId;
+    /**
+     * PUT /domain-settings
+     * Let signups from an email domain join as members without an invite
+     * Body: { domain, roleId?, assignedInboxIds? } - an empty domain turns auto-join off
+     *
+     * The domain must be the caller's own email domain, not a public provider,
+     * and not claimed by another company. New members still have to verify their email.
+     */
+    router.put('/domain-settings', requirePermission('manage_team'), async (req, res) => {
+        const { companyId } = req.user;
+        const domain = String(req.body.domain || '').trim().toLowerCase().replace(/^@/, '');
+        const assignedInboxIds = req.body.assignedInboxIds || [];
+
+        try {
+            const companyRef = db.collection('companies').doc(companyId);
 
-            if (!existingInvites.empty) {
-                // Update existing invite
-                inviteId = existingInvites.docs[0].id;
-                await existingInvites.docs[0].ref.update({
-                    ...inviteData,
+            if (!domain) {
+                await companyRef.update({
+                    autoJoin: null,
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
-            } else {
-                // Create new invite
-                const docRef = await db.collection('pendingInvites').add(inviteData);
-                inviteId = docRef.id;
+
+                recordAudit(db, req, {
+                    action: 'team.domain_updated',
+                    target: { type: 'company', id: companyId },
+                    details: { autoJoin: null }
+                });
+
+                return res.json({ success: true, autoJoin: null });
             }
 
-            // Send invitation email
-            const emailSent = await sendInvitationEmail({
-                to: email,
-                inviterName: inviterData.displayName || inviterData.email,
-                companyName: companyName,
-                token: inviteToken,
-                inboxCount: assignedInboxIds.length
-            });
+            if (!DOMAIN_PATTERN.test(domain)) {
+                return res.status(400).json({ success: false, error: 'Invalid domain' });
+            }
+            if (PUBLIC_EMAIL_DOMAINS.includes(domain)) {
+                return res.status(400).json({ success: false, error: `${domain} is a public email provider and can't be used for auto-join` });
+            }
+            if ((req.user.email || '').toLowerCase().split('@')[1] !== domain) {
+                return res.status(403).json({ success: false, error: 'You can only use the domain of your own email address' });
+            }
+            if (!Array.isArray(assignedInboxIds)) {
+                return res.status(400).json({ success: false, error: 'assignedInboxIds must be an array' });
+            }
 
-            console.log(`[Team] Invitation sent to ${email} for company ${companyId}`);
+            const role = await resolveInviteRole(req.body.roleId, req);
+            if (role.error) {
+                return res.status(role.status).json({ success: false, error: role.error });
+            }
 
-            res.json({
-                success: true,
-                inviteToken: inviteToken,
-                emailSent: emailSent,
-                message: emailSent
-                    ? `Invitation sent to ${email}`
-                    : `Invite created. Share this link: ${getInviteUrl(inviteToken)}`
+            const inboxDocs = await Promise.all(
+                assignedInboxIds.map(id => db.collection('customInboxes').doc(id).get())
+            );
+            if (inboxDocs.some(doc => !doc.exists || doc.data().companyId !== companyId)) {
+                return res.status(400).json({ success: false, error: 'assignedInboxIds refers to an inbox outside your company' });
+            }
+
+            const claimed = await db.collection('companies')
+                .where('autoJoin.domain', '==', domain)
+                .get();
+            if (claimed.docs.some(doc => doc.id !== companyId)) {
+                return res.status(409).json({ success: false, error: 'Another company already uses this domain' });
+            }
+
+            const autoJoin = {
+                domain,
+                roleId: role.roleId,
+                assignedInboxIds,
+                updatedBy: req.user.uid,
+                updatedAt: admin.firestore.Timestamp.now()
+            };
+
+            await companyRef.update({
+                autoJoin,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
 
-        } catch (error) {
-            console.error('[Team] Invite error:', error);
-            res.status(500).json({
-                success: false,
-                error: error.message || 'Failed to send invitation'
+            recordAudit(db, req, {
+                action: 'team.domain_updated',
+                target: { type: 'company', id: companyId, label: domain },
+                details: { autoJoin: { domain, roleId: role.roleId, assignedInboxIds } }
             });
+
+            console.log(`[Team] Auto-join enabled for @${domain} in company ${companyId}`);
+
+            res.json({ success: true, autoJoin });
+        } catch (error) {
+            console.error('[Team] Update domain settings error:', error);
+            res.status(500).json({ success: false, error: error.message });
         }
     });
 
     /**
      * POST /check-invite
      * Check if an email has a pending invitation
-     * Uses simpler query to avoid Firestore index requirements
      */
     router.post('/check-invite', async (req, res) => {
         const { email } = req.body;
@@ -151,44 +418,15 @@ function createTeamRoutes(db) {
         }
 
         try {
-            // Get all pending invites for this email
-            const inviteQuery = await db.collection('pendingInvites')
-                .where('email', '==', email.toLowerCase())
-                .get();
+            const openInvite = await findOpenInvite(db, email);
 
-            if (inviteQuery.empty) {
+            if (!openInvite) {
                 return res.json({
                     hasPendingInvite: false
                 });
             }
 
-            // Filter in code for status and expiration
-            let validInvite = null;
-            const now = new Date();
-
-            for (const doc of inviteQuery.docs) {
-                const invite = doc.data();
-
-                // Check status
-                if (invite.status !== 'pending') continue;
-
-                // Check expiration
-                const expiresAt = invite.expiresAt?.toDate ?
-                    invite.expiresAt.toDate() :
-                    new Date(invite.expiresAt);
-
-                if (expiresAt < now) continue;
-
-                // Found valid invite
-                validInvite = invite;
-                break;
-            }
-
-            if (!validInvite) {
-                return res.json({
-                    hasPendingInvite: false
-                });
-            }
+            const validInvite = openInvite.data;
 
             res.json({
                 hasPendingInvite: true,
@@ -228,9 +466,9 @@ function createTeamRoutes(db) {
 
             const invite = inviteQuery.docs[0].data();
 
-            // Check if expired
-            const expiresAt = invite.expiresAt.toDate ? invite.expiresAt.toDate() : new Date(invite.expiresAt);
-            if (expiresAt < new Date()) {
+            // Check if expired (the expiry job may not have marked it yet)
+            const expiresAt = inviteExpiry(invite);
+            if (invite.status === 'expired' || expiresAt < new Date()) {
                 return res.status(410).json({
                     success: false,
                     error: 'This invitation has expired. Please request a new invitation.'
@@ -286,8 +524,7 @@ function createTeamRoutes(db) {
             const invite = inviteDoc.data();
 
             // Check if expired
-            const expiresAt = invite.expiresAt.toDate ? invite.expiresAt.toDate() : new Date(invite.expiresAt);
-            if (expiresAt < new Date()) {
+            if (invite.status === 'expired' || inviteExpiry(invite) < new Date()) {
                 return res.status(410).json({
                     success: false,
                     error: 'This invitation has expired. Please request a new invitation.'
@@ -317,6 +554,7 @@ function createTeamRoutes(db) {
                 displayName: displayName?.trim() || invite.email.split('@')[0],
                 companyId: invite.companyId,
                 role: 'member',
+                roleId: invite.roleId || null,
                 assignedInboxIds: invite.assignedInboxIds || [],
                 status: 'active',
                 invitedBy: invite.invitedBy,
@@ -332,6 +570,15 @@ function createTeamRoutes(db) {
             // Delete the pending invite
             await inviteDoc.ref.delete();
 
+            // Public route - the new member is the actor
+            recordAudit(db, req, {
+                action: 'member.joined',
+                companyId: invite.companyId,
+                actor: { id: userRecord.uid, name: displayName?.trim() || invite.email.split('@')[0], email: invite.email, role: 'member' },
+                target: { type: 'user', id: userRecord.uid, label: invite.email },
+                details: { inviteId: inviteDoc.id, invitedBy: invite.invitedBy }
+            });
+
             // Generate custom token for immediate sign-in
             const customToken = await admin.auth().createCustomToken(userRecord.uid);
 
@@ -357,7 +604,7 @@ function createTeamRoutes(db) {
      * POST /update-member-inboxes
      * Update assigned inboxes for a team member
      */
-    router.post('/update-member-inboxes', async (req, res) => {
+    router.post('/update-member-inboxes', requirePermission('manage_team'), async (req, res) => {
         const { memberId, inboxIds } = req.body;
 
         if (!memberId || !Array.isArray(inboxIds)) {
@@ -368,10 +615,20 @@ function createTeamRoutes(db) {
         }
 
         try {
-            await db.collection('users').doc(memberId).update({
+            const memberDoc = await getCompanyDoc('users', memberId, req, res, 'Member not found');
+            if (!memberDoc) return;
+
+            await memberDoc.ref.update({
                 assignedInboxIds: inboxIds,
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
+            invalidateUser(memberId);
+
+            recordAudit(db, req, {
+                action: 'member.inboxes_updated',
+                target: { type: 'user', id: memberId, label: memberDoc.data().email },
+                details: { previous: memberDoc.data().assignedInboxIds || [], assignedInboxIds: inboxIds }
+            });
 
             res.json({
                 success: true,
@@ -391,7 +648,7 @@ function createTeamRoutes(db) {
      * GET /members/:companyId
      * Get all team members for a company
      */
-    router.get('/members/:companyId', async (req, res) => {
+    router.get('/members/:companyId', requireOwnCompany, async (req, res) => {
         const { companyId } = req.params;
 
         if (!companyId) {
@@ -438,7 +695,7 @@ function createTeamRoutes(db) {
      * GET /pending-invites/:companyId
      * Get all pending invitations for a company
      */
-    router.get('/pending-invites/:companyId', async (req, res) => {
+    router.get('/pending-invites/:companyId', requireOwnCompany, requirePermission('manage_team'), async (req, res) => {
         const { companyId } = req.params;
 
         if (!companyId) {
@@ -479,7 +736,7 @@ function createTeamRoutes(db) {
      * GET /invite-token/:inviteId
      * Get invite token for a pending invitation (for copy link functionality)
      */
-    router.get('/invite-token/:inviteId', async (req, res) => {
+    router.get('/invite-token/:inviteId', requirePermission('manage_team'), async (req, res) => {
         const { inviteId } = req.params;
 
         if (!inviteId) {
@@ -490,14 +747,8 @@ function createTeamRoutes(db) {
         }
 
         try {
-            const inviteDoc = await db.collection('pendingInvites').doc(inviteId).get();
-
-            if (!inviteDoc.exists) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Invite not found'
-                });
-            }
+            const inviteDoc = await getCompanyDoc('pendingInvites', inviteId, req, res, 'Invite not found');
+            if (!inviteDoc) return;
 
             const inviteData = inviteDoc.data();
 
@@ -520,7 +771,7 @@ function createTeamRoutes(db) {
      * DELETE /cancel-invite/:inviteId
      * Cancel a pending invitation
      */
-    router.delete('/cancel-invite/:inviteId', async (req, res) => {
+    router.delete('/cancel-invite/:inviteId', requirePermission('manage_team'), async (req, res) => {
         const { inviteId } = req.params;
 
         if (!inviteId) {
@@ -531,7 +782,15 @@ function createTeamRoutes(db) {
         }
 
         try {
-            await db.collection('pendingInvites').doc(inviteId).delete();
+            const inviteDoc = await getCompanyDoc('pendingInvites', inviteId, req, res, 'Invite not found');
+            if (!inviteDoc) return;
+
+            await inviteDoc.ref.delete();
+
+            recordAudit(db, req, {
+                action: 'invite.cancelled',
+                target: { type: 'invite', id: inviteId, label: inviteDoc.data().email }
+            });
 
             res.json({
                 success: true,
@@ -551,7 +810,7 @@ function createTeamRoutes(db) {
      * POST /resend-invite
      * Resend invitation email for a pending invite
      */
-    router.post('/resend-invite', async (req, res) => {
+    router.post('/resend-invite', requirePermission('manage_team'), async (req, res) => {
         const { inviteId } = req.body;
 
         if (!inviteId) {
@@ -559,11 +818,8 @@ function createTeamRoutes(db) {
         }
 
         try {
-            const inviteDoc = await db.collection('pendingInvites').doc(inviteId).get();
-
-            if (!inviteDoc.exists) {
-                return res.status(404).json({ success: false, error: 'Invite not found' });
-            }
+            const inviteDoc = await getCompanyDoc('pendingInvites', inviteId, req, res, 'Invite not found');
+            if (!inviteDoc) return;
 
             const invite = inviteDoc.data();
 
@@ -573,7 +829,9 @@ function createTeamRoutes(db) {
 
             await inviteDoc.ref.update({
                 inviteToken: newToken,
+                status: 'pending',
                 expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+                expiredAt: admin.firestore.FieldValue.delete(),
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
 
@@ -586,6 +844,12 @@ function createTeamRoutes(db) {
                 inboxCount: invite.assignedInboxIds?.length || 0
             });
 
+            recordAudit(db, req, {
+                action: 'invite.resent',
+                target: { type: 'invite', id: inviteId, label: invite.email },
+                details: { emailSent }
+            });
+
             res.json({
                 success: true,
                 emailSent,
@@ -604,7 +868,7 @@ function createTeamRoutes(db) {
      * POST /remove-member
      * Remove a team member from the company
      */
-    router.post('/remove-member', async (req, res) => {
+    router.post('/remove-member', requirePermission('manage_team'), async (req, res) => {
         const { memberId } = req.body;
 
         if (!memberId) {
@@ -615,14 +879,8 @@ function createTeamRoutes(db) {
         }
 
         try {
-            const memberDoc = await db.collection('users').doc(memberId).get();
-
-            if (!memberDoc.exists) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Member not found'
-                });
-            }
+            const memberDoc = await getCompanyDoc('users', memberId, req, res, 'Member not found');
+            if (!memberDoc) return;
 
             const memberData = memberDoc.data();
 
@@ -657,6 +915,12 @@ function createTeamRoutes(db) {
 
             // Delete the member
             await memberDoc.ref.delete();
+            invalidateUser(memberId);
+
+            recordAudit(db, req, {
+                action: 'member.removed',
+                target: { type: 'user', id: memberId, label: memberData.email }
+            });
 
             console.log(`[Team] Member ${memberData.email} removed from company ${memberData.companyId}`);
 
@@ -678,7 +942,7 @@ function createTeamRoutes(db) {
      * POST /disable-member
      * Disable a team member's access
      */
-    router.post('/disable-member', async (req, res) => {
+    router.post('/disable-member', requirePermission('manage_team'), async (req, res) => {
         const { memberId } = req.body;
 
         if (!memberId) {
@@ -689,14 +953,8 @@ function createTeamRoutes(db) {
         }
 
         try {
-            const memberDoc = await db.collection('users').doc(memberId).get();
-
-            if (!memberDoc.exists) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Member not found'
-                });
-            }
+            const memberDoc = await getCompanyDoc('users', memberId, req, res, 'Member not found');
+            if (!memberDoc) return;
 
             const memberData = memberDoc.data();
 
@@ -712,6 +970,12 @@ function createTeamRoutes(db) {
                 status: 'disabled',
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
+            invalidateUser(memberId);
+
+            recordAudit(db, req, {
+                action: 'member.disabled',
+                target: { type: 'user', id: memberId, label: memberData.email }
+            });
 
             console.log(`[Team] Member ${memberData.email} disabled`);
 
@@ -733,7 +997,7 @@ function createTeamRoutes(db) {
      * POST /enable-member
      * Re-enable a team member's access
      */
-    router.post('/enable-member', async (req, res) => {
+    router.post('/enable-member', requirePermission('manage_team'), async (req, res) => {
         const { memberId } = req.body;
 
         if (!memberId) {
@@ -744,10 +1008,19 @@ function createTeamRoutes(db) {
         }
 
         try {
-            await db.collection('users').doc(memberId).update({
+            const memberDoc = await getCompanyDoc('users', memberId, req, res, 'Member not found');
+            if (!memberDoc) return;
+
+            await memberDoc.ref.update({
                 status: 'active',
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
+            invalidateUser(memberId);
+
+            recordAudit(db, req, {
+                action: 'member.enabled',
+                target: { type: 'user', id: memberId, label: memberDoc.data().email }
+            });
 
             res.json({
                 success: true,
@@ -0,0 +1,248 @@
+/**
+ * Templates - Rendering and loading of reply templates
+ *
+ * A template's subject, body (plain text) and optional html may contain
+ * variables like {{customer.firstName}}. A fallback can follow a pipe:
+ * {{customer.firstName|there}}. Unknown or empty variables render the
+ * fallback (or nothing) and are reported in `missing`.
+ *
+ * Attachments are files in the company's storage, kept as
+ * { key (relative to the company folder), filename, contentType }.
+ */
+
+const path = require('path');
+
+// Configuration
+const CONFIG = {
+    MAX_ATTACHMENT_BYTES: 20 * 1024 * 1024 // Combined, most mail providers reject more than ~25MB
+};
+
+const TEMPLATE_CHANNELS = ['any', 'email', 'whatsapp', 'chat'];
+
+// Variables every render can fill in; extra ones can be passed per request
+const TEMPLATE_VARIABLES = {
+    'customer.name': 'Full name of the person you are replying to',
+    'customer.firstName': 'First name of the person you are replying to',
+    'customer.lastName': 'Last name of the person you are replying to',
+    'customer.email': 'Email address of the person you are replying to',
+    'customer.phone': 'Phone number (WhatsApp)',
+    'agent.name': 'Your display name',
+    'agent.firstName': 'Your first name',
+    'agent.email': 'Your email address',
+    'company.name': 'Your company name',
+    'date.today': "Today's date"
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const splitName = (name) => {
+    const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+    return {
+        name: parts.join(' '),
+        firstName: parts[0] || '',
+        lastName: parts.slice(1).join(' ')
+    };
+};
+
+/**
+ * Fill variables into one string
+ * @param {Object} variables - flat map, e.g. { 'customer.firstName': 'Ana' }
+ * @param {Object} options - { escape: escape values for HTML, missing: Set collecting unfilled names }
+ */
+function renderString(text, variables, { escape = false, missing } = {}) {
+    if (!text) return text || '';
+
+    return text.replace(VARIABLE_PATTERN, (match, name, fallback) => {
+        const value = variables[name];
+        if (value === undefined || value === null || value === '') {
+            if (missing) missing.add(name);
+            return fallback !== undefined ? fallback.trim() : '';
+        }
+        return escape ? escapeHtml(value) : String(value);
+    });
+}
+
+/**
+ * Render a template's subject, text and html
+ * @returns {{ subject, text, html, missing: string[] }} html is null when the template has none
+ */
+function renderTemplate(template, variables) {
+    const missing = new Set();
+
+    return {
+        subject: renderString(template.subject, variables, { missing }),
+        text: renderString(template.body, variables, { missing }),
+        html: template.html ? renderString(template.html, variables, { escape: true, missing }) : null,
+        missing: [...missing]
+    };
+}
+
+/**
+ * Split a "Name <address>" header into customer variables
+ */
+function customerFromAddress(header) {
+    const value = Array.isArray(header) ? header[0] : header;
+    if (!value || value === 'Unknown') return {};
+
+    const match = /^\s*"?([^"<]*)"?\s*<([^>]+)>/.exec(value);
+    const email = (match ? match[2] : value).trim();
+    const { name, firstName, lastName } = splitName(match ? match[1] : '');
+
+    return { name, firstName, lastName, email };
+}
+
+/**
+ * Customer variables from a stored WhatsApp message
+ */
+function customerFromWhatsApp(message) {
+    return {
+        ...splitName(message.senderName),
+        phone: message.senderNumber || ''
+    };
+}
+
+/**
+ * Variables for a render: customer, acting agent, company, plus custom ones
+ * @param {Object} customer - { name, firstName, lastName, email, phone }
+ * @param {Object} custom - extra variables from the request (flat map)
+ */
+async function buildVariables(db, user, customer = {}, custom = {}) {
+    const companyDoc = await db.collection('companies').doc(user.companyId).get();
+    const agent = splitName(user.displayName);
+
+    const variables = {
+        'customer.name': customer.name,
+        'customer.firstName': customer.firstName,
+        'customer.lastName': customer.lastName,
+        'customer.email': customer.email,
+        'customer.phone': customer.phone,
+        'agent.name': agent.name,
+        'agent.firstName': agent.firstName,
+        'agent.email': user.email,
+        'company.name': companyDoc.exists ? companyDoc.data().name : '',
+        'date.today': new Date().toISOString().slice(0, 10)
+    };
+
+    for (const [name, value] of Object.entries(custom || {})) {
+        if (typeof value === 'string' || typeof value === 'number') {
+            variables[name] = value;
+        }
+    }
+
+    return variables;
+}
+
+/**
+ * Load a template that must belong to the user's company and suit the channel
+ * @returns {{ template?: Object, error?: string, status?: number }}
+ */
+async function loadTemplate(db, templateId, user, channel) {
+    const doc = await db.collection('templates').doc(templateId).get();
+    if (!doc.exists || doc.data().companyId !== user.companyId) {
+        return { status: 404, error: 'Template not found' };
+    }
+
+    const template = { id: doc.id, ...doc.data() };
+    if (channel && template.channel !== 'any' && template.channel !== channel) {
+        return { status: 400, error: `This template is for ${template.channel}, not ${channel}` };
+    }
+
+    return { template };
+}
+
+/**
+ * Download a template's attachments for sending by email
+ * @returns {Promise<Array>} [{ filename, contentType, content (Buffer) }]
+ */
+async function loadAttachments(storageService, companyId, attachments = []) {
+    const files = [];
+    let totalBytes = 0;
+
+    for (const attachment of attachments) {
+        const response = await storageService.downloadFile(`${companyId}/${attachment.key}`);
+        const content = Buffer.from(await response.Body.transformToByteArray());
+
+        totalBytes += content.length;
+        if (totalBytes > CONFIG.MAX_ATTACHMENT_BYTES) {
+            throw new Error('Template attachments are too large to send');
+        }
+
+        files.push({
+            filename: attachment.filename || path.basename(attachment.key),
+            contentType: attachment.contentType || response.ContentType || 'application/octet-stream',
+            content
+        });
+    }
+
+    return files;
+}
+
+/**
+ * Check a template body from the API
+ * @returns {{ template?: Object, error?: string }}
+ */
+function parseTemplate(body, { partial = false } = {}) {
+    const template = {};
+
+    if (!partial || body.name !== undefined) {
+        const name = String(body.name || '').trim();
+        if (!name) return { error: 'Template name is required' };
+        template.name = name;
+    }
+
+    if (!partial || body.channel !== undefined) {
+        const channel = body.channel || 'any';
+        if (!TEMPLATE_CHANNELS.includes(channel)) {
+            return { error: `channel must be one of: ${TEMPLATE_CHANNELS.join(', ')}` };
+        }
+        template.channel = channel;
+    }
+
+    for (const field of ['category', 'subject', 'body', 'html']) {
+        if (!partial || body[field] !== undefined) {
+            template[field] = typeof body[field] === 'string' ? body[field] : '';
+        }
+    }
+
+    if (!partial && !template.body && !template.html) {
+        return { error: 'Template body is required' };
+    }
+
+    if (!partial || body.attachments !== undefined) {
+        const attachments = body.attachments || [];
+        if (!Array.isArray(attachments)) return { error: 'attachments must be an array' };
+
+        const invalid = attachments.some(att =>
+            !att || typeof att.key !== 'string' || !att.key.trim() || att.key.split('/').includes('..')
+        );
+        if (invalid) return { error: 'Each attachment needs the storage key of a file' };
+
+        template.attachments = attachments.map(att => ({
+            key: att.key.replace(/^\/+/, ''),
+            filename: att.filename || path.basename(att.key),
+            contentType: att.contentType || null
+        }));
+    }
+
+    return { template };
+}
+
+module.exports = {
+    TEMPLATE_CHANNELS,
+    TEMPLATE_VARIABLES,
+    renderString,
+    renderTemplate,
+    customerFromAddress,
+    customerFromWhatsApp,
+    buildVariables,
+    loadTemplate,
+    loadAttachments,
+    parseTemplate
+};
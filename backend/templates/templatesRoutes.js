@@ -0,0 +1,283 @@
+/**
+ * Templates Routes - Company library of email and message templates
+ *
+ * Everyone in the company can list and render templates; creating, editing
+ * and deleting them needs manage_templates. Rendering fills the variables
+ * (see templates.js) for a specific email or WhatsApp message the caller
+ * can see. Email sends and chat messages also accept a templateId directly.
+ */
+
+const express = require('express');
+const admin = require('firebase-admin');
+const { requirePermission, resolveSourceScope, sourceAccess } = require('../core/policy');
+const {
+    TEMPLATE_CHANNELS,
+    TEMPLATE_VARIABLES,
+    renderTemplate,
+    customerFromAddress,
+    customerFromWhatsApp,
+    buildVariables,
+    loadTemplate,
+    parseTemplate
+} = require('./templates');
+
+// Configuration
+const CONFIG = {
+    MAX_TEMPLATES_PER_COMPANY: 500
+};
+
+function createTemplatesRoutes(db, emailSyncEngine) {
+    const router = express.Router();
+    const collectionName = 'templates';
+    const { emailService, emailStore } = emailSyncEngine;
+
+    // ============================================================================
+    // HELPERS
+    // ============================================================================
+
+    const serializeTemplate = (doc) => {
+        const data = doc.data();
+        return {
+            id: doc.id,
+            ...data,
+            createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+            updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt
+        };
+    };
+
+    /**
+     * Customer variables for the message being answered
+     * @returns {{ customer?: Object, channel?: string, error?: string, status?: number }}
+     */
+    const resolveCustomer = async (req) => {
+        const { emailId, whatsappMessageId } = req.body;
+
+        if (emailId) {
+            const parsed = emailService.parseEmailId(emailId);
+            if (!parsed) return { status: 400, error: 'Invalid email id' };
+
+            const account = await emailService.getAccount(parsed.accountId);
+            if (!account || account.companyId !== req.user.companyId) {
+                return { status: 404, error: 'Email not found' };
+            }
+
+            const scope = await resolveSourceScope(db, req.user);
+            if (!sourceAccess(scope, 'emailAccounts', account.id)) {
+                return { status: 403, error: 'No access to this email account' };
+            }
+
+            const email = await emailStore.getMessage(account.id, parsed.providerMessageId);
+            return { customer: email ? customerFromAddress(email.from) : {}, channel: 'email' };
+        }
+
+        if (whatsappMessageId) {
+            const doc = await db.collection('whatsappMessages').doc(whatsappMessageId).get();
+            if (!doc.exists || doc.data().companyId !== req.user.companyId) {
+                return { status: 404, error: 'Message not found' };
+            }
+
+            const scope = await resolveSourceScope(db, req.user);
+            if (!sourceAccess(scope, 'whatsappGroups', doc.data().groupId)) {
+                return { status: 403, error: 'No access to this WhatsApp group' };
+            }
+
+            return { customer: customerFromWhatsApp(doc.data()), channel: 'whatsapp' };
+        }
+
+        return { customer: {}, channel: req.body.channel || null };
+    };
+
+    /**
+     * Load a template from this company, sending a 404 and returning null otherwise
+     */
+    const getTemplateDoc = async (id, req, res) => {
+        const doc = await db.collection(collectionName).doc(id).get();
+        if (!doc.exists || doc.data().companyId !== req.user.companyId) {
+            res.status(404).json({ success: false, error: 'Template not found' });
+            return null;
+        }
+        return doc;
+    };
+
+    // ============================================================================
+    // ROUTES
+    // ============================================================================
+
+    /**
+     * GET /
+     * Templates of the caller's company, plus the variables they can use
+     * Query: { channel?, category?, q? } - channel also includes 'any' templates
+     */
+    router.get('/', async (req, res) => {
+        const { channel, category, q } = req.query;
+
+        try {
+            const snapshot = await db.collection(collectionName)
+                .where('companyId', '==', req.user.companyId)
+                .get();
+
+            const search = (q || '').toLowerCase();
+            const templates = snapshot.docs
+                .map(serializeTemplate)
+                .filter(t => !channel || t.channel === 'any' || t.channel === channel)
+                .filter(t => !category || t.category === category)
+                .filter(t => !search ||
+                    t.name.toLowerCase().includes(search) ||
+                    (t.subject || '').toLowerCase().includes(search) ||
+                    (t.body || '').toLowerCase().includes(search))
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            res.json({
+                success: true,
+                templates,
+                channels: TEMPLATE_CHANNELS,
+                variables: Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => ({ name, description }))
+            });
+        } catch (error) {
+            console.error('[Templates] List error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * GET /:id
+     * One template
+     */
+    router.get('/:id', async (req, res) => {
+        try {
+            const doc = await getTemplateDoc(req.params.id, req, res);
+            if (!doc) return;
+
+            res.json({ success: true, template: serializeTemplate(doc) });
+        } catch (error) {
+            console.error('[Templates] Get error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * POST /
+     * Create a template
+     * Body: { name, channel?: 'any' | 'email' | 'whatsapp' | 'chat', category?, subject?, body, html?,
+     *         attachments?: [{ key, filename?, contentType? }] } - keys are storage paths
+     */
+    router.post('/', requirePermission('manage_templates'), async (req, res) => {
+        try {
+            const { template, error } = parseTemplate(req.body);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const existing = await db.collection(collectionName)
+                .where('companyId', '==', req.user.companyId)
+                .get();
+
+            if (existing.size >= CONFIG.MAX_TEMPLATES_PER_COMPANY) {
+                return res.status(400).json({ success: false, error: `A company can have at most ${CONFIG.MAX_TEMPLATES_PER_COMPANY} templates` });
+            }
+
+            const templateData = {
+                ...template,
+                companyId: req.user.companyId,
+                createdBy: req.user.uid,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            const docRef = await db.collection(collectionName).add(templateData);
+            const now = new Date().toISOString();
+
+            res.status(201).json({
+                success: true,
+                template: { id: docRef.id, ...templateData, createdAt: now, updatedAt: now }
+            });
+        } catch (error) {
+            console.error('[Templates] Create error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * PUT /:id
+     * Update a template
+     * Body: any of the fields accepted by POST /
+     */
+    router.put('/:id', requirePermission('manage_templates'), async (req, res) => {
+        try {
+            const doc = await getTemplateDoc(req.params.id, req, res);
+            if (!doc) return;
+
+            const { template, error } = parseTemplate(req.body, { partial: true });
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            await doc.ref.update({
+                ...template,
+                updatedBy: req.user.uid,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            const updated = await doc.ref.get();
+            res.json({ success: true, template: serializeTemplate(updated) });
+        } catch (error) {
+            console.error('[Templates] Update error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /:id
+     * Delete a template
+     */
+    router.delete('/:id', requirePermission('manage_templates'), async (req, res) => {
+        try {
+            const doc = await getTemplateDoc(req.params.id, req, res);
+            if (!doc) return;
+
+            await doc.ref.delete();
+
+            res.json({ success: true, message: 'Template deleted' });
+        } catch (error) {
+            console.error('[Templates] Delete error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    /**
+     * POST /:id/render
+     * Fill in a template for the message being answered
+     * Body: { emailId? | whatsappMessageId?, channel?, variables?: { name: value } }
+     * Returns the rendered subject/text/html, the names that had no value, and the attachments
+     */
+    router.post('/:id/render', async (req, res) => {
+        try {
+            const context = await resolveCustomer(req);
+            if (context.error) {
+                return res.status(context.status).json({ success: false, error: context.error });
+            }
+
+            const { template, error, status } = await loadTemplate(db, req.params.id, req.user, context.channel);
+            if (error) {
+                return res.status(status).json({ success: false, error });
+            }
+
+            const variables = await buildVariables(db, req.user, context.customer, req.body.variables);
+            const rendered = renderTemplate(template, variables);
+
+            res.json({
+                success: true,
+                templateId: template.id,
+                ...rendered,
+                attachments: template.attachments || []
+            });
+        } catch (error) {
+            console.error('[Templates] Render error:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createTemplatesRoutes;
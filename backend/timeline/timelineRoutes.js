@@ -0,0 +1,126 @@
+/**
+ * Timeline Routes
+ * One feed across email, WhatsApp and Slack with a single cursor
+ */
+
+const express = require('express');
+const { FEED_SOURCES, encodeCursor, decodeCursor } = require('../core/services/feed-service');
+const { feedItemKey, loadAssignments, assignmentSummary } = require('../assignments/conversationAssignments');
+const { resolveSourceScope, sourceAccess } = require('../core/policy');
+
+// Configuration
+const CONFIG = {
+    DEFAULT_LIMIT: 50,
+    MAX_LIMIT: 100
+};
+
+function createTimelineRoutes(db, feedService) {
+    const router = express.Router();
+
+    /**
+     * Parse a comma-separated source list, null if not given
+     */
+    const parseSources = (value) => {
+        if (!value) return null;
+        return String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    };
+
+    /**
+     * GET /
+     * Newest-first messages from every source the caller can see, in one schema
+     * Query: { limit?, cursor?, include?: 'email,slack', exclude?: 'whatsapp',
+     *         assignedTo?: userId ('me' for the caller) - only open/pending conversations they own }
+     *
+     * Pass nextCursor back as cursor for the following page, with the same
+     * filters. Items: { id, source, accountId, conversationId, channel, sender,
+     * subject, preview, hasAttachments, isRead, date, assignment, data }
+     */
+    router.get('/', async (req, res) => {
+        const { uid: userId, companyId } = req.user;
+
+        const include = parseSources(req.query.include);
+        const exclude = parseSources(req.query.exclude) || [];
+        const unknown = [...(include || []), ...exclude].filter(s => !FEED_SOURCES.includes(s));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown source: ${unknown.join(', ')}. Use ${FEED_SOURCES.join(', ')}`
+            });
+        }
+
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        if (req.query.cursor && !cursor) {
+            return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || CONFIG.DEFAULT_LIMIT, CONFIG.MAX_LIMIT);
+        const assignedTo = req.query.assignedTo === 'me' ? userId : req.query.assignedTo;
+        let sources = FEED_SOURCES.filter(s => (!include || include.includes(s)) && !exclude.includes(s));
+
+        try {
+            if (!companyId) {
+                return res.status(400).json({ success: false, error: 'Company ID not found for user' });
+            }
+
+            const assignments = await loadAssignments(db, companyId, { statuses: ['open', 'pending'] });
+            const scope = await resolveSourceScope(db, req.user);
+
+            let owned = null;
+            if (assignedTo) {
+                owned = [...assignments.values()].filter(a => a.assignedTo === assignedTo);
+                // Only walk the sources that hold something assigned
+                sources = sources.filter(s => owned.some(a => a.source === s));
+            }
+
+            let emailAccounts = [];
+            if (sources.includes('email')) {
+                const snapshot = await db.collection('emailAccounts')
+                    .where('companyId', '==', companyId)
+                    .get();
+                emailAccounts = snapshot.docs
+                    .filter(doc => sourceAccess(scope, 'emailAccounts', doc.id))
+                    .map(doc => ({ id: doc.id, ...doc.data() }));
+
+                if (owned) {
+                    const accountIds = new Set(owned.filter(a => a.source === 'email').map(a => a.ref.accountId));
+                    emailAccounts = emailAccounts.filter(account => accountIds.has(account.id));
+                }
+            }
+
+            const ownedKeys = owned ? new Set(owned.map(a => a.conversationKey)) : null;
+
+            const page = await feedService.loadMerged({
+                companyId,
+                emailAccounts,
+                // null means every group/channel
+                whatsappGroupIds: !sources.includes('whatsapp') ? [] : (scope ? [...scope.whatsappGroups.keys()] : null),
+                slackChannelIds: !sources.includes('slack') ? [] : (scope ? [...scope.slackChannels.keys()] : null)
+            }, {
+                cursor,
+                limit,
+                filter: ownedKeys ? item => ownedKeys.has(feedItemKey(item)) : null
+            });
+
+            res.json({
+                success: true,
+                items: page.items.map(item => {
+                    const assignment = assignments.get(feedItemKey(item));
+                    return {
+                        ...feedService.toResponse(item),
+                        assignment: assignment ? assignmentSummary(assignment) : null
+                    };
+                }),
+                nextCursor: encodeCursor(page.cursor),
+                hasMore: !!page.cursor,
+                errors: page.errors
+            });
+        } catch (err) {
+            console.error('[Timeline] Fetch error:', err);
+            res.status(500).json({ success: false, error: 'Failed to load timeline' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createTimelineRoutes;
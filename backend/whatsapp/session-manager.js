@@ -5,11 +5,12 @@
  * - Maintains active sessions in memory
  * - Handles QR code generation
  * - Processes incoming messages
+ * - Sends messages for team members (recorded with who sent them)
  * - Robust reconnection with exponential backoff
  * - Heartbeat monitoring for session health
  */
 
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const admin = require('firebase-admin');
 const qrcode = require('qrcode-terminal');
 const fs = require('fs');
@@ -37,6 +38,7 @@ class WhatsAppSessionManager {
         this.heartbeatIntervals = new Map(); // userId -> interval
         this.reconnectAttempts = new Map(); // userId -> number
         this.reconnectTimeouts = new Map(); // userId -> timeout
+        this.pendingSends = new Map(); // chatId -> Set of in-flight sendMessage() promises
     }
 
     /**
@@ -241,7 +243,9 @@ class WhatsAppSessionManager {
                 phone: info.wid.user,
                 name: info.pushname || info.wid.user,
                 connectedAt: admin.firestore.FieldValue.serverTimestamp(),
-                lastSync: admin.firestore.FieldValue.serverTimestamp()
+                lastSync: admin.firestore.FieldValue.serverTimestamp(),
+                error: admin.firestore.FieldValue.delete(),
+                disconnectReason: admin.firestore.FieldValue.delete()
             });
 
             // Start heartbeat monitoring
@@ -331,11 +335,16 @@ class WhatsAppSessionManager {
             // Get chat info
             const chat = await msg.getChat();
 
-            // Only process group messages
-            if (!chat.isGroup) return;
+            // Groups and one-to-one chats; status updates, broadcasts and channels are skipped
+            const conversationType = this._conversationType(chat);
+            if (!conversationType || msg.isStatus) return;
 
+            // For direct chats this is the contact's chat id (e.g. 15551234567@c.us)
             const groupId = chat.id._serialized;
 
+            // Messages sent through URBox are recorded by sendMessage(), with who sent them
+            if (msg.fromMe && await this._sentFromUrbox(groupId, msg)) return;
+
             // Check if this group is being monitored
             const monitoredGroups = await this.db
                 .collection('whatsappGroups')
@@ -350,7 +359,7 @@ class WhatsAppSessionManager {
                 return;
             }
 
-            console.log(`[WhatsApp] New message in monitored group ${chat.name} for user ${userId} (fromMe: ${msg.fromMe})`);
+            console.log(`[WhatsApp] New message in monitored ${conversationType} chat ${chat.name} for user ${userId} (fromMe: ${msg.fromMe})`);
 
             // Get sender info
             let senderName = 'Unknown';
@@ -399,9 +408,7 @@ class WhatsAppSessionManager {
                         };
 
                         // Upload to Folder: CompanyId/GroupName
-                        const cleanGroupName = chat.name.replace(/[^a-zA-Z0-9-_ ]/g, '_').trim(); // Ensure valid folder name
-                        const folderPath = `${companyId}/${cleanGroupName}`;
-                        const uploadResult = await storageService.uploadFile(file, folderPath);
+                        const uploadResult = await storageService.uploadFile(file, this._mediaFolder(companyId, chat.name));
 
                         if (uploadResult.success) {
                             mediaData.storageKey = uploadResult.key;
@@ -424,12 +431,14 @@ class WhatsAppSessionManager {
                 }
             }
 
-            // Save message to Firestore
-            await this.db.collection('whatsappMessages').add({
+            // Save message to Firestore, keyed by its WhatsApp id
+            await this.db.collection('whatsappMessages').doc(msg.id._serialized).set({
+                messageId: msg.id._serialized,
                 userId,
                 companyId,
+                conversationType,
                 groupId,
-                groupName: chat.name,
+                groupName: chat.name || chat.id.user,
                 senderName,
                 senderNumber: msg.author || msg.from,
                 body: msg.body || '',
@@ -446,6 +455,105 @@ class WhatsAppSessionManager {
         }
     }
 
+    /**
+     * Storage folder for a group's media: CompanyId/GroupName
+     */
+    _mediaFolder(companyId, groupName) {
+        const cleanGroupName = (groupName || 'WhatsApp').replace(/[^a-zA-Z0-9-_ ]/g, '_').trim(); // Ensure valid folder name
+        return `${companyId}/${cleanGroupName}`;
+    }
+
+    /**
+     * Whether an outgoing message was sent (and already recorded) by sendMessage()
+     * message_create can fire before the send resolves, so wait for sends to that chat first
+     */
+    async _sentFromUrbox(chatId, msg) {
+        const pending = this.pendingSends.get(chatId);
+        if (pending) await Promise.allSettled([...pending]);
+
+        const doc = await this.db.collection('whatsappMessages').doc(msg.id._serialized).get();
+        return doc.exists && !!doc.data().sentBy;
+    }
+
+    /**
+     * Send a message to a group or direct chat from a connected session and record it in whatsappMessages
+     * @param {Object} message - { groupName, conversationType, body, file (multer file, optional),
+     *   quotedMessageId (WhatsApp id of the message to reply to, optional), sentBy: { uid, name, email } }
+     * @returns {Promise<Object>} the stored message, with its id
+     */
+    async sendMessage(userId, groupId, { groupName, conversationType = 'group', body = '', file = null, quotedMessageId = null, sentBy }) {
+        const session = this.activeSessions.get(userId);
+
+        if (!session || session.status !== 'connected') {
+            throw new Error('Not connected');
+        }
+
+        let finishSend;
+        const sending = new Promise(resolve => { finishSend = resolve; });
+        if (!this.pendingSends.has(groupId)) this.pendingSends.set(groupId, new Set());
+        this.pendingSends.get(groupId).add(sending);
+
+        try {
+            const options = {};
+            if (quotedMessageId) options.quotedMessageId = quotedMessageId;
+
+            let content = body;
+            const mediaData = {
+                storageKey: null,
+                downloadUrl: null
+            };
+
+            if (file) {
+                content = new MessageMedia(file.mimetype, file.buffer.toString('base64'), file.originalname);
+                if (body) options.caption = body;
+
+                // Same folder as received media; the timestamp keeps names from colliding
+                const uploadResult = await storageService.uploadFile(
+                    { ...file, originalname: `${Date.now()}-${file.originalname}` },
+                    this._mediaFolder(session.companyId, groupName)
+                );
+                if (uploadResult.success) {
+                    mediaData.storageKey = uploadResult.key;
+                    const presigned = await storageService.getPresignedDownloadUrl(uploadResult.key);
+                    mediaData.downloadUrl = presigned.presignedUrl;
+                }
+            }
+
+            const msg = await session.client.sendMessage(groupId, content, options);
+            const sentAt = new Date(msg.timestamp ? msg.timestamp * 1000 : Date.now());
+
+            const record = {
+                messageId: msg.id._serialized,
+                userId,
+                companyId: session.companyId,
+                conversationType,
+                groupId,
+                groupName,
+                senderName: sentBy.name || session.name || 'You',
+                senderNumber: session.phone,
+                body: body || '',
+                hasMedia: !!file,
+                mediaType: msg.type,
+                ...mediaData,
+                isFromMe: true,
+                quotedMessageId: quotedMessageId || null,
+                sentBy,
+                timestamp: admin.firestore.Timestamp.fromDate(sentAt),
+                createdAt: admin.firestore.FieldValue.serverTimestamp()
+            };
+
+            await this.db.collection('whatsappMessages').doc(msg.id._serialized).set(record);
+            console.log(`[WhatsApp] ${sentBy.name || sentBy.uid} sent a message to ${groupName}`);
+
+            return { id: msg.id._serialized, ...record, timestamp: sentAt, createdAt: new Date() };
+        } finally {
+            finishSend();
+            const pending = this.pendingSends.get(groupId);
+            pending.delete(sending);
+            if (pending.size === 0) this.pendingSends.delete(groupId);
+        }
+    }
+
     /**
      * Stop a WhatsApp session
      */
@@ -471,10 +579,12 @@ class WhatsAppSessionManager {
                 }
             }
 
-            // Update Firestore
+            // Update Firestore - a deliberate disconnect isn't an error to report
             await this._updateFirestoreStatus(userId, {
                 status: 'disconnected',
                 qrCode: admin.firestore.FieldValue.delete(),
+                error: admin.firestore.FieldValue.delete(),
+                disconnectReason: admin.firestore.FieldValue.delete(),
                 lastSync: admin.firestore.FieldValue.serverTimestamp()
             });
 
@@ -582,6 +692,37 @@ class WhatsAppSessionManager {
         return groups;
     }
 
+    /**
+     * Get one-to-one chats for a connected user (contacts who messaged the number, or were messaged)
+     */
+    async getDirectChats(userId) {
+        const session = this.activeSessions.get(userId);
+
+        if (!session || session.status !== 'connected') {
+            throw new Error('Not connected');
+        }
+
+        const chats = await session.client.getChats();
+        return chats
+            .filter(chat => this._conversationType(chat) === 'direct')
+            .map(chat => ({
+                id: chat.id._serialized,
+                name: chat.name || chat.id.user,
+                phone: chat.id.user,
+                unreadCount: chat.unreadCount || 0,
+                lastMessageAt: chat.timestamp ? new Date(chat.timestamp * 1000).toISOString() : null
+            }));
+    }
+
+    /**
+     * 'group' or 'direct' for chats URBox can monitor, null for status, broadcast lists and channels
+     */
+    _conversationType(chat) {
+        if (chat.isGroup) return 'group';
+        if (chat.id.server === 'c.us' || chat.id.server === 'lid') return 'direct';
+        return null;
+    }
+
     /**
      * Start heartbeat monitoring for a session
      */
@@ -3,27 +3,43 @@
  * 
  * Pure REST API endpoints (no Socket.IO)
  * Frontend polls these endpoints on page load/refresh only
+ * Sessions belong to the signed-in user (req.user.uid); managing them needs manage_integrations.
+ * Company-wide message reads only include groups in the caller's custom inboxes.
+ * Sending goes through the session of whoever monitors the group, and needs
+ * write access to that group.
+ * Direct (one-to-one) chats are monitored like groups: they share whatsappGroups
+ * and whatsappMessages (groupId is the contact's chat id), told apart by conversationType.
  */
 
 const express = require('express');
 const admin = require('firebase-admin');
+const multer = require('multer');
+const { requirePermission, resolveSourceScope, sourceAccess } = require('../core/policy');
+const { serializeWhatsAppSession } = require('../core/services/account-serializers');
+
+// Configuration
+const CONFIG = {
+    MAX_MEDIA_SIZE: 16 * 1024 * 1024, // WhatsApp's limit for photos, video and audio
+    MAX_BODY_LENGTH: 4096
+};
+
+const CONVERSATION_TYPES = ['group', 'direct'];
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: CONFIG.MAX_MEDIA_SIZE }
+});
 
 function createWhatsAppRoutes(db, sessionManager) {
     const router = express.Router();
 
     /**
      * GET /status
-     * Get WhatsApp connection status for a user
+     * Get WhatsApp connection status for a user (the QR code itself comes from GET /qr)
      */
     router.get('/status', async (req, res) => {
-        const { userId } = req.query;
+        const userId = req.user.uid;
 
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing userId parameter'
-            });
-        }
 
         try {
             // First try to get from memory (fastest)
@@ -33,31 +49,16 @@ function createWhatsAppRoutes(db, sessionManager) {
             if (memoryStatus.status === 'connected' || memoryStatus.status === 'qr_pending') {
                 return res.json({
                     success: true,
-                    data: memoryStatus
+                    data: serializeWhatsAppSession(memoryStatus)
                 });
             }
 
             // Otherwise, check Firestore for persistent state
             const doc = await db.collection('whatsappSessions').doc(userId).get();
 
-            if (!doc.exists) {
-                return res.json({
-                    success: true,
-                    data: { status: 'disconnected' }
-                });
-            }
-
-            const firestoreData = doc.data();
-
             res.json({
                 success: true,
-                data: {
-                    status: firestoreData.status || 'disconnected',
-                    phone: firestoreData.phone || null,
-                    name: firestoreData.name || null,
-                    connectedAt: firestoreData.connectedAt || null,
-                    lastSync: firestoreData.lastSync || null
-                }
+                data: serializeWhatsAppSession(doc.exists ? doc.data() : {})
             });
 
         } catch (error) {
@@ -74,14 +75,8 @@ function createWhatsAppRoutes(db, sessionManager) {
      * Get QR code for scanning (if status is qr_pending)
      */
     router.get('/qr', async (req, res) => {
-        const { userId } = req.query;
+        const userId = req.user.uid;
 
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing userId parameter'
-            });
-        }
 
         try {
             const status = sessionManager.getSessionStatus(userId);
@@ -121,13 +116,13 @@ function createWhatsAppRoutes(db, sessionManager) {
      * POST /connect
      * Start a new WhatsApp session
      */
-    router.post('/connect', async (req, res) => {
-        const { userId, companyId } = req.body;
+    router.post('/connect', requirePermission('manage_integrations'), async (req, res) => {
+        const { uid: userId, companyId } = req.user;
 
-        if (!userId || !companyId) {
+        if (!companyId) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: userId, companyId'
+                error: 'Company ID not found for user'
             });
         }
 
@@ -148,15 +143,10 @@ function createWhatsAppRoutes(db, sessionManager) {
      * POST /disconnect
      * Stop WhatsApp session
      */
-    router.post('/disconnect', async (req, res) => {
-        const { userId, deleteAuth = true } = req.body;
+    router.post('/disconnect', requirePermission('manage_integrations'), async (req, res) => {
+        const { deleteAuth = true } = req.body;
+        const userId = req.user.uid;
 
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing userId'
-            });
-        }
 
         try {
             const result = await sessionManager.stopSession(userId, deleteAuth);
@@ -176,15 +166,9 @@ function createWhatsAppRoutes(db, sessionManager) {
      * Cancel a pending WhatsApp connection (during QR scanning)
      * Does NOT delete auth data - just stops the current session
      */
-    router.post('/cancel', async (req, res) => {
-        const { userId } = req.body;
+    router.post('/cancel', requirePermission('manage_integrations'), async (req, res) => {
+        const userId = req.user.uid;
 
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing userId'
-            });
-        }
 
         try {
             console.log(`[WhatsApp API] Cancelling connection for ${userId}`);
@@ -205,25 +189,66 @@ function createWhatsAppRoutes(db, sessionManager) {
      * Get list of WhatsApp groups for connected user
      */
     router.get('/groups', async (req, res) => {
-        const { userId } = req.query;
+        const userId = req.user.uid;
+
 
-        if (!userId) {
+        try {
+            const groups = await sessionManager.getGroups(userId);
+
+            res.json({
+                success: true,
+                groups
+            });
+
+        } catch (error) {
+            console.error('[WhatsApp API] Groups error:', error);
+
+            if (error.message === 'Not connected') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'WhatsApp not connected'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * GET /chats
+     * Groups and one-to-one chats of the connected user, each with its conversationType
+     * Query: { type?: 'group' | 'direct' }
+     */
+    router.get('/chats', async (req, res) => {
+        const { type } = req.query;
+        const userId = req.user.uid;
+
+        if (type && !CONVERSATION_TYPES.includes(type)) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing userId parameter'
+                error: `type must be one of: ${CONVERSATION_TYPES.join(', ')}`
             });
         }
 
         try {
-            const groups = await sessionManager.getGroups(userId);
+            const [groups, directChats] = await Promise.all([
+                type === 'direct' ? [] : sessionManager.getGroups(userId),
+                type === 'group' ? [] : sessionManager.getDirectChats(userId)
+            ]);
 
             res.json({
                 success: true,
-                groups
+                chats: [
+                    ...groups.map(group => ({ ...group, conversationType: 'group' })),
+                    ...directChats.map(chat => ({ ...chat, conversationType: 'direct' }))
+                ]
             });
 
         } catch (error) {
-            console.error('[WhatsApp API] Groups error:', error);
+            console.error('[WhatsApp API] Chats error:', error);
 
             if (error.message === 'Not connected') {
                 return res.status(400).json({
@@ -241,18 +266,28 @@ function createWhatsAppRoutes(db, sessionManager) {
 
     /**
      * POST /monitor
-     * Toggle monitoring for a specific group
+     * Toggle monitoring for a specific group or contact
+     * Body: { groupId, groupName, isMonitoring, conversationType?: 'group' | 'direct' }
+     * For a contact, groupId is its chat id from GET /chats and groupName its display name
      */
-    router.post('/monitor', async (req, res) => {
-        const { userId, companyId, groupId, groupName, isMonitoring } = req.body;
+    router.post('/monitor', requirePermission('manage_integrations'), async (req, res) => {
+        const { groupId, groupName, isMonitoring, conversationType = 'group' } = req.body;
+        const { uid: userId, companyId } = req.user;
 
-        if (!userId || !companyId || !groupId || !groupName) {
+        if (!groupId || !groupName) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields'
             });
         }
 
+        if (!CONVERSATION_TYPES.includes(conversationType)) {
+            return res.status(400).json({
+                success: false,
+                error: `conversationType must be one of: ${CONVERSATION_TYPES.join(', ')}`
+            });
+        }
+
         try {
             // Check if group monitoring entry already exists
             const existing = await db
@@ -268,6 +303,7 @@ function createWhatsAppRoutes(db, sessionManager) {
                 await doc.ref.update({
                     isMonitoring: isMonitoring,
                     groupName: groupName,
+                    conversationType,
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
             } else {
@@ -277,13 +313,14 @@ function createWhatsAppRoutes(db, sessionManager) {
                     companyId,
                     groupId,
                     groupName,
+                    conversationType,
                     isMonitoring: isMonitoring,
                     createdAt: admin.firestore.FieldValue.serverTimestamp(),
                     updatedAt: admin.firestore.FieldValue.serverTimestamp()
                 });
             }
 
-            console.log(`[WhatsApp] ${isMonitoring ? 'Enabled' : 'Disabled'} monitoring for group ${groupName}`);
+            console.log(`[WhatsApp] ${isMonitoring ? 'Enabled' : 'Disabled'} monitoring for ${conversationType} chat ${groupName}`);
 
             res.json({ success: true });
 
@@ -298,17 +335,13 @@ function createWhatsAppRoutes(db, sessionManager) {
 
     /**
      * GET /monitored
-     * Get list of monitored groups for a user
+     * Get list of monitored groups and contacts for a user
+     * Query: { type?: 'group' | 'direct' }
      */
     router.get('/monitored', async (req, res) => {
-        const { userId, companyId } = req.query;
+        const { type } = req.query;
+        const userId = req.user.uid;
 
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing userId parameter'
-            });
-        }
 
         try {
             const snapshot = await db
@@ -317,10 +350,14 @@ function createWhatsAppRoutes(db, sessionManager) {
                 .where('isMonitoring', '==', true)
                 .get();
 
-            const groups = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
+            // Entries from before direct chats were supported are groups
+            const groups = snapshot.docs
+                .map(doc => ({
+                    id: doc.id,
+                    ...doc.data(),
+                    conversationType: doc.data().conversationType || 'group'
+                }))
+                .filter(group => !type || group.conversationType === type);
 
             res.json({
                 success: true,
@@ -339,17 +376,13 @@ function createWhatsAppRoutes(db, sessionManager) {
     /**
      * GET /messages
      * Get messages with pagination (called on page load/refresh only)
-     * Supports filtering by groupId and text search
+     * Supports filtering by groupId, conversation type ('group' | 'direct') and text search
      */
     router.get('/messages', async (req, res) => {
-        const { userId, companyId, groupId, limit = 50, startAfter, searchQuery } = req.query;
-
-        if (!userId && !companyId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing userId or companyId parameter'
-            });
-        }
+        const { groupId, type, limit = 50, startAfter, searchQuery } = req.query;
+        const userId = req.user.uid;
+        // Team members read the company's messages; without companyId it's the caller's own
+        const companyId = req.query.companyId ? req.user.companyId : null;
 
         try {
             // Fetch messages by userId OR companyId
@@ -370,11 +403,22 @@ function createWhatsAppRoutes(db, sessionManager) {
                 ...doc.data()
             }));
 
+            // Company messages are limited to groups the caller's inboxes cover
+            if (companyId) {
+                const scope = await resolveSourceScope(db, req.user);
+                allMessages = allMessages.filter(msg => sourceAccess(scope, 'whatsappGroups', msg.groupId));
+            }
+
             // Filter by specific group if provided
             if (groupId) {
                 allMessages = allMessages.filter(msg => msg.groupId === groupId);
             }
 
+            // Messages stored before direct chats were supported are all from groups
+            if (type) {
+                allMessages = allMessages.filter(msg => (msg.conversationType || 'group') === type);
+            }
+
             // Filter by search query if provided
             if (searchQuery) {
                 const query = searchQuery.toLowerCase();
@@ -431,18 +475,136 @@ function createWhatsAppRoutes(db, sessionManager) {
     });
 
     /**
-     * GET /messages/count
-     * Get unread message count (for badge)
+     * POST /send
+     * Send a message to a monitored group or contact, optionally as a reply to one of its messages
+     * Body (JSON or multipart): { groupId, body?, quotedMessageId? } - quotedMessageId is a
+     * whatsappMessages id; multipart requests can attach one file as 'media' (used with body as caption)
      */
-    router.get('/messages/count', async (req, res) => {
-        const { userId, since } = req.query;
+    router.post('/send', upload.single('media'), async (req, res) => {
+        const { groupId, quotedMessageId } = req.body;
+        const { uid, companyId, displayName, email } = req.user;
+
+        // Multipart fields are always strings, but JSON can carry numbers or objects
+        const fields = { groupId, body: req.body.body, quotedMessageId };
+        const invalid = Object.keys(fields).find(name => fields[name] !== undefined && typeof fields[name] !== 'string');
+        if (invalid) {
+            return res.status(400).json({ success: false, error: `${invalid} must be a string` });
+        }
+
+        const body = (req.body.body || '').trim();
 
-        if (!userId) {
+        if (!groupId || (!body && !req.file)) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing userId parameter'
+                error: 'groupId and a message body or media file are required'
+            });
+        }
+
+        if (body.length > CONFIG.MAX_BODY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Messages are limited to ${CONFIG.MAX_BODY_LENGTH} characters`
+            });
+        }
+
+        try {
+            const scope = await resolveSourceScope(db, req.user);
+            const access = sourceAccess(scope, 'whatsappGroups', groupId);
+            if (access !== 'write') {
+                return res.status(403).json({
+                    success: false,
+                    error: access ? 'Read-only access to this WhatsApp group' : 'No access to this WhatsApp group'
+                });
+            }
+
+            // Monitoring entries of this group; the caller's own session is preferred
+            const groupsSnapshot = await db.collection('whatsappGroups')
+                .where('groupId', '==', groupId)
+                .get();
+
+            const monitors = groupsSnapshot.docs
+                .map(doc => doc.data())
+                .filter(group => group.companyId === companyId && group.isMonitoring)
+                .sort((a, b) => (b.userId === uid) - (a.userId === uid));
+
+            if (monitors.length === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'This chat is not monitored'
+                });
+            }
+
+            const sender = monitors.find(group => sessionManager.getSessionStatus(group.userId).status === 'connected');
+            if (!sender) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'The WhatsApp account monitoring this chat is not connected'
+                });
+            }
+
+            let quotedWhatsAppId = null;
+            if (quotedMessageId) {
+                const quotedDoc = await db.collection('whatsappMessages').doc(quotedMessageId).get();
+                const quoted = quotedDoc.exists ? quotedDoc.data() : null;
+
+                if (!quoted || quoted.companyId !== companyId || quoted.groupId !== groupId) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Quoted message not found in this chat'
+                    });
+                }
+                if (!quoted.messageId) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'This message was stored before replies were supported and cannot be quoted'
+                    });
+                }
+                quotedWhatsAppId = quoted.messageId;
+            }
+
+            const message = await sessionManager.sendMessage(sender.userId, groupId, {
+                groupName: sender.groupName,
+                conversationType: sender.conversationType || 'group',
+                body,
+                file: req.file || null,
+                quotedMessageId: quotedWhatsAppId,
+                sentBy: { uid, name: displayName || email, email }
+            });
+
+            res.json({
+                success: true,
+                message: {
+                    ...message,
+                    timestamp: message.timestamp.toISOString(),
+                    createdAt: message.createdAt.toISOString()
+                }
+            });
+
+        } catch (error) {
+            console.error('[WhatsApp API] Send error:', error);
+
+            if (error.message === 'Not connected') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'WhatsApp not connected'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: error.message
             });
         }
+    });
+
+    /**
+     * GET /messages/count
+     * Get unread message count (for badge)
+     */
+    router.get('/messages/count', async (req, res) => {
+        const { since } = req.query;
+        const userId = req.user.uid;
+
 
         try {
             // Count messages since a specific timestamp
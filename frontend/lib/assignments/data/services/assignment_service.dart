@@ -1,4 +1,4 @@
-import 'package:http/http.dart' as http;
+import '../../../core/services/api_http.dart' as http;
 import 'dart:convert';
 import 'dart:async';
 import '../../../core/config/app_config.dart';
@@ -1,6 +1,6 @@
 import 'dart:async';
 import 'dart:convert';
-import 'package:http/http.dart' as http;
+import '../../core/services/api_http.dart' as http;
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:file_picker/file_picker.dart';
 import 'package:socket_io_client/socket_io_client.dart' as IO;
@@ -33,10 +33,18 @@ class ChatService {
       socketUrl,
       IO.OptionBuilder()
           .setTransports(['websocket']) // for Flutter or Dart VM
-          .enableAutoConnect()
+          .disableAutoConnect()
           .build(),
     );
 
+    // The server rejects connections without an ID token; emits made before
+    // the connection opens are buffered
+    final socket = _socket!;
+    http.idToken().then((token) {
+      socket.auth = {'token': token};
+      socket.connect();
+    });
+
     _socket!.onConnect((_) {
       print('Socket connected');
     });
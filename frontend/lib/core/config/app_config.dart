@@ -23,13 +23,13 @@ class AppConfig {
   /// Email API Endpoints
   static const String emailEndpoint = '$apiBaseUrl/api/email';
 
-  /// Google OAuth URL
-  static String googleAuthUrl(String companyId, String userId) =>
-      '$emailEndpoint/auth/google?companyId=$companyId&userId=$userId';
+  /// Google OAuth URL (opened in a browser, so the ID token goes in the query)
+  static String googleAuthUrl(String idToken) =>
+      '$emailEndpoint/auth/google?access_token=$idToken';
 
   /// Microsoft OAuth URL
-  static String microsoftAuthUrl(String companyId, String userId) =>
-      '$emailEndpoint/auth/microsoft?companyId=$companyId&userId=$userId';
+  static String microsoftAuthUrl(String idToken) =>
+      '$emailEndpoint/auth/microsoft?access_token=$idToken';
 
   /// IMAP Add Account endpoint
   static String get imapAddEndpoint => '$emailEndpoint/imap/add';
@@ -40,8 +40,8 @@ class AppConfig {
   static String get slackEndpoint => '$apiBaseUrl/api/slack';
   static String get slackAccountsEndpoint => '$slackEndpoint/accounts';
 
-  static String slackAuthUrl(String companyId, String userId) =>
-      '$slackEndpoint/auth?companyId=$companyId&userId=$userId';
+  static String slackAuthUrl(String idToken) =>
+      '$slackEndpoint/auth?access_token=$idToken';
 
   /// List/Delete Accounts endpoint
   static String get emailAccountsEndpoint => '$emailEndpoint/accounts';
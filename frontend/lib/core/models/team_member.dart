@@ -1,4 +1,4 @@
-import 'package:http/http.dart' as http;
+import '../services/api_http.dart' as http;
 import 'dart:convert';
 import '../config/app_config.dart';
 
@@ -0,0 +1,94 @@
+import 'dart:convert';
+import 'package:firebase_auth/firebase_auth.dart';
+import 'package:http/http.dart' as http;
+
+export 'package:http/http.dart'
+    show Response, MultipartRequest, MultipartFile, StreamedResponse;
+
+/// Authenticated HTTP
+///
+/// Drop-in for `package:http` (import it `as http`) that adds the signed-in
+/// user's Firebase ID token to every request. The backend reads the caller's
+/// identity, role and company from that token.
+
+/// Authorization header for the signed-in user (empty when signed out)
+Future<Map<String, String>> authHeaders() async {
+  final user = FirebaseAuth.instance.currentUser;
+  if (user == null) return {};
+  final token = await user.getIdToken();
+  if (token == null) return {};
+  return {'Authorization': 'Bearer $token'};
+}
+
+/// ID token for links the browser opens directly (OAuth, downloads)
+Future<String> idToken() async {
+  final user = FirebaseAuth.instance.currentUser;
+  if (user == null) {
+    throw Exception('User not authenticated');
+  }
+  return await user.getIdToken() ?? '';
+}
+
+Future<Map<String, String>> _withAuth(Map<String, String>? headers) async {
+  return {...?headers, ...await authHeaders()};
+}
+
+Future<http.Response> get(Uri url, {Map<String, String>? headers}) async {
+  return http.get(url, headers: await _withAuth(headers));
+}
+
+Future<http.Response> post(
+  Uri url, {
+  Map<String, String>? headers,
+  Object? body,
+  Encoding? encoding,
+}) async {
+  return http.post(
+    url,
+    headers: await _withAuth(headers),
+    body: body,
+    encoding: encoding,
+  );
+}
+
+Future<http.Response> put(
+  Uri url, {
+  Map<String, String>? headers,
+  Object? body,
+  Encoding? encoding,
+}) async {
+  return http.put(
+    url,
+    headers: await _withAuth(headers),
+    body: body,
+    encoding: encoding,
+  );
+}
+
+Future<http.Response> patch(
+  Uri url, {
+  Map<String, String>? headers,
+  Object? body,
+  Encoding? encoding,
+}) async {
+  return http.patch(
+    url,
+    headers: await _withAuth(headers),
+    body: body,
+    encoding: encoding,
+  );
+}
+
+Future<http.Response> delete(
+  Uri url, {
+  Map<String, String>? headers,
+  Object? body,
+  Encoding? encoding,
+}) async {
+  return http.delete(
+    url,
+    headers: await _withAuth(headers),
+    body: body,
+    encoding: encoding,
+  );
+}
@@ -1,6 +1,6 @@
 import 'package:flutter/material.dart';
 import 'package:firebase_auth/firebase_auth.dart';
-import 'package:http/http.dart' as http;
+import '../../core/services/api_http.dart' as http;
 import 'dart:convert';
 import '../../core/config/app_config.dart';
 import '../../core/models/custom_inbox.dart';
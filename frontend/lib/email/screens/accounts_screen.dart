@@ -2,6 +2,7 @@ import 'package:flutter/material.dart';
 import 'package:url_launcher/url_launcher.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import '../../core/config/app_config.dart';
+import '../../core/services/api_http.dart' as http;
 import '../../core/theme/app_theme.dart';
 import '../services/email_service.dart';
 import '../widgets/add_account_dialog.dart';
@@ -343,19 +344,19 @@ class _AccountsScreenState extends State<AccountsScreen> {
     }
   }
 
-  void _connectGmail() {
+  Future<void> _connectGmail() async {
     // Close the dialog using the root navigator
     Navigator.of(context, rootNavigator: true).pop();
 
-    final url = AppConfig.googleAuthUrl(_companyId ?? 'LOOKUP', _userId!);
+    final url = AppConfig.googleAuthUrl(await http.idToken());
     _openOAuthWebView(url, 'Gmail');
   }
 
-  void _connectMicrosoft() {
+  Future<void> _connectMicrosoft() async {
     // Close the dialog using the root navigator
     Navigator.of(context, rootNavigator: true).pop();
 
-    final url = AppConfig.microsoftAuthUrl(_companyId ?? 'LOOKUP', _userId!);
+    final url = AppConfig.microsoftAuthUrl(await http.idToken());
     _openOAuthWebView(url, 'Microsoft');
   }
 
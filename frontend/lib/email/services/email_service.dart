@@ -1,5 +1,5 @@
 import 'dart:convert';
-import 'package:http/http.dart' as http;
+import '../../core/services/api_http.dart' as http;
 import '../../core/config/app_config.dart';
 
 class EmailService {
@@ -3,6 +3,7 @@ import 'package:flutter/material.dart';
 import 'package:url_launcher/url_launcher.dart';
 import 'package:firebase_auth/firebase_auth.dart';
 import '../../core/config/app_config.dart';
+import '../../core/services/api_http.dart' as http;
 import '../../core/theme/app_theme.dart';
 import '../../auth/services/auth_service.dart';
 import '../services/slack_service.dart';
@@ -917,8 +918,8 @@ class _SlackScreenState extends State<SlackScreen>
     );
   }
 
-  void _connectSlack() {
-    final url = AppConfig.slackAuthUrl('LOOKUP', _userId!);
+  Future<void> _connectSlack() async {
+    final url = AppConfig.slackAuthUrl(await http.idToken());
     _openOAuthWebView(url);
   }
 
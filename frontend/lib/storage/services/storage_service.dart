@@ -1,5 +1,5 @@
 import 'dart:convert';
-import 'package:http/http.dart' as http;
+import '../../core/services/api_http.dart' as http;
 import 'package:file_picker/file_picker.dart';
 import '../../core/config/app_config.dart';
 import '../models/storage_model.dart';
@@ -60,7 +60,7 @@ class StorageService {
         Uri.parse(AppConfig.storageUploadEndpoint),
       );
 
-      request.headers.addAll(_headers);
+      request.headers.addAll({..._headers, ...await http.authHeaders()});
 
       // Add folder field
       request.fields['folder'] = folder;
@@ -184,10 +184,10 @@ class StorageService {
   /// Get download URL (proxied through backend)
   Future<String> getDownloadUrl(String key) async {
     // Return backend proxy URL directly to avoid CORS issues with R2
-    // The UI must pass the authentication headers (x-company-id) using the headers getter
+    // The browser opens it without our headers, so the ID token goes in the query
     final encodedKey = Uri.encodeFull(key);
     final url = AppConfig.storageDownloadEndpoint(encodedKey);
-    return companyId != null ? '$url?companyId=$companyId' : url;
+    return '$url?access_token=${await http.idToken()}';
   }
 
   /// Rename a file or folder
@@ -2,7 +2,7 @@ import 'dart:async';
 import 'package:flutter/material.dart';
 import 'package:flutter/services.dart';
 import 'package:firebase_auth/firebase_auth.dart';
-import 'package:http/http.dart' as http;
+import '../../core/services/api_http.dart' as http;
 import 'dart:convert';
 import '../../core/config/app_config.dart';
 import '../../core/models/team_member.dart';